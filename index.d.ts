@@ -0,0 +1,253 @@
+// Declarations for the programmatic API in index.js. The entity types are generated
+// from the schema into src/types/nepa.d.ts and re-exported here.
+
+import type { Server } from 'http';
+import type { NepaDataset } from './src/types/nepa';
+
+export * from './src/types/nepa';
+
+/** A schema validation error, or a { message } failure (e.g. a parse error) */
+export interface ValidationError {
+  instancePath?: string;
+  schemaPath?: string;
+  keyword?: string;
+  params?: Record<string, unknown>;
+  message: string;
+  /** CSV cell the error was found in */
+  source?: CsvSource;
+}
+
+export interface CsvSource {
+  file: string;
+  /** 1-based line of the row in the file (the header is line 1) */
+  row: number;
+  column: string;
+  value: string;
+}
+
+export interface ReferenceIssue {
+  type: string;
+  message: string;
+  pointer?: string;
+  source?: CsvSource;
+  [key: string]: unknown;
+}
+
+export interface ReferenceResults {
+  valid: boolean;
+  errors: ReferenceIssue[];
+  warnings: ReferenceIssue[];
+  stats: { references: number; resolved: number; dangling: number; duplicates: number; orphans: number };
+  /** Streaming only: issues counted but not kept */
+  truncated?: number;
+}
+
+export interface CoercionGroup {
+  file: string;
+  column: string;
+  property: string;
+  rule: string;
+  count: number;
+  example: { row: number; from: string; to: unknown };
+}
+
+export interface Coercions {
+  total: number;
+  entries: Array<{ file: string; row: number; column: string; property: string; rule: string; from: string; to: unknown }>;
+  groups: CoercionGroup[];
+  truncated: number;
+}
+
+export interface ValidateDatasetOptions {
+  /** 'json' (default), 'yaml' or 'csv' */
+  format?: 'json' | 'yaml' | 'yml' | 'csv';
+  /** Also check referential integrity across collections */
+  references?: boolean;
+  /** (csv) Validate row by row in bounded memory instead of combining the files */
+  stream?: boolean;
+  /** (csv, streaming) Errors to keep; the rest are only counted */
+  maxErrors?: number;
+  /** (csv) Mapping file from pic csv map, or the loaded mapping */
+  mapping?: string | Record<string, unknown>;
+  /** (csv) IANA time zone for date-times written without an offset (default UTC) */
+  timezone?: string;
+  /** Standard version to validate against instead of the declared one */
+  version?: string;
+}
+
+export interface ValidateDatasetResult {
+  valid: boolean;
+  format: string;
+  errors: ValidationError[];
+  /** The release validated against (json and yaml) */
+  standardVersion?: string;
+  /** The parsed dataset; null when CSV files are streamed */
+  data?: NepaDataset | null;
+  recordCounts: Record<string, number>;
+  totalRecords: number;
+  references?: ReferenceResults;
+  /** (csv) Per-file structure results */
+  files?: Array<Record<string, unknown>>;
+  processedFiles?: Array<Record<string, unknown>>;
+  coercions?: Coercions;
+  /** (csv, streaming) Every schema error found, including those past maxErrors */
+  errorCount?: number;
+  /** (csv, streaming) Throughput and peak memory */
+  stats?: { files: number; rows: number; durationMs: number; rowsPerSecond: number; peakRss: number; peakHeapUsed: number };
+}
+
+export function validateDataset(
+  data: NepaDataset | Record<string, unknown> | string | Buffer | string[],
+  options?: ValidateDatasetOptions
+): Promise<ValidateDatasetResult>;
+
+export function validateSchemas(options?: { schemaDir?: string }): Promise<{
+  valid: boolean;
+  schemaDir: string;
+  files: Array<{ filePath: string; fileName: string; valid: boolean; errors: Array<{ message: string; instancePath?: string; keyword?: string; params?: Record<string, unknown> }> }>;
+}>;
+
+export interface Coverage {
+  found: number;
+  total: number;
+  percent: number;
+}
+
+export function validateCrosswalk(options?: { crosswalkPath?: string; ddlPath?: string }): Promise<{
+  valid: boolean;
+  crosswalkPath: string;
+  ddlPath: string;
+  ddlLoaded: boolean;
+  notices: Array<{ level: 'info' | 'warning'; message: string }>;
+  tables: Array<{
+    tableName: string;
+    valid: boolean;
+    /** row is the crosswalk line at fault (the header is line 1), or null for a DDL column the crosswalk lacks */
+    driftErrors: Array<{ message: string; row: number | null }>;
+    [key: string]: unknown;
+  }>;
+  missingTables: string[];
+  coverage: { nepa: Coverage; database: Coverage };
+}>;
+
+export function validateOpenApi(options?: { openApiDir?: string; crosswalkPath?: string }): Promise<{
+  valid: boolean;
+  openApiDir: string;
+  crosswalkPath: string;
+  crosswalkTables: number;
+  files: Array<{ filePath: string; fileName: string; valid: boolean; errors: string[]; [key: string]: unknown }>;
+}>;
+
+/** Table name → rows */
+export type DatabaseRows = Record<string, Array<Record<string, unknown>>>;
+
+export function fromDatabaseRows(tables: DatabaseRows, options?: { crosswalkPath?: string }): {
+  data: NepaDataset;
+  warnings: string[];
+};
+
+export function toDatabaseRows(nepaDocument: NepaDataset, options?: { crosswalkPath?: string }): {
+  rows: DatabaseRows;
+  warnings: string[];
+  dangling: Array<{
+    collection: string;
+    index: number;
+    property: string;
+    value: unknown;
+    table: string;
+    column: string;
+    target: string;
+    targetKey: string;
+    message: string;
+  }>;
+};
+
+export function toUpsertSql(nepaDocument: NepaDataset, options?: {
+  crosswalkPath?: string;
+  schemaSqlPath?: string;
+  source?: string;
+  /** Write dangling foreign keys as NULL (with a warning each) instead of failing */
+  nullDangling?: boolean;
+}): {
+  /** null if there are errors */
+  sql: string | null;
+  tables: Array<{ tableName: string; rows: Array<Record<string, unknown>> }>;
+  warnings: string[];
+  errors: Array<{ type: 'dangling-reference'; message: string }>;
+};
+
+export function toCsvFiles(nepaDocument: NepaDataset): Promise<{
+  files: Array<{ filename: string; collection: string; headers: string[]; rows: Array<Record<string, string>>; csv: string }>;
+  /** Mapping marking each file layout: schema; null if no file is written */
+  mapping: Record<string, unknown> | null;
+  /** Values the export does not preserve */
+  differences: Array<{ filename: string; collection: string; index: number; property: string; expected: unknown; actual: unknown; message: string }>;
+  warnings: string[];
+}>;
+
+/** @throws If the source version is unknown or not declared, or the target is older */
+export function migrateDocument(document: Record<string, unknown>, options?: { from?: string; to?: string; registryPath?: string }): {
+  data: NepaDataset;
+  from: string;
+  to: string;
+  steps: Array<{ version: string; notes: string; operations: Array<{ description: string; changed: number }> }>;
+  warnings: string[];
+};
+
+export function diffSchemas(oldSchema: Record<string, unknown>, newSchema: Record<string, unknown>): {
+  changes: Array<{ impact: 'breaking' | 'non-breaking' | 'documentation'; kind: string; pointer: string; schema: 'old' | 'new'; name: string; message: string }>;
+  summary: { breaking: number; nonBreaking: number; documentation: number };
+  suggestedBump: 'major' | 'minor' | 'patch' | 'none';
+};
+
+export type LintSeverity = 'error' | 'warning' | 'warn' | 'off';
+
+/** @throws If a severity is not one of error, warning (warn) or off */
+export function lintSchema(schema: Record<string, unknown>, rules?: Record<string, LintSeverity>): {
+  valid: boolean;
+  issues: Array<{ ruleId: string; severity: 'error' | 'warning'; pointer: string; message: string }>;
+  summary: { errors: number; warnings: number };
+};
+
+/** The same options always produce the same dataset */
+export function generateDataset(options?: { seed?: number | string; projects?: number; schemaPath?: string }): NepaDataset;
+
+export function createMockServer(options?: {
+  specPath?: string;
+  /** Seed SQL or NEPA dataset to load */
+  dataPath?: string;
+  onRequest?: (request: unknown, response: unknown) => void;
+}): {
+  /** Not yet listening */
+  server: Server;
+  store: { tables: Record<string, unknown>; data: DatabaseRows; warnings: string[] };
+  warnings: string[];
+};
+
+export function checkApiContract(baseUrl: string, options?: {
+  specPath?: string;
+  crosswalkPath?: string;
+  schemaPath?: string;
+  /** Also exercise POST, PATCH and DELETE with a copy of a sample row */
+  write?: boolean;
+  /** Sent as the apikey header and a bearer token (Supabase) */
+  apiKey?: string;
+  sampleSize?: number;
+  timeout?: number;
+}): Promise<{
+  valid: boolean;
+  baseUrl: string;
+  specPath: string;
+  operations: Array<{
+    tableName: string;
+    method: string;
+    path: string;
+    url: string;
+    status: number | null;
+    skipped?: string;
+    rows: number;
+    errors: Array<{ source: string; keyword: string; pointer: string | null; message: string }>;
+  }>;
+}>;
+
+export const NEPA_SCHEMA_PATH: string;
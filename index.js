@@ -0,0 +1,244 @@
+/**
+ * Programmatic entry point for the NEPA data standard toolkit
+ * Exposes the validators as functions that return structured results
+ * instead of printing to the console or exiting the process, plus the
+ * converters between NEPA documents, database rows and SQL
+ */
+const path = require('path');
+const yaml = require('js-yaml');
+const { ValidationUtils, NEPA_RECORD_TYPES, loadNepaSchema } = require('./scripts/utils/validation-utils');
+const { checkSchemas } = require('./scripts/validate-schemas');
+const { checkCsvFiles, checkCsvFilesStreaming } = require('./scripts/validate-csv');
+const { checkDatabaseCrosswalk } = require('./scripts/validate-database-crosswalk');
+const { checkOpenApiFiles } = require('./scripts/validate-openapi');
+const { checkReferences } = require('./scripts/utils/reference-utils');
+const { fromDatabaseRows, toDatabaseRows } = require('./scripts/utils/transformation-utils');
+const { toUpsertSql } = require('./scripts/generate-sql');
+const { toCsvFiles } = require('./scripts/export-csv');
+const { resolveDocumentSchema } = require('./scripts/utils/version-utils');
+const { migrateDocument } = require('./scripts/utils/migration-utils');
+const { diffSchemas } = require('./scripts/utils/schema-diff-utils');
+const { lintSchema } = require('./scripts/utils/schema-lint-utils');
+const { generateDataset } = require('./scripts/generate-dataset');
+const { createMockServer } = require('./scripts/mock-server');
+const { checkApiContract } = require('./scripts/validate-api-contract');
+
+const NEPA_SCHEMA_PATH = path.join(__dirname, 'src', 'jsonschema', 'nepa.schema.json');
+
+// Record counting only; schemas are compiled once per release by loadNepaSchema()
+let recordCounter = null;
+
+/**
+ * Count the records of each collection in a dataset
+ * @param {Object} data - Dataset
+ * @param {Array<string>} recordTypes - Collections to count
+ * @returns {Object} { counts, total }
+ */
+function countRecords(data, recordTypes) {
+  recordCounter = recordCounter || new ValidationUtils({ strict: false, verbose: false });
+  return recordCounter.countRecords(data, recordTypes);
+}
+
+/**
+ * Reduce validation errors to the fields applications need
+ * AJV's verbose errors carry the schema, parent schema and data of every failure, which makes
+ * results for large datasets huge; CSV errors keep their source cell
+ * @param {Array<Object>} errors - AJV errors, or { message } failures
+ * @returns {Array<Object>} Errors with instancePath, schemaPath, keyword, params, message (and source)
+ */
+function toResultErrors(errors) {
+  return (errors || []).map(error => {
+    if (!error.keyword) {
+      return error;
+    }
+    const { instancePath, schemaPath, keyword, params, message, source } = error;
+    return { instancePath, schemaPath, keyword, params, message, ...(source ? { source } : {}) };
+  });
+}
+
+/**
+ * Parse raw dataset content according to its format
+ * @param {string|Buffer} content - Raw JSON or YAML text
+ * @param {string} format - Input format ('json' or 'yaml')
+ * @returns {Object} Parsed dataset
+ */
+function parseDataset(content, format) {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : content;
+
+  if (format === 'yaml' || format === 'yml') {
+    return yaml.load(text);
+  }
+
+  return JSON.parse(text);
+}
+
+/**
+ * Validate a NEPA dataset against the NEPA schema
+ * JSON and YAML datasets are validated against the release named by their standard_version
+ * (the current release when they declare none)
+ * @param {Object|string|Buffer|Array<string>} data - Parsed dataset, raw JSON/YAML text,
+ *   or (for the csv format) a directory or array of CSV file paths
+ * @param {Object} options - Validation options
+ * @param {string} options.format - Input format: 'json' (default), 'yaml' or 'csv'
+ * @param {boolean} options.references - Also check referential integrity across collections
+ * @param {boolean} options.stream - (csv) Validate row by row in bounded memory instead of combining the files;
+ *   the result has no data but adds throughput and peak-memory stats
+ * @param {number} options.maxErrors - (csv, streaming) Errors to keep; the rest are only counted
+ * @param {string|Object} options.mapping - (csv) Mapping file from pic csv map, or the loaded mapping
+ *   (default: csv-mapping.yaml in the CSV directory, if present)
+ * @param {string} options.timezone - (csv) IANA time zone for date-times written without an offset (default UTC)
+ * @param {string} options.version - Standard version to validate against instead of the declared one
+ * @returns {Promise<Object>} Result with validity, errors (instancePath, schemaPath, keyword, params and
+ *   message; CSV errors add their source cell), the standard version used, the parsed data, record counts
+ *   and (optionally) reference results; csv results add the coercions applied to cell values
+ */
+async function validateDataset(data, options = {}) {
+  const format = (options.format || 'json').toLowerCase();
+
+  if (format === 'csv' && options.stream) {
+    const result = await checkCsvFilesStreaming(data, {
+      references: options.references,
+      maxErrors: options.maxErrors,
+      mapping: options.mapping,
+      timezone: options.timezone
+    });
+
+    return {
+      valid: result.valid && (!result.references || result.references.valid),
+      format,
+      errors: toResultErrors(result.errors),
+      errorCount: result.errorCount,
+      files: result.files,
+      processedFiles: result.processedFiles || [],
+      data: null,
+      recordCounts: result.recordCounts,
+      totalRecords: Object.values(result.recordCounts).reduce((sum, count) => sum + count, 0),
+      references: result.references,
+      coercions: result.coercions,
+      stats: result.stats
+    };
+  }
+
+  if (format === 'csv') {
+    const result = await checkCsvFiles(data, { mapping: options.mapping, timezone: options.timezone, references: options.references });
+    const { counts, total } = countRecords(result.data, Object.keys(result.data));
+    const references = result.references;
+
+    return {
+      valid: result.valid,
+      format,
+      errors: toResultErrors(result.errors),
+      files: result.files,
+      processedFiles: result.processedFiles || [],
+      data: result.data,
+      recordCounts: counts,
+      totalRecords: total,
+      references,
+      coercions: result.coercions
+    };
+  }
+
+  let dataset = data;
+  try {
+    if (typeof data === 'string' || Buffer.isBuffer(data)) {
+      dataset = parseDataset(data, format);
+    }
+  } catch (err) {
+    return {
+      valid: false,
+      format,
+      errors: [{ message: `Failed to parse ${format.toUpperCase()} data: ${err.message}` }],
+      recordCounts: {},
+      totalRecords: 0
+    };
+  }
+
+  let release;
+  try {
+    release = resolveDocumentSchema(dataset, { version: options.version });
+  } catch (err) {
+    return {
+      valid: false,
+      format,
+      errors: [{ instancePath: '/standard_version', keyword: 'standard_version', message: err.message }],
+      recordCounts: {},
+      totalRecords: 0
+    };
+  }
+
+  const validate = loadNepaSchema(null, release.schemaPath);
+  if (!validate) {
+    return {
+      valid: false,
+      format,
+      standardVersion: release.version,
+      errors: [{ message: `Failed to load schema ${release.schemaPath}` }],
+      recordCounts: {},
+      totalRecords: 0
+    };
+  }
+  const valid = validate(dataset);
+  const { counts, total } = countRecords(dataset || {}, NEPA_RECORD_TYPES);
+  const references = options.references ? checkReferences(dataset) : undefined;
+
+  return {
+    valid: valid && (!references || references.valid),
+    format,
+    standardVersion: release.version,
+    errors: valid ? [] : toResultErrors(validate.errors),
+    data: dataset,
+    recordCounts: counts,
+    totalRecords: total,
+    references
+  };
+}
+
+/**
+ * Validate schema files against the JSON Schema meta-schema
+ * @param {Object} options - Validation options
+ * @param {string} options.schemaDir - Directory containing schema files (default: src/jsonschema)
+ * @returns {Promise<Object>} Result with validity and per-file details
+ */
+async function validateSchemas(options = {}) {
+  return checkSchemas(options.schemaDir);
+}
+
+/**
+ * Validate the database crosswalk against the NEPA schema and the SQL DDL
+ * @param {Object} options - Validation options
+ * @param {string} options.crosswalkPath - Path to the crosswalk CSV (default: src/crosswalk/database_crosswalk.csv)
+ * @param {string} options.ddlPath - DDL file or directory (default: src/database/schema-v1.0.0.sql)
+ * @returns {Promise<Object>} Result with validity, per-table details (including DDL drift), missing tables and coverage
+ */
+async function validateCrosswalk(options = {}) {
+  return checkDatabaseCrosswalk(options.crosswalkPath, { ddlPath: options.ddlPath });
+}
+
+/**
+ * Validate OpenAPI specifications against the crosswalk and NEPA schema
+ * @param {Object} options - Validation options
+ * @param {string} options.openApiDir - Directory containing OpenAPI files (default: src/openapi)
+ * @param {string} options.crosswalkPath - Path to the crosswalk CSV (default: src/crosswalk/database_crosswalk.csv)
+ * @returns {Promise<Object>} Result with validity and per-file details
+ */
+async function validateOpenApi(options = {}) {
+  return checkOpenApiFiles(options.openApiDir, options.crosswalkPath);
+}
+
+module.exports = {
+  validateDataset,
+  validateSchemas,
+  validateCrosswalk,
+  validateOpenApi,
+  fromDatabaseRows,
+  toDatabaseRows,
+  toUpsertSql,
+  toCsvFiles,
+  migrateDocument,
+  diffSchemas,
+  lintSchema,
+  generateDataset,
+  createMockServer,
+  checkApiContract,
+  NEPA_SCHEMA_PATH
+};
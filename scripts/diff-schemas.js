@@ -0,0 +1,102 @@
+/**
+ * Compare two versions of a JSON schema
+ * Classifies every change as breaking, non-breaking or documentation-only and suggests
+ * the semver bump for the release that contains them
+ */
+const fs = require('fs');
+const path = require('path');
+const { printSummary, colors, PATHS } = require('./utils/validation-utils');
+const { diffSchemas } = require('./utils/schema-diff-utils');
+
+// Console labels for each impact, in output order
+const IMPACT_LABELS = [
+  ['breaking', 'Breaking changes', colors.red, '✘'],
+  ['non-breaking', 'Non-breaking changes', colors.green, '+'],
+  ['documentation', 'Documentation changes', colors.gray, '~']
+];
+
+/**
+ * Read and compare two schema files without printing
+ * @param {string} oldPath - Old schema file
+ * @param {string} newPath - New schema file (default: src/jsonschema/nepa.schema.json)
+ * @returns {Object} { valid, oldPath, newPath, changes, summary, suggestedBump } where valid is false
+ *   if any change is breaking
+ */
+function checkSchemaDiff(oldPath, newPath = PATHS.NEPA_SCHEMA) {
+  const oldSchema = JSON.parse(fs.readFileSync(oldPath, 'utf8'));
+  const newSchema = JSON.parse(fs.readFileSync(newPath, 'utf8'));
+  const result = diffSchemas(oldSchema, newSchema);
+
+  return {
+    valid: result.summary.breaking === 0,
+    oldPath,
+    newPath,
+    ...result
+  };
+}
+
+/**
+ * Main diff function
+ * @param {string} oldPath - Old schema file
+ * @param {string} newPath - New schema file
+ * @param {Object} options - Output options
+ * @param {boolean} options.verbose - Also list documentation changes
+ * @returns {boolean} True if no change is breaking
+ */
+function diffSchemaFiles(oldPath, newPath = PATHS.NEPA_SCHEMA, options = {}) {
+  try {
+    console.log(`${colors.bold}${colors.blue}=== Comparing JSON Schemas ===${colors.reset}`);
+    console.log(`Old: ${oldPath}`);
+    console.log(`New: ${newPath}`);
+
+    const results = checkSchemaDiff(oldPath, newPath);
+
+    for (const [impact, label, color, marker] of IMPACT_LABELS) {
+      const changes = results.changes.filter(change => change.impact === impact);
+      if (changes.length === 0) continue;
+
+      console.log(`\n${colors.bold}${label} (${changes.length}):${colors.reset}`);
+      if (impact === 'documentation' && !options.verbose) {
+        console.log(`  ${colors.gray}Use --verbose to list them${colors.reset}`);
+        continue;
+      }
+      changes.forEach(change => console.log(`  ${color}${marker}${colors.reset} ${change.message}`));
+    }
+
+    if (results.changes.length === 0) {
+      console.log(`\n${colors.green}✓ No differences${colors.reset}`);
+    }
+    console.log(`\n${colors.bold}Suggested version bump:${colors.reset} ${results.suggestedBump}`);
+
+    return results.valid;
+  } catch (error) {
+    console.error(`${colors.red}Error comparing schemas: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+module.exports = {
+  checkSchemaDiff,
+  diffSchemaFiles
+};
+
+// Run comparison if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('-'));
+
+  if (args.includes('--help') || args.includes('-h') || positional.length === 0) {
+    console.log(`${colors.bold}JSON Schema Diff${colors.reset}`);
+    console.log(`\nClassifies the changes between two schema versions as breaking or non-breaking`);
+    console.log(`\nUsage:`);
+    console.log(`  node diff-schemas.js <old.schema.json> [new.schema.json] [--verbose]`);
+    console.log(`\nThe new schema defaults to ${path.relative(process.cwd(), PATHS.NEPA_SCHEMA)}; exits 1 if any change is breaking`);
+    process.exit(positional.length === 0 && !args.includes('--help') && !args.includes('-h') ? 2 : 0);
+  }
+
+  const success = diffSchemaFiles(positional[0], positional[1] || PATHS.NEPA_SCHEMA, {
+    verbose: args.includes('--verbose') || args.includes('-v')
+  });
+  printSummary(success, 'schema compatibility check');
+  process.exit(success ? 0 : 1);
+}
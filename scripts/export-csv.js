@@ -0,0 +1,285 @@
+/**
+ * Export a NEPA dataset to per-entity CSV files
+ * The inverse of the CSV importer (validate-csv.js): each collection is written to the file name
+ * the importer maps to it, with schema properties as headers, nested objects as dotted columns
+ * (project_sponsor.name) and arrays as delimited cells. The csv-mapping.yaml written next to the
+ * files marks each one layout: schema, so the importer reads the headers as schema properties
+ * rather than crosswalk columns. Every file is read back through the importer and any value that
+ * would not come back unchanged is reported
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const csvParser = require('csv-parser');
+const { Readable } = require('stream');
+const { isDeepStrictEqual } = require('util');
+const { createObjectCsvStringifier } = require('csv-writer');
+const { ValidationUtils, printSummary, colors } = require('./utils/validation-utils');
+const { resolveDocumentSchema } = require('./utils/version-utils');
+const { loadSchemaModel } = require('./utils/schema-utils');
+const { formatCellValue } = require('./utils/coercion-utils');
+const { DEFAULT_MAPPING_FILE, renderCsvMapping } = require('./utils/csv-mapping-utils');
+const { SCHEMA_MAPPINGS, transformFieldNames } = require('./validate-csv');
+
+// Exported files name schema properties, and are read back that way (see resolveField() in validate-csv.js)
+const LAYOUT = 'schema';
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * File name the importer maps to a collection (the first SCHEMA_MAPPINGS entry for it)
+ * @param {string} collection - Collection name (e.g. public_comments)
+ * @returns {string} File name (e.g. comment.csv)
+ */
+function getCsvFilename(collection) {
+  const filename = Object.keys(SCHEMA_MAPPINGS).find(name => SCHEMA_MAPPINGS[name] === collection);
+  return filename || `${collection}.csv`;
+}
+
+/**
+ * Add the cells of a nested object as dotted columns
+ * @param {Object} cells - Header → { text, exact } to add to
+ * @param {string} header - Header of the object
+ * @param {Object} value - Object value
+ * @param {Object} descriptor - Property descriptor of the object (optional)
+ */
+function addNestedCells(cells, header, value, descriptor) {
+  for (const [key, item] of Object.entries(value)) {
+    const itemHeader = `${header}.${key}`;
+    const itemDescriptor = descriptor && descriptor.properties ? descriptor.properties[key] || null : null;
+
+    // A dotted key would be read back as a deeper path
+    if (key.includes('.')) {
+      cells[itemHeader] = { text: '', exact: false };
+    } else if (isPlainObject(item) && Object.keys(item).length > 0) {
+      addNestedCells(cells, itemHeader, item, itemDescriptor);
+    } else {
+      cells[itemHeader] = formatCellValue(item, itemDescriptor, { layout: LAYOUT });
+    }
+  }
+}
+
+/**
+ * Flatten a record into cell text keyed by header
+ * Objects become dotted columns when every nested value reads back unchanged (and no key
+ * contains a dot), and a single JSON cell otherwise
+ * @param {Object} record - Record from a NEPA collection
+ * @param {Object} properties - Property descriptors of the collection's definition
+ * @returns {Object} Header → cell text
+ */
+function flattenRecord(record, properties) {
+  const row = {};
+
+  for (const [property, value] of Object.entries(record)) {
+    const descriptor = properties[property] || null;
+
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      const cells = {};
+      addNestedCells(cells, property, value, descriptor);
+      if (Object.values(cells).every(cell => cell.exact)) {
+        Object.entries(cells).forEach(([header, cell]) => {
+          row[header] = cell.text;
+        });
+        continue;
+      }
+    }
+
+    row[property] = formatCellValue(value, descriptor, { layout: LAYOUT }).text;
+  }
+
+  return row;
+}
+
+/**
+ * Parse CSV text the way the importer reads a file
+ * @param {string} text - CSV text
+ * @returns {Promise<Array<Object>>} Rows keyed by header
+ */
+function parseCsvRows(text) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([text])
+      .pipe(csvParser())
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Convert a NEPA document into CSV files without writing them
+ * Each file is parsed again and its rows imported as the CSV validator would, so differences
+ * lists every value the export does not preserve
+ * @param {Object} nepaDocument - NEPA document with top-level collections
+ * @returns {Promise<Object>} { files, mapping, differences, warnings } where files lists
+ *   { filename, collection, headers, rows, csv } for each non-empty collection, and mapping is the
+ *   CSV mapping that marks each file layout: schema (null if no file is written)
+ */
+async function toCsvFiles(nepaDocument) {
+  const { collections, definitions } = loadSchemaModel();
+  const files = [];
+  const mapping = { files: {} };
+  const differences = [];
+  const warnings = [];
+  const show = value => (value === undefined ? '(left out)' : JSON.stringify(value));
+
+  for (const [collection, records] of Object.entries(nepaDocument || {})) {
+    if (!Array.isArray(records) || !collections[collection]) {
+      warnings.push(`'${collection}' is not a NEPA collection; it is not exported`);
+      continue;
+    }
+    if (records.length === 0) {
+      warnings.push(`${collection} has no records; no file is written for it`);
+      continue;
+    }
+
+    const properties = definitions[collections[collection]] || {};
+    const rows = records.map(record => flattenRecord(record, properties));
+
+    // Schema property order, then nested columns as they first appear
+    const order = Object.keys(properties);
+    const rank = header => {
+      const index = order.indexOf(header.split('.')[0]);
+      return index === -1 ? order.length : index;
+    };
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row)))]
+      .map((header, index) => ({ header, index }))
+      .sort((a, b) => rank(a.header) - rank(b.header) || a.index - b.index)
+      .map(({ header }) => header);
+
+    const stringifier = createObjectCsvStringifier({ header: headers.map(header => ({ id: header, title: header })) });
+    const csv = stringifier.getHeaderString() + stringifier.stringifyRecords(rows);
+    const filename = getCsvFilename(collection);
+
+    mapping.files[filename] = { section: collection, layout: LAYOUT };
+
+    const imported = await parseCsvRows(csv);
+    records.forEach((record, index) => {
+      const readBack = imported[index] ? transformFieldNames(imported[index], collection, null, { layout: LAYOUT }) : {};
+      for (const property of new Set([...Object.keys(record), ...Object.keys(readBack)])) {
+        if (!isDeepStrictEqual(readBack[property], record[property])) {
+          differences.push({
+            filename,
+            collection,
+            index,
+            property,
+            expected: record[property],
+            actual: readBack[property],
+            message: `${collection}[${index}].${property} is read back as ${show(readBack[property])} instead of ${show(record[property])}`
+          });
+        }
+      }
+    });
+
+    files.push({ filename, collection, headers, rows, csv });
+  }
+
+  return { files, mapping: Object.keys(mapping.files).length > 0 ? mapping : null, differences, warnings };
+}
+
+/**
+ * Read, validate and convert a NEPA JSON/YAML file without writing anything
+ * @param {string} inputPath - Dataset file
+ * @param {Object} options - Export options
+ * @param {string} options.format - Input format: 'json' or 'yaml' (detected from the extension by default)
+ * @returns {Promise<Object>} { valid, inputPath, errors, warnings, differences, files, mapping } (files
+ *   is empty when validation fails)
+ */
+async function checkCsvExport(inputPath, options = {}) {
+  const ext = path.extname(inputPath).toLowerCase();
+  const format = options.format || (ext === '.yaml' || ext === '.yml' ? 'yaml' : 'json');
+  const content = fs.readFileSync(inputPath, 'utf8');
+  const data = format === 'yaml' ? yaml.load(content) : JSON.parse(content);
+
+  const utils = new ValidationUtils({ strict: false, verbose: false });
+  const validate = utils.loadSchema(resolveDocumentSchema(data).schemaPath);
+  if (!validate(data)) {
+    return { valid: false, inputPath, errors: validate.errors, warnings: [], differences: [], files: [], mapping: null };
+  }
+
+  // standard_version and other root properties have no CSV file
+  const rootProperties = Object.keys(data).filter(key => !Array.isArray(data[key]));
+  const collectionsOnly = Object.fromEntries(Object.entries(data).filter(([, value]) => Array.isArray(value)));
+  const result = await toCsvFiles(collectionsOnly);
+  rootProperties.forEach(key => result.warnings.unshift(`${key} is not a collection; CSV files hold collections only`));
+  return { valid: true, inputPath, errors: [], ...result };
+}
+
+/**
+ * Main export function
+ * @param {string} inputPath - Dataset file
+ * @param {string} outDir - Directory to write the CSV files to (created if missing)
+ * @param {Object} options - Export options (see checkCsvExport)
+ * @param {boolean} options.verbose - List the headers of each file
+ * @returns {Promise<boolean>} True if the dataset was valid and every value survives the round trip
+ */
+async function exportCsv(inputPath, outDir, options = {}) {
+  try {
+    console.log(`${colors.bold}${colors.blue}=== Exporting CSV files ===${colors.reset}`);
+    console.log(`Dataset: ${inputPath}`);
+
+    const results = await checkCsvExport(inputPath, options);
+    if (!results.valid) {
+      results.errors.forEach(error => {
+        console.error(`${colors.red}Error: ${error.instancePath || '/'} ${error.message}${colors.reset}`);
+      });
+      return false;
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+    for (const file of results.files) {
+      fs.writeFileSync(path.join(outDir, file.filename), file.csv);
+      console.log(`${colors.green}✓${colors.reset} ${file.filename} (${file.collection}): ${file.rows.length} rows, ${file.headers.length} columns`);
+      if (options.verbose) {
+        console.log(`    ${colors.gray}${file.headers.join(', ')}${colors.reset}`);
+      }
+    }
+    if (results.mapping) {
+      fs.writeFileSync(path.join(outDir, DEFAULT_MAPPING_FILE), renderCsvMapping(results.mapping));
+      console.log(`${colors.green}✓${colors.reset} ${DEFAULT_MAPPING_FILE}: reads ${Object.keys(results.mapping.files).length} files with layout: ${LAYOUT}`);
+    }
+
+    results.warnings.forEach(warning => {
+      console.log(`${colors.yellow}Warning: ${warning}${colors.reset}`);
+    });
+    results.differences.forEach(difference => {
+      console.log(`${colors.red}✘ ${difference.filename}: ${difference.message}${colors.reset}`);
+    });
+
+    const rowCount = results.files.reduce((sum, file) => sum + file.rows.length, 0);
+    console.log(`\n${rowCount} rows across ${results.files.length} files written to ${outDir}`);
+    if (results.differences.length > 0) {
+      console.log(`${colors.red}${results.differences.length} values would not read back unchanged${colors.reset}`);
+    }
+    return results.differences.length === 0;
+  } catch (error) {
+    console.error(`${colors.red}Error during CSV export: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+module.exports = {
+  getCsvFilename,
+  toCsvFiles,
+  checkCsvExport,
+  exportCsv
+};
+
+// Run export if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('--'));
+
+  if (args.includes('--help') || args.includes('-h') || positional.length < 2) {
+    console.log(`${colors.bold}NEPA CSV Export${colors.reset}`);
+    console.log(`\nValidates a NEPA JSON/YAML dataset and writes one CSV file per collection, checking that the CSV importer reads every value back unchanged`);
+    console.log(`\nUsage:`);
+    console.log(`  node export-csv.js <dataset.json|yaml> <out-dir> [--verbose]`);
+    process.exit(positional.length < 2 && !args.includes('--help') && !args.includes('-h') ? 2 : 0);
+  }
+
+  exportCsv(positional[0], positional[1], { verbose: args.includes('--verbose') }).then((success) => {
+    printSummary(success, 'CSV export');
+    process.exit(success ? 0 : 1);
+  });
+}
@@ -0,0 +1,546 @@
+/**
+ * Generate a NEPA-native OpenAPI 3.1 specification from nepa.schema.json
+ * Resources are named after the standard's collections (/projects, /processes/{process_id}/documents)
+ * and keyed by business keys, schemas $ref the schema's definitions directly, and every list
+ * operation follows the same pagination, sorting and filtering conventions
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { printSummary, colors, PATHS } = require('./utils/validation-utils');
+const { getCollectionDefinitions } = require('./utils/schema-utils');
+const { PRIMARY_KEYS, FOREIGN_KEYS } = require('./utils/reference-utils');
+const { loadSchemaRegistry } = require('./utils/version-utils');
+const { OPENAPI_31_VERSION, NEPA_API_EXTENSION } = require('./utils/openapi-utils');
+
+// Page size conventions for list operations
+const DEFAULT_PAGE_LIMIT = 100;
+const MAX_PAGE_LIMIT = 1000;
+
+// Media types
+const JSON_MEDIA_TYPE = 'application/json';
+const PROBLEM_MEDIA_TYPE = 'application/problem+json';
+const MERGE_PATCH_MEDIA_TYPE = 'application/merge-patch+json';
+
+// Date formats that get _from/_to range filters
+const RANGE_FORMATS = ['date', 'date-time'];
+
+/**
+ * Turn a definition or collection name into words (public_comment → public comment, gis_data → GIS data)
+ * @param {string} name - Name
+ * @returns {string} Words
+ */
+function toWords(name) {
+  return name.split('_').map(part => (part === 'gis' ? 'GIS' : part)).join(' ');
+}
+
+/**
+ * Find the allowed values of a property, including open enums (anyOf with an enum branch)
+ * @param {Object} property - Property schema
+ * @returns {Array|null} Allowed values, or null if the property is not enumerated
+ */
+function findEnum(property) {
+  if (Array.isArray(property.enum)) return property.enum;
+  const branch = (property.anyOf || property.oneOf || []).find(candidate => Array.isArray(candidate.enum));
+  return branch ? branch.enum : null;
+}
+
+/**
+ * Get the scalar type and format of a property, looking through anyOf null branches
+ * @param {Object} property - Property schema
+ * @returns {Object} { type, format }
+ */
+function scalarType(property) {
+  const branch = (property.anyOf || property.oneOf || []).find(candidate => candidate.type && candidate.type !== 'null') || property;
+  return { type: branch.type, format: branch.format };
+}
+
+/**
+ * Build the filter parameters of a collection
+ * - enumerated properties take a comma-separated list of values
+ * - references to other records (business keys) and booleans take one value; a list of
+ *   references matches records that include it
+ * - date and date-time properties take an inclusive range as <property>_from and <property>_to
+ * @param {string} collection - Collection name
+ * @param {string} definitionName - Definition of the collection's records
+ * @param {Object} definition - Definition schema
+ * @param {Function} ref - Builds a $ref into nepa.schema.json from a JSON Pointer
+ * @returns {Array<Object>} Parameters keyed by component name, in property order: { key, parameter, property }
+ */
+function buildFilterParameters(collection, definitionName, definition, ref) {
+  const references = FOREIGN_KEYS.filter(foreignKey => foreignKey.collection === collection && foreignKey.targetKey !== 'id');
+  const filters = [];
+
+  for (const [name, property] of Object.entries(definition.properties || {})) {
+    const pointer = `/definitions/${definitionName}/properties/${name}`;
+    const { type, format } = scalarType(property);
+    const values = findEnum(property);
+    const reference = references.find(foreignKey => foreignKey.field === name);
+
+    if (values) {
+      filters.push({
+        key: `filter.${collection}.${name}`,
+        property: name,
+        parameter: {
+          name,
+          in: 'query',
+          description: `Only ${toWords(collection)} whose ${name} is one of these comma-separated values`,
+          required: false,
+          style: 'form',
+          explode: false,
+          schema: { type: 'array', items: { $ref: ref(pointer) } }
+        }
+      });
+    } else if (reference || type === 'boolean') {
+      filters.push({
+        key: `filter.${collection}.${name}`,
+        property: name,
+        parameter: {
+          name,
+          in: 'query',
+          description: reference
+            ? `Only ${toWords(collection)} whose ${name} ${reference.array ? 'includes' : 'is'} this ${reference.target}.${reference.targetKey}`
+            : `Only ${toWords(collection)} whose ${name} is this value`,
+          required: false,
+          schema: { $ref: ref(reference && reference.array ? `${pointer}/items` : pointer) }
+        }
+      });
+    } else if (type === 'string' && RANGE_FORMATS.includes(format)) {
+      ['from', 'to'].forEach(bound => filters.push({
+        key: `filter.${collection}.${name}_${bound}`,
+        property: name,
+        parameter: {
+          name: `${name}_${bound}`,
+          in: 'query',
+          description: `Only ${toWords(collection)} whose ${name} is ${bound === 'from' ? 'on or after' : 'on or before'} this ${format === 'date' ? 'date' : 'date and time'}`,
+          required: false,
+          schema: { type: 'string', format }
+        }
+      }));
+    }
+  }
+
+  return filters;
+}
+
+/**
+ * Build the sort parameter of a collection: comma-separated fields, - for descending
+ * @param {string} collection - Collection name
+ * @param {Array<string>} fields - Sortable fields
+ * @returns {Object} Parameter
+ */
+function buildSortParameter(collection, fields) {
+  const alternatives = fields.join('|');
+  return {
+    name: 'sort',
+    in: 'query',
+    description: `Comma-separated fields to sort ${toWords(collection)} by; prefix a field with - for descending order (default: ${fields[0]}). Sortable fields: ${fields.join(', ')}`,
+    required: false,
+    schema: { type: 'string', pattern: `^-?(${alternatives})(,-?(${alternatives}))*$` }
+  };
+}
+
+/**
+ * Build a response that returns a Problem document
+ * @param {string} description - Response description
+ * @returns {Object} Response
+ */
+function problemResponse(description) {
+  return { description, content: { [PROBLEM_MEDIA_TYPE]: { schema: { $ref: '#/components/schemas/problem' } } } };
+}
+
+/**
+ * Build the shared schemas, parameters, responses and security schemes
+ * @returns {Object} Components (schemas are added per definition by the caller)
+ */
+function buildSharedComponents() {
+  return {
+    schemas: {
+      page: {
+        type: 'object',
+        description: 'Position of a page of results within all matching records',
+        required: ['limit', 'offset'],
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_LIMIT, description: 'Maximum number of records in this page' },
+          offset: { type: 'integer', minimum: 0, description: 'Number of matching records before this page' },
+          total: { type: 'integer', minimum: 0, description: 'Number of matching records; may be omitted when counting is expensive' },
+          next: { type: ['string', 'null'], format: 'uri-reference', description: 'URL of the next page, or null on the last page' },
+          previous: { type: ['string', 'null'], format: 'uri-reference', description: 'URL of the previous page, or null on the first page' }
+        }
+      },
+      problem: {
+        type: 'object',
+        description: 'Error details (RFC 9457 Problem Details); validation failures list one entry per schema error',
+        required: ['title', 'status'],
+        properties: {
+          type: { type: 'string', format: 'uri-reference', default: 'about:blank' },
+          title: { type: 'string' },
+          status: { type: 'integer', minimum: 400, maximum: 599 },
+          detail: { type: 'string' },
+          instance: { type: 'string', format: 'uri-reference' },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['message'],
+              properties: {
+                pointer: { type: 'string', description: 'JSON Pointer to the offending value in the request body' },
+                keyword: { type: 'string', description: 'JSON Schema keyword that failed (e.g. required, enum)' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    },
+    parameters: {
+      limit: {
+        name: 'limit',
+        in: 'query',
+        description: `Maximum number of records to return (default: ${DEFAULT_PAGE_LIMIT})`,
+        required: false,
+        schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_LIMIT, default: DEFAULT_PAGE_LIMIT }
+      },
+      offset: {
+        name: 'offset',
+        in: 'query',
+        description: 'Number of matching records to skip',
+        required: false,
+        schema: { type: 'integer', minimum: 0, default: 0 }
+      }
+    },
+    responses: {
+      bad_request: problemResponse('Invalid query parameters'),
+      unauthorized: problemResponse('Missing or invalid credentials'),
+      not_found: problemResponse('No record has this key'),
+      conflict: problemResponse('A record with this key already exists, or other records still reference this one'),
+      validation_failed: problemResponse('The record does not conform to nepa.schema.json')
+    },
+    securitySchemes: {
+      bearer_auth: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'Credential issued by the implementing agency; required for operations that change records'
+      }
+    }
+  };
+}
+
+/**
+ * Render the NEPA exchange API specification for a schema
+ * @param {Object} schema - Parsed nepa.schema.json
+ * @param {Object} options - Rendering options
+ * @param {string} options.schemaRef - URI of nepa.schema.json used in $refs (default: the schema's $id)
+ * @param {string} options.version - Standard version (default: the current release in versions.json)
+ * @returns {Object} OpenAPI 3.1 specification
+ */
+function renderApiSpec(schema, options = {}) {
+  const schemaRef = options.schemaRef || schema.$id || 'nepa.schema.json';
+  const version = options.version || loadSchemaRegistry().current;
+  const ref = pointer => `${schemaRef}#${pointer}`;
+  const collections = getCollectionDefinitions(schema);
+  const components = buildSharedComponents();
+  const paths = {};
+  const tags = [];
+
+  const listResponses = definitionName => ({
+    200: {
+      description: 'A page of matching records',
+      content: { [JSON_MEDIA_TYPE]: { schema: { $ref: `#/components/schemas/${definitionName}_list` } } }
+    },
+    400: { $ref: '#/components/responses/bad_request' }
+  });
+  const recordContent = definitionName => ({ [JSON_MEDIA_TYPE]: { schema: { $ref: `#/components/schemas/${definitionName}` } } });
+  const secured = [{ bearer_auth: [] }];
+
+  for (const [collection, definitionName] of Object.entries(collections)) {
+    const definition = schema.definitions[definitionName] || {};
+    const key = PRIMARY_KEYS[collection];
+    const words = toWords(collection);
+    const singular = definitionName === collection ? `${words} record` : toWords(definitionName);
+    const filters = buildFilterParameters(collection, definitionName, definition, ref);
+    const dateFields = Object.entries(definition.properties || {})
+      .filter(([, property]) => RANGE_FORMATS.includes(scalarType(property).format))
+      .map(([name]) => name);
+    const sort = buildSortParameter(collection, [key, ...dateFields].filter(Boolean));
+
+    tags.push({ name: collection, description: definition.description || words });
+    components.schemas[definitionName] = { $ref: ref(`/definitions/${definitionName}`) };
+    components.schemas[`${definitionName}_list`] = {
+      type: 'object',
+      required: ['data', 'page'],
+      properties: {
+        data: { type: 'array', items: { $ref: `#/components/schemas/${definitionName}` } },
+        page: { $ref: '#/components/schemas/page' }
+      }
+    };
+    filters.forEach(filter => {
+      components.parameters[filter.key] = filter.parameter;
+    });
+    components.parameters[`sort.${collection}`] = sort;
+    const filterRefs = filters.map(filter => ({ $ref: `#/components/parameters/${filter.key}` }));
+    const pageRefs = collectionName => [
+      { $ref: `#/components/parameters/sort.${collectionName}` },
+      { $ref: '#/components/parameters/limit' },
+      { $ref: '#/components/parameters/offset' }
+    ];
+
+    paths[`/${collection}`] = {
+      get: {
+        tags: [collection],
+        operationId: `list_${collection}`,
+        summary: `List ${words}`,
+        parameters: [...filterRefs, ...pageRefs(collection)],
+        responses: listResponses(definitionName)
+      },
+      post: {
+        tags: [collection],
+        operationId: `create_${definitionName}`,
+        summary: `Create a ${singular}`,
+        description: `The ${key} in the body identifies the new record.`,
+        security: secured,
+        requestBody: { required: true, content: recordContent(definitionName) },
+        responses: {
+          201: {
+            description: 'The created record',
+            headers: { Location: { description: 'URL of the created record', schema: { type: 'string', format: 'uri-reference' } } },
+            content: recordContent(definitionName)
+          },
+          401: { $ref: '#/components/responses/unauthorized' },
+          409: { $ref: '#/components/responses/conflict' },
+          422: { $ref: '#/components/responses/validation_failed' }
+        }
+      }
+    };
+
+    if (!key) continue;
+
+    components.parameters[key] = {
+      name: key,
+      in: 'path',
+      description: `Business key of the ${singular}`,
+      required: true,
+      schema: { $ref: ref(`/definitions/${definitionName}/properties/${key}`) }
+    };
+    paths[`/${collection}/{${key}}`] = {
+      parameters: [{ $ref: `#/components/parameters/${key}` }],
+      get: {
+        tags: [collection],
+        operationId: `get_${definitionName}`,
+        summary: `Get a ${singular}`,
+        responses: {
+          200: { description: 'The record', content: recordContent(definitionName) },
+          404: { $ref: '#/components/responses/not_found' }
+        }
+      },
+      put: {
+        tags: [collection],
+        operationId: `replace_${definitionName}`,
+        summary: `Replace a ${singular}`,
+        description: `The ${key} in the body must match the path.`,
+        security: secured,
+        requestBody: { required: true, content: recordContent(definitionName) },
+        responses: {
+          200: { description: 'The replaced record', content: recordContent(definitionName) },
+          401: { $ref: '#/components/responses/unauthorized' },
+          404: { $ref: '#/components/responses/not_found' },
+          422: { $ref: '#/components/responses/validation_failed' }
+        }
+      },
+      patch: {
+        tags: [collection],
+        operationId: `update_${definitionName}`,
+        summary: `Update fields of a ${singular}`,
+        description: `A JSON Merge Patch (RFC 7396): listed fields are replaced, null removes a field. The result must still conform to the ${definitionName} definition.`,
+        security: secured,
+        requestBody: { required: true, content: { [MERGE_PATCH_MEDIA_TYPE]: { schema: { type: 'object' } } } },
+        responses: {
+          200: { description: 'The updated record', content: recordContent(definitionName) },
+          401: { $ref: '#/components/responses/unauthorized' },
+          404: { $ref: '#/components/responses/not_found' },
+          422: { $ref: '#/components/responses/validation_failed' }
+        }
+      },
+      delete: {
+        tags: [collection],
+        operationId: `delete_${definitionName}`,
+        summary: `Delete a ${singular}`,
+        security: secured,
+        responses: {
+          204: { description: 'The record was deleted' },
+          401: { $ref: '#/components/responses/unauthorized' },
+          404: { $ref: '#/components/responses/not_found' },
+          409: { $ref: '#/components/responses/conflict' }
+        }
+      }
+    };
+
+    // Records owned by this one (the schema's parent links) are listed under it
+    FOREIGN_KEYS.filter(foreignKey => foreignKey.parent && foreignKey.target === collection && foreignKey.targetKey === key).forEach(foreignKey => {
+      const childDefinition = collections[foreignKey.collection];
+      const childFilters = buildFilterParameters(foreignKey.collection, childDefinition, schema.definitions[childDefinition] || {}, ref)
+        .filter(filter => filter.property !== foreignKey.field)
+        .map(filter => ({ $ref: `#/components/parameters/${filter.key}` }));
+      paths[`/${collection}/{${key}}/${foreignKey.collection}`] = {
+        parameters: [{ $ref: `#/components/parameters/${key}` }],
+        get: {
+          tags: [foreignKey.collection],
+          operationId: `list_${definitionName}_${foreignKey.collection}`,
+          summary: `List the ${toWords(foreignKey.collection)} of a ${singular}`,
+          description: `Same as GET /${foreignKey.collection}?${foreignKey.field}={${key}}.`,
+          parameters: [...childFilters, ...pageRefs(foreignKey.collection)],
+          responses: { ...listResponses(childDefinition), 404: { $ref: '#/components/responses/not_found' } }
+        }
+      };
+    });
+  }
+
+  paths['/dataset'] = {
+    get: {
+      tags: ['dataset'],
+      operationId: 'export_dataset',
+      summary: 'Export every collection as one NEPA document',
+      description: 'Accepts the same filters as GET /projects and returns the matching projects with every record that belongs to them.',
+      responses: {
+        200: { description: 'A document that conforms to nepa.schema.json', content: { [JSON_MEDIA_TYPE]: { schema: { $ref: schemaRef } } } }
+      }
+    }
+  };
+  tags.push({ name: 'dataset', description: 'Bulk exchange of complete NEPA documents' });
+
+  return {
+    openapi: OPENAPI_31_VERSION,
+    info: {
+      title: 'NEPA Data Standard Exchange API',
+      version,
+      description: [
+        'An interoperable API for exchanging NEPA records between agencies, using the collections, business keys and definitions of the NEPA Data Standard.',
+        '',
+        `Record schemas are the definitions in ${schemaRef}; a record is valid exactly when it validates against its definition.`,
+        `Lists return { data, page } and accept limit (default ${DEFAULT_PAGE_LIMIT}, at most ${MAX_PAGE_LIMIT}), offset and sort (comma-separated fields, - for descending).`,
+        'Filters: enumerated fields take comma-separated values, references take a business key, and dates take inclusive <field>_from/<field>_to bounds. Filters combine with AND.',
+        'Errors are RFC 9457 Problem Details (application/problem+json).'
+      ].join('\n'),
+      [NEPA_API_EXTENSION]: version
+    },
+    servers: [{
+      url: 'https://{host}/nepa/v1',
+      variables: { host: { default: 'api.example.gov', description: 'Host of the implementing agency' } }
+    }],
+    tags,
+    paths,
+    components
+  };
+}
+
+/**
+ * Serialize a spec for a file extension (YAML unless the file ends in .json)
+ * @param {Object} spec - Specification
+ * @param {string|null} outputPath - Output file
+ * @returns {string} File content
+ */
+function serializeApiSpec(spec, outputPath) {
+  if (outputPath && path.extname(outputPath).toLowerCase() === '.json') {
+    return `${JSON.stringify(spec, null, 2)}\n`;
+  }
+  return yaml.dump(spec, { lineWidth: -1, noRefs: true });
+}
+
+/**
+ * Compare the spec on disk with the one generated from the schema, without printing
+ * $refs point at the schema relative to the output file, or at the schema's $id without one
+ * @param {string} schemaPath - Schema file (default: nepa.schema.json)
+ * @param {string|null} specPath - Spec file (default: src/openapi/nepa-api.yaml)
+ * @returns {Object} { valid, schemaPath, specPath, exists, content } where valid means the file is current
+ */
+function checkApiSpec(schemaPath = PATHS.NEPA_SCHEMA, specPath = PATHS.NEPA_API_SPEC) {
+  const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  const schemaRef = specPath ? path.relative(path.dirname(specPath), schemaPath).split(path.sep).join('/') : undefined;
+  const content = serializeApiSpec(renderApiSpec(schema, { schemaRef }), specPath);
+  const exists = Boolean(specPath) && fs.existsSync(specPath);
+
+  return {
+    valid: exists && fs.readFileSync(specPath, 'utf8') === content,
+    schemaPath,
+    specPath,
+    exists,
+    content
+  };
+}
+
+/**
+ * Main generation function
+ * Without an output path the spec is written to stdout and messages to stderr
+ * @param {string} schemaPath - Schema file
+ * @param {string|null} specPath - Spec file to write or check
+ * @param {Object} options - Generation options
+ * @param {boolean} options.check - Only report whether the file is current (for CI)
+ * @returns {boolean} True if the file was written, or is current when checking
+ */
+function generateApiSpec(schemaPath = PATHS.NEPA_SCHEMA, specPath = PATHS.NEPA_API_SPEC, options = {}) {
+  const log = specPath ? console.log : console.error;
+
+  try {
+    log(`${colors.bold}${colors.blue}=== ${options.check ? 'Checking' : 'Generating'} NEPA exchange API specification ===${colors.reset}`);
+    log(`Schema: ${schemaPath}`);
+
+    const results = checkApiSpec(schemaPath, specPath);
+    if (!specPath) {
+      if (options.check) {
+        throw new Error('--check needs an output file to compare with');
+      }
+      process.stdout.write(results.content);
+      return true;
+    }
+
+    const relativePath = path.relative(process.cwd(), specPath);
+    if (options.check) {
+      if (results.valid) {
+        log(`${colors.green}✓${colors.reset} ${relativePath} is up to date`);
+      } else {
+        console.error(`${colors.red}✘ ${relativePath} is ${results.exists ? 'out of date' : 'missing'}; run npm run generate:api${colors.reset}`);
+      }
+      return results.valid;
+    }
+
+    if (results.valid) {
+      log(`${colors.green}✓${colors.reset} ${relativePath} is already up to date`);
+      return true;
+    }
+
+    fs.mkdirSync(path.dirname(specPath), { recursive: true });
+    fs.writeFileSync(specPath, results.content);
+    log(`${colors.green}✓${colors.reset} Wrote ${relativePath}`);
+    return true;
+  } catch (error) {
+    console.error(`${colors.red}Error generating API specification: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+module.exports = {
+  renderApiSpec,
+  checkApiSpec,
+  generateApiSpec
+};
+
+// Run generation if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('-'));
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`${colors.bold}NEPA Exchange API Generator${colors.reset}`);
+    console.log(`\nGenerates an OpenAPI 3.1 specification named after the NEPA collections`);
+    console.log(`\nUsage:`);
+    console.log(`  node generate-api-spec.js [schema.json] [output.yaml|output.json] [--check]`);
+    console.log(`\nOptions:`);
+    console.log(`  --check    Fail if the specification differs from the schema instead of writing it`);
+    process.exit(0);
+  }
+
+  const check = args.includes('--check');
+  const success = generateApiSpec(positional[0] || PATHS.NEPA_SCHEMA, positional[1] || PATHS.NEPA_API_SPEC, { check });
+  printSummary(success, check ? 'API specification check' : 'API specification generation');
+  process.exit(success ? 0 : 1);
+}
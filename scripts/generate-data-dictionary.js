@@ -0,0 +1,523 @@
+/**
+ * Generate a data dictionary for the NEPA schema
+ * Lists every entity's properties with type, required flag, allowed values, format, description,
+ * the database column mapped to it in the crosswalk and the OpenAPI path that exposes it.
+ * Markdown output replaces the generated section of docs/schema-guide.md; HTML output is a standalone page
+ */
+const fs = require('fs');
+const path = require('path');
+const { ValidationUtils, printSummary, colors, PATHS } = require('./utils/validation-utils');
+const { compileProperty, getCollectionDefinitions } = require('./utils/schema-utils');
+const { loadCrosswalkMappings } = require('./utils/mapping-utils');
+const { extractTablesFromOpenApi } = require('./validate-openapi');
+const { isNepaApiSpec } = require('./utils/openapi-utils');
+
+const DICTIONARY_FORMATS = ['markdown', 'html'];
+
+// Order of HTTP methods in the output
+const METHOD_ORDER = ['get', 'post', 'patch', 'put', 'delete'];
+
+// Markers around the generated section of a Markdown file
+const BEGIN_MARKER = '<!-- BEGIN GENERATED DATA DICTIONARY: run `npm run generate:docs` to update -->';
+const END_MARKER = '<!-- END GENERATED DATA DICTIONARY -->';
+
+/**
+ * Turn a definition name into a heading (public_comment → Public Comment, gis_data → GIS Data)
+ * @param {string} name - Definition name
+ * @returns {string} Title
+ */
+function toTitle(name) {
+  return name.split('_').map(part => (part === 'gis' ? 'GIS' : part.charAt(0).toUpperCase() + part.slice(1))).join(' ');
+}
+
+/**
+ * Format a compiled property descriptor as a type label
+ * @param {Object} descriptor - Descriptor from compileProperty()
+ * @returns {string} e.g. string, array<string>, string | null, process
+ */
+function formatDescriptorType(descriptor) {
+  let type;
+  if (descriptor.ref && descriptor.ref.startsWith('#/definitions/')) {
+    type = descriptor.ref.slice('#/definitions/'.length);
+  } else if (descriptor.type === 'array') {
+    type = `array<${descriptor.items ? formatDescriptorType(descriptor.items) : 'any'}>`;
+  } else if (Array.isArray(descriptor.type)) {
+    type = descriptor.type.join(' | ');
+  } else {
+    type = descriptor.type || 'any';
+  }
+  return descriptor.nullable && type !== 'null' ? `${type} | null` : type;
+}
+
+/**
+ * Collect the enumerated values of a schema node
+ * An anyOf with an unrestricted branch (e.g. any string) makes the list a suggestion rather than a rule
+ * @param {Object} node - Schema node
+ * @returns {Object|null} { values, open } or null if the node has no enum
+ */
+function collectEnumValues(node) {
+  if (Array.isArray(node.enum)) {
+    return { values: node.enum.filter(value => value !== null), open: false };
+  }
+
+  const branches = (node.anyOf || node.oneOf || []).filter(branch => branch.type !== 'null');
+  const enumerated = branches.filter(branch => Array.isArray(branch.enum));
+  if (enumerated.length === 0) {
+    return null;
+  }
+  return {
+    values: [...new Set(enumerated.flatMap(branch => branch.enum.filter(value => value !== null)))],
+    open: enumerated.length < branches.length
+  };
+}
+
+/**
+ * Index the crosswalk columns of each schema entity by property path
+ * object:<key> transforms map a column to a nested property (project_sponsor.name)
+ * @param {string} crosswalkPath - Crosswalk CSV
+ * @returns {Object} Entity → { table, columns: property path → [column] }
+ */
+function indexCrosswalkColumns(crosswalkPath) {
+  const index = {};
+
+  for (const table of Object.values(loadCrosswalkMappings(crosswalkPath).tables)) {
+    if (!table.schemaEntity) continue;
+    const entry = index[table.schemaEntity] || (index[table.schemaEntity] = { table: table.table, columns: {} });
+
+    for (const mapping of Object.values(table.columns)) {
+      if (!mapping.property) continue;
+      const key = mapping.transform && mapping.transform.startsWith('object:')
+        ? `${mapping.property}.${mapping.transform.slice('object:'.length)}`
+        : mapping.property;
+      (entry.columns[key] = entry.columns[key] || []).push(mapping.column);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Collect the table paths of every database OpenAPI spec in a directory
+ * The NEPA-native exchange API is named after collections, not tables, and is skipped
+ * @param {string} openApiDir - Directory of OpenAPI specs
+ * @returns {Object} Table name → { paths, methods, columns }
+ */
+function indexOpenApiTables(openApiDir) {
+  const utils = new ValidationUtils({ verbose: false });
+  const index = {};
+
+  for (const filePath of utils.findFiles([openApiDir], ['.yaml', '.yml', '.json'], ['test'])) {
+    let spec;
+    try {
+      spec = utils.parseFile(filePath);
+    } catch (error) {
+      continue;
+    }
+    if (isNepaApiSpec(spec)) continue;
+
+    for (const [tableName, table] of Object.entries(extractTablesFromOpenApi(spec || {}))) {
+      const entry = index[tableName] || (index[tableName] = { paths: new Set(), methods: new Set(), columns: new Set() });
+      table.paths.forEach(apiPath => entry.paths.add(apiPath));
+      table.methods.forEach(method => entry.methods.add(method));
+      table.parameters.forEach(column => entry.columns.add(column));
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Flatten the properties of an object schema into dictionary rows, nested objects included
+ * @param {Object} node - Object schema
+ * @param {Object} schema - Root schema (for $ref resolution)
+ * @param {string} prefix - Property path prefix for nested objects
+ * @returns {Array<Object>} Rows with name, type, required, enum, format and description
+ */
+function collectPropertyRows(node, schema, prefix = '') {
+  const required = node.required || [];
+  const rows = [];
+
+  for (const [name, property] of Object.entries(node.properties || {})) {
+    const descriptor = compileProperty(property, schema);
+    const propertyPath = `${prefix}${name}`;
+
+    rows.push({
+      name: propertyPath,
+      type: formatDescriptorType(descriptor),
+      required: required.includes(name),
+      enum: collectEnumValues(property),
+      format: descriptor.format || null,
+      description: property.description || ''
+    });
+
+    // Nested objects (directly or through a non-null anyOf branch) are listed as parent.child
+    const objectNode = property.properties ? property : (property.anyOf || property.oneOf || []).find(branch => branch.properties);
+    if (objectNode) {
+      rows.push(...collectPropertyRows(objectNode, schema, `${propertyPath}.`));
+    } else if (property.items && property.items.properties) {
+      rows.push(...collectPropertyRows(property.items, schema, `${propertyPath}[].`));
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Build the data dictionary for a schema without rendering it
+ * @param {Object} options - Sources
+ * @param {string} options.schemaPath - Schema file (default: nepa.schema.json)
+ * @param {string} options.crosswalkPath - Crosswalk CSV (default: src/crosswalk/database_crosswalk.csv)
+ * @param {string} options.openApiDir - OpenAPI directory (default: src/openapi)
+ * @returns {Object} { title, description, source, collections, entities }
+ */
+function buildDataDictionary(options = {}) {
+  const schemaPath = options.schemaPath || PATHS.NEPA_SCHEMA;
+  const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  const crosswalk = indexCrosswalkColumns(options.crosswalkPath || PATHS.CROSSWALK);
+  const openApi = indexOpenApiTables(options.openApiDir || PATHS.OPENAPI_DIR);
+  const collectionDefinitions = getCollectionDefinitions(schema);
+  const rootRequired = schema.required || [];
+
+  const collections = Object.entries(schema.properties || {}).map(([name, property]) => ({
+    name,
+    definition: collectionDefinitions[name] || null,
+    type: formatDescriptorType(compileProperty(property, schema)),
+    required: rootRequired.includes(name),
+    dependencies: (schema.dependencies || {})[name] || [],
+    description: property.description || ''
+  }));
+
+  const entities = Object.entries(schema.definitions || {}).map(([name, definition]) => {
+    const mapping = crosswalk[name] || { table: null, columns: {} };
+    const api = mapping.table ? openApi[mapping.table] : null;
+
+    const properties = collectPropertyRows(definition, schema).map(row => {
+      const columns = mapping.columns[row.name] || [];
+      return {
+        ...row,
+        columns: columns.map(column => `${mapping.table}.${column}`),
+        openApiPaths: api && columns.some(column => api.columns.has(column)) ? [...api.paths] : []
+      };
+    });
+
+    return {
+      name,
+      title: toTitle(name),
+      collection: Object.keys(collectionDefinitions).find(collection => collectionDefinitions[collection] === name) || null,
+      description: definition.description || '',
+      required: definition.required || [],
+      table: mapping.table,
+      openApi: api ? {
+        paths: [...api.paths],
+        methods: [...api.methods].sort((a, b) => METHOD_ORDER.indexOf(a) - METHOD_ORDER.indexOf(b))
+      } : null,
+      properties
+    };
+  });
+
+  return {
+    title: schema.title || 'NEPA Data Dictionary',
+    description: schema.description || '',
+    source: path.basename(schemaPath),
+    collections,
+    entities
+  };
+}
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdownCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Format an enum for a dictionary cell
+ * @param {Object|null} enumeration - Result of collectEnumValues()
+ * @param {Function} code - Formatter for a single value
+ * @returns {string} Values, or an empty string
+ */
+function formatEnum(enumeration, code) {
+  if (!enumeration) return '';
+  const values = enumeration.values.map(value => code(value)).join(', ');
+  return enumeration.open ? `${values} (or any other value)` : values;
+}
+
+/**
+ * Render the data dictionary section as Markdown (without the surrounding markers)
+ * @param {Object} dictionary - Result of buildDataDictionary()
+ * @returns {string} Markdown
+ */
+function renderDataDictionaryMarkdown(dictionary) {
+  const code = value => `\`${String(value).replace(/`/g, '\'')}\``;
+  const anchor = title => title.toLowerCase().replace(/[^a-z0-9 -]/g, '').replace(/ /g, '-');
+  // Headings are suffixed so they do not collide with the entity sections of the hand-written guide
+  const entityTitles = Object.fromEntries(dictionary.entities.map(entity => [entity.name, `${entity.title} Properties`]));
+  const lines = [
+    '## Data Dictionary',
+    '',
+    `Generated from \`${dictionary.source}\`, the database crosswalk and the OpenAPI specification; do not edit this section by hand.`,
+    '',
+    '### Collections',
+    '',
+    '| Collection | Items | Required | Requires | Description |',
+    '|------------|-------|----------|----------|-------------|'
+  ];
+
+  for (const collection of dictionary.collections) {
+    const items = collection.definition && entityTitles[collection.definition]
+      ? `[${entityTitles[collection.definition]}](#${anchor(entityTitles[collection.definition])})`
+      : code(escapeMarkdownCell(collection.type));
+    lines.push(`| ${code(collection.name)} | ${items} | ${collection.required ? 'Yes' : 'No'} | ${collection.dependencies.map(code).join(', ')} | ${escapeMarkdownCell(collection.description)} |`);
+  }
+
+  for (const entity of dictionary.entities) {
+    lines.push('', `### ${entityTitles[entity.name]}`, '');
+    if (entity.description) {
+      lines.push(escapeMarkdownCell(entity.description), '');
+    }
+    if (entity.collection) lines.push(`- **Collection**: ${code(entity.collection)}`);
+    if (entity.table) lines.push(`- **Database table**: ${code(entity.table)}`);
+    if (entity.openApi) {
+      lines.push(`- **OpenAPI path**: ${entity.openApi.paths.map(code).join(', ')} (${entity.openApi.methods.map(method => method.toUpperCase()).join(', ')})`);
+    }
+    lines.push(`- **Required fields**: ${entity.required.length > 0 ? entity.required.map(code).join(', ') : 'none'}`);
+
+    lines.push(
+      '',
+      '| Property | Type | Required | Values | Format | Database column | OpenAPI | Description |',
+      '|----------|------|----------|--------|--------|-----------------|---------|-------------|'
+    );
+    for (const property of entity.properties) {
+      lines.push(`| ${[
+        code(property.name),
+        code(escapeMarkdownCell(property.type)),
+        property.required ? 'Yes' : 'No',
+        escapeMarkdownCell(formatEnum(property.enum, code)),
+        property.format ? code(property.format) : '',
+        property.columns.map(code).join(', '),
+        property.openApiPaths.map(code).join(', '),
+        escapeMarkdownCell(property.description)
+      ].join(' | ')} |`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the data dictionary as a standalone HTML page
+ * @param {Object} dictionary - Result of buildDataDictionary()
+ * @returns {string} HTML document
+ */
+function renderDataDictionaryHtml(dictionary) {
+  const code = value => `<code>${escapeHtml(value)}</code>`;
+  const cells = (tag, values) => `<tr>${values.map(value => `<${tag}>${value}</${tag}>`).join('')}</tr>`;
+  const lines = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(dictionary.title)} - Data Dictionary</title>`,
+    '<style>',
+    'body { font-family: sans-serif; margin: 2rem; line-height: 1.4; }',
+    'table { border-collapse: collapse; margin: 1rem 0 2rem; }',
+    'th, td { border: 1px solid #ccc; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }',
+    'th { background: #f0f0f0; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(dictionary.title)} - Data Dictionary</h1>`,
+    `<p>${escapeHtml(dictionary.description)}</p>`,
+    `<p>Generated from ${code(dictionary.source)}, the database crosswalk and the OpenAPI specification.</p>`,
+    '<h2>Collections</h2>',
+    '<table>',
+    cells('th', ['Collection', 'Items', 'Required', 'Requires', 'Description'])
+  ];
+
+  for (const collection of dictionary.collections) {
+    const items = collection.definition ? `<a href="#${escapeHtml(collection.definition)}">${escapeHtml(toTitle(collection.definition))}</a>` : escapeHtml(collection.type);
+    lines.push(cells('td', [
+      code(collection.name),
+      items,
+      collection.required ? 'Yes' : 'No',
+      collection.dependencies.map(code).join(', '),
+      escapeHtml(collection.description)
+    ]));
+  }
+  lines.push('</table>');
+
+  for (const entity of dictionary.entities) {
+    lines.push(`<h2 id="${escapeHtml(entity.name)}">${escapeHtml(entity.title)}</h2>`);
+    if (entity.description) lines.push(`<p>${escapeHtml(entity.description)}</p>`);
+    lines.push('<ul>');
+    if (entity.collection) lines.push(`<li><strong>Collection</strong>: ${code(entity.collection)}</li>`);
+    if (entity.table) lines.push(`<li><strong>Database table</strong>: ${code(entity.table)}</li>`);
+    if (entity.openApi) {
+      lines.push(`<li><strong>OpenAPI path</strong>: ${entity.openApi.paths.map(code).join(', ')} (${entity.openApi.methods.map(method => method.toUpperCase()).join(', ')})</li>`);
+    }
+    lines.push(`<li><strong>Required fields</strong>: ${entity.required.length > 0 ? entity.required.map(code).join(', ') : 'none'}</li>`);
+    lines.push('</ul>', '<table>', cells('th', ['Property', 'Type', 'Required', 'Values', 'Format', 'Database column', 'OpenAPI', 'Description']));
+
+    for (const property of entity.properties) {
+      lines.push(cells('td', [
+        code(property.name),
+        escapeHtml(property.type),
+        property.required ? 'Yes' : 'No',
+        formatEnum(property.enum, code),
+        property.format ? code(property.format) : '',
+        property.columns.map(code).join(', '),
+        property.openApiPaths.map(code).join(', '),
+        escapeHtml(property.description)
+      ]));
+    }
+    lines.push('</table>');
+  }
+
+  lines.push('</body>', '</html>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Insert the generated Markdown section into a document, between the markers
+ * Documents without markers are replaced by a standalone dictionary
+ * @param {string|null} existing - Current file content, or null if there is none
+ * @param {string} section - Rendered Markdown section
+ * @returns {string} New file content
+ */
+function insertGeneratedSection(existing, section) {
+  const block = `${BEGIN_MARKER}\n${section}\n${END_MARKER}`;
+  const start = existing ? existing.indexOf(BEGIN_MARKER) : -1;
+  const end = existing ? existing.indexOf(END_MARKER) : -1;
+
+  if (start === -1 || end < start) {
+    return `# NEPA Data Dictionary\n\n${block}\n`;
+  }
+  return `${existing.slice(0, start)}${block}${existing.slice(end + END_MARKER.length)}`;
+}
+
+/**
+ * Render the data dictionary and compare it with the output file, without printing
+ * @param {Object} options - Generation options (see buildDataDictionary)
+ * @param {string} options.format - 'markdown' (default) or 'html'
+ * @param {string} options.outputPath - File to compare with (default: docs/schema-guide.md for Markdown)
+ * @returns {Object} { valid, format, outputPath, exists, content } where valid means the file is current
+ */
+function checkDataDictionary(options = {}) {
+  const format = options.format || 'markdown';
+  if (!DICTIONARY_FORMATS.includes(format)) {
+    throw new Error(`Unknown data dictionary format '${format}' (expected one of: ${DICTIONARY_FORMATS.join(', ')})`);
+  }
+
+  const outputPath = options.outputPath || (format === 'markdown' ? PATHS.SCHEMA_GUIDE : null);
+  const exists = Boolean(outputPath) && fs.existsSync(outputPath);
+  const existing = exists ? fs.readFileSync(outputPath, 'utf8') : null;
+  const dictionary = buildDataDictionary(options);
+  const content = format === 'html'
+    ? renderDataDictionaryHtml(dictionary)
+    : insertGeneratedSection(existing, renderDataDictionaryMarkdown(dictionary));
+
+  return {
+    valid: existing === content,
+    format,
+    outputPath,
+    exists,
+    content
+  };
+}
+
+/**
+ * Main generation function
+ * Without an output path (HTML only) the page is written to stdout and messages to stderr
+ * @param {Object} options - Generation options (see checkDataDictionary)
+ * @param {boolean} options.check - Only report whether the output file is current (for CI)
+ * @returns {boolean} True if the file was written, or is current when checking
+ */
+function generateDataDictionary(options = {}) {
+  const log = options.outputPath || (options.format || 'markdown') === 'markdown' ? console.log : console.error;
+
+  try {
+    log(`${colors.bold}${colors.blue}=== ${options.check ? 'Checking' : 'Generating'} data dictionary ===${colors.reset}`);
+
+    const results = checkDataDictionary(options);
+    if (!results.outputPath) {
+      if (options.check) {
+        throw new Error('--check needs an output file to compare with');
+      }
+      process.stdout.write(results.content);
+      return true;
+    }
+
+    const relativePath = path.relative(process.cwd(), results.outputPath);
+    if (options.check) {
+      if (results.valid) {
+        log(`${colors.green}✓${colors.reset} ${relativePath} is up to date`);
+      } else {
+        console.error(`${colors.red}✘ ${relativePath} is ${results.exists ? 'out of date' : 'missing'}; run npm run generate:docs${colors.reset}`);
+      }
+      return results.valid;
+    }
+
+    if (results.valid) {
+      log(`${colors.green}✓${colors.reset} ${relativePath} is already up to date`);
+      return true;
+    }
+
+    fs.mkdirSync(path.dirname(results.outputPath), { recursive: true });
+    fs.writeFileSync(results.outputPath, results.content);
+    log(`${colors.green}✓${colors.reset} Wrote ${relativePath}`);
+    return true;
+  } catch (error) {
+    console.error(`${colors.red}Error generating data dictionary: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+module.exports = {
+  DICTIONARY_FORMATS,
+  buildDataDictionary,
+  renderDataDictionaryMarkdown,
+  renderDataDictionaryHtml,
+  checkDataDictionary,
+  generateDataDictionary
+};
+
+// Run generation if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('-'));
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`${colors.bold}Data Dictionary Generator${colors.reset}`);
+    console.log(`\nDocuments every NEPA entity with its types, allowed values, database columns and OpenAPI paths`);
+    console.log(`\nUsage:`);
+    console.log(`  node generate-data-dictionary.js [output.md|output.html] [--check]`);
+    console.log(`\nMarkdown updates the generated section of docs/schema-guide.md by default; .html files get a standalone page`);
+    process.exit(0);
+  }
+
+  const outputPath = positional[0] || null;
+  const check = args.includes('--check');
+  const success = generateDataDictionary({
+    outputPath,
+    format: outputPath && /\.html?$/i.test(outputPath) ? 'html' : 'markdown',
+    check
+  });
+  printSummary(success, check ? 'data dictionary check' : 'data dictionary generation');
+  process.exit(success ? 0 : 1);
+}
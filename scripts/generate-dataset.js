@@ -0,0 +1,804 @@
+/**
+ * Generate synthetic NEPA datasets
+ * Produces seeded, deterministic datasets of configurable size whose records satisfy the
+ * NEPA schema and reference each other consistently, for load testing and regression fixtures
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ValidationUtils, printSummary, colors, PATHS } = require('./utils/validation-utils');
+const { PRIMARY_KEYS, checkReferences } = require('./utils/reference-utils');
+const { loadSchemaRegistry } = require('./utils/version-utils');
+const { createRandom, addDays } = require('./utils/random-utils');
+const { EXIT_CODES, parseOptions, showHelp } = require('./utils/cli-utils');
+
+// Defaults for generateDataset()
+const DEFAULT_SEED = 1;
+const DEFAULT_PROJECT_COUNT = 5;
+
+// Prefix of the business key generated for each collection (e.g. PRJ-0001)
+const KEY_PREFIXES = {
+  projects: 'PRJ',
+  processes: 'PRC',
+  documents: 'DOC',
+  public_comments: 'CMT',
+  public_engagement_events: 'EVT',
+  case_events: 'CEV',
+  gis_data: 'GIS',
+  gis_data_elements: 'GEL',
+  user_roles: 'ROLE',
+  legal_structures: 'LEG',
+  decision_elements: 'DEL',
+  process_models: 'PM',
+  decision_payloads: 'DPL'
+};
+
+// Federal agencies and the acronyms used in agency tracking numbers
+const AGENCIES = {
+  'Bureau of Land Management': 'BLM',
+  'Department of Energy': 'DOE',
+  'Federal Energy Regulatory Commission': 'FERC',
+  'Federal Highway Administration': 'FHWA',
+  'Federal Railroad Administration': 'FRA',
+  'Federal Transit Administration': 'FTA',
+  'U.S. Forest Service': 'USFS',
+  'National Park Service': 'NPS',
+  'U.S. Fish and Wildlife Service': 'USFWS',
+  'Environmental Protection Agency': 'EPA',
+  'U.S. Army Corps of Engineers': 'USACE',
+  'National Marine Fisheries Service': 'NMFS',
+  'Advisory Council on Historic Preservation': 'ACHP',
+  'Bureau of Indian Affairs': 'BIA'
+};
+
+// Agencies that commonly cooperate on or participate in reviews led by another agency
+const COOPERATING_AGENCIES = [
+  'Environmental Protection Agency',
+  'U.S. Army Corps of Engineers',
+  'U.S. Fish and Wildlife Service',
+  'National Marine Fisheries Service',
+  'Advisory Council on Historic Preservation',
+  'Bureau of Indian Affairs'
+];
+
+// Project archetypes per sector; {place}, {county}, {state} and {size} are filled in per project
+const SECTORS = {
+  energy: {
+    leadAgencies: ['Bureau of Land Management', 'Department of Energy', 'Federal Energy Regulatory Commission'],
+    fundingSources: ['Private investment', 'DOE Loan Programs Office', 'Private investment with federal tax credits'],
+    projects: [
+      { type: 'Solar Energy Facility', size: [80, 500], description: 'Construction, operation and decommissioning of a {size}-megawatt photovoltaic solar facility, battery storage and a generation tie-line near {place}, {county} County, {state}.' },
+      { type: 'Wind Energy Project', size: [40, 300], description: 'Installation of up to {size} wind turbines with access roads, a collector substation and an operations building on lands near {place}, {county} County, {state}.' },
+      { type: 'Transmission Line', size: [20, 240], description: 'A {size}-mile high-voltage transmission line and associated substations connecting renewable generation near {place} to the regional grid in {state}.' },
+      { type: 'Geothermal Power Plant', size: [10, 60], description: 'Drilling of production and injection wells and construction of a {size}-megawatt binary geothermal power plant near {place}, {county} County, {state}.' }
+    ]
+  },
+  transportation: {
+    leadAgencies: ['Federal Highway Administration', 'Federal Railroad Administration', 'Federal Transit Administration'],
+    fundingSources: ['Federal-aid Highway Program', 'Capital Investment Grants', 'State transportation funds with federal match'],
+    projects: [
+      { type: 'Highway Widening', size: [4, 30], description: 'Widening of {size} miles of the state highway corridor through {place} from two to four lanes, with intersection and drainage improvements in {county} County, {state}.' },
+      { type: 'Bridge Replacement', size: [300, 2400], description: 'Replacement of the structurally deficient {size}-foot bridge over the river at {place}, including approach roadways and a temporary detour, in {county} County, {state}.' },
+      { type: 'Passenger Rail Corridor', size: [15, 120], description: 'Upgrades to {size} miles of track, sidings and grade crossings to support intercity passenger rail service through {place}, {state}.' },
+      { type: 'Bus Rapid Transit Line', size: [5, 25], description: 'A {size}-mile bus rapid transit line with dedicated lanes and stations serving {place} and downtown {county} County, {state}.' }
+    ]
+  },
+  'land management': {
+    leadAgencies: ['U.S. Forest Service', 'Bureau of Land Management', 'National Park Service', 'U.S. Fish and Wildlife Service'],
+    fundingSources: ['Annual appropriations', 'Infrastructure Investment and Jobs Act', 'Land and Water Conservation Fund'],
+    projects: [
+      { type: 'Forest Restoration Project', size: [2000, 40000], description: 'Mechanical thinning and prescribed burning on {size} acres to reduce wildfire risk and restore forest health around {place}, {county} County, {state}.' },
+      { type: 'Grazing Allotment Renewal', size: [5000, 90000], description: 'Renewal of term grazing permits on the {size}-acre {place} allotment, with updated range improvements and monitoring, in {county} County, {state}.' },
+      { type: 'Habitat Restoration', size: [100, 5000], description: 'Restoration of {size} acres of riparian and wetland habitat along the creek at {place}, including invasive species removal, in {county} County, {state}.' },
+      { type: 'Recreation Area Improvements', size: [50, 800], description: 'Trail, campground and trailhead improvements across {size} acres of the {place} recreation area in {county} County, {state}.' }
+    ]
+  }
+};
+
+// States with sample counties and an approximate bounding box (latitude and longitude ranges)
+const STATES = [
+  { name: 'Nevada', counties: ['Clark', 'Nye', 'Elko', 'Washoe', 'Lincoln'], lat: [35.5, 41.5], lon: [-119.5, -114.5] },
+  { name: 'Arizona', counties: ['Maricopa', 'Pima', 'Coconino', 'Yavapai', 'Mohave'], lat: [31.8, 36.8], lon: [-114.0, -109.5] },
+  { name: 'Colorado', counties: ['Mesa', 'Garfield', 'Larimer', 'Montrose', 'Weld'], lat: [37.2, 40.8], lon: [-108.8, -102.2] },
+  { name: 'Oregon', counties: ['Deschutes', 'Harney', 'Klamath', 'Lane', 'Malheur'], lat: [42.2, 45.8], lon: [-123.5, -117.2] },
+  { name: 'Wyoming', counties: ['Sweetwater', 'Carbon', 'Natrona', 'Fremont', 'Park'], lat: [41.2, 44.8], lon: [-110.8, -104.3] },
+  { name: 'New Mexico', counties: ['Dona Ana', 'Eddy', 'San Juan', 'Otero', 'Sandoval'], lat: [32.2, 36.8], lon: [-108.8, -103.2] },
+  { name: 'Montana', counties: ['Gallatin', 'Missoula', 'Yellowstone', 'Flathead', 'Lewis and Clark'], lat: [45.2, 48.8], lon: [-115.8, -104.3] },
+  { name: 'Utah', counties: ['Washington', 'Iron', 'Emery', 'Uintah', 'Millard'], lat: [37.2, 41.8], lon: [-113.8, -109.3] }
+];
+
+// Place names used in project titles
+const PLACES = [
+  'Cedar Ridge', 'Silver Creek', 'Red Mesa', 'Pine Hollow', 'Eagle Pass', 'Willow Flats',
+  'Granite Peak', 'Sage Valley', 'Bear River', 'Coyote Springs', 'Lone Pine', 'Sandy Point',
+  'Iron Mountain', 'Blue Lake', 'Kettle Butte', 'Mill Creek', 'Juniper Basin', 'Antelope Wells'
+];
+
+// Commenter names and organizations
+const FIRST_NAMES = ['Maria', 'James', 'Aiyana', 'Robert', 'Linh', 'David', 'Sofia', 'Michael', 'Priya', 'Thomas', 'Grace', 'Daniel', 'Naomi', 'Carlos', 'Emily', 'Samuel'];
+const LAST_NAMES = ['Garcia', 'Johnson', 'Begay', 'Smith', 'Nguyen', 'Martinez', 'Patel', 'Anderson', 'Yazzie', 'Thompson', 'Lee', 'Rodriguez', 'Walker', 'Chen', 'Hernandez', 'Miller'];
+const ORGANIZATIONS = ['Sierra Club', 'Western Watersheds Project', 'County Board of Commissioners', 'State Historic Preservation Office', 'Audubon Society', 'Chamber of Commerce', 'Trout Unlimited', 'Tribal Historic Preservation Office'];
+
+// Issues raised in public comments ({title} is the project title)
+const COMMENT_TOPICS = [
+  'I am concerned about the effects of the {title} on groundwater levels and nearby wells. Please analyze cumulative water use.',
+  'The analysis should evaluate impacts to sage-grouse and other sensitive wildlife in the {title} area and describe mitigation.',
+  'Construction traffic for the {title} will affect residents on local roads. Please consider alternative haul routes and work hours.',
+  'We support the {title} because it will bring jobs and tax revenue to the county.',
+  'Please consult with tribes about cultural resources and sacred sites that could be affected by the {title}.',
+  'The range of alternatives for the {title} is too narrow. A reduced-footprint alternative should be analyzed in detail.',
+  'Dust and noise from the {title} should be monitored, with clear thresholds that trigger corrective action.',
+  'The {title} should avoid wetlands and riparian areas and include a compensatory mitigation plan.'
+];
+
+// Steps of an EIS in order: stage, document, case event, engagement and days after the previous step
+const EIS_STEPS = [
+  { stage: 'Scoping', daysAfter: [0, 30], documentType: 'NOI', documentTitle: 'Notice of Intent to Prepare an Environmental Impact Statement', event: 'Notice of Intent published', engagement: { type: 'public meeting', name: 'Public scoping meeting' } },
+  { stage: 'Draft EIS', daysAfter: [280, 520], documentType: 'Draft EIS', documentTitle: 'Draft Environmental Impact Statement', event: 'Draft EIS published', engagement: { type: 'public meeting', name: 'Public hearing on the Draft EIS' } },
+  { stage: 'Final EIS', daysAfter: [150, 400], documentType: 'Final EIS', documentTitle: 'Final Environmental Impact Statement', event: 'Final EIS published' },
+  { stage: 'Record of Decision', daysAfter: [30, 90], documentType: 'ROD', documentTitle: 'Record of Decision', event: 'Record of Decision signed' }
+];
+
+// Stages of the other process types
+const PROCESS_STAGES = {
+  EA: ['Scoping', 'Draft EA', 'Final EA', 'Decision'],
+  CE: ['Screening', 'Decision']
+};
+
+// Outcome of a completed process of each type
+const PROCESS_OUTCOMES = {
+  CE: 'Categorical exclusion applied',
+  EA: 'Finding of No Significant Impact',
+  EIS: 'Record of Decision issued'
+};
+
+// Process models, one per process type
+const PROCESS_MODELS = [
+  { processType: 'CE', name: 'Categorical Exclusion Review', description: 'Screening of a proposed action against the agency\'s categorical exclusions and extraordinary circumstances.', legal: '40 CFR 1501.4' },
+  { processType: 'EA', name: 'Environmental Assessment', description: 'Concise public document that determines whether a proposed action may have significant effects and supports a FONSI or an EIS.', legal: '40 CFR 1501.5' },
+  { processType: 'EIS', name: 'Environmental Impact Statement', description: 'Detailed analysis of a major federal action significantly affecting the quality of the human environment, from scoping through the Record of Decision.', legal: '40 CFR Part 1502' }
+];
+
+// Decision elements evaluated by every process model; a measured value at or under the threshold passes
+const DECISION_ELEMENTS = [
+  { title: 'Wetland impacts', description: 'Acres of jurisdictional wetlands permanently affected by the action', measure: 'acres', threshold: 0.5, range: [0, 3], category: 'water resources', spatial: 'true' },
+  { title: 'Listed species effects', description: 'Number of federally listed species likely to be adversely affected', measure: 'species', threshold: 0, range: [0, 3], category: 'biological resources', spatial: 'true' },
+  { title: 'Historic properties', description: 'Number of properties eligible for the National Register adversely affected', measure: 'properties', threshold: 0, range: [0, 2], category: 'cultural resources', spatial: 'true' },
+  { title: 'Ground disturbance', description: 'Acres of new permanent ground disturbance', measure: 'acres', threshold: 50, range: [1, 400], category: 'land use', spatial: 'true' }
+];
+
+// Statutes and regulations referenced by the process models
+const LEGAL_STRUCTURES = [
+  { title: 'National Environmental Policy Act', citation: '42 U.S.C. 4321 et seq.', issuingAuthority: 'U.S. Congress', effectiveDate: '1970-01-01', url: 'https://www.govinfo.gov/content/pkg/USCODE-2022-title42/html/USCODE-2022-title42-chap55.htm' },
+  { title: 'CEQ NEPA Implementing Regulations', citation: '40 CFR Parts 1500-1508', issuingAuthority: 'Council on Environmental Quality', effectiveDate: '2024-07-01', url: 'https://www.ecfr.gov/current/title-40/chapter-V/subchapter-A' },
+  { title: 'Endangered Species Act, Section 7', citation: '16 U.S.C. 1536', issuingAuthority: 'U.S. Congress', effectiveDate: '1973-12-28', url: 'https://www.govinfo.gov/content/pkg/USCODE-2022-title16/html/USCODE-2022-title16-chap35.htm' },
+  { title: 'Clean Water Act, Section 404', citation: '33 U.S.C. 1344', issuingAuthority: 'U.S. Congress', effectiveDate: '1972-10-18', url: 'https://www.govinfo.gov/content/pkg/USCODE-2022-title33/html/USCODE-2022-title33-chap26.htm' },
+  { title: 'National Historic Preservation Act, Section 106', citation: '54 U.S.C. 306108', issuingAuthority: 'U.S. Congress', effectiveDate: '1966-10-15', url: 'https://www.achp.gov/protecting-historic-properties' }
+];
+
+// Roles of the people who use NEPA applications
+const USER_ROLES = [
+  { name: 'Agency Staff', description: 'Federal staff who prepare and manage environmental reviews', public: false },
+  { name: 'Project Sponsor', description: 'Applicant proposing the action and supplying project information', public: false },
+  { name: 'Cooperating Agency Reviewer', description: 'Staff of a cooperating agency who review and comment on drafts', public: false },
+  { name: 'Public Commenter', description: 'Member of the public who submits comments and views published documents', public: true }
+];
+
+/**
+ * Read the enumerated values of a schema property (including those of anyOf/oneOf branches)
+ * @param {Object} schema - NEPA schema
+ * @param {string} definition - Definition name
+ * @param {string} property - Property path within the definition (e.g. 'location.type')
+ * @returns {Array} Enum values (empty if the property is not enumerated)
+ */
+function getEnumValues(schema, definition, property) {
+  let node = (schema.definitions || {})[definition];
+  for (const name of property.split('.')) {
+    node = node && node.properties ? node.properties[name] : undefined;
+  }
+  if (!node) return [];
+
+  const branches = node.anyOf || node.oneOf || [];
+  return [...(node.enum || []), ...branches.flatMap(branch => branch.enum || [])];
+}
+
+/**
+ * Fill {name} placeholders in a template
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} Text
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] === undefined ? match : values[name]));
+}
+
+/**
+ * Convert a name to a slug for URLs and e-mail addresses
+ * @param {string} name - Name
+ * @returns {string} Lowercase slug
+ */
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Create empty collections that assign integer ids and business keys in order
+ * @returns {Object} { data, add(collection, fields) } where add returns the stored record
+ */
+function createCollections() {
+  const data = {};
+  Object.keys(PRIMARY_KEYS).forEach(collection => {
+    data[collection] = [];
+  });
+
+  return {
+    data,
+    add(collection, fields) {
+      const records = data[collection];
+      const id = records.length + 1;
+      const record = { id, [PRIMARY_KEYS[collection]]: `${KEY_PREFIXES[collection]}-${String(id).padStart(4, '0')}`, ...fields };
+      records.push(record);
+      return record;
+    }
+  };
+}
+
+/**
+ * Add the records shared by every project: legal structures, user roles, process models and decision elements
+ * @param {Object} collections - Collections from createCollections()
+ * @returns {Object} processType → { model, elements }
+ */
+function addReferenceRecords(collections) {
+  LEGAL_STRUCTURES.forEach(legal => {
+    collections.add('legal_structures', {
+      title: legal.title,
+      citation: legal.citation,
+      issuing_authority: legal.issuingAuthority,
+      effective_date: legal.effectiveDate,
+      url: legal.url
+    });
+  });
+
+  USER_ROLES.forEach(role => {
+    collections.add('user_roles', { name: role.name, description: role.description, public: role.public });
+  });
+
+  const models = {};
+  PROCESS_MODELS.forEach(definition => {
+    const model = collections.add('process_models', {
+      name: definition.name,
+      description: definition.description,
+      legal_structure_text: definition.legal,
+      agency: 'Council on Environmental Quality',
+      parent_model: null
+    });
+    const elements = DECISION_ELEMENTS.map(element => ({
+      definition: element,
+      record: collections.add('decision_elements', {
+        process_model_id: model.process_model_id,
+        element_title: element.title,
+        element_description: element.description,
+        measure: element.measure,
+        threshold: String(element.threshold),
+        evaluation_method: `Compare measured ${element.measure} to the threshold`,
+        spatial: element.spatial,
+        category: element.category
+      })
+    }));
+    models[definition.processType] = { model, elements };
+  });
+
+  return models;
+}
+
+/**
+ * Generate the public comments on a document
+ * @param {Object} context - Generation context
+ * @param {Object} document - Document record
+ * @param {string} periodStart - First day comments are accepted (YYYY-MM-DD)
+ * @param {number} periodDays - Length of the comment period in days
+ * @param {number} count - Number of comments
+ * @param {boolean} answered - Whether the agency has responded (responses appear in the Final EIS)
+ */
+function addComments(context, document, periodStart, periodDays, count, answered) {
+  const { random, collections, schema, project } = context;
+  const methods = getEnumValues(schema, 'public_comment', 'method_of_submission');
+
+  for (let i = 0; i < count; i++) {
+    const organization = random.chance(0.3) ? random.pick(ORGANIZATIONS) : null;
+    const comment = {
+      commenter_name: organization || `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`,
+      content: fillTemplate(random.pick(COMMENT_TOPICS), { title: project.project_title }),
+      date_submitted: random.dateAfter(periodStart, 0, periodDays),
+      related_document_id: document.document_id,
+      method_of_submission: random.pick(methods),
+      // comment.public_source is a boolean column: whether a member of the public (not an organization) wrote it
+      public_source: organization ? 'false' : 'true',
+      public_access: 'true'
+    };
+    if (answered) {
+      comment.agency_response = random.pick([
+        'Thank you for your comment. The Final EIS addresses this issue in Chapter 3.',
+        'The analysis was revised in response to this comment; see the updated mitigation measures.',
+        'This comment is outside the scope of the analysis.'
+      ]);
+    }
+    collections.add('public_comments', comment);
+  }
+}
+
+/**
+ * Generate the documents, engagement events, case events and comments of an EIS
+ * @param {Object} context - Generation context
+ * @param {Object} process - Process record
+ * @param {number} stepCount - Number of EIS steps reached (0-4)
+ * @returns {string} Date of the last completed step, or the process start date
+ */
+function addEisRecords(context, process, stepCount) {
+  const { random, collections, schema, project } = context;
+  const locationTypes = getEnumValues(schema, 'public_engagement_event', 'location.type');
+  const documents = [];
+  let date = process.start_date;
+  let initiation = null;
+
+  EIS_STEPS.slice(0, stepCount).forEach((step, index) => {
+    date = random.dateAfter(date, ...step.daysAfter);
+
+    const previous = documents[documents.length - 1];
+    const document = collections.add('documents', {
+      process_id: process.process_id,
+      document_type: step.documentType,
+      title: `${step.documentTitle}: ${project.project_title}`,
+      publish_date: date,
+      prepared_by: process.lead_agency,
+      status: 'published',
+      url: `https://nepa.example.gov/${slugify(project.project_id)}/${slugify(step.documentType)}.pdf`,
+      related_document_ids: documents.map(related => related.document_id),
+      ...(previous ? { related_document_id: previous.id } : {}),
+      document_summary: `${step.documentTitle} for the ${project.project_title}.`,
+      public_access: 'true'
+    });
+    documents.push(document);
+
+    let engagement = null;
+    if (step.engagement) {
+      const eventDate = random.dateAfter(date, 14, 35);
+      const locationType = random.pick(locationTypes);
+      engagement = collections.add('public_engagement_events', {
+        type: step.engagement.type,
+        date: eventDate,
+        location: {
+          type: locationType,
+          details: locationType === 'virtual' ? 'Online webinar' : `${context.place} Community Center, ${context.county} County, ${context.state.name}`
+        },
+        related_process_id: process.process_id,
+        related_document_ids: [document.document_id],
+        attendance: random.int(15, 320),
+        related_document_id: document.id,
+        end_datetime: random.dateTimeOn(eventDate),
+        participation_method: locationType === 'physical' ? 'in person' : 'in person and online'
+      });
+    }
+
+    const caseEvent = collections.add('case_events', {
+      process_id: process.process_id,
+      document_id: document.document_id,
+      event_name: step.event,
+      event_date: date,
+      source: step.documentType === 'ROD' ? process.lead_agency : 'Federal Register',
+      event_type: index === 0 ? 'initiation' : 'milestone',
+      status: 'completed',
+      related_document_id: document.id,
+      public_access: 'true',
+      ...(initiation ? { parent_event_id: initiation.id } : {}),
+      ...(engagement ? { related_engagement_id: engagement.id } : {})
+    });
+    initiation = initiation || caseEvent;
+
+    // Scoping comments respond to the NOI; the Draft EIS has a formal 45-day comment period
+    if (step.documentType === 'NOI') {
+      addComments(context, document, date, 30, random.int(1, 3), stepCount >= 3);
+    } else if (step.documentType === 'Draft EIS') {
+      process.comment_period_start = `${date}T00:00:00Z`;
+      process.comment_period_end = `${addDays(date, 45)}T23:59:59Z`;
+      addComments(context, document, date, 45, random.int(3, 8), stepCount >= 3);
+    }
+  });
+
+  // The next step is pending while the review is still in progress
+  if (stepCount < EIS_STEPS.length) {
+    collections.add('case_events', {
+      process_id: process.process_id,
+      event_name: EIS_STEPS[stepCount].event,
+      event_date: random.dateAfter(date, 60, 240),
+      event_type: 'milestone',
+      status: process.process_status === 'underway' ? 'in progress' : 'pending',
+      public_access: 'true',
+      ...(initiation ? { parent_event_id: initiation.id } : {})
+    });
+  }
+
+  return date;
+}
+
+/**
+ * Generate the case events of an EA or CE, which have no schema document types
+ * @param {Object} context - Generation context
+ * @param {Object} process - Process record
+ * @param {number} stepCount - Number of stages completed
+ * @returns {string} Date of the last completed stage, or the process start date
+ */
+function addStageEvents(context, process, stepCount) {
+  const { random, collections } = context;
+  const stages = PROCESS_STAGES[process.process_type];
+  let date = process.start_date;
+  let initiation = null;
+
+  stages.forEach((stage, index) => {
+    const reached = index < stepCount;
+    if (reached) {
+      date = random.dateAfter(date, index === 0 ? 0 : 30, index === 0 ? 20 : 150);
+    }
+    const caseEvent = collections.add('case_events', {
+      process_id: process.process_id,
+      event_name: `${stage} ${reached ? 'completed' : 'scheduled'}`,
+      event_date: reached ? date : random.dateAfter(date, 30, 120),
+      event_type: index === 0 ? 'initiation' : 'milestone',
+      status: reached ? 'completed' : 'pending',
+      public_access: 'true',
+      ...(initiation ? { parent_event_id: initiation.id } : {})
+    });
+    initiation = initiation || caseEvent;
+
+    if (process.process_type === 'EA' && stage === 'Draft EA' && reached) {
+      process.comment_period_start = `${date}T00:00:00Z`;
+      process.comment_period_end = `${addDays(date, 30)}T23:59:59Z`;
+    }
+  });
+
+  return date;
+}
+
+/**
+ * Generate a process and its dependent records
+ * @param {Object} context - Generation context
+ * @param {string} processType - CE, EA or EIS
+ * @param {string} status - Process status
+ * @param {string} startDate - Process start date
+ */
+function addProcess(context, processType, status, startDate) {
+  const { random, collections, project, models } = context;
+  const cooperating = random.sample(COOPERATING_AGENCIES.filter(agency => agency !== project.lead_agency), random.int(0, 3));
+  const startYear = startDate.slice(0, 4);
+  const { model, elements } = models[processType];
+
+  const process = collections.add('processes', {
+    project_id: project.project_id,
+    agency_id: `${AGENCIES[project.lead_agency]}-${startYear}-${String(random.int(1, 9999)).padStart(4, '0')}`,
+    federal_unique_id: `${startYear}${String(random.int(0, 999999)).padStart(6, '0')}`,
+    process_type: processType,
+    process_status: status,
+    start_date: startDate,
+    lead_agency: project.lead_agency,
+    cooperating_agencies: cooperating,
+    purpose_need: `To respond to the proposal for the ${project.project_title} while protecting resources in ${context.county} County, ${context.state.name}.`,
+    description: `${model.name} for the ${project.project_title}.`,
+    process_model_id: model.process_model_id
+  });
+
+  const stepTotal = processType === 'EIS' ? EIS_STEPS.length : PROCESS_STAGES[processType].length;
+  const stepCount = status === 'completed' ? stepTotal : status === 'planned' ? 0 : random.int(1, stepTotal - 1);
+  const lastDate = processType === 'EIS' ? addEisRecords(context, process, stepCount) : addStageEvents(context, process, stepCount);
+
+  const stages = processType === 'EIS' ? EIS_STEPS.map(step => step.stage) : PROCESS_STAGES[processType];
+  process.process_stage = stages[Math.min(Math.max(stepCount - 1, 0), stages.length - 1)];
+  if (status === 'completed') {
+    process.completion_date = lastDate;
+    process.process_outcome = PROCESS_OUTCOMES[processType];
+  }
+
+  // Once the review is underway each decision element of the model has been evaluated
+  if (stepCount > 0) {
+    elements.forEach(({ definition, record }) => {
+      const decimals = definition.measure === 'acres' ? 1 : 0;
+      const value = random.float(definition.range[0], definition.range[1], decimals);
+      const passes = value <= definition.threshold;
+      collections.add('decision_payloads', {
+        process_id: process.process_id,
+        payload_data: { value, unit: definition.measure },
+        data_description: definition.description,
+        result: passes ? 'within threshold' : 'exceeds threshold',
+        result_bool: passes,
+        result_source: project.lead_agency,
+        decision_element_id: record.decision_element_id,
+        project_id: project.project_id,
+        parent_payload: null
+      });
+    });
+  }
+
+  return process;
+}
+
+/**
+ * Generate the GIS data for a project area
+ * @param {Object} context - Generation context
+ * @returns {Object} GIS data record
+ */
+function addGisData(context) {
+  const { random, collections, schema, project } = context;
+  const span = random.float(0.02, 0.4, 4);
+  const box = {
+    north: Number((project.location_lat + span).toFixed(6)),
+    south: Number((project.location_lat - span).toFixed(6)),
+    east: Number((project.location_lon + span).toFixed(6)),
+    west: Number((project.location_lon - span).toFixed(6))
+  };
+  const dataTypes = getEnumValues(schema, 'gis_data_element', 'data_type');
+  const accessMethods = getEnumValues(schema, 'gis_data_element', 'access_method');
+  const purposes = getEnumValues(schema, 'gis_data_element', 'purpose');
+
+  const gis = collections.add('gis_data', {
+    creator: project.lead_agency,
+    description: `Project area boundary for the ${project.project_title}`,
+    extent: `${context.county} County, ${context.state.name}`,
+    last_updated: random.dateTimeOn(random.dateAfter(project.start_date, 10, 400)),
+    container_inventory: {
+      format: random.pick(getEnumValues(schema, 'gis_data', 'container_inventory.format')),
+      access_method: random.pick(getEnumValues(schema, 'gis_data', 'container_inventory.access_method')),
+      coordinate_system: 'EPSG:4326',
+      bounding_box: box,
+      purpose: random.pick(getEnumValues(schema, 'gis_data', 'container_inventory.purpose'))
+    },
+    parent_project_id: project.id,
+    centroid_latitude: project.location_lat,
+    centroid_longitude: project.location_lon,
+    map_image_url: `https://nepa.example.gov/${slugify(project.project_id)}/map.png`
+  });
+
+  for (let i = random.int(1, 3); i > 0; i--) {
+    const dataType = random.pick(dataTypes);
+    collections.add('gis_data_elements', {
+      gis_id: gis.gis_id,
+      data_type: dataType,
+      container_reference: `${slugify(project.project_title)}-${i}.${dataType === 'GeoJSON' ? 'geojson' : dataType === 'KML' ? 'kml' : 'zip'}`,
+      access_method: random.pick(accessMethods),
+      coordinate_system: 'EPSG:4326',
+      top_left_lat: box.north,
+      top_left_lon: box.west,
+      bot_right_lat: box.south,
+      bot_right_lon: box.east,
+      purpose: random.pick(purposes)
+    });
+  }
+
+  return gis;
+}
+
+/**
+ * Generate a project with its processes and GIS data
+ * @param {Object} context - Generation context (without the per-project fields)
+ */
+function addProject(context) {
+  const { random, collections, schema } = context;
+  const sector = random.pick(getEnumValues(schema, 'project', 'project_sector'));
+  const archetype = random.pick(SECTORS[sector].projects);
+  const state = random.pick(STATES);
+  const county = random.pick(state.counties);
+  const place = random.pick(PLACES);
+  const leadAgency = random.pick(SECTORS[sector].leadAgencies);
+  const title = `${place} ${archetype.type}`;
+
+  let sponsor;
+  if (sector === 'transportation') {
+    sponsor = `${state.name} Department of Transportation`;
+  } else if (sector === 'energy') {
+    sponsor = `${place} ${random.pick(['Renewables', 'Energy Partners', 'Power Company'])} LLC`;
+  } else {
+    sponsor = leadAgency;
+  }
+
+  const project = collections.add('projects', {
+    project_title: title,
+    project_description: fillTemplate(archetype.description, { place, county, state: state.name, size: random.int(...archetype.size) }),
+    project_sector: sector,
+    project_sponsor: { name: sponsor, contact_info: `permits@${slugify(sponsor)}.example.com` },
+    lead_agency: leadAgency,
+    participating_agencies: random.sample(COOPERATING_AGENCIES, random.int(1, 3)),
+    location: { description: `${place}, ${county} County, ${state.name}` },
+    project_type: archetype.type,
+    funding_source: random.pick(SECTORS[sector].fundingSources),
+    start_date: random.dateAfter('2012-01-01', 0, 3287),
+    location_lat: random.float(state.lat[0], state.lat[1]),
+    location_lon: random.float(state.lon[0], state.lon[1])
+  });
+  const projectContext = { ...context, project, state, county, place };
+
+  // Every project has an EIS; some add an EA or CE for related actions
+  const processes = [addProcess(projectContext, 'EIS', random.weighted({ underway: 4, completed: 3, paused: 1 }), random.dateAfter(project.start_date, 0, 60))];
+  for (let i = random.int(0, 2); i > 0; i--) {
+    const processType = random.weighted({ EA: 2, CE: 1 });
+    const status = random.weighted({ planned: 1, underway: 2, completed: 3, paused: 1 });
+    processes.push(addProcess(projectContext, processType, status, random.dateAfter(project.start_date, 30, 900)));
+  }
+
+  const statuses = processes.map(process => process.process_status);
+  if (statuses.every(status => status === 'completed')) {
+    project.current_status = 'completed';
+  } else if (statuses.includes('underway')) {
+    project.current_status = 'underway';
+  } else if (statuses.includes('paused')) {
+    project.current_status = 'paused';
+  } else {
+    project.current_status = 'pre-application';
+  }
+
+  project.location.gis_reference = addGisData(projectContext).gis_id;
+}
+
+/**
+ * Generate a synthetic NEPA dataset
+ * The same options always produce the same dataset
+ * @param {Object} options - Generation options
+ * @param {number|string} options.seed - Random seed (default: 1)
+ * @param {number} options.projects - Number of projects (default: 5)
+ * @param {string} options.schemaPath - Schema whose enums are used (default: nepa.schema.json)
+ * @returns {Object} NEPA dataset with standard_version and every collection
+ */
+function generateDataset(options = {}) {
+  const projectCount = options.projects === undefined ? DEFAULT_PROJECT_COUNT : Number(options.projects);
+  if (!Number.isInteger(projectCount) || projectCount < 1) {
+    throw new Error(`Project count must be a positive integer, got '${options.projects}'`);
+  }
+
+  const schema = JSON.parse(fs.readFileSync(options.schemaPath || PATHS.NEPA_SCHEMA, 'utf8'));
+  const random = createRandom(options.seed === undefined ? DEFAULT_SEED : options.seed);
+  const collections = createCollections();
+  const models = addReferenceRecords(collections);
+
+  for (let i = 0; i < projectCount; i++) {
+    addProject({ random, collections, schema, models });
+  }
+
+  return { standard_version: loadSchemaRegistry().current, ...collections.data };
+}
+
+/**
+ * Generate a dataset and check it against the schema and referential integrity, without printing
+ * @param {Object} options - Generation options (see generateDataset)
+ * @returns {Object} { valid, data, errors, references, counts, total }
+ */
+function checkGeneratedDataset(options = {}) {
+  const data = generateDataset(options);
+  const utils = new ValidationUtils({ strict: false, verbose: false });
+  const validate = utils.loadSchema(options.schemaPath || PATHS.NEPA_SCHEMA);
+  const valid = validate(data);
+  const references = checkReferences(data);
+  const { counts, total } = utils.countRecords(data, Object.keys(PRIMARY_KEYS));
+
+  return {
+    valid: valid && references.valid,
+    data,
+    errors: valid ? [] : validate.errors,
+    references,
+    counts,
+    total
+  };
+}
+
+/**
+ * Serialize a dataset as JSON or YAML
+ * @param {Object} data - Dataset
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {string} File contents
+ */
+function serializeDataset(data, format) {
+  return format === 'yaml' ? yaml.dump(data, { lineWidth: -1 }) : `${JSON.stringify(data, null, 2)}\n`;
+}
+
+/**
+ * Main generation function
+ * Writes the dataset to outputPath, or to stdout with all messages on stderr
+ * @param {string} outputPath - File to write or check (default: stdout); .yaml/.yml writes YAML
+ * @param {Object} options - Generation options (see generateDataset)
+ * @param {boolean} options.check - Only report whether outputPath matches the generated dataset (for CI)
+ * @returns {boolean} True if the dataset is valid (and, when checking, the file is current)
+ */
+function generateDatasetFile(outputPath = null, options = {}) {
+  const log = outputPath ? console.log : console.error;
+
+  try {
+    log(`${colors.bold}${colors.blue}=== ${options.check ? 'Checking' : 'Generating'} Synthetic Dataset ===${colors.reset}`);
+    log(`Seed: ${options.seed === undefined ? DEFAULT_SEED : options.seed}, projects: ${options.projects === undefined ? DEFAULT_PROJECT_COUNT : options.projects}`);
+
+    const results = checkGeneratedDataset(options);
+    Object.entries(results.counts).forEach(([collection, count]) => {
+      log(`  ${collection}: ${count} records`);
+    });
+    log(`  Total: ${results.total} records`);
+
+    results.errors.forEach(error => {
+      console.error(`${colors.red}Error: ${error.instancePath || '/'} ${error.message}${colors.reset}`);
+    });
+    results.references.errors.forEach(error => {
+      console.error(`${colors.red}Error: ${error.pointer} ${error.message}${colors.reset}`);
+    });
+
+    const format = outputPath && /\.ya?ml$/i.test(outputPath) ? 'yaml' : 'json';
+    const output = serializeDataset(results.data, format);
+
+    if (options.check) {
+      const relativePath = path.relative(process.cwd(), outputPath);
+      const current = fs.existsSync(outputPath) && fs.readFileSync(outputPath, 'utf8') === output;
+      if (current) {
+        log(`${colors.green}✓${colors.reset} ${relativePath} matches the generator`);
+      } else {
+        console.error(`${colors.red}✘ ${relativePath} is ${fs.existsSync(outputPath) ? 'out of date' : 'missing'}; regenerate it with the same seed and project count${colors.reset}`);
+      }
+      return results.valid && current;
+    }
+
+    if (outputPath) {
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, output);
+      log(`${colors.green}✓${colors.reset} Wrote ${format.toUpperCase()} to ${outputPath}`);
+    } else {
+      process.stdout.write(output);
+    }
+
+    return results.valid;
+  } catch (error) {
+    console.error(`${colors.red}Error generating dataset: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+module.exports = {
+  DEFAULT_SEED,
+  DEFAULT_PROJECT_COUNT,
+  generateDataset,
+  checkGeneratedDataset,
+  generateDatasetFile
+};
+
+// Run generation if called directly
+if (require.main === module) {
+  const options = [
+    { name: '--seed <value>', description: `Random seed (default: ${DEFAULT_SEED})` },
+    { name: '--projects <n>', description: `Number of projects (default: ${DEFAULT_PROJECT_COUNT})` },
+    { name: '--check', description: 'Fail if the output file differs from the generated dataset instead of writing it' },
+    { name: '--help, -h', description: 'Show this help' }
+  ];
+  let parsed;
+  try {
+    parsed = parseOptions(process.argv.slice(2), options, 'generate-dataset.js');
+  } catch (error) {
+    console.error(`${colors.red}${error.message}${colors.reset}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+  const { flags, positional } = parsed;
+
+  if (flags.help) {
+    showHelp('Synthetic NEPA Dataset Generator', {
+      description: 'Generates a deterministic, schema-valid dataset with consistent references',
+      usage: 'node generate-dataset.js [output.json|yaml] [--seed <value>] [--projects <n>] [--check]',
+      options
+    });
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+
+  if (flags.check && !positional[0]) {
+    console.error(`${colors.red}--check requires an output file${colors.reset}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  const success = generateDatasetFile(positional[0] || null, {
+    seed: flags.seed,
+    projects: flags.projects,
+    check: Boolean(flags.check)
+  });
+  if (positional[0]) {
+    printSummary(success, flags.check ? 'synthetic dataset check' : 'synthetic dataset generation');
+  }
+  process.exit(success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE);
+}
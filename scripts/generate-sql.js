@@ -0,0 +1,234 @@
+/**
+ * Generate upsert SQL from a NEPA dataset
+ * Validates a JSON/YAML document, maps it to database rows through the crosswalk (toDatabaseRows)
+ * and writes INSERT ... ON CONFLICT DO UPDATE statements ordered by the foreign keys in the DDL
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ValidationUtils, printSummary, colors } = require('./utils/validation-utils');
+const { resolveDocumentSchema } = require('./utils/version-utils');
+const { loadCrosswalkMappings } = require('./utils/mapping-utils');
+const { toDatabaseRows } = require('./utils/transformation-utils');
+const {
+  DEFAULT_SCHEMA_SQL_PATH,
+  loadForeignKeys,
+  orderTablesByForeignKeys,
+  quoteIdentifier,
+  formatSqlLiteral,
+  buildUpsertStatement
+} = require('./utils/sql-utils');
+
+/**
+ * Find foreign key values that do not match a row generated for the referenced table
+ * @param {Object} rows - Table name → rows
+ * @param {Array<Object>} foreignKeys - Constraints from parseForeignKeys()
+ * @returns {Array<Object>} { table, row, column, value, refTable, constraint, message } per unmatched value
+ */
+function findUnmatchedForeignKeys(rows, foreignKeys) {
+  const unmatched = [];
+
+  for (const foreignKey of foreignKeys) {
+    const [column] = foreignKey.columns;
+    const [refColumn] = foreignKey.refColumns;
+    if (!rows[foreignKey.table] || foreignKey.columns.length !== 1) continue;
+
+    const targets = new Set((rows[foreignKey.refTable] || []).map(row => String(row[refColumn])));
+    for (const row of rows[foreignKey.table]) {
+      const value = row[column];
+      if (value !== null && value !== undefined && !targets.has(String(value))) {
+        unmatched.push({
+          table: foreignKey.table,
+          row,
+          column,
+          value,
+          refTable: foreignKey.refTable,
+          constraint: foreignKey.name,
+          message: `${foreignKey.table} id ${row.id}: ${column} ${value} does not match a generated ${foreignKey.refTable} row (${foreignKey.name})`
+        });
+      }
+    }
+  }
+
+  return unmatched;
+}
+
+/**
+ * Convert a NEPA document into upsert SQL without validating it
+ * Foreign keys that match no record in the document (business keys the document does not define,
+ * or ids of rows it does not generate) are errors and no SQL is produced, unless nullDangling
+ * writes them as NULL
+ * @param {Object} nepaDocument - NEPA document with top-level collections
+ * @param {Object} options - Generation options
+ * @param {string} options.crosswalkPath - Crosswalk to map columns with
+ * @param {string} options.schemaSqlPath - DDL to read foreign keys from (default: src/database/schema-v1.0.0.sql)
+ * @param {string} options.source - Source name for the header comment
+ * @param {boolean} options.nullDangling - Write dangling foreign keys as NULL (with a warning each)
+ * @returns {Object} { sql, tables, warnings, errors } where tables lists { tableName, rows } in load order,
+ *   errors lists the dangling foreign keys ({ type: 'dangling-reference', message }) and sql is null if there are any
+ */
+function toUpsertSql(nepaDocument, options = {}) {
+  const { tables: crosswalk } = loadCrosswalkMappings(options.crosswalkPath);
+  const { rows, warnings, dangling } = toDatabaseRows(nepaDocument, options);
+  const foreignKeys = loadForeignKeys(options.schemaSqlPath || DEFAULT_SCHEMA_SQL_PATH);
+  const { order, cycles } = orderTablesByForeignKeys(Object.keys(rows), foreignKeys);
+
+  if (cycles.length > 0) {
+    warnings.push(`Foreign keys form a cycle between ${cycles.join(', ')}; these tables are loaded last`);
+  }
+
+  const unmatched = findUnmatchedForeignKeys(rows, foreignKeys);
+  if (options.nullDangling) {
+    dangling.forEach(reference => warnings.push(`${reference.message}; ${reference.table}.${reference.column} written as NULL`));
+    unmatched.forEach(reference => {
+      reference.row[reference.column] = null;
+      warnings.push(`${reference.message}; written as NULL`);
+    });
+  } else if (dangling.length > 0 || unmatched.length > 0) {
+    const errors = [...dangling, ...unmatched].map(reference => ({ type: 'dangling-reference', message: reference.message }));
+    return { sql: null, tables: [], warnings, errors };
+  }
+
+  const lines = [
+    `-- Generated by pic database sql${options.source ? ` from ${options.source}` : ''}`,
+    '-- Tables are loaded in foreign key order; existing rows are updated by id',
+    'BEGIN;'
+  ];
+  const tables = [];
+
+  for (const tableName of order) {
+    const tableRows = rows[tableName];
+    if (!tableRows || tableRows.length === 0) continue;
+
+    // Crosswalk column order first, then anything the crosswalk does not list
+    const tableColumns = (crosswalk[tableName] && crosswalk[tableName].columns) || {};
+    const present = new Set(tableRows.flatMap(row => Object.keys(row)));
+    const columns = [
+      ...Object.keys(tableColumns).filter(column => present.has(column)),
+      ...[...present].filter(column => !tableColumns[column])
+    ];
+    const dataTypes = Object.fromEntries(Object.entries(tableColumns).map(([column, mapping]) => [column, mapping.dataType]));
+
+    lines.push('', `-- Upserting table ${tableName}`);
+    tableRows.forEach(row => lines.push(buildUpsertStatement(tableName, row, { columns, dataTypes })));
+
+    // Explicit ids do not advance identity sequences, so move them past the loaded rows
+    if (columns.includes('id')) {
+      const table = quoteIdentifier(tableName);
+      lines.push(`SELECT setval(pg_get_serial_sequence(${formatSqlLiteral(table)}, 'id'), GREATEST((SELECT MAX("id") FROM ${table}), 1));`);
+    }
+
+    tables.push({ tableName, rows: tableRows.length });
+  }
+
+  lines.push('', 'COMMIT;', '');
+  return { sql: lines.join('\n'), tables, warnings, errors: [] };
+}
+
+/**
+ * Read, validate and convert a NEPA JSON/YAML file without printing
+ * @param {string} inputPath - Dataset file
+ * @param {Object} options - Generation options (see toUpsertSql)
+ * @param {string} options.format - Input format: 'json' or 'yaml' (detected from the extension by default)
+ * @returns {Object} { valid, inputPath, errors, warnings, tables, sql } (sql is null when validation fails
+ *   or a foreign key dangles)
+ */
+function checkSqlGeneration(inputPath, options = {}) {
+  const ext = path.extname(inputPath).toLowerCase();
+  const format = options.format || (ext === '.yaml' || ext === '.yml' ? 'yaml' : 'json');
+  const content = fs.readFileSync(inputPath, 'utf8');
+  const data = format === 'yaml' ? yaml.load(content) : JSON.parse(content);
+
+  const utils = new ValidationUtils({ strict: false, verbose: false });
+  const validate = utils.loadSchema(resolveDocumentSchema(data).schemaPath);
+  if (!validate(data)) {
+    return { valid: false, inputPath, errors: validate.errors, warnings: [], tables: [], sql: null };
+  }
+
+  const result = toUpsertSql(data, { ...options, source: options.source || path.basename(inputPath) });
+  return { valid: result.errors.length === 0, inputPath, ...result };
+}
+
+/**
+ * Main generation function
+ * Writes the SQL to outputPath, or to stdout with all messages on stderr
+ * @param {string} inputPath - Dataset file
+ * @param {string} outputPath - SQL file to write (default: stdout)
+ * @param {Object} options - Generation options (see checkSqlGeneration)
+ * @param {boolean} options.verbose - List the row count of each table
+ * @param {boolean} options.nullDangling - Write dangling foreign keys as NULL instead of failing
+ * @returns {boolean} True if the dataset was valid and SQL was written
+ */
+function generateSql(inputPath, outputPath = null, options = {}) {
+  const log = outputPath ? console.log : console.error;
+
+  try {
+    log(`${colors.bold}${colors.blue}=== Generating SQL ===${colors.reset}`);
+    log(`Dataset: ${inputPath}`);
+
+    const results = checkSqlGeneration(inputPath, options);
+    if (!results.valid) {
+      results.warnings.forEach(warning => {
+        console.error(`${colors.yellow}Warning: ${warning}${colors.reset}`);
+      });
+      results.errors.forEach(error => {
+        const location = error.type === 'dangling-reference' ? '' : `${error.instancePath || '/'} `;
+        console.error(`${colors.red}Error: ${location}${error.message}${colors.reset}`);
+      });
+      if (results.errors.some(error => error.type === 'dangling-reference')) {
+        console.error(`${colors.yellow}No SQL written; add the referenced records to the dataset, or pass --null-dangling to write these foreign keys as NULL${colors.reset}`);
+      }
+      return false;
+    }
+
+    results.warnings.forEach(warning => {
+      log(`${colors.yellow}Warning: ${warning}${colors.reset}`);
+    });
+    if (options.verbose) {
+      results.tables.forEach(table => log(`  ${table.tableName}: ${table.rows} row(s)`));
+    }
+
+    if (outputPath) {
+      fs.writeFileSync(outputPath, results.sql);
+    } else {
+      process.stdout.write(results.sql);
+    }
+
+    const rowCount = results.tables.reduce((sum, table) => sum + table.rows, 0);
+    log(`${colors.green}✓${colors.reset} ${rowCount} row(s) across ${results.tables.length} table(s)${outputPath ? ` written to ${outputPath}` : ''}`);
+    return true;
+  } catch (error) {
+    console.error(`${colors.red}Error during SQL generation: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+module.exports = {
+  toUpsertSql,
+  checkSqlGeneration,
+  generateSql,
+  findUnmatchedForeignKeys
+};
+
+// Run generation if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('--'));
+
+  if (args.includes('--help') || args.includes('-h') || positional.length === 0) {
+    console.log(`${colors.bold}NEPA SQL Generator${colors.reset}`);
+    console.log(`\nValidates a NEPA JSON/YAML dataset and writes INSERT ... ON CONFLICT DO UPDATE statements`);
+    console.log(`\nUsage:`);
+    console.log(`  node generate-sql.js <dataset.json|yaml> [output.sql] [--null-dangling] [--verbose]`);
+    process.exit(positional.length === 0 && !args.includes('--help') && !args.includes('-h') ? 2 : 0);
+  }
+
+  const success = generateSql(positional[0], positional[1] || null, {
+    verbose: args.includes('--verbose'),
+    nullDangling: args.includes('--null-dangling')
+  });
+  if (positional[1]) {
+    printSummary(success, 'SQL generation');
+  }
+  process.exit(success ? 0 : 1);
+}
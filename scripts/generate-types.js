@@ -0,0 +1,294 @@
+/**
+ * Generate TypeScript declarations for the NEPA entities
+ * Emits an interface per schema definition, string-literal unions for enums and the root dataset
+ * type, and checks that the declarations checked into src/types are current
+ */
+const fs = require('fs');
+const path = require('path');
+const { printSummary, colors, PATHS } = require('./utils/validation-utils');
+
+// Name of the interface for the whole document
+const DATASET_TYPE_NAME = 'NepaDataset';
+
+/**
+ * Convert a snake_case name to PascalCase
+ * @param {string} name - Name (e.g. public_comment)
+ * @returns {string} PascalCase name (e.g. PublicComment)
+ */
+function toPascalCase(name) {
+  return String(name)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+}
+
+/**
+ * Name the union type for an enum property of a definition
+ * A property already prefixed with the definition name is not prefixed again (process.process_type → ProcessType)
+ * @param {string} definitionName - Definition name
+ * @param {string} propertyName - Property name
+ * @returns {string} Type name
+ */
+function enumTypeName(definitionName, propertyName) {
+  const prefix = `${definitionName}_`;
+  const name = propertyName.startsWith(prefix) ? propertyName.slice(prefix.length) : propertyName;
+  return toPascalCase(`${definitionName}_${name}`);
+}
+
+/**
+ * Quote a property name if it is not a valid identifier
+ * @param {string} name - Property name
+ * @returns {string} Property key for a declaration
+ */
+function formatPropertyKey(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Build a doc comment from a schema node's description and format
+ * @param {Object} node - Schema node
+ * @param {string} indent - Indentation
+ * @returns {Array<string>} Comment lines (empty if there is nothing to document)
+ */
+function renderDocComment(node, indent) {
+  const branches = node.anyOf || node.oneOf || [];
+  const format = node.format || (branches.find(branch => branch.format) || {}).format;
+  const lines = [];
+
+  if (node.description) lines.push(node.description.replace(/\*\//g, '*\\/').replace(/\s+/g, ' ').trim());
+  if (format) lines.push(`@format ${format}`);
+
+  if (lines.length === 0) return [];
+  if (lines.length === 1) return [`${indent}/** ${lines[0]} */`];
+  return [`${indent}/**`, ...lines.map(line => `${indent} * ${line}`), `${indent} */`];
+}
+
+/**
+ * Combine union members, keeping string literals suggestable next to an open string
+ * @param {Array<string>} members - Rendered member types
+ * @returns {string} Union type
+ */
+function renderUnion(members) {
+  const unique = [...new Set(members)];
+  const hasLiterals = unique.some(member => member.startsWith('\''));
+  const union = unique.map(member => (member === 'string' && hasLiterals ? '(string & {})' : member));
+  return union.join(' | ');
+}
+
+/**
+ * Render the TypeScript type for a schema node
+ * @param {Object} node - Schema node
+ * @param {string} indent - Indentation of the enclosing declaration
+ * @returns {string} Type expression
+ */
+function renderType(node, indent = '') {
+  if (!node || typeof node !== 'object') {
+    return 'unknown';
+  }
+
+  if (node.$ref) {
+    const match = node.$ref.match(/^#\/definitions\/(.+)$/);
+    return match ? toPascalCase(match[1]) : 'unknown';
+  }
+
+  const branches = node.anyOf || node.oneOf;
+  if (branches) {
+    return renderUnion(branches.map(branch => renderType(branch, indent)));
+  }
+
+  if (Array.isArray(node.enum)) {
+    return renderUnion(node.enum.map(value => (value === null ? 'null' : `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`)));
+  }
+
+  const types = Array.isArray(node.type) ? node.type : [node.type];
+  return renderUnion(types.map(type => {
+    switch (type) {
+      case 'string':
+        return 'string';
+      case 'integer':
+      case 'number':
+        return 'number';
+      case 'boolean':
+        return 'boolean';
+      case 'null':
+        return 'null';
+      case 'array': {
+        const items = renderType(node.items, indent);
+        return /[ |&]/.test(items) ? `Array<${items}>` : `${items}[]`;
+      }
+      case 'object':
+        return node.properties ? renderObjectType(node, indent) : 'Record<string, unknown>';
+      default:
+        return 'unknown';
+    }
+  }));
+}
+
+/**
+ * Render the members of an object schema
+ * Required names without a property definition are typed unknown; an explicit
+ * additionalProperties: true adds an index signature
+ * @param {Object} node - Object schema
+ * @param {string} indent - Indentation of the members
+ * @param {Object} namedTypes - Property name → type name to use instead of an inline type
+ * @returns {Array<string>} Member lines
+ */
+function renderMembers(node, indent, namedTypes = {}) {
+  const required = node.required || [];
+  const properties = node.properties || {};
+  const lines = [];
+
+  for (const [name, property] of Object.entries(properties)) {
+    lines.push(...renderDocComment(property, indent));
+    const optional = required.includes(name) ? '' : '?';
+    lines.push(`${indent}${formatPropertyKey(name)}${optional}: ${namedTypes[name] || renderType(property, indent)};`);
+  }
+  required.filter(name => !properties[name]).forEach(name => {
+    lines.push(`${indent}${formatPropertyKey(name)}: unknown;`);
+  });
+  if (node.additionalProperties === true) {
+    lines.push(`${indent}[key: string]: unknown;`);
+  }
+
+  return lines;
+}
+
+/**
+ * Render an inline object type
+ * @param {Object} node - Object schema with properties
+ * @param {string} indent - Indentation of the enclosing declaration
+ * @returns {string} Object type literal
+ */
+function renderObjectType(node, indent) {
+  return ['{', ...renderMembers(node, `${indent}  `), `${indent}}`].join('\n');
+}
+
+/**
+ * Render TypeScript declarations for a NEPA schema
+ * @param {Object} schema - Parsed JSON schema
+ * @param {Object} options - Rendering options
+ * @param {string} options.source - Schema name for the header comment
+ * @returns {string} Contents of the .d.ts file
+ */
+function renderTypeDeclarations(schema, options = {}) {
+  const source = options.source || 'nepa.schema.json';
+  const lines = [
+    `// Generated from ${source} by \`pic schema types\`. Do not edit by hand;`,
+    '// run `npm run generate:types` after changing the schema.',
+    ''
+  ];
+
+  const interfaceNames = new Set([...Object.keys(schema.definitions || {}).map(toPascalCase), DATASET_TYPE_NAME]);
+
+  for (const [definitionName, definition] of Object.entries(schema.definitions || {})) {
+    const namedTypes = {};
+
+    // Enumerated properties get a named union so applications can reuse it
+    for (const [propertyName, property] of Object.entries(definition.properties || {})) {
+      const branches = property.anyOf || property.oneOf || [];
+      if (Array.isArray(property.enum) || branches.some(branch => Array.isArray(branch.enum))) {
+        // e.g. a process.model enum would otherwise collide with the ProcessModel interface
+        const name = enumTypeName(definitionName, propertyName);
+        const typeName = interfaceNames.has(name) ? `${name}Value` : name;
+        namedTypes[propertyName] = typeName;
+        lines.push(`export type ${typeName} = ${renderType(property)};`, '');
+      }
+    }
+
+    lines.push(...renderDocComment(definition, ''));
+    lines.push(`export interface ${toPascalCase(definitionName)} {`, ...renderMembers(definition, '  ', namedTypes), '}', '');
+  }
+
+  lines.push(...renderDocComment({ description: schema.title || schema.description }, ''));
+  lines.push(`export interface ${DATASET_TYPE_NAME} {`, ...renderMembers(schema, '  '), '}', '');
+
+  return lines.join('\n');
+}
+
+/**
+ * Compare the declarations on disk with those generated from the schema, without printing
+ * @param {string} schemaPath - Schema file (default: nepa.schema.json)
+ * @param {string} typesPath - Declaration file (default: src/types/nepa.d.ts)
+ * @returns {Object} { valid, schemaPath, typesPath, exists, content } where valid means the file is current
+ */
+function checkTypeDeclarations(schemaPath = PATHS.NEPA_SCHEMA, typesPath = PATHS.NEPA_TYPES) {
+  const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  const content = renderTypeDeclarations(schema, { source: path.basename(schemaPath) });
+  const exists = fs.existsSync(typesPath);
+
+  return {
+    valid: exists && fs.readFileSync(typesPath, 'utf8') === content,
+    schemaPath,
+    typesPath,
+    exists,
+    content
+  };
+}
+
+/**
+ * Main generation function
+ * @param {string} schemaPath - Schema file
+ * @param {string} typesPath - Declaration file to write or check
+ * @param {Object} options - Generation options
+ * @param {boolean} options.check - Only report whether the file is current (for CI)
+ * @returns {boolean} True if the file was written, or is current when checking
+ */
+function generateTypes(schemaPath = PATHS.NEPA_SCHEMA, typesPath = PATHS.NEPA_TYPES, options = {}) {
+  try {
+    console.log(`${colors.bold}${colors.blue}=== ${options.check ? 'Checking' : 'Generating'} TypeScript declarations ===${colors.reset}`);
+    console.log(`Schema: ${schemaPath}`);
+
+    const results = checkTypeDeclarations(schemaPath, typesPath);
+    const relativePath = path.relative(process.cwd(), typesPath);
+
+    if (options.check) {
+      if (results.valid) {
+        console.log(`${colors.green}✓${colors.reset} ${relativePath} is up to date`);
+      } else {
+        console.error(`${colors.red}✘ ${relativePath} is ${results.exists ? 'out of date' : 'missing'}; run npm run generate:types${colors.reset}`);
+      }
+      return results.valid;
+    }
+
+    if (results.valid) {
+      console.log(`${colors.green}✓${colors.reset} ${relativePath} is already up to date`);
+      return true;
+    }
+
+    fs.mkdirSync(path.dirname(typesPath), { recursive: true });
+    fs.writeFileSync(typesPath, results.content);
+    console.log(`${colors.green}✓${colors.reset} Wrote ${relativePath}`);
+    return true;
+  } catch (error) {
+    console.error(`${colors.red}Error generating TypeScript declarations: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+module.exports = {
+  renderTypeDeclarations,
+  checkTypeDeclarations,
+  generateTypes
+};
+
+// Run generation if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('-'));
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`${colors.bold}TypeScript Declaration Generator${colors.reset}`);
+    console.log(`\nGenerates interfaces for the NEPA schema definitions`);
+    console.log(`\nUsage:`);
+    console.log(`  node generate-types.js [schema.json] [output.d.ts] [--check]`);
+    console.log(`\nOptions:`);
+    console.log(`  --check    Fail if the declarations differ from the schema instead of writing them`);
+    process.exit(0);
+  }
+
+  const check = args.includes('--check');
+  const success = generateTypes(positional[0] || PATHS.NEPA_SCHEMA, positional[1] || PATHS.NEPA_TYPES, { check });
+  printSummary(success, check ? 'TypeScript declaration check' : 'TypeScript declaration generation');
+  process.exit(success ? 0 : 1);
+}
@@ -0,0 +1,122 @@
+/**
+ * Lint a JSON schema
+ * Runs the rules in schema-lint-utils.js (meta-schema validation plus mistakes the meta-schema
+ * accepts) and reports each issue with the JSON Pointer of the offending keyword
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { printSummary, colors, PATHS } = require('./utils/validation-utils');
+const { LINT_RULES, resolveLintRules, lintSchema } = require('./utils/schema-lint-utils');
+
+/**
+ * Load rule severities from a JSON or YAML file
+ * The file is either a map of rule id → severity or an object with such a map under "rules"
+ * @param {string} rulesPath - Rules file
+ * @returns {Object} Rule id → severity
+ */
+function loadLintRules(rulesPath) {
+  const content = fs.readFileSync(rulesPath, 'utf8');
+  const config = /\.ya?ml$/.test(rulesPath) ? yaml.load(content) : JSON.parse(content);
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Rules file must contain an object of rule severities: ${rulesPath}`);
+  }
+  return config.rules && typeof config.rules === 'object' ? config.rules : config;
+}
+
+/**
+ * Lint a schema file without printing
+ * @param {string} schemaPath - Schema file (default: nepa.schema.json)
+ * @param {Object} options - Lint options
+ * @param {Object} options.rules - Rule id → severity ('error', 'warning' or 'off')
+ * @returns {Object} { valid, schemaPath, issues, summary } where valid is false if any issue is an error
+ */
+function checkSchemaLint(schemaPath = PATHS.NEPA_SCHEMA, options = {}) {
+  const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  return { schemaPath, ...lintSchema(schema, options.rules) };
+}
+
+/**
+ * Main lint function
+ * @param {string} schemaPath - Schema file
+ * @param {Object} options - Lint options
+ * @param {Object} options.rules - Rule id → severity
+ * @param {boolean} options.verbose - Also list the rules and their severities
+ * @returns {boolean} True if no issue is an error
+ */
+function lintSchemaFile(schemaPath = PATHS.NEPA_SCHEMA, options = {}) {
+  try {
+    console.log(`${colors.bold}${colors.blue}=== Linting JSON Schema ===${colors.reset}`);
+    console.log(`Schema: ${schemaPath}`);
+
+    const results = checkSchemaLint(schemaPath, options);
+
+    if (options.verbose) {
+      const severities = resolveLintRules(options.rules);
+      console.log(`\n${colors.bold}Rules:${colors.reset}`);
+      for (const [ruleId, rule] of Object.entries(LINT_RULES)) {
+        console.log(`  ${ruleId} (${severities[ruleId]}) - ${rule.description}`);
+      }
+    }
+
+    const ruleIds = [...new Set(results.issues.map(issue => issue.ruleId))];
+    for (const ruleId of ruleIds) {
+      const issues = results.issues.filter(issue => issue.ruleId === ruleId);
+      console.log(`\n${colors.bold}${ruleId} (${issues.length}):${colors.reset}`);
+      issues.forEach(issue => {
+        const [color, marker] = issue.severity === 'error' ? [colors.red, '✘'] : [colors.yellow, '⚠'];
+        console.log(`  ${color}${marker}${colors.reset} ${issue.pointer || '/'}: ${issue.message}`);
+      });
+    }
+
+    if (results.issues.length === 0) {
+      console.log(`\n${colors.green}✓ No issues${colors.reset}`);
+    }
+    console.log(`\n${colors.bold}Summary:${colors.reset} ${results.summary.errors} errors, ${results.summary.warnings} warnings`);
+
+    return results.valid;
+  } catch (error) {
+    console.error(`${colors.red}Error linting schema: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+module.exports = {
+  loadLintRules,
+  checkSchemaLint,
+  lintSchemaFile
+};
+
+// Run lint if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('-'));
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`${colors.bold}JSON Schema Linter${colors.reset}`);
+    console.log(`\nReports mistakes in a schema that meta-schema validation accepts`);
+    console.log(`\nUsage:`);
+    console.log(`  node lint-schema.js [schema.json] [rules.json|rules.yaml] [--verbose]`);
+    console.log(`\nRules (default severity):`);
+    for (const [ruleId, rule] of Object.entries(LINT_RULES)) {
+      console.log(`  ${ruleId} (${rule.severity})`);
+    }
+    console.log(`\nThe schema defaults to ${path.relative(process.cwd(), PATHS.NEPA_SCHEMA)}; exits 1 if any issue is an error`);
+    process.exit(0);
+  }
+
+  let rules = {};
+  try {
+    rules = positional[1] ? loadLintRules(positional[1]) : {};
+  } catch (error) {
+    console.error(`${colors.red}${error.message}${colors.reset}`);
+    process.exit(2);
+  }
+
+  const success = lintSchemaFile(positional[0] || PATHS.NEPA_SCHEMA, {
+    rules,
+    verbose: args.includes('--verbose') || args.includes('-v')
+  });
+  printSummary(success, 'schema lint');
+  process.exit(success ? 0 : 1);
+}
@@ -0,0 +1,143 @@
+/**
+ * Write a reviewable CSV column mapping
+ * Resolves each CSV file's schema section and header matches (see resolveCsvFile() in
+ * validate-csv.js) and records the guesses in csv-mapping.yaml, so a reviewer can correct
+ * them once and later validation runs reuse the reviewed entries
+ */
+const fs = require('fs');
+const path = require('path');
+const { findFiles, printSummary, colors, PATHS } = require('./utils/validation-utils');
+const { readCsvHeaders } = require('./utils/csv-utils');
+const { DEFAULT_MAPPING_FILE, loadCsvMapping, renderCsvMapping } = require('./utils/csv-mapping-utils');
+const { resolveCsvFile } = require('./validate-csv');
+
+/**
+ * Build the CSV mapping for a directory without writing it
+ * Entries already in the mapping file are kept as reviewed. New entries are added for files
+ * whose section was detected from their headers or whose headers needed a fuzzy match;
+ * files recognized by name with exactly matching headers need no entry
+ * @param {string} csvDir - Directory containing CSV files (default: src/csv)
+ * @param {Object} options - Mapping options
+ * @param {string} options.mappingPath - Mapping file (default: csv-mapping.yaml in csvDir)
+ * @returns {Promise<Object>} { mappingPath, mapping, files } where files lists each CSV file's
+ *   resolution and whether its entry is new, kept or not needed
+ */
+async function checkCsvMapping(csvDir = PATHS.CSV_DIR, options = {}) {
+  const mappingPath = options.mappingPath || path.join(csvDir, DEFAULT_MAPPING_FILE);
+  const existing = fs.existsSync(mappingPath) ? loadCsvMapping(mappingPath) : { files: {} };
+  const mapping = { files: { ...existing.files } };
+  const files = [];
+
+  for (const filePath of findFiles([csvDir], ['.csv'])) {
+    const filename = path.basename(filePath);
+    const headers = await readCsvHeaders(filePath);
+    const resolution = resolveCsvFile(filePath, headers, existing);
+    let status = 'not-needed';
+
+    if (!resolution) {
+      status = 'unresolved';
+    } else if (resolution.source === 'mapping') {
+      status = 'kept';
+    } else if (resolution.source === 'detected' || resolution.unmatched.length > 0 ||
+      Object.values(resolution.columns).some(column => column.via !== 'exact')) {
+      status = 'new';
+      mapping.files[filename] = {
+        section: resolution.schemaSection,
+        ...(resolution.confidence !== null ? { confidence: resolution.confidence } : {}),
+        columns: Object.fromEntries([
+          ...Object.entries(resolution.columns).map(([header, column]) => [header, column]),
+          // Unmatched headers keep their name; validation reports them as unexpected properties
+          ...resolution.unmatched.map(header => [header, { target: header, score: 0, via: 'unmatched' }])
+        ])
+      };
+    }
+
+    files.push({ filePath, filename, headers, resolution, status });
+  }
+
+  return { mappingPath, mapping, files };
+}
+
+/**
+ * Main mapping function
+ * @param {string} csvDir - Directory containing CSV files
+ * @param {Object} options - Mapping options
+ * @param {string} options.mappingPath - Mapping file to read and write
+ * @param {boolean} options.dryRun - Print the mapping instead of writing it
+ * @returns {Promise<boolean>} True if every CSV file was assigned a schema section
+ */
+async function writeCsvMapping(csvDir = PATHS.CSV_DIR, options = {}) {
+  try {
+    console.log(`${colors.bold}${colors.blue}=== Mapping CSV files to the NEPA schema ===${colors.reset}`);
+
+    if (!fs.existsSync(csvDir)) {
+      console.error(`${colors.red}CSV directory not found: ${csvDir}${colors.reset}`);
+      return false;
+    }
+
+    const result = await checkCsvMapping(csvDir, options);
+
+    for (const file of result.files) {
+      if (file.status === 'unresolved') {
+        console.log(`${colors.red}✘ ${file.filename}: no schema section matches its headers${colors.reset}`);
+        continue;
+      }
+
+      const { schemaSection, source, confidence } = file.resolution;
+      const how = source === 'detected' ? `detected, confidence ${confidence}` : source === 'mapping' ? 'reviewed' : 'by file name';
+      console.log(`${colors.green}✓${colors.reset} ${file.filename} → ${colors.cyan}${schemaSection}${colors.reset} (${how})`);
+
+      if (file.status === 'new') {
+        Object.entries(file.resolution.columns)
+          .filter(([, column]) => column.via !== 'exact')
+          .forEach(([header, column]) => console.log(`    "${header}" → ${column.target} (${column.via} ${column.score})`));
+        file.resolution.unmatched.forEach(header => console.log(`    ${colors.yellow}"${header}" unmatched${colors.reset}`));
+      }
+    }
+
+    const added = result.files.filter(file => file.status === 'new').length;
+    const content = renderCsvMapping(result.mapping);
+
+    if (options.dryRun) {
+      console.log(`\n${content}`);
+    } else if (added > 0) {
+      fs.writeFileSync(result.mappingPath, content);
+      console.log(`\n${colors.green}✓ Wrote ${added} new entries to ${result.mappingPath}${colors.reset}; review them before the next validation run`);
+    } else {
+      console.log(`\n${colors.green}✓ No new entries for ${result.mappingPath}${colors.reset}`);
+    }
+
+    return result.files.every(file => file.status !== 'unresolved');
+  } catch (error) {
+    console.error(`${colors.red}Error mapping CSV files: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+module.exports = {
+  checkCsvMapping,
+  writeCsvMapping
+};
+
+// Run mapping if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('-'));
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`${colors.bold}CSV Column Mapping${colors.reset}`);
+    console.log(`\nDetects the schema section of each CSV file and matches its headers, then writes the guesses for review`);
+    console.log(`\nUsage:`);
+    console.log(`  node map-csv.js [csv-dir] [mapping.yaml] [--dry-run]`);
+    console.log(`\nThe directory defaults to ${path.relative(process.cwd(), PATHS.CSV_DIR)} and the mapping file to ${DEFAULT_MAPPING_FILE} inside it`);
+    process.exit(0);
+  }
+
+  writeCsvMapping(positional[0] || PATHS.CSV_DIR, {
+    mappingPath: positional[1],
+    dryRun: args.includes('--dry-run')
+  }).then((success) => {
+    printSummary(success, 'CSV mapping');
+    process.exit(success ? 0 : 1);
+  });
+}
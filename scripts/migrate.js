@@ -0,0 +1,145 @@
+/**
+ * Migrate NEPA datasets between releases of the standard
+ * Applies the per-release migration operations from src/jsonschema/versions.json and
+ * validates the result against the target release's schema
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ValidationUtils, printSummary, colors } = require('./utils/validation-utils');
+const { getRelease } = require('./utils/version-utils');
+const { migrateDocument } = require('./utils/migration-utils');
+const { EXIT_CODES, parseOptions, showHelp } = require('./utils/cli-utils');
+
+/**
+ * Detect JSON or YAML from a file extension
+ * @param {string} filePath - File path
+ * @returns {string} 'yaml' for .yaml/.yml, otherwise 'json'
+ */
+function detectDataFormat(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return ext === '.yaml' || ext === '.yml' ? 'yaml' : 'json';
+}
+
+/**
+ * Read, migrate and validate a dataset file without printing
+ * @param {string} inputPath - Dataset file
+ * @param {Object} options - Migration options
+ * @param {string} options.from - Version the dataset conforms to (default: its standard_version)
+ * @param {string} options.to - Target version (default: the current release)
+ * @param {string} options.format - Input format: 'json' or 'yaml' (detected from the extension by default)
+ * @param {string} options.registryPath - Path to the release registry
+ * @returns {Object} { valid, inputPath, format, from, to, steps, warnings, errors, data }
+ */
+function checkMigration(inputPath, options = {}) {
+  const format = options.format || detectDataFormat(inputPath);
+  const content = fs.readFileSync(inputPath, 'utf8');
+  const document = format === 'yaml' ? yaml.load(content) : JSON.parse(content);
+
+  const result = migrateDocument(document, options);
+  const utils = new ValidationUtils({ strict: false, verbose: false });
+  const validate = utils.loadSchema(getRelease(result.to, options.registryPath).schemaPath);
+  const valid = validate(result.data);
+
+  return {
+    valid,
+    inputPath,
+    format,
+    ...result,
+    errors: valid ? [] : validate.errors
+  };
+}
+
+/**
+ * Main migration function
+ * Writes the migrated dataset to outputPath, or to stdout with all messages on stderr
+ * @param {string} inputPath - Dataset file
+ * @param {string} outputPath - File to write (default: stdout); its extension selects JSON or YAML
+ * @param {Object} options - Migration options (see checkMigration)
+ * @param {boolean} options.verbose - List every operation, including those that changed nothing
+ * @returns {boolean} True if the migrated dataset is valid against the target release
+ */
+function migrateFile(inputPath, outputPath = null, options = {}) {
+  const log = outputPath ? console.log : console.error;
+
+  try {
+    log(`${colors.bold}${colors.blue}=== Migrating Dataset ===${colors.reset}`);
+    log(`Dataset: ${inputPath}`);
+
+    const results = checkMigration(inputPath, options);
+    log(`Standard version: ${results.from} → ${results.to}`);
+
+    results.steps.forEach(step => {
+      log(`\nRelease ${colors.bold}${step.version}${colors.reset}${step.notes ? ` - ${step.notes}` : ''}`);
+      if (step.operations.length === 0) {
+        log(`  ${colors.gray}No migration steps${colors.reset}`);
+      }
+      step.operations
+        .filter(operation => options.verbose || operation.changed > 0)
+        .forEach(operation => log(`  ${colors.cyan}${operation.description}${colors.reset} (${operation.changed} changed)`));
+    });
+
+    results.warnings.forEach(warning => {
+      log(`${colors.yellow}Warning: ${warning}${colors.reset}`);
+    });
+    results.errors.forEach(error => {
+      console.error(`${colors.red}Error: ${error.instancePath || '/'} ${error.message}${colors.reset}`);
+    });
+
+    const outputFormat = outputPath ? detectDataFormat(outputPath) : results.format;
+    const output = outputFormat === 'yaml' ? yaml.dump(results.data, { lineWidth: -1 }) : `${JSON.stringify(results.data, null, 2)}\n`;
+    if (outputPath) {
+      fs.writeFileSync(outputPath, output);
+      log(`${colors.green}✓${colors.reset} Wrote ${outputFormat.toUpperCase()} to ${outputPath}`);
+    } else {
+      process.stdout.write(output);
+    }
+
+    return results.valid;
+  } catch (error) {
+    console.error(`${colors.red}Error during migration: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+module.exports = {
+  checkMigration,
+  migrateFile
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  const options = [
+    { name: '--from <version>', description: 'Release the dataset conforms to (default: its standard_version)' },
+    { name: '--to <version>', description: 'Target release (default: the current release)' },
+    { name: '--verbose', description: 'List every operation, including those that changed nothing' },
+    { name: '--help, -h', description: 'Show this help' }
+  ];
+  let parsed;
+  try {
+    parsed = parseOptions(process.argv.slice(2), options, 'migrate.js');
+  } catch (error) {
+    console.error(`${colors.red}${error.message}${colors.reset}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+  const { flags, positional } = parsed;
+
+  if (flags.help || positional.length === 0) {
+    showHelp('NEPA Dataset Migration', {
+      description: 'Upgrades a JSON/YAML dataset to a later release of the standard',
+      usage: 'node migrate.js <dataset.json|yaml> [output] [--from <version>] [--to <version>] [--verbose]',
+      options
+    });
+    process.exit(flags.help ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE);
+  }
+
+  const success = migrateFile(positional[0], positional[1] || null, {
+    from: flags.from,
+    to: flags.to,
+    verbose: Boolean(flags.verbose)
+  });
+  if (positional[1]) {
+    printSummary(success, 'dataset migration');
+  }
+  process.exit(success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE);
+}
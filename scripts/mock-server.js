@@ -0,0 +1,533 @@
+/**
+ * Local mock of the PostgREST/Supabase API described by src/openapi/openapi.json
+ * Serves every table path in the spec from an in-memory store seeded from the SQL seed file
+ * or a NEPA dataset, and validates request bodies against the spec definitions
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Ajv = require('ajv');
+const { ValidationUtils, colors, PATHS } = require('./utils/validation-utils');
+const { DEFAULT_SEED_PATH, loadSeedRows } = require('./utils/sql-utils');
+const { toDatabaseRows } = require('./utils/transformation-utils');
+const { getSchemaDefinitions, getBasePath } = require('./utils/openapi-utils');
+const {
+  RESERVED_PARAMS,
+  PostgrestError,
+  parseFilter,
+  checkFilterOperands,
+  matchesFilter,
+  parseOrder,
+  sortRows,
+  parseSelect,
+  projectRow,
+  parseRange,
+  parsePrefer,
+  findPrimaryKey,
+  buildRowSchema
+} = require('./utils/postgrest-utils');
+const { EXIT_CODES, parseOptions, showHelp } = require('./utils/cli-utils');
+
+// Spec served by default
+const DEFAULT_SPEC_PATH = path.join(PATHS.OPENAPI_DIR, 'openapi.json');
+const DEFAULT_PORT = 3030;
+
+// Path prefix used by Supabase clients, accepted in addition to the spec's basePath
+const SUPABASE_REST_PREFIX = '/rest/v1';
+
+// Media type that asks PostgREST for a single object instead of an array
+const SINGLE_OBJECT_MEDIA_TYPE = 'application/vnd.pgrst.object+json';
+
+// Headers sent with every response so browser front-ends on other origins can call the mock
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Accept, Authorization, Content-Type, Prefer, Range, Range-Unit, apikey, x-client-info',
+  'Access-Control-Expose-Headers': 'Content-Range, Location'
+};
+
+/**
+ * Read the table paths of a spec with their definitions and primary keys
+ * @param {Object} spec - Parsed OpenAPI specification
+ * @returns {Object} Table name → { definition, methods, primaryKey }
+ */
+function getMockTables(spec) {
+  const definitions = getSchemaDefinitions(spec);
+  const tables = {};
+
+  for (const [specPath, operations] of Object.entries(spec.paths || {})) {
+    if (specPath === '/' || specPath.startsWith('/rpc/')) continue;
+
+    const tableName = specPath.replace(/^\//, '');
+    const definition = definitions[tableName] || { properties: {} };
+    tables[tableName] = {
+      definition,
+      methods: Object.keys(operations).filter(method => ['get', 'post', 'patch', 'delete'].includes(method)),
+      primaryKey: findPrimaryKey(definition)
+    };
+  }
+
+  return tables;
+}
+
+/**
+ * Load the rows to seed the store with
+ * @param {string} dataPath - .sql seed file, or JSON/YAML NEPA dataset (default: src/database/seed-v1.0.0.sql)
+ * @returns {Object} { tables, warnings } where tables maps table name → rows
+ */
+function loadMockRows(dataPath = DEFAULT_SEED_PATH) {
+  if (path.extname(dataPath).toLowerCase() === '.sql') {
+    return { tables: loadSeedRows(dataPath), warnings: [] };
+  }
+
+  const utils = new ValidationUtils({ strict: false, verbose: false });
+  const { rows, warnings, dangling } = toDatabaseRows(utils.parseFile(dataPath));
+  return { tables: rows, warnings: [...warnings, ...dangling.map(reference => `${reference.message}; ${reference.table}.${reference.column} left empty`)] };
+}
+
+/**
+ * Value Postgres stores in a column that a row leaves out
+ * @param {Object} property - OpenAPI property of the column
+ * @returns {*} Column default (now() is the current time), or null
+ */
+function columnDefault(property) {
+  if (property.default === 'now()') return new Date().toISOString();
+  return property.default === undefined ? null : property.default;
+}
+
+/**
+ * Create the in-memory store for the tables of a spec
+ * Rows for tables the spec does not serve are dropped with a warning, and columns a row
+ * leaves out get their default, as they would on insert
+ * @param {Object} spec - Parsed OpenAPI specification
+ * @param {Object} rows - Table name → rows to seed
+ * @returns {Object} { tables, data, warnings } where data maps table name → rows
+ */
+function createMockStore(spec, rows = {}) {
+  const tables = getMockTables(spec);
+  const data = {};
+  const warnings = [];
+
+  Object.keys(tables).forEach(tableName => {
+    const properties = tables[tableName].definition.properties || {};
+    data[tableName] = (rows[tableName] || []).map(row => {
+      const copy = JSON.parse(JSON.stringify(row));
+      for (const [name, property] of Object.entries(properties)) {
+        if (copy[name] === undefined) copy[name] = columnDefault(property);
+      }
+      return copy;
+    });
+  });
+  Object.keys(rows).filter(tableName => !tables[tableName]).forEach(tableName => {
+    warnings.push(`Table '${tableName}' is not served by the spec; its ${rows[tableName].length} row(s) were not loaded`);
+  });
+
+  return { tables, data, warnings };
+}
+
+/**
+ * Convert the first AJV error for a request body into the error Postgres would raise
+ * @param {string} tableName - Table name
+ * @param {Object} error - AJV error
+ * @returns {PostgrestError} Error
+ */
+function bodyError(tableName, error) {
+  const column = error.instancePath.split('/')[1];
+
+  switch (error.keyword) {
+    case 'additionalProperties':
+      return new PostgrestError(400, 'PGRST204', `Could not find the '${error.params.additionalProperty}' column of '${tableName}' in the schema cache`);
+    case 'required':
+      return new PostgrestError(400, '23502', `null value in column "${error.params.missingProperty}" of relation "${tableName}" violates not-null constraint`);
+    case 'type':
+      if (!column) {
+        return new PostgrestError(400, 'PGRST102', 'Request body must be a JSON object or an array of objects');
+      }
+      if (error.data === null) {
+        return new PostgrestError(400, '23502', `null value in column "${column}" of relation "${tableName}" violates not-null constraint`);
+      }
+      return new PostgrestError(400, '22P02', `invalid input for column "${column}" of relation "${tableName}": ${error.message}`);
+    default:
+      return new PostgrestError(400, '22P02', `invalid input for column "${column}" of relation "${tableName}": ${error.message}`);
+  }
+}
+
+/**
+ * Create a request handler for a store
+ * The handler takes { method, pathname, query, headers, body } (query is a URLSearchParams,
+ * headers are lower-case) and returns { status, headers, body }, so it can be used without a socket
+ * @param {Object} spec - Parsed OpenAPI specification
+ * @param {Object} store - Store from createMockStore()
+ * @returns {Function} Request handler
+ */
+function createMockHandler(spec, store) {
+  const ajv = new Ajv({ allErrors: false, strict: false, verbose: true });
+  const validators = {};
+  for (const [tableName, table] of Object.entries(store.tables)) {
+    validators[tableName] = {
+      insert: ajv.compile(buildRowSchema(table.definition, table.primaryKey, 'insert')),
+      update: ajv.compile(buildRowSchema(table.definition, table.primaryKey, 'update'))
+    };
+  }
+  const basePath = getBasePath(spec);
+
+  const columnType = (tableName, column) => ((store.tables[tableName].definition.properties || {})[column] || {}).type;
+
+  const checkColumn = (tableName, column) => {
+    if (!(store.tables[tableName].definition.properties || {})[column]) {
+      throw new PostgrestError(400, '42703', `column ${tableName}.${column} does not exist`);
+    }
+  };
+
+  // Rows matching the row filters in the query string
+  const filterRows = (tableName, query) => {
+    const filters = [];
+    for (const [name, value] of query.entries()) {
+      if (RESERVED_PARAMS.includes(name)) continue;
+      if (name === 'or' || name === 'and') {
+        throw new PostgrestError(400, 'PGRST100', `'${name}' filters are not supported by the mock server`);
+      }
+      checkColumn(tableName, name);
+      const filter = parseFilter(value);
+      checkFilterOperands(filter, store.tables[tableName].definition.properties[name]);
+      filters.push({ column: name, filter });
+    }
+    return store.data[tableName].filter(row => filters.every(({ column, filter }) => matchesFilter(row[column], filter, columnType(tableName, column))));
+  };
+
+  const selectColumns = (tableName, query) => {
+    const items = parseSelect(query.get('select'));
+    (items || []).forEach(item => checkColumn(tableName, item.column));
+    return items;
+  };
+
+  const representation = (tableName, rows, request, status) => {
+    const prefer = parsePrefer(request.headers.prefer);
+    if (prefer.return !== 'representation') {
+      return { status: status === 200 ? 204 : status, headers: {}, body: null };
+    }
+    const items = selectColumns(tableName, request.query);
+    return { status, headers: {}, body: rows.map(row => projectRow(row, items)) };
+  };
+
+  const nextId = tableName => {
+    const { primaryKey } = store.tables[tableName];
+    return store.data[tableName].reduce((max, row) => Math.max(max, Number(row[primaryKey]) || 0), 0) + 1;
+  };
+
+  const validateBody = (tableName, rows, mode) => {
+    rows.forEach(row => {
+      if (!validators[tableName][mode](row)) {
+        throw bodyError(tableName, validators[tableName][mode].errors[0]);
+      }
+    });
+  };
+
+  const handleGet = (tableName, request) => {
+    const query = request.query;
+    const items = selectColumns(tableName, query);
+    const order = parseOrder(query.get('order'));
+    order.forEach(term => checkColumn(tableName, term.column));
+
+    const rows = sortRows(filterRows(tableName, query), order);
+    const range = parseRange(request.headers.range);
+    let start = query.has('offset') ? Number(query.get('offset')) : range ? range.start : 0;
+    let end = rows.length;
+    if (query.has('limit')) end = start + Number(query.get('limit'));
+    else if (range && range.end !== null) end = range.end + 1;
+    if (!Number.isInteger(start) || start < 0 || !Number.isInteger(end) || end < start) {
+      throw new PostgrestError(416, 'PGRST103', 'Requested range not satisfiable');
+    }
+    start = Math.min(start, rows.length);
+    end = Math.min(end, rows.length);
+
+    const page = rows.slice(start, end).map(row => projectRow(row, items));
+    const counted = parsePrefer(request.headers.prefer).count === 'exact';
+    const headers = {
+      'Content-Range': `${page.length > 0 ? `${start}-${end - 1}` : '*'}/${counted ? rows.length : '*'}`
+    };
+
+    if ((request.headers.accept || '').includes(SINGLE_OBJECT_MEDIA_TYPE)) {
+      if (page.length !== 1) {
+        throw new PostgrestError(406, 'PGRST116', 'JSON object requested, multiple (or no) rows returned', {
+          details: `The result contains ${page.length} rows`
+        });
+      }
+      return { status: 200, headers, body: page[0] };
+    }
+
+    return { status: counted && page.length < rows.length ? 206 : 200, headers, body: page };
+  };
+
+  const handlePost = (tableName, request) => {
+    const { primaryKey, definition } = store.tables[tableName];
+    const input = Array.isArray(request.body) ? request.body : [request.body];
+    validateBody(tableName, input, 'insert');
+
+    const prefer = parsePrefer(request.headers.prefer);
+    const conflictColumns = (request.query.get('on_conflict') || primaryKey).split(',');
+    conflictColumns.forEach(column => checkColumn(tableName, column));
+    const rows = store.data[tableName];
+    const written = [];
+
+    input.forEach(body => {
+      const row = {};
+      for (const [name, property] of Object.entries(definition.properties || {})) {
+        if (body[name] !== undefined) row[name] = body[name];
+        else if (name === primaryKey) row[name] = nextId(tableName);
+        else row[name] = columnDefault(property);
+      }
+
+      const existing = rows.find(candidate => conflictColumns.every(column => candidate[column] === row[column]));
+      if (existing) {
+        if (prefer.resolution === 'ignore-duplicates') return;
+        if (prefer.resolution !== 'merge-duplicates') {
+          throw new PostgrestError(409, '23505', `duplicate key value violates unique constraint "${tableName}_pkey"`, {
+            details: `Key (${conflictColumns.join(', ')})=(${conflictColumns.map(column => row[column]).join(', ')}) already exists.`
+          });
+        }
+        Object.keys(body).forEach(name => {
+          existing[name] = body[name];
+        });
+        written.push(existing);
+        return;
+      }
+
+      rows.push(row);
+      written.push(row);
+    });
+
+    return representation(tableName, written, request, 201);
+  };
+
+  const handlePatch = (tableName, request) => {
+    const { primaryKey } = store.tables[tableName];
+    validateBody(tableName, [request.body], 'update');
+
+    const matched = filterRows(tableName, request.query);
+    if (request.body[primaryKey] !== undefined && matched.length > 0) {
+      const taken = store.data[tableName].some(row => !matched.includes(row) && row[primaryKey] === request.body[primaryKey]);
+      if (taken || matched.length > 1) {
+        throw new PostgrestError(409, '23505', `duplicate key value violates unique constraint "${tableName}_pkey"`);
+      }
+    }
+    matched.forEach(row => Object.assign(row, request.body));
+
+    return representation(tableName, matched, request, 200);
+  };
+
+  const handleDelete = (tableName, request) => {
+    const matched = filterRows(tableName, request.query);
+    store.data[tableName] = store.data[tableName].filter(row => !matched.includes(row));
+    return representation(tableName, matched, request, 200);
+  };
+
+  return request => {
+    try {
+      let pathname = request.pathname.replace(/\/+$/, '') || '/';
+      for (const prefix of [SUPABASE_REST_PREFIX, basePath].filter(Boolean)) {
+        if (pathname === prefix || pathname.startsWith(`${prefix}/`)) {
+          pathname = pathname.slice(prefix.length) || '/';
+        }
+      }
+      const method = request.method.toLowerCase();
+
+      if (method === 'options') {
+        return { status: 204, headers: {}, body: null };
+      }
+
+      if (pathname === '/') {
+        if (method !== 'get') throw new PostgrestError(405, 'PGRST117', `Unsupported HTTP method: ${request.method}`);
+        return { status: 200, headers: { 'Content-Type': 'application/openapi+json; charset=utf-8' }, body: spec };
+      }
+
+      if (pathname.startsWith('/rpc/')) {
+        const functionName = pathname.slice('/rpc/'.length);
+        const operations = (spec.paths || {})[pathname];
+        if (!operations) {
+          throw new PostgrestError(404, 'PGRST202', `Could not find the function public.${functionName} in the schema cache`);
+        }
+        if (!operations[method]) throw new PostgrestError(405, 'PGRST117', `Unsupported HTTP method: ${request.method}`);
+        if (functionName !== 'export_all_tables_as_jsonb') {
+          throw new PostgrestError(501, 'PGRST000', `The mock server does not implement public.${functionName}`);
+        }
+        return { status: 200, headers: {}, body: store.data };
+      }
+
+      const tableName = pathname.slice(1);
+      const table = store.tables[tableName];
+      if (!table) {
+        throw new PostgrestError(404, '42P01', `relation "public.${tableName}" does not exist`, {
+          hint: `Tables served by this spec: ${Object.keys(store.tables).join(', ')}`
+        });
+      }
+      if (!table.methods.includes(method)) {
+        throw new PostgrestError(405, 'PGRST117', `Unsupported HTTP method: ${request.method}`);
+      }
+      if ((method === 'post' || method === 'patch') && (request.body === null || typeof request.body !== 'object')) {
+        throw new PostgrestError(400, 'PGRST102', 'Empty or invalid json');
+      }
+
+      switch (method) {
+        case 'get':
+          return handleGet(tableName, request);
+        case 'post':
+          return handlePost(tableName, request);
+        case 'patch':
+          return handlePatch(tableName, request);
+        default:
+          return handleDelete(tableName, request);
+      }
+    } catch (error) {
+      if (error instanceof PostgrestError) {
+        return { status: error.status, headers: {}, body: error.toJSON() };
+      }
+      return { status: 500, headers: {}, body: { code: 'PGRST000', details: null, hint: null, message: error.message } };
+    }
+  };
+}
+
+/**
+ * Create an HTTP server for the mock API (not yet listening)
+ * @param {Object} options - Server options
+ * @param {string} options.specPath - OpenAPI spec to serve (default: src/openapi/openapi.json)
+ * @param {string} options.dataPath - Seed SQL or NEPA dataset to load (default: src/database/seed-v1.0.0.sql)
+ * @param {Function} options.onRequest - Called with (request, response) after each request, e.g. for logging
+ * @returns {Object} { server, store, warnings }
+ */
+function createMockServer(options = {}) {
+  const utils = new ValidationUtils({ strict: false, verbose: false });
+  const spec = utils.parseFile(options.specPath || DEFAULT_SPEC_PATH);
+  const loaded = loadMockRows(options.dataPath || DEFAULT_SEED_PATH);
+  const store = createMockStore(spec, loaded.tables);
+  const handle = createMockHandler(spec, store);
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const text = Buffer.concat(chunks).toString('utf8');
+      const request = { method: req.method, pathname: url.pathname, query: url.searchParams, headers: req.headers, body: null };
+
+      let response;
+      try {
+        request.body = text.trim() === '' ? null : JSON.parse(text);
+        response = handle(request);
+      } catch (error) {
+        response = { status: 400, headers: {}, body: new PostgrestError(400, 'PGRST102', 'Empty or invalid json', { details: error.message }).toJSON() };
+      }
+
+      const headers = { ...CORS_HEADERS, ...response.headers };
+      if (response.body !== null && !headers['Content-Type']) {
+        headers['Content-Type'] = 'application/json; charset=utf-8';
+      }
+      res.writeHead(response.status, headers);
+      res.end(response.body === null ? undefined : JSON.stringify(response.body));
+
+      if (options.onRequest) options.onRequest(request, response);
+    });
+  });
+
+  return { server, store, warnings: [...loaded.warnings, ...store.warnings] };
+}
+
+/**
+ * Main server function
+ * Listens until the process is stopped (Ctrl+C)
+ * @param {Object} options - Server options (see createMockServer)
+ * @param {number} options.port - Port (default: 3030; 0 picks a free port)
+ * @param {string} options.host - Interface to listen on (default: 127.0.0.1)
+ * @param {boolean} options.verbose - Log every request
+ * @returns {Promise<Object|null>} Listening http.Server, or null if it could not start
+ */
+async function startMockServer(options = {}) {
+  try {
+    const specPath = options.specPath || DEFAULT_SPEC_PATH;
+    const dataPath = options.dataPath || DEFAULT_SEED_PATH;
+    console.log(`${colors.bold}${colors.blue}=== PostgREST Mock Server ===${colors.reset}`);
+    console.log(`Spec: ${specPath}`);
+    console.log(`Data: ${dataPath}`);
+
+    if (!fs.existsSync(specPath)) throw new Error(`Spec not found: ${specPath}`);
+    if (!fs.existsSync(dataPath)) throw new Error(`Data file not found: ${dataPath}`);
+
+    const { server, store, warnings } = createMockServer({
+      ...options,
+      onRequest: options.verbose
+        ? (request, response) => {
+          const color = response.status >= 400 ? colors.red : colors.green;
+          console.log(`${request.method} ${request.pathname}${request.query.toString() ? `?${request.query}` : ''} ${color}${response.status}${colors.reset}`);
+        }
+        : null
+    });
+
+    warnings.forEach(warning => console.log(`${colors.yellow}Warning: ${warning}${colors.reset}`));
+    Object.entries(store.data).forEach(([tableName, rows]) => {
+      console.log(`  /${tableName}: ${rows.length} row(s), ${store.tables[tableName].methods.map(method => method.toUpperCase()).join(' ')}`);
+    });
+
+    const host = options.host || '127.0.0.1';
+    const port = options.port === undefined ? DEFAULT_PORT : Number(options.port);
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+
+    const address = server.address();
+    console.log(`\n${colors.green}✓${colors.reset} Listening on http://${host}:${address.port} (also under ${SUPABASE_REST_PREFIX} for Supabase clients); press Ctrl+C to stop`);
+    return server;
+  } catch (error) {
+    console.error(`${colors.red}Error starting mock server: ${error.message}${colors.reset}`);
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_SPEC_PATH,
+  DEFAULT_PORT,
+  getMockTables,
+  loadMockRows,
+  createMockStore,
+  createMockHandler,
+  createMockServer,
+  startMockServer
+};
+
+// Start the server if called directly
+if (require.main === module) {
+  const options = [
+    { name: '--port <n>', description: `Port to listen on (default: ${DEFAULT_PORT}; 0 picks a free port)` },
+    { name: '--host <host>', description: 'Interface to listen on (default: 127.0.0.1)' },
+    { name: '--spec <openapi.json>', description: `OpenAPI spec to serve (default: ${path.relative(process.cwd(), DEFAULT_SPEC_PATH)})` },
+    { name: '--verbose', description: 'Log each request' },
+    { name: '--help, -h', description: 'Show this help' }
+  ];
+  let parsed;
+  try {
+    parsed = parseOptions(process.argv.slice(2), options, 'mock-server.js');
+  } catch (error) {
+    console.error(`${colors.red}${error.message}${colors.reset}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+  const { flags, positional } = parsed;
+
+  if (flags.help) {
+    showHelp('PostgREST Mock Server', {
+      description: `Serves the API in openapi.json from an in-memory copy of the seed data (default: ${path.relative(process.cwd(), DEFAULT_SEED_PATH)})`,
+      usage: 'node mock-server.js [seed.sql|dataset.json|dataset.yaml] [--port <n>] [--host <host>] [--spec <openapi.json>] [--verbose]',
+      options
+    });
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+
+  startMockServer({
+    dataPath: positional[0],
+    specPath: flags.spec,
+    port: flags.port,
+    host: flags.host,
+    verbose: Boolean(flags.verbose)
+  }).then(server => {
+    if (!server) process.exit(EXIT_CODES.FAILURE);
+  });
+}
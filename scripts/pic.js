@@ -0,0 +1,1288 @@
+#!/usr/bin/env node
+/**
+ * Unified command-line interface for the NEPA data standard toolkit
+ * Dispatches subcommands to the validators with consistent flags and exit codes
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const {
+  EXIT_CODES,
+  UsageError,
+  parseArgs,
+  checkFlags,
+  loadConfig,
+  createOutput,
+  formatSummary,
+  showHelp
+} = require('./utils/cli-utils');
+const { ValidationUtils, colors } = require('./utils/validation-utils');
+const { transformToNepaFormat } = require('./utils/transformation-utils');
+const { validateDataset } = require('../index');
+const { checkSchemas, validateSchemas, displayVerboseSchemaInfo } = require('./validate-schemas');
+const { formatStreamingStats } = require('./validate-csv');
+const { isValidTimezone, formatCoercionGroup } = require('./utils/coercion-utils');
+const { writeCsvMapping } = require('./map-csv');
+const { exportCsv } = require('./export-csv');
+const { checkSchemaDiff, diffSchemaFiles } = require('./diff-schemas');
+const { loadLintRules, checkSchemaLint, lintSchemaFile } = require('./lint-schema');
+const { resolveLintRules } = require('./utils/schema-lint-utils');
+const { generateTypes } = require('./generate-types');
+const { generateApiSpec } = require('./generate-api-spec');
+const { DICTIONARY_FORMATS, generateDataDictionary } = require('./generate-data-dictionary');
+const { checkDatabaseCrosswalk, validateDatabaseCrosswalk, generateMappingSuggestions } = require('./validate-database-crosswalk');
+const { checkOpenApiFiles, validateOpenApiFiles } = require('./validate-openapi');
+const { upgradeOpenApi } = require('./upgrade-openapi');
+const { checkRoundTrip, validateRoundTrip } = require('./validate-roundtrip');
+const { generateSql } = require('./generate-sql');
+const { migrateFile } = require('./migrate');
+const { generateDatasetFile } = require('./generate-dataset');
+const { DEFAULT_SPEC_PATH, DEFAULT_PORT, startMockServer } = require('./mock-server');
+const { checkApiContract, checkMockApiContract, validateApiContract } = require('./validate-api-contract');
+const { DEFAULT_SEED_PATH } = require('./utils/sql-utils');
+const {
+  REPORT_FORMATS,
+  createFinding,
+  findingsFromAjvErrors,
+  findingsFromSchemaResults,
+  findingsFromCrosswalkResults,
+  findingsFromOpenApiResults,
+  findingsFromReferenceResults,
+  findingsFromCoercions,
+  findingsFromRoundTripResults,
+  findingsFromSchemaDiffResults,
+  findingsFromSchemaLintResults,
+  findingsFromContractResults,
+  formatLocation,
+  buildReport,
+  writeReport
+} = require('./utils/report-utils');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_DATA_DIRS = ['src/json', 'src/yaml', 'src/csv'].map(dir => path.join(PROJECT_ROOT, dir));
+const DEFAULT_NEPA_SCHEMA = path.join(PROJECT_ROOT, 'src', 'jsonschema', 'nepa.schema.json');
+const DEFAULT_CROSSWALK = path.join(PROJECT_ROOT, 'src', 'crosswalk', 'database_crosswalk.csv');
+const DEFAULT_OPENAPI_DIR = path.join(PROJECT_ROOT, 'src', 'openapi');
+
+const FORMATS = ['json', 'yaml', 'csv'];
+
+// Flags that take a value as the following argument
+const VALUE_FLAGS = ['format', 'config', 'to', 'from', 'out', 'report', 'report-file', 'ddl', 'seed', 'projects', 'port', 'host', 'spec', 'data', 'api-key', 'rules', 'max-errors', 'mapping', 'timezone'];
+
+const GLOBAL_OPTIONS = [
+  { name: '--format <json|yaml|csv>', description: 'Input format (detected from the file extension by default)' },
+  { name: '--verbose, -v', description: 'Show detailed output' },
+  { name: '--quiet, -q', description: 'Only print errors' },
+  { name: '--config <file>', description: 'JSON or YAML file of default option values (keys are flag names)' },
+  { name: '--report <json|sarif|junit>', description: 'Emit a machine-readable report of all findings' },
+  { name: '--report-file <file>', description: 'Write the report to a file instead of stdout' },
+  { name: '--help, -h', description: 'Show help for pic or a command' }
+];
+
+/**
+ * Detect the dataset format of a file from its extension
+ * @param {string} filePath - Path to the data file
+ * @returns {string|null} 'json', 'yaml', 'csv' or null if unknown
+ */
+function detectFormat(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.json') return 'json';
+  if (ext === '.yaml' || ext === '.yml') return 'yaml';
+  if (ext === '.csv') return 'csv';
+  return null;
+}
+
+/**
+ * Expand command-line targets into datasets to validate
+ * CSV files in a directory are combined into a single dataset
+ * @param {Array<string>} targets - Files or directories
+ * @param {string} format - Explicit input format, if any
+ * @param {boolean} explicit - Whether targets were given by the user (missing paths are then errors)
+ * @returns {Array<Object>} Datasets with path and format
+ */
+function collectDatasets(targets, format, explicit) {
+  const utils = new ValidationUtils({ strict: false, verbose: false });
+  const datasets = [];
+
+  for (const target of targets) {
+    if (!fs.existsSync(target)) {
+      if (explicit) {
+        throw new UsageError(`Path not found: ${target}`);
+      }
+      continue;
+    }
+
+    if (!fs.statSync(target).isDirectory()) {
+      const fileFormat = format || detectFormat(target);
+      if (!fileFormat) {
+        throw new UsageError(`Cannot detect format of ${target}; pass --format`);
+      }
+      datasets.push({ path: target, format: fileFormat });
+      continue;
+    }
+
+    if (!format || format !== 'csv') {
+      const extensions = format === 'json' ? ['.json'] : format === 'yaml' ? ['.yaml', '.yml'] : ['.json', '.yaml', '.yml'];
+      utils.findFiles([target], extensions, ['schema', 'package', 'lock']).forEach(file => {
+        datasets.push({ path: file, format: detectFormat(file) });
+      });
+    }
+
+    if (!format || format === 'csv') {
+      if (utils.findFiles([target], ['.csv']).length > 0) {
+        datasets.push({ path: target, format: 'csv' });
+      }
+    }
+  }
+
+  return datasets;
+}
+
+/**
+ * Resolve validate targets into datasets
+ */
+function resolveDatasets(args, options) {
+  const explicit = args.length > 0;
+  const targets = explicit ? args.map(arg => path.resolve(arg)) : DEFAULT_DATA_DIRS;
+  return { targets, datasets: collectDatasets(targets, options.format, explicit) };
+}
+
+/**
+ * Validate a single dataset file or CSV directory
+ */
+function validateDatasetFile(dataset, options = {}) {
+  if (options.timezone && !isValidTimezone(String(options.timezone))) {
+    throw new UsageError(`Unknown time zone: ${options.timezone} (use an IANA name such as America/New_York)`);
+  }
+
+  const input = dataset.format === 'csv' ? dataset.path : fs.readFileSync(dataset.path, 'utf8');
+  return validateDataset(input, {
+    format: dataset.format,
+    references: Boolean(options.references),
+    stream: Boolean(options.stream),
+    maxErrors: options['max-errors'] ? Number(options['max-errors']) : undefined,
+    mapping: options.mapping ? path.resolve(String(options.mapping)) : undefined,
+    timezone: options.timezone ? String(options.timezone) : undefined
+  });
+}
+
+/**
+ * Count the errors and warnings of a validateDataset() result that were found but not kept
+ * (streamed CSV keeps at most --max-errors schema errors, reference errors and reference warnings)
+ * @param {Object} result - validateDataset() result
+ * @returns {Object} { errors, warnings } not kept, and { totalErrors, totalWarnings } found
+ */
+function countErrors(result) {
+  const references = result.references;
+  const schemaErrors = result.errorCount === undefined ? result.errors.length : result.errorCount;
+  const referenceErrors = references ? references.stats.duplicates + references.stats.dangling : 0;
+  const referenceWarnings = references ? references.stats.orphans : 0;
+  const keptErrors = result.errors.length + (references ? references.errors.length : 0);
+  const keptWarnings = references ? references.warnings.length : 0;
+
+  return {
+    totalErrors: schemaErrors + referenceErrors,
+    totalWarnings: referenceWarnings,
+    errors: Math.max(0, schemaErrors + referenceErrors - keptErrors),
+    warnings: Math.max(0, referenceWarnings - keptWarnings)
+  };
+}
+
+/**
+ * pic validate [paths...]
+ */
+async function runValidate(args, options, out) {
+  const { targets, datasets } = resolveDatasets(args, options);
+  const utils = new ValidationUtils({ strict: false, verbose: Boolean(options.verbose) });
+
+  if (datasets.length === 0) {
+    out.info(`${colors.yellow}No datasets found to validate in: ${targets.map(t => path.relative(process.cwd(), t)).join(', ')}${colors.reset}`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const results = [];
+  let totalRecords = 0;
+  const recordCounts = {};
+  const counts = { totalErrors: 0, totalWarnings: 0, errors: 0, warnings: 0 };
+
+  for (const dataset of datasets) {
+    const relativePath = path.relative(process.cwd(), dataset.path) || '.';
+    const result = await validateDatasetFile(dataset, options);
+    const references = result.references || { errors: [], warnings: [] };
+
+    // Reference errors are reported alongside the AJV errors in the summary
+    results.push({
+      isValid: result.valid,
+      data: result.data || null,
+      errors: [
+        ...result.errors,
+        ...references.errors.map(error => ({ instancePath: error.pointer, keyword: error.type, message: error.message, data: error.value, source: error.source }))
+      ],
+      filePath: relativePath
+    });
+
+    if (result.valid) {
+      totalRecords += result.totalRecords;
+      Object.entries(result.recordCounts).forEach(([type, count]) => {
+        recordCounts[type] = (recordCounts[type] || 0) + count;
+      });
+      out.info(`${colors.green}✓${colors.reset} ${relativePath} (${dataset.format}${result.standardVersion ? `, standard ${result.standardVersion}` : ''}, ${result.totalRecords} records)`);
+    } else {
+      out.info(`${colors.red}✘${colors.reset} ${relativePath} (${dataset.format})`);
+    }
+
+    references.warnings.forEach(warning => {
+      out.info(`  ${colors.yellow}Warning:${colors.reset} ${warning.message}`);
+    });
+
+    if (result.coercions && result.coercions.total > 0) {
+      out.info(`  ${colors.gray}Coerced ${result.coercions.total} values to their schema types${options.verbose ? '' : ' (--verbose lists them)'}${colors.reset}`);
+      if (options.verbose) {
+        result.coercions.groups.forEach(group => out.info(`    ${colors.gray}${formatCoercionGroup(group)}${colors.reset}`));
+      }
+    }
+
+    const fileCounts = countErrors(result);
+    Object.keys(counts).forEach(key => {
+      counts[key] += fileCounts[key];
+    });
+
+    if (result.stats) {
+      out.info(`  ${colors.gray}Streamed ${formatStreamingStats(result.stats)}${colors.reset}`);
+      if (fileCounts.errors + fileCounts.warnings > 0) {
+        out.info(`  ${colors.gray}Showing ${fileCounts.totalErrors - fileCounts.errors} of ${fileCounts.totalErrors} errors and ` +
+          `${fileCounts.totalWarnings - fileCounts.warnings} of ${fileCounts.totalWarnings} warnings (--max-errors keeps more)${colors.reset}`);
+      }
+    }
+  }
+
+  const success = utils.printSummary(results, totalRecords, recordCounts);
+  if (counts.totalErrors + counts.totalWarnings > 0) {
+    const notShown = counts.errors + counts.warnings > 0 ? ` (${counts.errors} errors and ${counts.warnings} warnings not shown)` : '';
+    out.info(`\n${colors.bold}Found ${counts.totalErrors} errors and ${counts.totalWarnings} warnings${notShown}${colors.reset}`);
+  }
+  out.info(formatSummary(success, 'dataset validation'));
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Collect findings for pic validate
+ */
+async function checkValidate(args, options) {
+  const { datasets } = resolveDatasets(args, options);
+  const targets = [];
+  const findings = [];
+  const truncated = { errors: 0, warnings: 0 };
+  let valid = true;
+
+  for (const dataset of datasets) {
+    const result = await validateDatasetFile(dataset, options);
+    valid = valid && result.valid;
+
+    const counts = countErrors(result);
+    truncated.errors += counts.errors;
+    truncated.warnings += counts.warnings;
+
+    if (dataset.format === 'csv') {
+      targets.push(...(result.files || []).map(file => file.filePath));
+      (result.files || []).forEach(file => file.errors.forEach(error => findings.push(createFinding({
+        file: file.filePath,
+        severity: 'error',
+        ruleId: 'csv/structure',
+        message: error.message
+      }))));
+    } else {
+      targets.push(dataset.path);
+    }
+
+    const location = {
+      file: dataset.path,
+      csvSources: dataset.format === 'csv' ? result.processedFiles : null
+    };
+    findings.push(...findingsFromAjvErrors(result.errors, location));
+    if (result.references) {
+      findings.push(...findingsFromReferenceResults(result.references, location));
+    }
+    findings.push(...findingsFromCoercions(result.coercions));
+  }
+
+  return { valid, targets, findings, truncated };
+}
+
+/**
+ * Resolve the --ddl option for the crosswalk drift check
+ */
+function resolveDdlPath(options) {
+  if (!options.ddl) {
+    return undefined;
+  }
+
+  const ddlPath = path.resolve(String(options.ddl));
+  if (!fs.existsSync(ddlPath)) {
+    throw new UsageError(`DDL not found: ${ddlPath}`);
+  }
+  return ddlPath;
+}
+
+/**
+ * pic crosswalk [crosswalk.csv]
+ */
+async function runCrosswalk(args, options, out) {
+  const crosswalkPath = args[0] ? path.resolve(args[0]) : DEFAULT_CROSSWALK;
+  if (!fs.existsSync(crosswalkPath)) {
+    throw new UsageError(`Crosswalk file not found: ${crosswalkPath}`);
+  }
+
+  if (options.suggestions) {
+    await generateMappingSuggestions(crosswalkPath);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const success = await validateDatabaseCrosswalk(crosswalkPath, { verbose: Boolean(options.verbose), ddlPath: resolveDdlPath(options) });
+  out.info(formatSummary(success, 'database crosswalk validation'));
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Collect findings for pic crosswalk
+ */
+async function checkCrosswalk(args, options) {
+  const crosswalkPath = args[0] ? path.resolve(args[0]) : DEFAULT_CROSSWALK;
+  if (!fs.existsSync(crosswalkPath)) {
+    throw new UsageError(`Crosswalk file not found: ${crosswalkPath}`);
+  }
+
+  const results = await checkDatabaseCrosswalk(crosswalkPath, { ddlPath: resolveDdlPath(options) });
+  return { valid: results.valid, targets: [crosswalkPath, results.ddlPath], findings: findingsFromCrosswalkResults(results) };
+}
+
+/**
+ * pic openapi [openapi-dir] [crosswalk.csv]
+ */
+async function runOpenApi(args, options, out) {
+  const openApiDir = args[0] ? path.resolve(args[0]) : DEFAULT_OPENAPI_DIR;
+  const crosswalkPath = args[1] ? path.resolve(args[1]) : DEFAULT_CROSSWALK;
+  if (!fs.existsSync(openApiDir)) {
+    throw new UsageError(`OpenAPI directory not found: ${openApiDir}`);
+  }
+
+  const success = await validateOpenApiFiles(openApiDir, crosswalkPath);
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Collect findings for pic openapi
+ */
+async function checkOpenApi(args) {
+  const openApiDir = args[0] ? path.resolve(args[0]) : DEFAULT_OPENAPI_DIR;
+  const crosswalkPath = args[1] ? path.resolve(args[1]) : DEFAULT_CROSSWALK;
+  if (!fs.existsSync(openApiDir)) {
+    throw new UsageError(`OpenAPI directory not found: ${openApiDir}`);
+  }
+
+  const results = await checkOpenApiFiles(openApiDir, crosswalkPath);
+  return {
+    valid: results.valid,
+    targets: results.files.map(file => file.filePath),
+    findings: findingsFromOpenApiResults(results)
+  };
+}
+
+/**
+ * pic openapi-upgrade [openapi.json] [--out <file>] [--check]
+ */
+async function runOpenApiUpgrade(args, options, out) {
+  const inputPath = args[0] ? path.resolve(args[0]) : DEFAULT_SPEC_PATH;
+  if (!fs.existsSync(inputPath)) {
+    throw new UsageError(`OpenAPI spec not found: ${inputPath}`);
+  }
+
+  const outputPath = options.out ? path.resolve(String(options.out)) : undefined;
+  const success = upgradeOpenApi(inputPath, outputPath, { check: Boolean(options.check) });
+  out.info(formatSummary(success, options.check ? 'OpenAPI 3.1 check' : 'OpenAPI 3.1 upgrade'));
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * pic migrate <input> [--from <version>] [--to <version>] [--out <file>]
+ */
+async function runMigrate(args, options) {
+  if (args.length === 0) {
+    throw new UsageError('migrate requires an input file');
+  }
+
+  const inputPath = path.resolve(args[0]);
+  if (!fs.existsSync(inputPath)) {
+    throw new UsageError(`Input file not found: ${inputPath}`);
+  }
+
+  const format = options.format || detectFormat(inputPath);
+  if (format !== 'json' && format !== 'yaml') {
+    throw new UsageError('migrate reads JSON or YAML input; pass --format json|yaml');
+  }
+
+  const outputPath = options.out ? path.resolve(options.out) : null;
+  const success = migrateFile(inputPath, outputPath, {
+    format,
+    from: options.from === undefined ? undefined : String(options.from),
+    to: options.to === undefined ? undefined : String(options.to),
+    verbose: Boolean(options.verbose)
+  });
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * pic generate [--seed <value>] [--projects <n>] [--out <file>] [--check]
+ */
+async function runGenerate(args, options, out) {
+  const projects = options.projects === undefined ? undefined : Number(options.projects);
+  if (projects !== undefined && (!Number.isInteger(projects) || projects < 1)) {
+    throw new UsageError(`Invalid --projects value '${options.projects}' (expected a positive integer)`);
+  }
+  if (options.check && !options.out) {
+    throw new UsageError('generate --check requires --out <file>');
+  }
+
+  const outputPath = options.out ? path.resolve(options.out) : null;
+  const success = generateDatasetFile(outputPath, {
+    seed: options.seed === undefined ? undefined : String(options.seed),
+    projects,
+    check: Boolean(options.check)
+  });
+  if (outputPath) {
+    out.info(formatSummary(success, options.check ? 'synthetic dataset check' : 'synthetic dataset generation'));
+  }
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * pic mock-server [seed.sql|dataset] [--port <n>] [--host <host>] [--spec <file>]
+ * Resolves once the server is listening; the open server keeps the process running
+ */
+async function runMockServer(args, options) {
+  const dataPath = args[0] ? path.resolve(args[0]) : DEFAULT_SEED_PATH;
+  if (!fs.existsSync(dataPath)) {
+    throw new UsageError(`Data file not found: ${dataPath}`);
+  }
+  const specPath = options.spec ? path.resolve(String(options.spec)) : DEFAULT_SPEC_PATH;
+  if (!fs.existsSync(specPath)) {
+    throw new UsageError(`OpenAPI spec not found: ${specPath}`);
+  }
+  const port = options.port === undefined ? DEFAULT_PORT : Number(options.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new UsageError(`Invalid --port value '${options.port}' (expected 0-65535)`);
+  }
+
+  const server = await startMockServer({
+    dataPath,
+    specPath,
+    port,
+    host: options.host ? String(options.host) : undefined,
+    verbose: Boolean(options.verbose)
+  });
+  return server ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Resolve the base URL and test options for pic contract
+ * Without a base URL the tests run against an in-process mock server seeded from --data
+ */
+function resolveContractOptions(args, options) {
+  const baseUrl = args[0] || null;
+  if (baseUrl && !/^https?:\/\//.test(baseUrl)) {
+    throw new UsageError(`Invalid base URL '${baseUrl}' (expected http:// or https://)`);
+  }
+  if (baseUrl && options.data) {
+    throw new UsageError('--data only applies to the in-process mock server; omit the base URL to use it');
+  }
+  const specPath = options.spec ? path.resolve(String(options.spec)) : DEFAULT_SPEC_PATH;
+  if (!fs.existsSync(specPath)) {
+    throw new UsageError(`OpenAPI spec not found: ${specPath}`);
+  }
+  const dataPath = options.data ? path.resolve(String(options.data)) : undefined;
+  if (dataPath && !fs.existsSync(dataPath)) {
+    throw new UsageError(`Data file not found: ${dataPath}`);
+  }
+
+  return {
+    baseUrl,
+    testOptions: {
+      specPath,
+      dataPath,
+      write: Boolean(options.write),
+      apiKey: options['api-key'] ? String(options['api-key']) : process.env.PIC_API_KEY,
+      verbose: Boolean(options.verbose)
+    }
+  };
+}
+
+/**
+ * pic contract [base-url] [--data <file>] [--write] [--api-key <key>] [--spec <file>]
+ */
+async function runContract(args, options, out) {
+  const { baseUrl, testOptions } = resolveContractOptions(args, options);
+  const success = await validateApiContract(baseUrl, testOptions);
+  out.info(formatSummary(success, 'API contract test'));
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Collect findings for pic contract
+ */
+async function checkContract(args, options) {
+  const { baseUrl, testOptions } = resolveContractOptions(args, options);
+  const results = baseUrl ? await checkApiContract(baseUrl, testOptions) : await checkMockApiContract(testOptions);
+  return { valid: results.valid, targets: [results.baseUrl, results.specPath], findings: findingsFromContractResults(results) };
+}
+
+/**
+ * pic database roundtrip [seed.sql]
+ */
+async function runDatabaseRoundTrip(args, options, out) {
+  const seedPath = args[0] ? path.resolve(args[0]) : DEFAULT_SEED_PATH;
+  if (!fs.existsSync(seedPath)) {
+    throw new UsageError(`Seed file not found: ${seedPath}`);
+  }
+
+  const success = validateRoundTrip(seedPath, { verbose: Boolean(options.verbose) });
+  out.info(formatSummary(success, 'database round trip validation'));
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Collect findings for pic database roundtrip
+ */
+async function checkDatabaseRoundTrip(args) {
+  const seedPath = args[0] ? path.resolve(args[0]) : DEFAULT_SEED_PATH;
+  if (!fs.existsSync(seedPath)) {
+    throw new UsageError(`Seed file not found: ${seedPath}`);
+  }
+
+  const results = checkRoundTrip(seedPath);
+  return { valid: results.valid, targets: [seedPath], findings: findingsFromRoundTripResults(results) };
+}
+
+/**
+ * pic database sql <input> [--out <file>] [--null-dangling]
+ */
+async function runDatabaseSql(args, options) {
+  if (args.length === 0) {
+    throw new UsageError('database sql requires an input file');
+  }
+
+  const inputPath = path.resolve(args[0]);
+  if (!fs.existsSync(inputPath)) {
+    throw new UsageError(`Input file not found: ${inputPath}`);
+  }
+
+  const format = options.format || detectFormat(inputPath);
+  if (format !== 'json' && format !== 'yaml') {
+    throw new UsageError('database sql reads JSON or YAML input; pass --format json|yaml');
+  }
+
+  const outputPath = options.out ? path.resolve(options.out) : null;
+  const success = generateSql(inputPath, outputPath, {
+    format,
+    verbose: Boolean(options.verbose),
+    nullDangling: Boolean(options['null-dangling'])
+  });
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * pic convert <input> --to <json|yaml> [--out <file>] [--normalize]
+ */
+async function runConvert(args, options, out) {
+  if (args.length === 0) {
+    throw new UsageError('convert requires an input file');
+  }
+
+  const inputPath = path.resolve(args[0]);
+  if (!fs.existsSync(inputPath)) {
+    throw new UsageError(`Input file not found: ${inputPath}`);
+  }
+
+  const inputFormat = options.format || detectFormat(inputPath);
+  if (inputFormat !== 'json' && inputFormat !== 'yaml') {
+    throw new UsageError('convert reads JSON or YAML input; pass --format json|yaml');
+  }
+
+  const outputFormat = options.to || (options.out ? detectFormat(options.out) : null) || (inputFormat === 'json' ? 'yaml' : 'json');
+  if (outputFormat !== 'json' && outputFormat !== 'yaml') {
+    throw new UsageError(`Unsupported output format: ${outputFormat} (expected json or yaml)`);
+  }
+
+  const content = fs.readFileSync(inputPath, 'utf8');
+  let data = inputFormat === 'yaml' ? yaml.load(content) : JSON.parse(content);
+
+  // Optionally reshape database-style exports into NEPA collections
+  if (options.normalize) {
+    const { data: transformed, fixes } = transformToNepaFormat(data);
+    data = transformed;
+    fixes.forEach(fix => out.detail(`  ${colors.cyan}Fix:${colors.reset} ${fix}`));
+    out.info(`Applied ${fixes.length} transformation(s)`);
+  }
+
+  const output = outputFormat === 'yaml' ? yaml.dump(data, { lineWidth: -1 }) : `${JSON.stringify(data, null, 2)}\n`;
+
+  if (options.out) {
+    fs.writeFileSync(path.resolve(options.out), output);
+    out.info(`${colors.green}✓${colors.reset} Wrote ${outputFormat.toUpperCase()} to ${options.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * pic schema validate [schema-dir]
+ */
+async function runSchemaValidate(args, options, out) {
+  const schemaDir = args[0] ? path.resolve(args[0]) : null;
+  if (schemaDir && !fs.existsSync(schemaDir)) {
+    throw new UsageError(`Schema directory not found: ${schemaDir}`);
+  }
+
+  const success = validateSchemas(schemaDir, Boolean(options.verbose));
+  out.info(formatSummary(success, 'schema validation'));
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Collect findings for pic schema validate
+ */
+async function checkSchemaFiles(args) {
+  const schemaDir = args[0] ? path.resolve(args[0]) : null;
+  if (schemaDir && !fs.existsSync(schemaDir)) {
+    throw new UsageError(`Schema directory not found: ${schemaDir}`);
+  }
+
+  const results = checkSchemas(schemaDir);
+  return {
+    valid: results.valid,
+    targets: results.files.map(file => file.filePath),
+    findings: findingsFromSchemaResults(results)
+  };
+}
+
+/**
+ * pic schema inspect [schema-file]
+ */
+async function runSchemaInspect(args, options, out) {
+  const schemaPath = args[0] ? path.resolve(args[0]) : DEFAULT_NEPA_SCHEMA;
+  if (!fs.existsSync(schemaPath)) {
+    throw new UsageError(`Schema file not found: ${schemaPath}`);
+  }
+
+  const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  displayVerboseSchemaInfo(schema, path.basename(schemaPath));
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * pic schema types [schema-file] [--out <file>] [--check]
+ */
+async function runSchemaTypes(args, options, out) {
+  const schemaPath = args[0] ? path.resolve(args[0]) : DEFAULT_NEPA_SCHEMA;
+  if (!fs.existsSync(schemaPath)) {
+    throw new UsageError(`Schema file not found: ${schemaPath}`);
+  }
+
+  const typesPath = options.out ? path.resolve(options.out) : undefined;
+  const success = generateTypes(schemaPath, typesPath, { check: Boolean(options.check) });
+  out.info(formatSummary(success, options.check ? 'TypeScript declaration check' : 'TypeScript declaration generation'));
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * pic csv map [csv-dir] [--mapping <file>] [--dry-run]
+ */
+async function runCsvMap(args, options, out) {
+  const csvDir = args[0] ? path.resolve(args[0]) : path.join(PROJECT_ROOT, 'src/csv');
+  if (!fs.existsSync(csvDir)) {
+    throw new UsageError(`CSV directory not found: ${csvDir}`);
+  }
+
+  const success = await writeCsvMapping(csvDir, {
+    mappingPath: options.mapping ? path.resolve(String(options.mapping)) : undefined,
+    dryRun: Boolean(options['dry-run'])
+  });
+  out.info(formatSummary(success, 'CSV mapping'));
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * pic export csv <input> --out <dir>
+ */
+async function runExportCsv(args, options, out) {
+  if (args.length === 0) {
+    throw new UsageError('export csv requires an input file');
+  }
+  if (!options.out) {
+    throw new UsageError('export csv requires --out <dir>');
+  }
+
+  const inputPath = path.resolve(args[0]);
+  if (!fs.existsSync(inputPath)) {
+    throw new UsageError(`Input file not found: ${inputPath}`);
+  }
+
+  const format = options.format || detectFormat(inputPath);
+  if (format !== 'json' && format !== 'yaml') {
+    throw new UsageError('export csv reads JSON or YAML input; pass --format json|yaml');
+  }
+
+  const success = await exportCsv(inputPath, path.resolve(String(options.out)), { format, verbose: Boolean(options.verbose) });
+  out.info(formatSummary(success, 'CSV export'));
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * pic schema openapi [schema-file] [--out <file>] [--check]
+ */
+async function runSchemaOpenApi(args, options, out) {
+  const schemaPath = args[0] ? path.resolve(args[0]) : DEFAULT_NEPA_SCHEMA;
+  if (!fs.existsSync(schemaPath)) {
+    throw new UsageError(`Schema file not found: ${schemaPath}`);
+  }
+
+  const specPath = options.out ? path.resolve(options.out) : undefined;
+  const success = generateApiSpec(schemaPath, specPath, { check: Boolean(options.check) });
+  out.info(formatSummary(success, options.check ? 'API specification check' : 'API specification generation'));
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * pic schema docs [schema-file] [--to markdown|html] [--out <file>] [--check]
+ */
+async function runSchemaDocs(args, options, out) {
+  const schemaPath = args[0] ? path.resolve(args[0]) : DEFAULT_NEPA_SCHEMA;
+  if (!fs.existsSync(schemaPath)) {
+    throw new UsageError(`Schema file not found: ${schemaPath}`);
+  }
+
+  const format = options.to ? String(options.to).toLowerCase() : 'markdown';
+  if (!DICTIONARY_FORMATS.includes(format)) {
+    throw new UsageError(`Invalid --to value '${options.to}' for schema docs (expected one of: ${DICTIONARY_FORMATS.join(', ')})`);
+  }
+  if (format === 'html' && !options.out && options.check) {
+    throw new UsageError('schema docs --to html --check needs --out <file> to compare with');
+  }
+
+  const outputPath = options.out ? path.resolve(options.out) : null;
+  const success = generateDataDictionary({ schemaPath, format, outputPath, check: Boolean(options.check) });
+  if (outputPath || format === 'markdown') {
+    out.info(formatSummary(success, options.check ? 'data dictionary check' : 'data dictionary generation'));
+  }
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Resolve the schema files for pic schema diff <old> [new]
+ */
+function resolveSchemaDiffPaths(args) {
+  if (args.length === 0) {
+    throw new UsageError('schema diff requires the old schema file');
+  }
+
+  const paths = [path.resolve(args[0]), args[1] ? path.resolve(args[1]) : DEFAULT_NEPA_SCHEMA];
+  paths.forEach(schemaPath => {
+    if (!fs.existsSync(schemaPath)) {
+      throw new UsageError(`Schema file not found: ${schemaPath}`);
+    }
+  });
+  return paths;
+}
+
+/**
+ * pic schema diff <old> [new]
+ */
+async function runSchemaDiff(args, options, out) {
+  const [oldPath, newPath] = resolveSchemaDiffPaths(args);
+  const success = diffSchemaFiles(oldPath, newPath, { verbose: Boolean(options.verbose) });
+  out.info(formatSummary(success, 'schema compatibility check'));
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Collect findings for pic schema diff
+ */
+async function checkSchemaDiffFindings(args) {
+  const [oldPath, newPath] = resolveSchemaDiffPaths(args);
+  const results = checkSchemaDiff(oldPath, newPath);
+  return {
+    valid: results.valid,
+    targets: [oldPath, newPath],
+    findings: findingsFromSchemaDiffResults(results)
+  };
+}
+
+/**
+ * Resolve the schema file and rule severities for pic schema lint
+ * --rules is a rules file, or a map of rule severities when it comes from --config
+ */
+function resolveSchemaLintOptions(args, options) {
+  const schemaPath = args[0] ? path.resolve(args[0]) : DEFAULT_NEPA_SCHEMA;
+  if (!fs.existsSync(schemaPath)) {
+    throw new UsageError(`Schema file not found: ${schemaPath}`);
+  }
+
+  let rules = {};
+  if (options.rules && typeof options.rules === 'object') {
+    rules = options.rules;
+  } else if (options.rules) {
+    const rulesPath = path.resolve(String(options.rules));
+    if (!fs.existsSync(rulesPath)) {
+      throw new UsageError(`Rules file not found: ${rulesPath}`);
+    }
+    rules = loadLintRules(rulesPath);
+  }
+
+  try {
+    resolveLintRules(rules);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  return { schemaPath, rules };
+}
+
+/**
+ * pic schema lint [schema-file] [--rules <file>]
+ */
+async function runSchemaLint(args, options, out) {
+  const { schemaPath, rules } = resolveSchemaLintOptions(args, options);
+  const success = lintSchemaFile(schemaPath, { rules, verbose: Boolean(options.verbose) });
+  out.info(formatSummary(success, 'schema lint'));
+  return success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Collect findings for pic schema lint
+ */
+async function checkSchemaLintFindings(args, options) {
+  const { schemaPath, rules } = resolveSchemaLintOptions(args, options);
+  const results = checkSchemaLint(schemaPath, { rules });
+  return {
+    valid: results.valid,
+    targets: [schemaPath],
+    findings: findingsFromSchemaLintResults(results)
+  };
+}
+
+/**
+ * Run a command's check and print errors or write a report
+ * Reports written to stdout replace all other output so they can be piped
+ * @param {Object} command - Command definition with a check function
+ * @param {string} name - Command name as typed
+ * @param {Array<string>} args - Positional arguments
+ * @param {Object} options - Parsed options
+ * @param {Object} out - Output writers from createOutput()
+ * @returns {Promise<number>} Exit code
+ */
+async function runCheck(command, name, args, options, out) {
+  const result = await command.check(args, options);
+
+  if (options.report) {
+    const report = buildReport({ command: name, ...result });
+    writeReport(report, options.report, options['report-file'] ? path.resolve(options['report-file']) : null);
+  }
+
+  if (!options.report || options['report-file']) {
+    result.findings.filter(finding => finding.severity === 'error').forEach(finding => {
+      const value = finding.value !== null ? ` (value: ${JSON.stringify(finding.value)})` : '';
+      out.error(`${colors.red}✘${colors.reset} ${formatLocation(finding)}: ${finding.message}${value} ${colors.cyan}[${finding.ruleId}]${colors.reset}`);
+    });
+  }
+
+  return result.valid ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Command registry - drives dispatch and generated help
+ */
+const COMMANDS = {
+  validate: {
+    usage: 'pic validate [paths...] [--format json|yaml|csv] [--references] [--stream] [--max-errors <n>] [--mapping <file>] [--timezone <zone>]',
+    description: 'Validate JSON, YAML or CSV datasets against the NEPA schema (default: src/json, src/yaml, src/csv)',
+    options: [
+      { name: '--references', description: 'Also check foreign keys, duplicate ids and orphaned records across collections' },
+      { name: '--stream', description: 'Validate CSV exports row by row in bounded memory and report throughput and peak memory' },
+      { name: '--max-errors <n>', description: 'With --stream, errors to keep and report (default 1000); the rest are counted' },
+      { name: '--mapping <file>', description: 'CSV mapping file from pic csv map (default: csv-mapping.yaml in the CSV directory)' },
+      { name: '--timezone <zone>', description: 'IANA time zone for CSV date-times written without an offset (default UTC)' }
+    ],
+    run: runValidate,
+    check: checkValidate,
+    examples: [
+      'pic validate',
+      'pic validate data/export.yaml --references',
+      'pic validate exports/ --format csv --quiet',
+      'pic validate exports/ --format csv --stream --references'
+    ]
+  },
+  crosswalk: {
+    usage: 'pic crosswalk [crosswalk.csv] [--suggestions] [--ddl <file|dir>]',
+    description: 'Validate the database crosswalk against the NEPA schema and the SQL DDL',
+    options: [
+      { name: '--suggestions', description: 'Print mapping suggestions for crosswalk columns' },
+      { name: '--ddl <file|dir>', description: 'DDL to check the crosswalk against (default: src/database/schema-v1.0.0.sql)' }
+    ],
+    run: runCrosswalk,
+    check: checkCrosswalk,
+    examples: ['pic crosswalk', 'pic crosswalk --suggestions']
+  },
+  openapi: {
+    usage: 'pic openapi [openapi-dir] [crosswalk.csv]',
+    description: 'Validate OpenAPI specifications against the crosswalk and NEPA schema',
+    run: runOpenApi,
+    check: checkOpenApi,
+    examples: ['pic openapi', 'pic openapi src/openapi --quiet']
+  },
+  'openapi-upgrade': {
+    usage: 'pic openapi-upgrade [openapi.json] [--out <file>] [--check]',
+    description: 'Convert the Swagger 2.0 spec generated by Supabase to OpenAPI 3.1 (default: src/openapi/openapi.json → src/openapi/openapi-3.1.json)',
+    options: [
+      { name: '--out <file>', description: 'File to write or check (.yaml/.yml writes YAML)' },
+      { name: '--check', description: 'Fail if the output is out of date instead of writing it' }
+    ],
+    run: runOpenApiUpgrade,
+    examples: ['pic openapi-upgrade', 'pic openapi-upgrade exported.json --out exported-3.1.yaml', 'pic openapi-upgrade --check']
+  },
+  convert: {
+    usage: 'pic convert <input> [--to json|yaml] [--out <file>] [--normalize]',
+    description: 'Convert a dataset between JSON and YAML',
+    options: [
+      { name: '--to <json|yaml>', description: 'Output format (default: the other of JSON/YAML)' },
+      { name: '--out <file>', description: 'Write to a file instead of stdout' },
+      { name: '--normalize', description: 'Transform database-style exports into NEPA collections' }
+    ],
+    run: runConvert,
+    examples: ['pic convert src/json/all_entities.json --to yaml', 'pic convert export.json --normalize --out nepa.json']
+  },
+  migrate: {
+    usage: 'pic migrate <input> [--from <version>] [--to <version>] [--out <file>]',
+    description: 'Upgrade a JSON/YAML dataset to a later release of the standard and validate it',
+    options: [
+      { name: '--from <version>', description: 'Release the dataset conforms to (default: its standard_version)' },
+      { name: '--to <version>', description: 'Target release (default: the current release in src/jsonschema/versions.json)' },
+      { name: '--out <file>', description: 'Write to a file instead of stdout' }
+    ],
+    run: runMigrate,
+    examples: ['pic migrate export.json --from 1.0.0 --to 1.1.0 --out export-1.1.0.json', 'pic migrate export.yaml --verbose']
+  },
+  generate: {
+    usage: 'pic generate [--seed <value>] [--projects <n>] [--out <file>] [--check]',
+    description: 'Generate a deterministic synthetic dataset that satisfies the schema and referential integrity',
+    options: [
+      { name: '--seed <value>', description: 'Random seed; the same seed and project count always produce the same dataset (default: 1)' },
+      { name: '--projects <n>', description: 'Number of projects, each with processes, documents, comments, events, GIS data and decision payloads (default: 5)' },
+      { name: '--out <file>', description: 'Write to a file instead of stdout (.yaml/.yml writes YAML)' },
+      { name: '--check', description: 'Fail if --out differs from the generated dataset instead of writing it' }
+    ],
+    run: runGenerate,
+    examples: ['pic generate --projects 500 --seed load-test --out load.json', 'pic generate --seed 1 --projects 3 --out src/json/test/synthetic.json --check']
+  },
+  'mock-server': {
+    usage: 'pic mock-server [seed.sql|dataset.json|dataset.yaml] [--port <n>] [--host <host>] [--spec <file>]',
+    description: 'Serve the PostgREST API in openapi.json offline from an in-memory store (default data: src/database/seed-v1.0.0.sql)',
+    options: [
+      { name: '--port <n>', description: `Port to listen on (default: ${DEFAULT_PORT}; 0 picks a free port)` },
+      { name: '--host <host>', description: 'Interface to listen on (default: 127.0.0.1)' },
+      { name: '--spec <file>', description: 'OpenAPI spec to serve (default: src/openapi/openapi.json)' }
+    ],
+    run: runMockServer,
+    examples: ['pic mock-server', 'pic mock-server src/json/test/synthetic.json --port 8000 --verbose']
+  },
+  contract: {
+    usage: 'pic contract [base-url] [--data <file>] [--write] [--api-key <key>] [--spec <file>]',
+    description: 'Check that a running API answers every path in openapi.json with rows that match the spec and, after crosswalk mapping, the NEPA schema',
+    options: [
+      { name: '--data <file>', description: 'Without a base URL, test an in-process mock server seeded from this .sql or NEPA dataset (default: src/database/seed-v1.0.0.sql)' },
+      { name: '--write', description: 'Also test POST, PATCH and DELETE by inserting, updating and deleting a copy of a sample row' },
+      { name: '--api-key <key>', description: 'Sent as the apikey header and bearer token (default: $PIC_API_KEY)' },
+      { name: '--spec <file>', description: 'OpenAPI spec to test against (default: src/openapi/openapi.json)' }
+    ],
+    run: runContract,
+    check: checkContract,
+    examples: [
+      'pic contract --data src/json/test/synthetic.json --write',
+      'pic contract http://localhost:3030 --verbose',
+      'pic contract https://<project>.supabase.co/rest/v1 --api-key $SUPABASE_ANON_KEY --report sarif'
+    ]
+  },
+  database: {
+    description: 'Work with database rows and SQL files',
+    subcommands: {
+      roundtrip: {
+        usage: 'pic database roundtrip [seed.sql]',
+        description: 'Check that seed rows convert to NEPA JSON and back without changes (default: src/database/seed-v1.0.0.sql)',
+        run: runDatabaseRoundTrip,
+        check: checkDatabaseRoundTrip,
+        examples: ['pic database roundtrip', 'pic database roundtrip --verbose']
+      },
+      sql: {
+        usage: 'pic database sql <input> [--out <file>] [--null-dangling]',
+        description: 'Validate a NEPA JSON/YAML dataset and generate INSERT ... ON CONFLICT DO UPDATE statements in foreign key order; fails if a foreign key matches no record in the dataset',
+        options: [
+          { name: '--out <file>', description: 'Write the SQL to a file instead of stdout' },
+          { name: '--null-dangling', description: 'Write foreign keys that match no record as NULL (with a warning) instead of failing' }
+        ],
+        run: runDatabaseSql,
+        examples: ['pic database sql src/json/test/synthetic.json --out seed.sql', 'pic database sql src/json/all_entities.json --null-dangling --out seed.sql', 'pic database sql export.yaml > load.sql']
+      }
+    }
+  },
+  csv: {
+    description: 'Work with partner CSV exports',
+    subcommands: {
+      map: {
+        usage: 'pic csv map [csv-dir] [--mapping <file>] [--dry-run]',
+        description: 'Detect the schema section of each CSV file from its headers, match headers to crosswalk columns and schema properties, and write the guesses for review (default: src/csv/csv-mapping.yaml)',
+        options: [
+          { name: '--mapping <file>', description: 'Mapping file to read and update (reviewed entries are kept)' },
+          { name: '--dry-run', description: 'Print the mapping instead of writing it' }
+        ],
+        run: runCsvMap,
+        examples: ['pic csv map exports/', 'pic csv map exports/ --dry-run', 'pic validate exports/ --format csv']
+      }
+    }
+  },
+  export: {
+    description: 'Write NEPA datasets in other formats',
+    subcommands: {
+      csv: {
+        usage: 'pic export csv <input> --out <dir>',
+        description: 'Validate a NEPA JSON/YAML dataset and write one CSV file per collection (nested objects as dotted columns, arrays as delimited cells), checking that pic validate --format csv reads every value back unchanged',
+        options: [{ name: '--out <dir>', description: 'Directory to write the CSV files to (created if missing)' }],
+        run: runExportCsv,
+        examples: ['pic export csv src/json/test/synthetic.json --out exports/', 'pic validate exports/ --format csv']
+      }
+    }
+  },
+  schema: {
+    description: 'Work with JSON schema files',
+    subcommands: {
+      validate: {
+        usage: 'pic schema validate [schema-dir]',
+        description: 'Check schema files against the JSON Schema meta-schema (default: src/jsonschema)',
+        run: runSchemaValidate,
+        check: checkSchemaFiles,
+        examples: ['pic schema validate', 'pic schema validate --verbose']
+      },
+      lint: {
+        usage: 'pic schema lint [schema-file] [--rules <file>]',
+        description: 'Check a schema for mistakes the meta-schema accepts (undefined required properties, missing descriptions, duplicate identifiers, enum casing variants, unused definitions, unknown formats and keywords; default: nepa.schema.json)',
+        options: [
+          { name: '--rules <file>', description: 'JSON or YAML map of rule id to error, warning or off (or a "rules" key in --config)' }
+        ],
+        run: runSchemaLint,
+        check: checkSchemaLintFindings,
+        examples: ['pic schema lint', 'pic schema lint --verbose', 'pic schema lint --rules lint-rules.json --report sarif']
+      },
+      inspect: {
+        usage: 'pic schema inspect [schema-file]',
+        description: 'Show definitions, properties, enums and statistics for a schema (default: nepa.schema.json)',
+        run: runSchemaInspect,
+        examples: ['pic schema inspect']
+      },
+      types: {
+        usage: 'pic schema types [schema-file] [--out <file>] [--check]',
+        description: 'Generate TypeScript declarations for the schema definitions (default: src/types/nepa.d.ts)',
+        options: [
+          { name: '--out <file>', description: 'Declaration file to write or check' },
+          { name: '--check', description: 'Fail if the declarations are out of date instead of writing them' }
+        ],
+        run: runSchemaTypes,
+        examples: ['pic schema types', 'pic schema types --check']
+      },
+      openapi: {
+        usage: 'pic schema openapi [schema-file] [--out <file>] [--check]',
+        description: 'Generate the NEPA-native OpenAPI 3.1 exchange API, with resources named after the collections and schemas $ref\'d from the schema (default: src/openapi/nepa-api.yaml)',
+        options: [
+          { name: '--out <file>', description: 'Specification to write or check (.json for JSON, otherwise YAML)' },
+          { name: '--check', description: 'Fail if the specification is out of date instead of writing it' }
+        ],
+        run: runSchemaOpenApi,
+        examples: ['pic schema openapi', 'pic schema openapi --check', 'pic schema openapi --out nepa-api.json']
+      },
+      docs: {
+        usage: 'pic schema docs [schema-file] [--to markdown|html] [--out <file>] [--check]',
+        description: 'Generate the data dictionary (default: the generated section of docs/schema-guide.md)',
+        options: [
+          { name: '--to <markdown|html>', description: 'Output format; HTML is a standalone page written to --out or stdout' },
+          { name: '--out <file>', description: 'File to write or check' },
+          { name: '--check', description: 'Fail if the file is out of date instead of writing it' }
+        ],
+        run: runSchemaDocs,
+        examples: ['pic schema docs', 'pic schema docs --check', 'pic schema docs --to html --out dictionary.html']
+      },
+      diff: {
+        usage: 'pic schema diff <old-schema> [new-schema]',
+        description: 'Classify the changes between two schema versions as breaking or non-breaking and suggest a version bump (fails on breaking changes)',
+        run: runSchemaDiff,
+        check: checkSchemaDiffFindings,
+        examples: ['pic schema diff nepa-1.1.0.schema.json', 'pic schema diff old.json new.json --verbose --report sarif']
+      }
+    }
+  }
+};
+
+/**
+ * List commands (including subcommands) for help output
+ * @returns {Array<Object>} Help entries
+ */
+function listCommands() {
+  const entries = [];
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    if (command.subcommands) {
+      for (const [subName, subcommand] of Object.entries(command.subcommands)) {
+        entries.push({ name: `${name} ${subName}`, description: subcommand.description });
+      }
+    } else {
+      entries.push({ name, description: command.description });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Show help for the whole CLI or a single command
+ * @param {Object} command - Command definition, or null for general help
+ * @param {string} name - Command name as typed
+ */
+function showCommandHelp(command, name) {
+  if (!command) {
+    showHelp('pic - NEPA data standard toolkit', {
+      usage: 'pic <command> [options]',
+      commands: listCommands(),
+      options: GLOBAL_OPTIONS,
+      examples: ['pic validate', 'pic crosswalk --verbose', 'pic schema inspect', 'pic <command> --help']
+    });
+    return;
+  }
+
+  if (command.subcommands) {
+    showHelp(`pic ${name}`, {
+      description: command.description,
+      usage: `pic ${name} <${Object.keys(command.subcommands).join('|')}> [options]`,
+      commands: Object.entries(command.subcommands).map(([subName, sub]) => ({ name: subName, description: sub.description })),
+      options: GLOBAL_OPTIONS
+    });
+    return;
+  }
+
+  showHelp(`pic ${name}`, {
+    description: command.description,
+    usage: command.usage,
+    options: [...(command.options || []), ...GLOBAL_OPTIONS],
+    examples: command.examples
+  });
+}
+
+/**
+ * Load the --config file; a missing or unreadable file is a usage error
+ * @param {string} configPath - Path to the configuration file
+ * @returns {Object} Configuration keyed by long flag name
+ */
+function readConfig(configPath) {
+  try {
+    return loadConfig(configPath);
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the executable and script path
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  try {
+    const { flags, positional } = parseArgs(argv, {
+      valueFlags: VALUE_FLAGS,
+      aliases: { v: 'verbose', q: 'quiet', h: 'help' }
+    });
+    const config = flags.config ? readConfig(path.resolve(String(flags.config))) : {};
+    const options = { ...config, ...flags };
+
+    if (options.format && !FORMATS.includes(String(options.format).toLowerCase())) {
+      throw new UsageError(`Unsupported format: ${options.format} (expected ${FORMATS.join(', ')})`);
+    }
+    if (options.format) {
+      options.format = String(options.format).toLowerCase();
+    }
+
+    const [commandName, ...rest] = positional;
+    let command = COMMANDS[commandName];
+    let name = commandName;
+    let args = rest;
+
+    if (!commandName) {
+      checkFlags(flags, GLOBAL_OPTIONS, 'pic');
+      showCommandHelp(null);
+      return flags.help ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+    }
+
+    if (!command) {
+      throw new UsageError(`Unknown command: ${commandName}`);
+    }
+
+    if (command.subcommands) {
+      const subcommand = command.subcommands[rest[0]];
+      if (!subcommand) {
+        checkFlags(flags, GLOBAL_OPTIONS, `pic ${commandName}`);
+        showCommandHelp(command, commandName);
+        if (rest[0]) {
+          throw new UsageError(`Unknown ${commandName} command: ${rest[0]}`);
+        }
+        return flags.help ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+      }
+      command = subcommand;
+      name = `${commandName} ${rest[0]}`;
+      args = rest.slice(1);
+    }
+
+    checkFlags(flags, [...(command.options || []), ...GLOBAL_OPTIONS], `pic ${name}`);
+
+    if (flags.help) {
+      showCommandHelp(command, name);
+      return EXIT_CODES.SUCCESS;
+    }
+
+    if (options.report && !REPORT_FORMATS.includes(options.report)) {
+      throw new UsageError(`Unsupported report format: ${options.report} (expected ${REPORT_FORMATS.join(', ')})`);
+    }
+    if (options.report && !command.check) {
+      throw new UsageError(`pic ${name} does not produce findings for --report`);
+    }
+
+    const out = createOutput({ quiet: Boolean(options.quiet), verbose: Boolean(options.verbose) });
+    if (command.check && (options.quiet || options.report)) {
+      return await runCheck(command, name, args, options, out);
+    }
+    return await command.run(args, options, out);
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(`${colors.red}Error: ${err.message}${colors.reset}`);
+      console.error(`Run 'pic --help' for usage.`);
+      return EXIT_CODES.USAGE;
+    }
+    console.error(`${colors.red}Unexpected error: ${err.message}${colors.reset}`);
+    return EXIT_CODES.ERROR;
+  }
+}
+
+// Run the CLI if executed directly
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  main,
+  COMMANDS,
+  EXIT_CODES
+};
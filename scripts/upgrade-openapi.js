@@ -0,0 +1,120 @@
+/**
+ * Upgrade the Supabase-generated Swagger 2.0 spec to OpenAPI 3.1
+ * Writes the converted spec (JSON, or YAML for .yaml/.yml) and checks that the copy checked
+ * into src/openapi matches what the source spec converts to
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ValidationUtils, printSummary, colors, PATHS } = require('./utils/validation-utils');
+const { convertToOpenApi31 } = require('./utils/openapi-utils');
+
+/**
+ * Serialize a spec for a file extension
+ * @param {Object} spec - Specification
+ * @param {string|null} outputPath - Output file (JSON when null)
+ * @returns {string} File content
+ */
+function serializeSpec(spec, outputPath) {
+  if (outputPath && ['.yaml', '.yml'].includes(path.extname(outputPath).toLowerCase())) {
+    return yaml.dump(spec, { lineWidth: -1, noRefs: true });
+  }
+  return `${JSON.stringify(spec, null, 2)}\n`;
+}
+
+/**
+ * Convert a spec file and compare the result with an output file, without printing
+ * @param {string} inputPath - Swagger 2.0 spec (default: src/openapi/openapi.json)
+ * @param {string|null} outputPath - OpenAPI 3.1 file to compare with (default: src/openapi/openapi-3.1.json)
+ * @returns {Object} { valid, inputPath, outputPath, exists, content, warnings } where valid means the file is current
+ */
+function checkOpenApiUpgrade(inputPath = PATHS.OPENAPI_SPEC, outputPath = PATHS.OPENAPI_31_SPEC) {
+  const utils = new ValidationUtils({ strict: false, verbose: false });
+  const { spec, warnings } = convertToOpenApi31(utils.parseFile(inputPath));
+  const content = serializeSpec(spec, outputPath);
+  const exists = Boolean(outputPath) && fs.existsSync(outputPath);
+
+  return {
+    valid: exists && fs.readFileSync(outputPath, 'utf8') === content,
+    inputPath,
+    outputPath,
+    exists,
+    content,
+    warnings
+  };
+}
+
+/**
+ * Main upgrade function
+ * @param {string} inputPath - Swagger 2.0 spec
+ * @param {string|null} outputPath - File to write or check (stdout when null)
+ * @param {Object} options - Upgrade options
+ * @param {boolean} options.check - Only report whether the file is current (for CI)
+ * @returns {boolean} True if the spec was written (or is current)
+ */
+function upgradeOpenApi(inputPath = PATHS.OPENAPI_SPEC, outputPath = PATHS.OPENAPI_31_SPEC, options = {}) {
+  // Keep stdout clean for the spec when no output file is given
+  const log = outputPath ? console.log : console.error;
+
+  try {
+    log(`${colors.bold}${colors.blue}=== ${options.check ? 'Checking' : 'Upgrading'} OpenAPI specification ===${colors.reset}`);
+    log(`Source: ${inputPath}`);
+
+    const results = checkOpenApiUpgrade(inputPath, outputPath);
+    results.warnings.forEach(warning => log(`  ${colors.yellow}⚠${colors.reset} ${warning}`));
+
+    if (!outputPath) {
+      process.stdout.write(results.content);
+      return true;
+    }
+
+    const relativePath = path.relative(process.cwd(), outputPath);
+    if (options.check) {
+      if (results.valid) {
+        log(`${colors.green}✓${colors.reset} ${relativePath} is up to date`);
+      } else {
+        console.error(`${colors.red}✘ ${relativePath} is ${results.exists ? 'out of date' : 'missing'}; run npm run generate:openapi${colors.reset}`);
+      }
+      return results.valid;
+    }
+
+    if (results.valid) {
+      log(`${colors.green}✓${colors.reset} ${relativePath} is already up to date`);
+      return true;
+    }
+
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, results.content);
+    log(`${colors.green}✓${colors.reset} Wrote ${relativePath} (OpenAPI 3.1)`);
+    return true;
+  } catch (error) {
+    console.error(`${colors.red}Error upgrading OpenAPI specification: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+module.exports = {
+  checkOpenApiUpgrade,
+  upgradeOpenApi
+};
+
+// Run upgrade if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('-'));
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`${colors.bold}OpenAPI 3.1 Upgrade${colors.reset}`);
+    console.log(`\nConverts the Swagger 2.0 spec generated by Supabase to OpenAPI 3.1`);
+    console.log(`\nUsage:`);
+    console.log(`  node upgrade-openapi.js [openapi.json] [output.json|output.yaml] [--check]`);
+    console.log(`\nOptions:`);
+    console.log(`  --check    Fail if the output differs from the converted spec instead of writing it`);
+    process.exit(0);
+  }
+
+  const check = args.includes('--check');
+  const success = upgradeOpenApi(positional[0] || PATHS.OPENAPI_SPEC, positional[1] || PATHS.OPENAPI_31_SPEC, { check });
+  printSummary(success, check ? 'OpenAPI 3.1 check' : 'OpenAPI 3.1 upgrade');
+  process.exit(success ? 0 : 1);
+}
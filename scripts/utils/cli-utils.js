@@ -1,16 +1,39 @@
 /**
  * Command-line utilities for validation scripts
  */
+const fs = require('fs');
 const path = require('path');
+const yaml = require('js-yaml');
 const { colors } = require('./validation-utils');
 
+/**
+ * Exit codes shared by all command-line entry points
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,      // Command completed and all checks passed
+  FAILURE: 1,      // Command completed but validation found problems
+  USAGE: 2,        // Unknown command, missing argument or invalid option
+  ERROR: 3         // Unexpected runtime error (unreadable file, crash)
+};
+
+/**
+ * Error raised for invalid command-line usage (exit code 2)
+ */
+class UsageError extends Error {}
+
 /**
  * Parse command line arguments
  * @param {Array} args - Command line arguments
  * @param {Object} options - Parsing options
+ * @param {Array<string>} options.valueFlags - Long flags that take the next argument as their value (e.g. --format json);
+ *   a negative number counts as a value, any other argument starting with - does not
+ * @param {Object} options.aliases - Short flag aliases (e.g. { v: 'verbose' })
  * @returns {Object} Parsed arguments
+ * @throws {UsageError} If a value flag is the last argument or is followed by another flag
  */
 function parseArgs(args, options = {}) {
+  const valueFlags = options.valueFlags || [];
+  const aliases = options.aliases || {};
   const result = {
     flags: {},
     positional: [],
@@ -24,17 +47,29 @@ function parseArgs(args, options = {}) {
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
     
-    if (arg.startsWith('--')) {
-      // Handle --flag or --flag=value
-      const parts = arg.slice(2).split('=');
-      const flag = parts[0];
-      const value = parts.length > 1 ? parts[1] : true;
+    if (arg === '--') {
+      // Everything after -- is positional
+      result.positional.push(...args.slice(i + 1));
+      break;
+    } else if (arg.startsWith('--')) {
+      // Handle --flag, --flag=value or --flag value for value flags
+      const equalsIndex = arg.indexOf('=');
+      const flag = equalsIndex === -1 ? arg.slice(2) : arg.slice(2, equalsIndex);
+      let value = equalsIndex === -1 ? true : arg.slice(equalsIndex + 1);
+      
+      if (value === true && valueFlags.includes(flag)) {
+        const next = args[i + 1];
+        if (next === undefined || (next.startsWith('-') && !/^-\d/.test(next))) {
+          throw new UsageError(`Option --${flag} requires a value`);
+        }
+        value = args[++i];
+      }
       result.flags[flag] = value;
-    } else if (arg.startsWith('-')) {
+    } else if (arg.startsWith('-') && arg.length > 1) {
       // Handle -f or combined flags like -abc
       const flags = arg.slice(1).split('');
       flags.forEach(flag => {
-        result.flags[flag] = true;
+        result.flags[aliases[flag] || flag] = true;
       });
     } else {
       result.positional.push(arg);
@@ -44,6 +79,101 @@ function parseArgs(args, options = {}) {
   return result;
 }
 
+/**
+ * Long flag names (and short aliases) declared by help entries such as '--out <file>' or '--verbose, -v'
+ * @param {Array<Object>} entries - Help entries with name and description
+ * @returns {Set<string>} Flag names without dashes
+ */
+function declaredFlags(entries) {
+  const names = new Set();
+  entries.forEach(entry => {
+    for (const match of entry.name.matchAll(/(?:^|[\s,])--?([a-z0-9][a-z0-9-]*)/gi)) {
+      names.add(match[1]);
+    }
+  });
+  return names;
+}
+
+/**
+ * Reject flags a command does not declare
+ * @param {Object} flags - Parsed flags (parseArgs() result)
+ * @param {Array<Object>} entries - Help entries of the options the command accepts
+ * @param {string} commandName - Command name for the error message
+ * @throws {UsageError} Naming the first unknown flag
+ */
+function checkFlags(flags, entries, commandName) {
+  const known = declaredFlags(entries);
+  const unknown = Object.keys(flags).find(flag => !known.has(flag));
+  if (unknown) {
+    const option = unknown.length === 1 ? `-${unknown}` : `--${unknown}`;
+    throw new UsageError(`Unknown option ${option} for ${commandName}`);
+  }
+}
+
+/**
+ * Parse the arguments of a standalone script against the options it declares
+ * Flags written with a <value> in their help entry take a value; any other flag must be declared
+ * @param {Array<string>} args - Command line arguments
+ * @param {Array<Object>} entries - Help entries of the accepted options (e.g. { name: '--out <file>' })
+ * @param {string} scriptName - Script name for error messages
+ * @returns {Object} parseArgs() result
+ * @throws {UsageError} For an unknown flag or a value flag without a value
+ */
+function parseOptions(args, entries, scriptName) {
+  const valueFlags = entries
+    .filter(entry => /<[^>]+>/.test(entry.name))
+    .map(entry => entry.name.match(/--([a-z0-9-]+)/i)[1]);
+  const aliases = {};
+  entries.forEach(entry => {
+    const short = entry.name.match(/(?:^|[\s,])-([a-z])\b/i);
+    const long = entry.name.match(/--([a-z0-9-]+)/i);
+    if (short && long) aliases[short[1]] = long[1];
+  });
+
+  const parsed = parseArgs(args, { valueFlags, aliases });
+  checkFlags(parsed.flags, entries, scriptName);
+  return parsed;
+}
+
+/**
+ * Load a JSON or YAML configuration file of default option values
+ * @param {string} configPath - Path to the configuration file
+ * @returns {Object} Configuration keyed by long flag name
+ */
+function loadConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+  
+  const content = fs.readFileSync(configPath, 'utf8');
+  const config = /\.ya?ml$/.test(configPath) ? yaml.load(content) : JSON.parse(content);
+  
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config file must contain an object of option values: ${configPath}`);
+  }
+  
+  return config;
+}
+
+/**
+ * Create console writers that honor --quiet and --verbose
+ * @param {Object} options - Output options
+ * @param {boolean} options.quiet - Only print errors
+ * @param {boolean} options.verbose - Also print detail messages
+ * @returns {Object} Writers: info (default output), detail (verbose only), error (always)
+ */
+function createOutput(options = {}) {
+  return {
+    info: (message) => {
+      if (!options.quiet) console.log(message);
+    },
+    detail: (message) => {
+      if (options.verbose && !options.quiet) console.log(message);
+    },
+    error: (message) => console.error(message)
+  };
+}
+
 /**
  * Format validation summary for display
  * @param {boolean} success - Whether validation was successful
@@ -58,13 +188,24 @@ function formatSummary(success, operation = 'validation') {
   }
 }
 
+/**
+ * Format a two-column list of names and descriptions for help output
+ * @param {Array<Object>} entries - Entries with name and description
+ * @returns {Array<string>} Aligned lines
+ */
+function formatHelpEntries(entries) {
+  const width = Math.max(...entries.map(entry => entry.name.length)) + 2;
+  return entries.map(entry => `  ${entry.name.padEnd(width)}${entry.description}`);
+}
+
 /**
  * Display help text for a script
  * @param {string} scriptName - Name of the script
- * @param {Object} options - Help options (usage, description, examples)
+ * @param {Object} options - Help options (usage, description, commands, options, examples)
  */
 function showHelp(scriptName, options = {}) {
-  const { usage, description, examples } = options;
+  const { usage, description, commands, examples } = options;
+  const flagOptions = options.options;
   
   console.log(`${colors.bold}${scriptName}${colors.reset}`);
   
@@ -77,6 +218,16 @@ function showHelp(scriptName, options = {}) {
     console.log(`  ${usage}`);
   }
   
+  if (commands && commands.length > 0) {
+    console.log(`\n${colors.bold}Commands:${colors.reset}`);
+    formatHelpEntries(commands).forEach(line => console.log(line));
+  }
+  
+  if (flagOptions && flagOptions.length > 0) {
+    console.log(`\n${colors.bold}Options:${colors.reset}`);
+    formatHelpEntries(flagOptions).forEach(line => console.log(line));
+  }
+  
   if (examples && examples.length > 0) {
     console.log(`\n${colors.bold}Examples:${colors.reset}`);
     examples.forEach(example => {
@@ -86,7 +237,13 @@ function showHelp(scriptName, options = {}) {
 }
 
 module.exports = {
+  EXIT_CODES,
+  UsageError,
   parseArgs,
+  checkFlags,
+  parseOptions,
+  loadConfig,
+  createOutput,
   formatSummary,
   showHelp
 };
@@ -0,0 +1,427 @@
+/**
+ * Type coercion for CSV cell values
+ * Converts raw cell text to the type and format of the schema property it maps to (see
+ * compileProperty() in schema-utils.js), and records every conversion so it can be reviewed
+ */
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+
+// Cell text read as "no value"
+const NULL_VALUES = ['', 'null', 'NULL', 'Null'];
+
+// Cell text accepted for booleans (compared lowercase)
+const BOOLEAN_VALUES = {
+  true: true, t: true, yes: true, y: true, 1: true,
+  false: false, f: false, no: false, n: false, 0: false
+};
+
+// Delimiters tried, in order, when splitting a cell into an array
+const ARRAY_DELIMITERS = [';', '|', ','];
+
+const INTEGER_PATTERN = /^[+-]?(\d{1,3}(,\d{3})+|\d+)(\.0+)?$/;
+const NUMBER_PATTERN = /^[+-]?((\d{1,3}(,\d{3})+|\d+)(\.\d+)?|\.\d+)([eE][+-]?\d+)?$/;
+const ISO_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+const US_DATE_TIME_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP]M)?)?$/i;
+const COMPACT_DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})$/;
+
+const pad = (number, width = 2) => String(number).padStart(width, '0');
+
+/**
+ * Split date and time text into parts
+ * Accepts ISO 8601 (with a space or T separator and an optional offset), US M/D/YYYY with an
+ * optional 12- or 24-hour time, and compact YYYYMMDD dates
+ * @param {string} text - Cell text
+ * @returns {Object|null} { year, month, day, hour, minute, second, fraction, offset, hasTime }, or null
+ *   if the text is not a valid date
+ */
+function parseDateParts(text) {
+  let parts = null;
+  let match = text.match(ISO_DATE_TIME_PATTERN);
+
+  if (match) {
+    parts = {
+      year: Number(match[1]), month: Number(match[2]), day: Number(match[3]),
+      hour: Number(match[4] || 0), minute: Number(match[5] || 0), second: Number(match[6] || 0),
+      fraction: match[7] || '', offset: match[8] || null, hasTime: match[4] !== undefined
+    };
+  } else if ((match = text.match(US_DATE_TIME_PATTERN))) {
+    let hour = Number(match[4] || 0);
+    const meridiem = (match[7] || '').toUpperCase();
+    if (meridiem === 'PM' && hour < 12) hour += 12;
+    if (meridiem === 'AM' && hour === 12) hour = 0;
+    parts = {
+      year: Number(match[3]), month: Number(match[1]), day: Number(match[2]),
+      hour, minute: Number(match[5] || 0), second: Number(match[6] || 0),
+      fraction: '', offset: null, hasTime: match[4] !== undefined
+    };
+  } else if ((match = text.match(COMPACT_DATE_PATTERN))) {
+    parts = {
+      year: Number(match[1]), month: Number(match[2]), day: Number(match[3]),
+      hour: 0, minute: 0, second: 0, fraction: '', offset: null, hasTime: false
+    };
+  }
+
+  if (!parts) return null;
+
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  const validDate = date.getUTCFullYear() === parts.year && date.getUTCMonth() === parts.month - 1 && date.getUTCDate() === parts.day;
+  const validTime = parts.hour < 24 && parts.minute < 60 && parts.second < 60;
+  return validDate && validTime ? parts : null;
+}
+
+/**
+ * Normalize an ISO 8601 offset (+00, +0530, -05:00, z) to ±HH:MM, or Z for UTC
+ * @param {string} offset - Offset text
+ * @returns {string} Normalized offset
+ */
+function normalizeOffset(offset) {
+  if (/^z$/i.test(offset)) return 'Z';
+  const [, sign, hours, minutes = '00'] = offset.match(/^([+-])(\d{2}):?(\d{2})?$/);
+  return Number(hours) === 0 && Number(minutes) === 0 ? 'Z' : `${sign}${hours}:${minutes}`;
+}
+
+/**
+ * Offset of a time zone at a wall-clock time
+ * @param {string} timezone - IANA time zone (e.g. America/New_York) or a fixed offset (e.g. -05:00)
+ * @param {Object} parts - Wall-clock date parts from parseDateParts()
+ * @returns {string} Offset as ±HH:MM, or Z for UTC
+ */
+function resolveOffset(timezone, parts) {
+  if (!timezone || /^(utc|z)$/i.test(timezone)) return 'Z';
+  if (/^[+-]\d{2}(:?\d{2})?$/.test(timezone)) return normalizeOffset(timezone);
+
+  // Read the zone's wall clock at the UTC instant with the same digits; the difference is the offset
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const fields = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(wall)).map(part => [part.type, Number(part.value)]));
+  const zoned = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  const minutes = Math.round((zoned - wall) / 60000);
+
+  if (minutes === 0) return 'Z';
+  const sign = minutes < 0 ? '-' : '+';
+  return `${sign}${pad(Math.floor(Math.abs(minutes) / 60))}:${pad(Math.abs(minutes) % 60)}`;
+}
+
+/**
+ * Check that a time zone option is usable
+ * @param {string} timezone - IANA time zone or fixed offset
+ * @returns {boolean} True if resolveOffset() accepts it
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || /^(utc|z)$/i.test(timezone) || /^[+-]\d{2}(:?\d{2})?$/.test(timezone)) return true;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Normalize date text to an ISO 8601 date (YYYY-MM-DD)
+ * Timestamps keep their own calendar date; they are not shifted to another time zone
+ * @param {string} text - Cell text
+ * @returns {string|null} ISO date, or null if the text is not a date
+ */
+function normalizeDate(text) {
+  const parts = parseDateParts(text);
+  return parts ? `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}` : null;
+}
+
+/**
+ * Normalize date and time text to an ISO 8601 date-time with an offset
+ * Times without an offset are read in options.timezone; dates without a time are midnight
+ * @param {string} text - Cell text
+ * @param {Object} options - Coercion options
+ * @param {string} options.timezone - IANA time zone or fixed offset for times without one (default UTC)
+ * @returns {string|null} ISO date-time (e.g. 2024-03-15T14:30:00-04:00), or null if the text is not a date
+ */
+function normalizeDateTime(text, options = {}) {
+  const parts = parseDateParts(text);
+  if (!parts) return null;
+
+  const offset = parts.offset ? normalizeOffset(parts.offset) : resolveOffset(options.timezone, parts);
+  return `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}${parts.fraction}${offset}`;
+}
+
+/**
+ * Split a cell into array items
+ * JSON arrays are parsed; otherwise the first of ; | , found in the cell separates items
+ * @param {string} text - Cell text
+ * @returns {Array} Items
+ */
+function splitCell(text) {
+  if (/^\s*\[/.test(text)) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) return parsed;
+    } catch (error) {
+      // Not JSON; split it like any other cell
+    }
+  }
+
+  const delimiter = ARRAY_DELIMITERS.find(candidate => text.includes(candidate));
+  return (delimiter ? text.split(delimiter) : [text]).map(item => item.trim()).filter(item => item !== '');
+}
+
+/**
+ * Pick the type to coerce to
+ * Unions that allow a string leave text as it is
+ * @param {Object} descriptor - Property descriptor
+ * @returns {string|null} Type
+ */
+function targetType(descriptor) {
+  if (!descriptor) return null;
+  if (Array.isArray(descriptor.type)) {
+    return descriptor.type.includes('string') ? 'string' : descriptor.type[0];
+  }
+  return descriptor.type;
+}
+
+/**
+ * Coerce a string to a scalar type
+ * @param {string} text - Cell text
+ * @param {Object} descriptor - Property descriptor
+ * @param {Object} options - Coercion options
+ * @returns {Object} { value, rule } where rule is null if the text was left as it is
+ */
+function coerceText(text, descriptor, options) {
+  const unchanged = { value: text, rule: null };
+
+  switch (targetType(descriptor)) {
+    case 'integer':
+      return INTEGER_PATTERN.test(text) ? { value: parseInt(text.replace(/,/g, ''), 10), rule: 'integer' } : unchanged;
+    case 'number':
+      return NUMBER_PATTERN.test(text) ? { value: Number(text.replace(/,/g, '')), rule: 'number' } : unchanged;
+    case 'boolean': {
+      const key = text.trim().toLowerCase();
+      return Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, key) ? { value: BOOLEAN_VALUES[key], rule: 'boolean' } : unchanged;
+    }
+    case 'array': {
+      const items = splitCell(text).map(item => (typeof item === 'string' ? coerceValue(item, descriptor.items, options).value : item));
+      return { value: items, rule: 'array' };
+    }
+    case 'object':
+      try {
+        const parsed = JSON.parse(text);
+        return parsed && typeof parsed === 'object' ? { value: parsed, rule: 'object' } : unchanged;
+      } catch (error) {
+        return unchanged;
+      }
+    case 'string': {
+      const normalized = descriptor.format === 'date' ? normalizeDate(text)
+        : descriptor.format === 'date-time' ? normalizeDateTime(text, options)
+          : null;
+      return normalized !== null && normalized !== text ? { value: normalized, rule: descriptor.format } : unchanged;
+    }
+    default:
+      return unchanged;
+  }
+}
+
+/**
+ * Coerce a CSV value to the type of the schema property it maps to
+ * Empty cells (and "null") become null when the property is nullable, an empty string when it
+ * is a required string, and are otherwise left out. Values already structured by a crosswalk
+ * transform (arrays, objects) have their items and properties coerced.
+ * Schema-layout files (written by pic export csv, see CSV_LAYOUTS in csv-mapping-utils.js) are
+ * read as the exact inverse of formatCellValue(): an empty cell is a missing property, `""` is an
+ * empty string, "null" is null only for nullable properties, and cells of properties the schema
+ * does not describe hold JSON when they parse as JSON
+ * @param {*} value - Cell text, or the result of a crosswalk transform
+ * @param {Object} descriptor - Property descriptor from compileProperty() (optional)
+ * @param {Object} options - Coercion options
+ * @param {string} options.timezone - Time zone for date-times without an offset (default UTC)
+ * @param {string} options.layout - Layout of the file the cell comes from: database (default) or schema
+ * @returns {Object} { value, rule } where value is undefined if the property should be left out and
+ *   rule names the conversion (integer, number, boolean, date, date-time, array, object, json, null, empty)
+ *   or is null if the value was left as it is
+ */
+function coerceValue(value, descriptor, options = {}) {
+  if (options.layout === 'schema' && typeof value === 'string') {
+    return coerceSchemaLayoutText(value, descriptor, options);
+  }
+
+  if (value === null || value === undefined || (typeof value === 'string' && NULL_VALUES.includes(value))) {
+    const from = value === undefined ? null : value;
+    if (!descriptor || descriptor.nullable) {
+      return { value: null, rule: from === null ? null : 'null' };
+    }
+    if (targetType(descriptor) === 'string' && descriptor.required) {
+      return { value: '', rule: from === '' ? null : 'empty' };
+    }
+    return { value: undefined, rule: 'empty' };
+  }
+
+  if (typeof value === 'string') {
+    return descriptor ? coerceText(value, descriptor, options) : { value, rule: null };
+  }
+
+  if (Array.isArray(value) && descriptor && descriptor.items) {
+    let rule = null;
+    const items = value.map(item => {
+      const coerced = coerceValue(item, descriptor.items, options);
+      rule = rule || coerced.rule;
+      return coerced.value;
+    });
+    return { value: items, rule };
+  }
+
+  if (value && typeof value === 'object' && descriptor && descriptor.properties) {
+    let rule = null;
+    const coercedObject = {};
+    for (const [key, item] of Object.entries(value)) {
+      const coerced = coerceValue(item, descriptor.properties[key], options);
+      rule = rule || coerced.rule;
+      if (coerced.value !== undefined) coercedObject[key] = coerced.value;
+    }
+    return { value: coercedObject, rule };
+  }
+
+  return { value, rule: null };
+}
+
+/**
+ * Coerce the text of a schema-layout cell (see coerceValue())
+ * @param {string} text - Cell text
+ * @param {Object} descriptor - Property descriptor (optional)
+ * @param {Object} options - Coercion options
+ * @returns {Object} { value, rule }
+ */
+function coerceSchemaLayoutText(text, descriptor, options) {
+  if (text === '') {
+    return { value: undefined, rule: null };
+  }
+  if (text === '""') {
+    return { value: '', rule: null };
+  }
+  if (NULL_VALUES.includes(text) && (!descriptor || descriptor.nullable)) {
+    return { value: null, rule: 'null' };
+  }
+  if (descriptor) {
+    return coerceText(text, descriptor, options);
+  }
+
+  try {
+    return { value: JSON.parse(text), rule: 'json' };
+  } catch (error) {
+    return { value: text, rule: null };
+  }
+}
+
+/**
+ * Find the descriptor of a nested property (for dotted headers like project_sponsor.name)
+ * @param {Object} descriptor - Descriptor of the top-level property
+ * @param {Array<string>} keys - Nested property names
+ * @returns {Object|null} Descriptor, or null if the path is not in the schema
+ */
+function nestedDescriptor(descriptor, keys) {
+  return keys.reduce((current, key) => (current && current.properties ? current.properties[key] || null : null), descriptor);
+}
+
+/**
+ * Format a property value as cell text that coerceValue() reads back as the same value
+ * The inverse of coerceValue(): undefined is an empty cell, null is "null", arrays of scalars are
+ * joined with "; " and other arrays and objects are written as JSON. Arrays whose items would not
+ * split back the same way (e.g. items containing ";") are written as JSON too, and so are strings
+ * that would not read back as themselves (with options.layout schema, "" and JSON-looking text of
+ * properties the schema does not describe)
+ * @param {*} value - Property value
+ * @param {Object} descriptor - Property descriptor from compileProperty() (optional)
+ * @param {Object} options - Coercion options passed to coerceValue()
+ * @returns {Object} { text, exact } where exact is false if the text does not read back as the value
+ */
+function formatCellValue(value, descriptor, options = {}) {
+  const candidates = [];
+
+  if (value === undefined) {
+    candidates.push('');
+  } else if (value === null) {
+    candidates.push('null');
+  } else if (Array.isArray(value)) {
+    if (value.every(item => ['string', 'number', 'boolean'].includes(typeof item))) {
+      candidates.push(value.join('; '));
+    }
+    candidates.push(JSON.stringify(value));
+  } else if (typeof value === 'object') {
+    candidates.push(JSON.stringify(value));
+  } else {
+    candidates.push(String(value));
+    if (typeof value === 'string' && options.layout === 'schema') {
+      candidates.push(JSON.stringify(value));
+    }
+  }
+
+  const text = candidates.find(candidate => isDeepStrictEqual(coerceValue(candidate, descriptor, options).value, value));
+  return text !== undefined ? { text, exact: true } : { text: candidates[candidates.length - 1], exact: false };
+}
+
+/**
+ * Create a log of coercions
+ * Counts every coercion per file, column and rule, with the first one (and its row) as the example;
+ * keeps the individual entries up to a limit
+ * @param {Object} options - Log options
+ * @param {number} options.maxEntries - Entries to keep (default: all)
+ * @returns {Object} { add(entry), finish() } where entry is { file, row, column, property, rule, from, to }
+ *   and finish() returns { total, entries, groups, truncated }
+ */
+function createCoercionLog(options = {}) {
+  const maxEntries = options.maxEntries || Infinity;
+  const entries = [];
+  const groups = new Map();
+  let total = 0;
+
+  return {
+    add(entry) {
+      total++;
+      if (entries.length < maxEntries) {
+        entries.push(entry);
+      }
+
+      const key = [entry.file, entry.column, entry.rule].join('\u0000');
+      if (!groups.has(key)) {
+        groups.set(key, {
+          file: entry.file,
+          column: entry.column,
+          property: entry.property,
+          rule: entry.rule,
+          count: 0,
+          example: { row: entry.row, from: entry.from, to: entry.to }
+        });
+      }
+      groups.get(key).count++;
+    },
+    finish() {
+      return { total, entries, groups: [...groups.values()], truncated: total - entries.length };
+    }
+  };
+}
+
+/**
+ * Format a group of coercions for display
+ * @param {Object} group - Entry from a coercion log's groups
+ * @returns {string} e.g. document.csv:publish_date → publish_date (date): 12 values, e.g. "03/15/2024" → "2024-03-15"
+ */
+function formatCoercionGroup(group) {
+  const show = value => (value === undefined ? '(left out)' : JSON.stringify(value));
+  const target = group.property && group.property !== group.column ? ` → ${group.property}` : '';
+  return `${path.basename(group.file)}:${group.column}${target} (${group.rule}): ${group.count} ${group.count === 1 ? 'value' : 'values'}, ` +
+    `e.g. ${show(group.example.from)} → ${show(group.example.to)}`;
+}
+
+module.exports = {
+  NULL_VALUES,
+  BOOLEAN_VALUES,
+  normalizeDate,
+  normalizeDateTime,
+  isValidTimezone,
+  splitCell,
+  coerceValue,
+  nestedDescriptor,
+  formatCellValue,
+  createCoercionLog,
+  formatCoercionGroup
+};
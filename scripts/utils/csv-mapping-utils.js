@@ -0,0 +1,344 @@
+/**
+ * CSV column mapping utilities
+ * Matches partner CSV headers to schema properties and crosswalk columns, detects the schema
+ * section a file belongs to from its headers, and reads and writes the reviewable mapping file
+ * that later runs reuse instead of guessing again
+ */
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { loadSchemaModel } = require('./schema-utils');
+const { loadCrosswalkMappings, findTableForSchema } = require('./mapping-utils');
+
+// Mapping file looked for in a CSV directory when none is given
+const DEFAULT_MAPPING_FILE = 'csv-mapping.yaml';
+
+// How a file's headers and cells are read: database columns through the crosswalk (the default),
+// or schema property names as pic export csv writes them
+const CSV_LAYOUTS = ['database', 'schema'];
+
+// Lowest score at which a header is matched to a column or property
+const MATCH_THRESHOLD = 0.6;
+
+// Lowest detection confidence at which a file is assigned to a schema section
+const DETECTION_THRESHOLD = 0.5;
+
+// Extra confidence for a section named in the filename (e.g. Comments_Export_2025.csv)
+const FILENAME_BONUS = 0.25;
+
+// Score of a header whose words all appear in a column or property description
+const DESCRIPTION_SCORE = 0.65;
+
+// Words ignored when matching headers against descriptions
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'applicable', 'as', 'be', 'by', 'e', 'eg', 'etc', 'for', 'g', 'if', 'in', 'is',
+  'it', 'json', 'object', 'of', 'on', 'or', 'should', 'the', 'this', 'to', 'used', 'which', 'with'
+]);
+
+/**
+ * Normalize a CSV header for comparison
+ * Lowercases, splits camelCase and collapses spaces and punctuation to underscores
+ * (e.g. "Commenter Name" and "commenterName" → commenter_name)
+ * @param {string} header - Header as written in the file
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+  return String(header)
+    .replace(/^\uFEFF/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Split text into comparable words, dropping a plural "s"
+ * @param {string} text - Header, name or description
+ * @returns {Array<string>} Words
+ */
+function tokenize(text) {
+  return normalizeHeader(text)
+    .split('_')
+    .filter(Boolean)
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+/**
+ * Similarity of two word lists (Dice coefficient)
+ * @param {Array<string>} a - Words
+ * @param {Array<string>} b - Words
+ * @returns {number} 0 to 1
+ */
+function tokenSimilarity(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+  const shared = [...setA].filter(token => setB.has(token)).length;
+  return (2 * shared) / (setA.size + setB.size);
+}
+
+/**
+ * Similarity of two strings by edit distance, for misspelled headers
+ * @param {string} a - Normalized header
+ * @param {string} b - Normalized name
+ * @returns {number} 0 to 1
+ */
+function editSimilarity(a, b) {
+  if (!a || !b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * List the columns and properties a CSV header for a schema section can map to
+ * Crosswalk columns keep their value transform when matched; crosswalk columns without a
+ * schema property only match exactly, so they are never claimed by a similar header
+ * @param {string} schemaSection - Schema section (e.g. public_comments)
+ * @returns {Array<Object>} Candidates with target (header name to rename to), property, names,
+ *   description words and whether they may only match exactly
+ */
+function buildColumnCandidates(schemaSection) {
+  const { schema, collections } = loadSchemaModel();
+  const definition = collections[schemaSection];
+  if (!definition) return [];
+
+  const candidates = [];
+  const table = findTableForSchema(definition);
+  const columns = table ? Object.values(loadCrosswalkMappings().tables[table].columns) : [];
+
+  for (const column of columns) {
+    candidates.push({
+      target: column.column,
+      property: column.property,
+      transform: column.transform,
+      names: [column.column, column.property].filter(Boolean),
+      description: tokenize(column.description || '').filter(token => !STOP_WORDS.has(token)),
+      exactOnly: !column.property
+    });
+  }
+
+  const properties = (schema.definitions[definition] && schema.definitions[definition].properties) || {};
+  for (const [property, node] of Object.entries(properties)) {
+    candidates.push({
+      target: property,
+      property,
+      transform: null,
+      names: [property],
+      description: tokenize((node && node.description) || '').filter(token => !STOP_WORDS.has(token)),
+      exactOnly: false
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * Score a header against one candidate
+ * @param {string} header - Header as written in the file
+ * @param {Object} candidate - Entry from buildColumnCandidates()
+ * @returns {Object} { score, via } where via is exact, normalized, fuzzy or description
+ */
+function scoreHeader(header, candidate) {
+  const normalized = normalizeHeader(header);
+
+  if (candidate.names.includes(header)) {
+    return { score: 1, via: 'exact' };
+  }
+  if (candidate.names.some(name => normalizeHeader(name) === normalized)) {
+    return { score: 1, via: 'normalized' };
+  }
+  if (candidate.exactOnly) {
+    return { score: 0, via: null };
+  }
+
+  const words = tokenize(header);
+  const fuzzy = Math.max(...candidate.names.map(name => Math.max(
+    tokenSimilarity(words, tokenize(name)),
+    editSimilarity(normalized, normalizeHeader(name))
+  )));
+
+  const meaningful = words.filter(token => !STOP_WORDS.has(token));
+  const described = meaningful.length > 0 && meaningful.every(token => candidate.description.includes(token));
+  if (described && DESCRIPTION_SCORE > fuzzy) {
+    return { score: DESCRIPTION_SCORE, via: 'description' };
+  }
+
+  return { score: Math.round(fuzzy * 100) / 100, via: 'fuzzy' };
+}
+
+/**
+ * Match CSV headers to the columns and properties of a schema section
+ * Headers are assigned best score first, and each target (and each property, unless the
+ * crosswalk merges several columns into it) is claimed by one header at most. Dotted headers
+ * naming a property (project_sponsor.name) match as written and fill that nested object
+ * @param {Array<string>} headers - Headers as written in the file
+ * @param {string} schemaSection - Schema section
+ * @param {Object} options - Match options
+ * @param {number} options.threshold - Lowest accepted score (default 0.6)
+ * @returns {Object} { columns, unmatched } where columns maps header → { target, score, via }
+ */
+function matchColumns(headers, schemaSection, options = {}) {
+  const threshold = options.threshold || MATCH_THRESHOLD;
+  const candidates = buildColumnCandidates(schemaSection);
+  const pairs = [];
+  const properties = new Set(candidates.map(candidate => candidate.property).filter(Boolean));
+  const nested = headers.filter(header => header.includes('.') && properties.has(header.split('.')[0]));
+
+  headers.forEach((header, order) => {
+    if (nested.includes(header)) return;
+    for (const candidate of candidates) {
+      const { score, via } = scoreHeader(header, candidate);
+      if (score >= threshold) {
+        pairs.push({ header, order, candidate, score, via });
+      }
+    }
+  });
+
+  // Best score first; exact spellings before normalized ones, then file order
+  const rank = { exact: 0, normalized: 1, fuzzy: 2, description: 3 };
+  pairs.sort((a, b) => b.score - a.score || rank[a.via] - rank[b.via] || a.order - b.order);
+
+  const columns = Object.fromEntries(nested.map(header => [header, { target: header, score: 1, via: 'exact' }]));
+  const claimed = new Set();
+  for (const { header, candidate, score, via } of pairs) {
+    if (columns[header]) continue;
+
+    const merges = candidate.transform && candidate.transform.startsWith('object:');
+    const keys = [`target:${candidate.target}`, ...(candidate.property && !merges ? [`property:${candidate.property}`] : [])];
+    if (keys.some(key => claimed.has(key))) continue;
+
+    keys.forEach(key => claimed.add(key));
+    columns[header] = { target: candidate.target, score, via };
+  }
+
+  return {
+    columns: Object.fromEntries(headers.filter(header => columns[header]).map(header => [header, columns[header]])),
+    unmatched: headers.filter(header => !columns[header])
+  };
+}
+
+/**
+ * Detect the schema section a CSV file holds from its headers
+ * Confidence is the mean match score over all headers, plus a bonus when the filename names
+ * the section, its definition or its database table
+ * @param {Array<string>} headers - Headers as written in the file
+ * @param {string} filename - File name, used as a hint
+ * @param {Object} options - Detection options
+ * @param {number} options.threshold - Lowest accepted confidence (default 0.5)
+ * @returns {Object|null} { schemaSection, confidence, columns, unmatched, alternatives }, or null
+ *   if no section reaches the threshold
+ */
+function detectSchemaSection(headers, filename = '', options = {}) {
+  const threshold = options.threshold || DETECTION_THRESHOLD;
+  const { collections } = loadSchemaModel();
+  if (headers.length === 0) return null;
+
+  const fileWords = new Set(tokenize(String(filename).replace(/\.csv$/i, '')));
+  const scored = Object.entries(collections).map(([schemaSection, definition]) => {
+    const match = matchColumns(headers, schemaSection);
+    const total = Object.values(match.columns).reduce((sum, column) => sum + column.score, 0);
+    const names = [schemaSection, definition, findTableForSchema(definition)].filter(Boolean);
+    const named = names.some(name => tokenize(name).join('_') && tokenize(name).every(token => fileWords.has(token)));
+    const confidence = Math.min(1, total / headers.length + (named ? FILENAME_BONUS : 0));
+    return { schemaSection, confidence: Math.round(confidence * 100) / 100, ...match };
+  });
+
+  scored.sort((a, b) => b.confidence - a.confidence);
+  const [best, ...rest] = scored;
+  if (!best || best.confidence < threshold) return null;
+
+  return {
+    ...best,
+    alternatives: rest.slice(0, 2).map(({ schemaSection, confidence }) => ({ schemaSection, confidence }))
+  };
+}
+
+/**
+ * Header → target renames for transformFieldNames(), from matched or mapping-file columns
+ * Headers already spelled as their target are left out
+ * @param {Object} columns - Header → { target } or target string (null drops the column)
+ * @returns {Object} Header → target (or null)
+ */
+function toColumnMap(columns) {
+  const columnMap = {};
+  for (const [header, column] of Object.entries(columns || {})) {
+    const target = column && typeof column === 'object' ? column.target : column;
+    if (target !== header) {
+      columnMap[header] = target === undefined ? null : target;
+    }
+  }
+  return columnMap;
+}
+
+/**
+ * Load a CSV mapping file
+ * Each entry under files (keyed by CSV file name) names the schema section and maps headers
+ * to targets, either as a plain string or as { target, score, via } as written by
+ * renderCsvMapping(); a null target drops the column. An entry's layout (see CSV_LAYOUTS)
+ * defaults to database
+ * @param {string} mappingPath - JSON or YAML mapping file
+ * @returns {Object} { files } with file name → { section, columns }
+ */
+function loadCsvMapping(mappingPath) {
+  const content = fs.readFileSync(mappingPath, 'utf8');
+  const mapping = /\.json$/i.test(mappingPath) ? JSON.parse(content) : yaml.load(content);
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error(`CSV mapping file must contain an object: ${mappingPath}`);
+  }
+
+  const { collections } = loadSchemaModel();
+  const files = {};
+  for (const [filename, entry] of Object.entries(mapping.files || {})) {
+    if (!entry || !collections[entry.section]) {
+      throw new Error(`CSV mapping for ${filename} has an unknown section '${entry && entry.section}' in ${mappingPath}`);
+    }
+    if (entry.layout !== undefined && !CSV_LAYOUTS.includes(entry.layout)) {
+      throw new Error(`CSV mapping for ${filename} has an unknown layout '${entry.layout}' in ${mappingPath} (expected ${CSV_LAYOUTS.join(' or ')})`);
+    }
+    files[filename] = { ...entry, columns: entry.columns || {} };
+  }
+
+  return { ...mapping, files };
+}
+
+/**
+ * Render a CSV mapping as YAML for review
+ * @param {Object} mapping - { files } as returned by loadCsvMapping() or built by map-csv.js
+ * @returns {string} YAML document
+ */
+function renderCsvMapping(mapping) {
+  const header = [
+    '# CSV column mapping for pic validate --format csv',
+    '# Review each file\'s section and column targets; edit a target, or set it to null to drop the column.',
+    '# Later runs use these entries instead of detecting them again.',
+    '# layout: schema marks files whose headers are schema property names, as pic export csv writes them.',
+    ''
+  ].join('\n');
+  return `${header}\n${yaml.dump({ version: 1, files: mapping.files }, { lineWidth: -1, noRefs: true, flowLevel: 4 })}`;
+}
+
+module.exports = {
+  DEFAULT_MAPPING_FILE,
+  CSV_LAYOUTS,
+  MATCH_THRESHOLD,
+  DETECTION_THRESHOLD,
+  normalizeHeader,
+  buildColumnCandidates,
+  matchColumns,
+  detectSchemaSection,
+  toColumnMap,
+  loadCsvMapping,
+  renderCsvMapping
+};
@@ -27,6 +27,135 @@ function loadCsvFile(filePath) {
   });
 }
 
+/**
+ * Read the header row of a CSV file without reading the rest of it
+ * @param {string} filePath - Path to CSV file
+ * @returns {Promise<Array<string>>} Headers (empty for an empty file)
+ */
+function readCsvHeaders(filePath) {
+  return new Promise((resolve, reject) => {
+    const source = fs.createReadStream(filePath);
+    let done = false;
+    const finish = (headers) => {
+      if (done) return;
+      done = true;
+      source.destroy();
+      resolve(headers);
+    };
+
+    source.on('error', reject);
+    source.pipe(csv())
+      .on('headers', finish)
+      .on('end', () => finish([]))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Parse CSV text into rows (RFC 4180: quoted fields may contain commas, quotes and newlines)
+ * @param {string} text - CSV text with a header row
+ * @returns {Array} Array of row objects keyed by header
+ */
+function parseCsvText(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [headers = [], ...rows] = records.filter(row => row.some(value => value !== ''));
+  return rows.map(row => Object.fromEntries(headers.map((header, index) => [header, row[index] ?? ''])));
+}
+
+/**
+ * Create a scanner that finds the line each CSV record starts on, as csv-parser splits them
+ * Newlines inside quoted fields do not start a record, so a record may span several lines;
+ * blank lines are records of their own. The scanner keeps its state between chunks, so a
+ * file can be scanned as it streams
+ * @returns {Function} scan(chunk) → 1-based start lines of the records that start in the chunk
+ */
+function createCsvRecordScanner() {
+  let line = 1;
+  let inQuotes = false;
+  let recordStart = true;
+
+  return (chunk) => {
+    const lines = [];
+    const text = String(chunk);
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (recordStart) {
+        lines.push(line);
+        recordStart = false;
+      }
+
+      if (char === '"') {
+        // An escaped quote ("") toggles twice and leaves the state unchanged
+        inQuotes = !inQuotes;
+      } else if (char === '\n') {
+        line++;
+        recordStart = !inQuotes;
+      }
+    }
+
+    return lines;
+  };
+}
+
+/**
+ * Find the line each CSV record starts on
+ * @param {string} text - CSV text
+ * @returns {Array<number>} 1-based start line of each record, the header row first
+ */
+function findCsvRecordLines(text) {
+  return createCsvRecordScanner()(text);
+}
+
+/**
+ * Load and parse CSV file synchronously
+ * @param {string} filePath - Path to CSV file
+ * @returns {Array} Array of parsed CSV rows
+ */
+function loadCsvFileSync(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`CSV file not found: ${filePath}`);
+  }
+  return parseCsvText(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+}
+
 /**
  * Parse database crosswalk CSV into organized structure
  * @param {string} csvPath - Path to database crosswalk CSV file
@@ -56,7 +185,10 @@ async function loadDatabaseCrosswalk(csvPath) {
         nullable: row.is_nullable || row.Nullable || row.nullable,
         defaultValue: row.column_default || row.Default || row.default,
         description: row.description || row.Description || '',
-        constraints: row.constraints || row.Constraints || ''
+        constraints: row.constraints || row.Constraints || '',
+        schemaEntity: row.schema_entity || '',
+        schemaProperty: row.schema_property || '',
+        transform: row.transform || ''
       });
     }
     
@@ -152,6 +284,11 @@ function groupCsvData(csvData, groupByColumn) {
 
 module.exports = {
   loadCsvFile,
+  loadCsvFileSync,
+  parseCsvText,
+  readCsvHeaders,
+  createCsvRecordScanner,
+  findCsvRecordLines,
   loadDatabaseCrosswalk,
   validateCsvStructure,
   getUniqueColumnValues,
@@ -1,7 +1,20 @@
 /**
  * Mapping utilities for schema validation
  * Handles field mappings between database, OpenAPI, and NEPA schema
+ * Field mappings are read from the database crosswalk (schema_entity, schema_property
+ * and transform columns), which is the single source of truth for column mappings
  */
+const path = require('path');
+const { loadCsvFileSync } = require('./csv-utils');
+
+// Default crosswalk location (validation-utils PATHS.CROSSWALK; not required here to avoid a cycle)
+const DEFAULT_CROSSWALK_PATH = path.join(__dirname, '..', '..', 'src', 'crosswalk', 'database_crosswalk.csv');
+
+// Value transforms allowed in the crosswalk `transform` column ('object:<key>' wraps a value in an object)
+const FIELD_TRANSFORMS = ['date', 'datetime', 'number', 'integer', 'boolean', 'json', 'split', 'object'];
+
+// Parsed crosswalk mappings, cached per crosswalk path
+const crosswalkCache = new Map();
 
 // Database fields that should be ignored during validation
 const IGNORED_FIELDS = [
@@ -135,162 +148,227 @@ function shouldCountProperty(propName, tableName) {
   return false;
 }
 
+/**
+ * Build table and column mappings from crosswalk rows
+ * @param {Array} rows - Crosswalk rows with table, column, schema_entity, schema_property and transform
+ * @returns {Object} { tables } where each table has schemaEntity and columns (column → mapping with
+ *   property, transform, dataType and description)
+ */
+function buildCrosswalkMappings(rows) {
+  const tables = {};
+
+  for (const row of rows) {
+    if (!row.table || !row.column) continue;
+
+    if (!tables[row.table]) {
+      tables[row.table] = { table: row.table, schemaEntity: row.schema_entity || null, columns: {} };
+    }
+
+    tables[row.table].columns[row.column] = {
+      column: row.column,
+      property: row.schema_property || null,
+      transform: row.transform || null,
+      dataType: row.data_type || null,
+      description: row.description || null
+    };
+  }
+
+  return { tables };
+}
+
+/**
+ * Load field mappings from the database crosswalk
+ * @param {string} crosswalkPath - Path to crosswalk CSV (default: src/crosswalk/database_crosswalk.csv)
+ * @returns {Object} { tables } (empty if the crosswalk cannot be read)
+ */
+function loadCrosswalkMappings(crosswalkPath = DEFAULT_CROSSWALK_PATH) {
+  if (!crosswalkCache.has(crosswalkPath)) {
+    let mappings = { tables: {} };
+    try {
+      mappings = buildCrosswalkMappings(loadCsvFileSync(crosswalkPath));
+    } catch (error) {
+      // Fall back to identity mappings when no crosswalk is available
+    }
+    crosswalkCache.set(crosswalkPath, mappings);
+  }
+
+  return crosswalkCache.get(crosswalkPath);
+}
+
+/**
+ * Find the crosswalk table that maps to a NEPA schema definition
+ * @param {string} schemaName - NEPA schema definition name (e.g. public_comment)
+ * @param {string} crosswalkPath - Path to crosswalk CSV
+ * @returns {string|null} Database table name (e.g. comment)
+ */
+function findTableForSchema(schemaName, crosswalkPath = DEFAULT_CROSSWALK_PATH) {
+  const { tables } = loadCrosswalkMappings(crosswalkPath);
+  const match = Object.values(tables).find(table => table.schemaEntity === schemaName);
+  return match ? match.table : null;
+}
+
+/**
+ * Get the crosswalk mapping for a database column
+ * @param {string} tableName - Database table name
+ * @param {string} columnName - Database column name
+ * @param {string} crosswalkPath - Path to crosswalk CSV
+ * @returns {Object|null} { column, property, transform, dataType } or null if not in the crosswalk
+ */
+function getColumnMapping(tableName, columnName, crosswalkPath = DEFAULT_CROSSWALK_PATH) {
+  const table = loadCrosswalkMappings(crosswalkPath).tables[tableName];
+  return (table && table.columns[columnName]) || null;
+}
+
+/**
+ * Check whether a crosswalk transform is supported
+ * @param {string} transform - Transform name (e.g. 'date' or 'object:name')
+ * @returns {boolean} True if the transform is known
+ */
+function isValidTransform(transform) {
+  if (!transform) return true;
+  const [name, key] = transform.split(':');
+  return FIELD_TRANSFORMS.includes(name) && (name === 'object' ? Boolean(key) : key === undefined);
+}
+
+/**
+ * Apply a crosswalk transform to a raw column value
+ * Only string values are converted; values that are already typed pass through unchanged
+ * @param {*} value - Column value
+ * @param {string} transform - Transform name from the crosswalk
+ * @returns {*} Transformed value
+ */
+function applyFieldTransform(value, transform) {
+  if (!transform || typeof value !== 'string' || value === '') {
+    return value;
+  }
+
+  const [name, key] = transform.split(':');
+  switch (name) {
+    case 'date':
+      // Timestamps (e.g. "2024-01-05 10:00:00+00") → YYYY-MM-DD
+      return /^\d{4}-\d{2}-\d{2}/.test(value) ? value.slice(0, 10) : value;
+    case 'datetime':
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value;
+    case 'number':
+      return isNaN(parseFloat(value)) ? value : parseFloat(value);
+    case 'integer':
+      return isNaN(parseInt(value, 10)) ? value : parseInt(value, 10);
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'json':
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    case 'split':
+      return value.split(/,\s*/).filter(Boolean);
+    case 'object':
+      return { [key]: value };
+    default:
+      return value;
+  }
+}
+
+/**
+ * Combine a mapped column value with a value already stored for the same schema property
+ * Several columns can map to one property (e.g. sponsor and sponsor_contact → project_sponsor);
+ * objects are merged, with `object:<key>` columns winning their key, and nulls never replace values
+ * @param {*} existing - Value already mapped to the property (undefined if none)
+ * @param {*} value - Transformed value of the current column
+ * @param {string} transform - Transform of the current column
+ * @returns {*} Combined value
+ */
+function mergeMappedValue(existing, value, transform) {
+  if (existing === undefined || existing === null) {
+    return value;
+  }
+  if (value === undefined || value === null) {
+    return existing;
+  }
+
+  const isPlainObject = item => typeof item === 'object' && !Array.isArray(item);
+  if (isPlainObject(existing) && isPlainObject(value)) {
+    return transform && transform.startsWith('object:') ? { ...existing, ...value } : { ...value, ...existing };
+  }
+
+  return existing;
+}
+
+/**
+ * Reverse a crosswalk transform, extracting a column value from a schema property value
+ * @param {*} value - Schema property value
+ * @param {string} transform - Transform of the column
+ * @param {Array<string>} claimedKeys - Object keys taken by sibling `object:<key>` columns (excluded from `json` columns)
+ * @returns {*} Column value
+ */
+function reverseFieldTransform(value, transform, claimedKeys = []) {
+  if (!transform || value === undefined || value === null) {
+    return value === undefined ? null : value;
+  }
+
+  const [name, key] = transform.split(':');
+  const isPlainObject = typeof value === 'object' && !Array.isArray(value);
+
+  switch (name) {
+    case 'object':
+      return isPlainObject ? (value[key] === undefined ? null : value[key]) : value;
+    case 'json':
+      if (isPlainObject && claimedKeys.length > 0) {
+        const rest = Object.fromEntries(Object.entries(value).filter(([prop]) => !claimedKeys.includes(prop)));
+        return Object.keys(rest).length > 0 ? rest : null;
+      }
+      return value;
+    case 'split':
+      return Array.isArray(value) ? value.join(', ') : value;
+    default:
+      return value;
+  }
+}
+
 /**
  * Get schema mapping for a database table
+ * The NEPA entity comes from the crosswalk's schema_entity column when available
  * @param {string} tableName - Database table name
  * @returns {Object} Schema mapping with schemaName and idField
  */
 function getSchemaMapping(tableName) {
-  return TABLE_TO_SCHEMA_MAP[tableName] || { 
+  const mapping = TABLE_TO_SCHEMA_MAP[tableName] || { 
     schemaName: tableName, 
     idField: `${tableName}_id` 
   };
+  const table = loadCrosswalkMappings().tables[tableName];
+
+  if (!table || !table.schemaEntity) {
+    return mapping;
+  }
+
+  const idColumn = table.columns.id;
+  return {
+    schemaName: table.schemaEntity,
+    idField: (idColumn && idColumn.property) || mapping.idField
+  };
 }
 
 /**
- * Map database field to schema property with enhanced logic
+ * Map database field to schema property using the crosswalk
+ * Columns without a schema_property keep their own name
  * @param {string} fieldName - Database field name
  * @param {string} tableName - Database table name
  * @returns {string} Schema property name
  */
 function mapDatabaseFieldToSchema(fieldName, tableName) {
-  // Handle special cases first - map database 'id' to the appropriate schema ID field
+  const mapping = getColumnMapping(tableName, fieldName);
+  if (mapping && mapping.property) {
+    return mapping.property;
+  }
+
+  // Map database 'id' to the appropriate schema ID field for tables outside the crosswalk
   if (fieldName === 'id') {
     return mapEntityId(tableName);
   }
-  
-  // Enhanced field mappings by table
-  const fieldMappingsByTable = {
-    'project': {
-      'id': 'project_id',
-      'title': 'project_title',
-      'description': 'project_description',
-      'sector': 'project_sector', 
-      'sponsor': 'project_sponsor',
-      'type': 'project_type',
-      'funding': 'funding_source'
-    },
-    'document': {
-      'id': 'document_id',
-      'revision_no': 'revision_number',
-      'supplement_no': 'supplement_number',
-      'public_access': 'public_access',
-      'parent_process_id': 'process_id'
-    },
-    'process_instance': {
-      'id': 'process_id',
-      'parent_project_id': 'project_id',
-      'comment_start': 'comment_period_start',
-      'comment_end': 'comment_period_end',
-      'process_model': 'process_model_id',
-      'federal_id': 'federal_unique_id',
-      'description': 'description',
-      'type': 'process_type',
-      'status': 'process_status',
-      'stage': 'process_stage',
-      'complete_date': 'completion_date',
-      'outcome': 'process_outcome'
-    },
-    'gis_data': {
-      'id': 'gis_id',
-      'centroid_lat': 'centroid_latitude',
-      'centroid_lon': 'centroid_longitude',
-      'creator_contact': 'creator_contact_info',
-      'map_image': 'map_image_url',
-      'data_container': 'container_inventory',
-      'address': 'location_address',
-      'updated_last': 'last_updated',
-      'creator': 'creator',
-      'description': 'description',
-      'extent': 'extent',
-      'notes': 'notes'
-    },
-    'comment': {
-      'id': 'comment_id',
-      'parent_document_id': 'related_document_id',
-      'commenter_entity': 'commenter_name',
-      'content_text': 'content',
-      'submission_method': 'method_of_submission',
-      'public_acess': 'public_access',
-      'response_text': 'agency_response'
-    },
-    'case_event': {
-      'id': 'case_event_id',
-      'name': 'event_name',
-      'type': 'event_type',
-      'datetime': 'event_date',
-      'parent_process_id': 'process_id'
-    },
-    'engagement': {
-      'id': 'event_id',
-      'parent_process_id': 'related_process_id',
-      'participation': 'participation_method',
-      'start_datetime': 'date',
-      'related_document_id': 'related_document_id'
-    },
-    'decision_element': {
-      'id': 'decision_element_id',
-      'process_model': 'process_model_id',
-      'title': 'element_title',
-      'description': 'element_description',
-      'threshold': 'threshold',
-      'spatial': 'spatial',
-      'category': 'category'
-    },
-    'process_decision_payload': {
-      'id': 'decision_payload_id',
-      'process': 'process_id',
-      'project': 'project_id',
-      'process_decision_element': 'decision_element_id',
-      'evaluation_data': 'payload_data',
-      'created_at': 'created_date'
-    },
-    'process_model': {
-      'id': 'process_model_id',
-      'title': 'name'
-    },
-    'gis_data_element': {
-      'id': 'gis_element_id',
-      'parent_gis': 'gis_id',
-      'format': 'data_type',
-      'container_reference': 'container_reference',
-      'access_method': 'access_method',
-      'coordinate_system': 'coordinate_system',
-      'top_left_lat': 'top_left_lat',
-      'top_left_lon': 'top_left_lon',
-      'bot_right_lat': 'bot_right_lat',
-      'bot_right_lon': 'bot_right_lon',
-      'purpose': 'purpose',
-      'data_match': 'data_match',
-      'access_info': 'access_info'
-    },
-    'legal_structure': {
-      'id': 'legal_structure_id'
-    },
-    'user_role': {
-      'id': 'role_id'
-    }
-  };
-  
-  // Check table-specific mappings first
-  if (fieldMappingsByTable[tableName] && fieldMappingsByTable[tableName][fieldName]) {
-    return fieldMappingsByTable[tableName][fieldName];
-  }
-  
-  // Special mappings for specific fields (global)
-  const specialMappings = {
-    'sponsor': 'project_sponsor',
-    'location_text': 'location',
-    'location_object': 'location',
-    'content_text': 'content',
-    'response_text': 'agency_response',
-    'commenter_entity': 'commenter_name',
-    'submission_method': 'method_of_submission',
-    'public_acess': 'public_access',
-    'related_process_id': 'process_id'
-  };
-  
-  return specialMappings[fieldName] || fieldName;
+
+  return fieldName;
 }
 
 /**
@@ -388,9 +466,17 @@ module.exports = {
   mapEntityId,
   mapDatabaseFieldToSchema,
   getSchemaMapping,
+  loadCrosswalkMappings,
+  findTableForSchema,
+  getColumnMapping,
+  isValidTransform,
+  applyFieldTransform,
+  mergeMappedValue,
+  reverseFieldTransform,
   hasField,
   IGNORED_FIELDS,
   TABLE_TO_SCHEMA_MAP,
   OPENAPI_TO_SCHEMA_MAP,
+  FIELD_TRANSFORMS,
   shouldCountProperty
 };
@@ -0,0 +1,176 @@
+/**
+ * Migration utilities for upgrading NEPA documents between standard releases
+ * Applies the declarative operations each release lists in src/jsonschema/versions.json:
+ * - rename: { op, collection, from, to } renames a property on every record
+ * - split: { op, collection, from, into, separator } splits a property into several; `into` maps
+ *   target property → key for object values, or lists target properties for strings cut at `separator`
+ * - rename-collection: { op, from, to } renames a top-level collection
+ * - default: { op, collection, property, value } fills a new property where it is missing
+ * - remove: { op, collection, property } drops a property
+ */
+const {
+  VERSION_PROPERTY,
+  normalizeVersion,
+  loadSchemaRegistry,
+  getMigrationSteps
+} = require('./version-utils');
+
+/**
+ * Describe a migration operation for output
+ * @param {Object} operation - Operation from the registry
+ * @returns {string} Description
+ */
+function describeMigrationOperation(operation) {
+  switch (operation.op) {
+    case 'rename':
+      return `${operation.collection}: rename ${operation.from} → ${operation.to}`;
+    case 'split': {
+      const targets = Array.isArray(operation.into) ? operation.into : Object.keys(operation.into || {});
+      return `${operation.collection}: split ${operation.from} into ${targets.join(', ')}`;
+    }
+    case 'rename-collection':
+      return `rename collection ${operation.from} → ${operation.to}`;
+    case 'default':
+      return `${operation.collection}: default ${operation.property} to ${JSON.stringify(operation.value)}`;
+    case 'remove':
+      return `${operation.collection}: remove ${operation.property}`;
+    default:
+      return operation.op;
+  }
+}
+
+/**
+ * Split one property value into target properties
+ * @param {*} value - Value of the source property
+ * @param {Object} operation - Split operation
+ * @returns {Object|null} Target property → value, or null if the value cannot be split
+ */
+function splitValue(value, operation) {
+  if (Array.isArray(operation.into)) {
+    if (typeof value !== 'string') return null;
+    const parts = value.split(operation.separator || ',');
+    return Object.fromEntries(operation.into.map((target, index) => [target, parts[index] !== undefined ? parts[index].trim() : null]));
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  return Object.fromEntries(Object.entries(operation.into || {}).map(([target, key]) => [target, value[key] !== undefined ? value[key] : null]));
+}
+
+/**
+ * Apply one migration operation to a document in place
+ * Records that would lose data (e.g. a rename onto a property that already has a value) are left unchanged
+ * @param {Object} document - NEPA document (modified)
+ * @param {Object} operation - Operation from the registry
+ * @returns {Object} { changed, warnings } with the number of records (or collections) changed
+ */
+function applyMigrationOperation(document, operation) {
+  const warnings = [];
+  let changed = 0;
+  const has = (record, property) => Object.prototype.hasOwnProperty.call(record, property);
+  const hasValue = (record, property) => has(record, property) && record[property] !== null && record[property] !== undefined;
+
+  if (operation.op === 'rename-collection') {
+    if (has(document, operation.from)) {
+      if (has(document, operation.to)) {
+        warnings.push(`Document has both ${operation.from} and ${operation.to}; ${operation.from} left unchanged`);
+      } else {
+        document[operation.to] = document[operation.from];
+        delete document[operation.from];
+        changed = 1;
+      }
+    }
+    return { changed, warnings };
+  }
+
+  const records = Array.isArray(document[operation.collection]) ? document[operation.collection] : [];
+  records.forEach((record, index) => {
+    if (!record || typeof record !== 'object') return;
+    const location = `${operation.collection}[${index}]`;
+
+    if (operation.op === 'rename' && has(record, operation.from)) {
+      if (hasValue(record, operation.to)) {
+        warnings.push(`${location} has both ${operation.from} and ${operation.to}; left unchanged`);
+        return;
+      }
+      record[operation.to] = record[operation.from];
+      delete record[operation.from];
+      changed++;
+    } else if (operation.op === 'split' && has(record, operation.from)) {
+      const value = record[operation.from];
+      const parts = value === null || value === undefined ? {} : splitValue(value, operation);
+      if (!parts) {
+        warnings.push(`${location}.${operation.from} cannot be split (${Array.isArray(operation.into) ? 'expected a string' : 'expected an object'}); left unchanged`);
+        return;
+      }
+      const conflicts = Object.keys(parts).filter(target => target !== operation.from && hasValue(record, target));
+      if (conflicts.length > 0) {
+        warnings.push(`${location} already has ${conflicts.join(', ')}; ${operation.from} left unchanged`);
+        return;
+      }
+      delete record[operation.from];
+      Object.assign(record, parts);
+      changed++;
+    } else if (operation.op === 'default' && !has(record, operation.property)) {
+      record[operation.property] = JSON.parse(JSON.stringify(operation.value === undefined ? null : operation.value));
+      changed++;
+    } else if (operation.op === 'remove' && has(record, operation.property)) {
+      delete record[operation.property];
+      changed++;
+    }
+  });
+
+  return { changed, warnings };
+}
+
+/**
+ * Upgrade a NEPA document to a later release of the standard
+ * @param {Object} document - NEPA document (not modified)
+ * @param {Object} options - Migration options
+ * @param {string} options.from - Version the document conforms to (default: its standard_version)
+ * @param {string} options.to - Target version (default: the current release)
+ * @param {string} options.registryPath - Path to the release registry
+ * @returns {Object} { data, from, to, steps, warnings } where steps lists each release with its applied operations
+ * @throws {Error} If the source version is unknown or not declared, or the target is older
+ */
+function migrateDocument(document, options = {}) {
+  const registry = loadSchemaRegistry(options.registryPath);
+  const declared = document ? document[VERSION_PROPERTY] : undefined;
+  const from = options.from || declared;
+  const warnings = [];
+
+  if (!from) {
+    throw new Error(`The document does not declare ${VERSION_PROPERTY}; pass the version it conforms to (--from)`);
+  }
+  if (options.from && declared && normalizeVersion(options.from) !== normalizeVersion(declared)) {
+    warnings.push(`Document declares ${VERSION_PROPERTY} ${declared}; migrating from ${options.from} as requested`);
+  }
+
+  const to = options.to || registry.current;
+  const releases = getMigrationSteps(from, to, options.registryPath);
+  const content = JSON.parse(JSON.stringify(document));
+  delete content[VERSION_PROPERTY];
+
+  const steps = releases.map(release => ({
+    version: release.version,
+    notes: release.notes,
+    operations: release.migrations.map(operation => {
+      const result = applyMigrationOperation(content, operation);
+      warnings.push(...result.warnings);
+      return { description: describeMigrationOperation(operation), changed: result.changed };
+    })
+  }));
+
+  return {
+    data: { [VERSION_PROPERTY]: normalizeVersion(to), ...content },
+    from: normalizeVersion(from),
+    to: normalizeVersion(to),
+    steps,
+    warnings
+  };
+}
+
+module.exports = {
+  describeMigrationOperation,
+  applyMigrationOperation,
+  migrateDocument
+};
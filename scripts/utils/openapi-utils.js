@@ -0,0 +1,585 @@
+/**
+ * OpenAPI utilities
+ * Reads Swagger 2.0 and OpenAPI 3.x specifications through one interface and upgrades
+ * Swagger 2.0 specs (such as the one Supabase/PostgREST generates) to OpenAPI 3.1
+ */
+
+// Target version of convertToOpenApi31()
+const OPENAPI_31_VERSION = '3.1.0';
+
+// Top-level fields that only exist in Swagger 2.0
+const SWAGGER2_FIELDS = ['host', 'basePath', 'schemes', 'consumes', 'produces', 'definitions', 'parameters', 'responses', 'securityDefinitions'];
+
+// HTTP methods that can appear as operations under a path
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Schema keywords that move from a Swagger 2.0 parameter or header into its OpenAPI 3 schema
+const PARAMETER_SCHEMA_KEYS = [
+  'type', 'format', 'items', 'default', 'enum', 'maximum', 'exclusiveMaximum', 'minimum', 'exclusiveMinimum',
+  'maxLength', 'minLength', 'pattern', 'maxItems', 'minItems', 'uniqueItems', 'multipleOf'
+];
+
+// Swagger 2.0 collectionFormat → OpenAPI 3 style and explode
+const COLLECTION_FORMATS = {
+  csv: { style: 'form', explode: false },
+  ssv: { style: 'spaceDelimited', explode: false },
+  pipes: { style: 'pipeDelimited', explode: false },
+  multi: { style: 'form', explode: true }
+};
+
+// Swagger 2.0 $ref prefixes → OpenAPI 3 component locations
+const REF_PREFIXES = {
+  '#/definitions/': '#/components/schemas/',
+  '#/parameters/': '#/components/parameters/',
+  '#/responses/': '#/components/responses/'
+};
+
+// Default media type when a spec declares none
+const DEFAULT_MEDIA_TYPE = 'application/json';
+
+// info extension that marks a NEPA-native exchange API spec (generate-api-spec.js) and holds its standard version
+const NEPA_API_EXTENSION = 'x-nepa-standard-version';
+
+/**
+ * Tell whether a spec describes the NEPA-native exchange API rather than a database API
+ * @param {Object} spec - Parsed specification
+ * @returns {boolean} True if the spec carries the NEPA standard version marker
+ */
+function isNepaApiSpec(spec) {
+  return Boolean(spec && spec.info && spec.info[NEPA_API_EXTENSION]);
+}
+
+/**
+ * Tell whether a spec has the Swagger 2.0 shape
+ * Supabase labels its specs "openapi: 3.0.0" but generates 2.0 fields (definitions, host,
+ * body parameters), so the shape is detected from the fields rather than the version string
+ * @param {Object} spec - Parsed specification
+ * @returns {boolean} True for the Swagger 2.0 shape
+ */
+function isSwagger2(spec) {
+  if (!spec || typeof spec !== 'object') return false;
+  if (spec.swagger) return true;
+  return !spec.components && ['definitions', 'host', 'basePath', 'parameters'].some(field => spec[field] !== undefined);
+}
+
+/**
+ * Get the named schemas of a spec (definitions in 2.0, components.schemas in 3.x)
+ * @param {Object} spec - Parsed specification
+ * @returns {Object} Schema name → schema
+ */
+function getSchemaDefinitions(spec) {
+  if (spec.components && spec.components.schemas) return spec.components.schemas;
+  return spec.definitions || {};
+}
+
+/**
+ * JSON Pointer to the named schemas of a spec, for reports
+ * @param {Object} spec - Parsed specification
+ * @returns {string} /definitions or /components/schemas
+ */
+function getSchemaDefinitionsPointer(spec) {
+  return spec.components && spec.components.schemas ? '/components/schemas' : '/definitions';
+}
+
+/**
+ * Get the path every API path is relative to (basePath in 2.0, the first server's path in 3.x)
+ * @param {Object} spec - Parsed specification
+ * @returns {string} Base path without a trailing slash ('' for the root)
+ */
+function getBasePath(spec) {
+  let basePath = spec.basePath || '';
+  if (!basePath && Array.isArray(spec.servers) && spec.servers.length > 0 && spec.servers[0].url) {
+    try {
+      basePath = new URL(spec.servers[0].url, 'http://localhost').pathname;
+    } catch (error) {
+      basePath = '';
+    }
+  }
+  return basePath.replace(/\/+$/, '');
+}
+
+/**
+ * Resolve a local $ref (e.g. #/components/schemas/project) against a spec
+ * @param {Object} spec - Parsed specification
+ * @param {string} ref - Reference
+ * @returns {*} Referenced value, or undefined if it does not resolve
+ */
+function resolveRef(spec, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) return undefined;
+
+  return ref.slice(2).split('/').reduce((node, token) => {
+    if (node === undefined || node === null) return undefined;
+    return node[token.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }, spec);
+}
+
+/**
+ * Follow $refs until reaching a value that is not a reference
+ * @param {Object} spec - Parsed specification
+ * @param {Object} value - Value that may be a { $ref }
+ * @returns {*} Dereferenced value (undefined for a broken reference)
+ */
+function dereference(spec, value) {
+  const seen = new Set();
+  let current = value;
+  while (current && typeof current.$ref === 'string' && !seen.has(current.$ref)) {
+    seen.add(current.$ref);
+    current = resolveRef(spec, current.$ref);
+  }
+  return current;
+}
+
+/**
+ * Get the schema of a response in either shape (schema in 2.0, content[mediaType].schema in 3.x)
+ * JSON media types are preferred when a 3.x response has several
+ * @param {Object} response - Response object
+ * @returns {Object|null} Schema, or null if the response has no body
+ */
+function getResponseSchema(response) {
+  if (!response) return null;
+  if (response.schema) return response.schema;
+  if (!response.content) return null;
+
+  const mediaTypes = Object.keys(response.content);
+  const mediaType = mediaTypes.find(type => type === DEFAULT_MEDIA_TYPE) ||
+    mediaTypes.find(type => /json/.test(type)) ||
+    mediaTypes[0];
+  return (mediaType && response.content[mediaType].schema) || null;
+}
+
+/**
+ * Rewrite a Swagger 2.0 $ref to its OpenAPI 3 component location
+ * @param {string} ref - Reference
+ * @returns {string} Rewritten reference (unchanged if it is not a 2.0 location)
+ */
+function rewriteRef(ref) {
+  for (const [from, to] of Object.entries(REF_PREFIXES)) {
+    if (ref.startsWith(from)) return to + ref.slice(from.length);
+  }
+  return ref;
+}
+
+/**
+ * Convert a Swagger 2.0 schema to a JSON Schema 2020-12 schema for OpenAPI 3.1
+ * Rewrites $refs, turns x-nullable into a null type, type: file into binary strings and
+ * string discriminators into discriminator objects
+ * @param {*} schema - Schema (or any nested value)
+ * @returns {*} Converted copy
+ */
+function convertSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(convertSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    switch (key) {
+      case '$ref':
+        converted.$ref = typeof value === 'string' ? rewriteRef(value) : value;
+        break;
+      case 'x-nullable':
+        break;
+      case 'discriminator':
+        converted.discriminator = typeof value === 'string' ? { propertyName: value } : value;
+        break;
+      case 'default':
+      case 'enum':
+      case 'example':
+        converted[key] = value;
+        break;
+      case 'properties':
+      case 'patternProperties':
+      case 'definitions':
+        converted[key] = Object.fromEntries(Object.entries(value || {}).map(([name, child]) => [name, convertSchema(child)]));
+        break;
+      default:
+        converted[key] = convertSchema(value);
+    }
+  }
+
+  if (converted.type === 'file') {
+    converted.type = 'string';
+    converted.contentMediaType = 'application/octet-stream';
+  }
+  if (schema['x-nullable'] === true) {
+    if (converted.$ref) {
+      return { anyOf: [{ $ref: converted.$ref }, { type: 'null' }], ...omit(converted, ['$ref']) };
+    }
+    if (converted.type && !(Array.isArray(converted.type) && converted.type.includes('null'))) {
+      converted.type = [...[].concat(converted.type), 'null'];
+    }
+    if (Array.isArray(converted.enum) && !converted.enum.includes(null)) {
+      converted.enum = [...converted.enum, null];
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Copy an object without some keys
+ * @param {Object} object - Object
+ * @param {Array<string>} keys - Keys to drop
+ * @returns {Object} Copy
+ */
+function omit(object, keys) {
+  return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+}
+
+/**
+ * Build an OpenAPI 3 content map with the same schema for each media type
+ * @param {Object} schema - Schema (already converted)
+ * @param {Array<string>} mediaTypes - Media types
+ * @returns {Object} Media type → { schema }
+ */
+function buildContent(schema, mediaTypes) {
+  const types = mediaTypes && mediaTypes.length > 0 ? mediaTypes : [DEFAULT_MEDIA_TYPE];
+  return Object.fromEntries(types.map(type => [type, { schema }]));
+}
+
+/**
+ * Convert a Swagger 2.0 non-body parameter or header to OpenAPI 3
+ * @param {Object} parameter - Parameter (or header) object
+ * @returns {Object} Converted parameter
+ */
+function convertParameter(parameter) {
+  const converted = {};
+  const schema = {};
+
+  for (const [key, value] of Object.entries(parameter)) {
+    if (PARAMETER_SCHEMA_KEYS.includes(key)) {
+      schema[key] = convertSchema(value);
+    } else if (key === 'collectionFormat') {
+      Object.assign(converted, COLLECTION_FORMATS[value] || {});
+    } else if (key !== 'allowEmptyValue' || parameter.in === 'query') {
+      converted[key] = value;
+    }
+  }
+
+  if (Object.keys(schema).length > 0) {
+    converted.schema = schema;
+  }
+  if (converted.in === 'path') {
+    converted.required = true;
+  }
+  return converted;
+}
+
+/**
+ * Convert a Swagger 2.0 body parameter to an OpenAPI 3 request body
+ * @param {Object} parameter - Body parameter
+ * @param {Array<string>} consumes - Media types the operation accepts
+ * @returns {Object} Request body
+ */
+function convertBodyParameter(parameter, consumes) {
+  const requestBody = {};
+  if (parameter.description) requestBody.description = parameter.description;
+  requestBody.content = buildContent(convertSchema(parameter.schema || {}), consumes);
+  if (parameter.required) requestBody.required = true;
+  Object.keys(parameter).filter(key => key.startsWith('x-')).forEach(key => {
+    requestBody[key] = parameter[key];
+  });
+  return requestBody;
+}
+
+/**
+ * Convert Swagger 2.0 formData parameters to an OpenAPI 3 request body
+ * @param {Array<Object>} parameters - formData parameters
+ * @param {Array<string>} consumes - Media types the operation accepts
+ * @returns {Object} Request body
+ */
+function convertFormParameters(parameters, consumes) {
+  const schema = { type: 'object', properties: {} };
+  const required = parameters.filter(parameter => parameter.required).map(parameter => parameter.name);
+  parameters.forEach(parameter => {
+    const property = convertParameter(omit(parameter, ['name', 'in', 'required'])).schema || {};
+    if (parameter.description) property.description = parameter.description;
+    schema.properties[parameter.name] = convertSchema(property);
+  });
+  if (required.length > 0) schema.required = required;
+
+  const formTypes = (consumes || []).filter(type => /form/.test(type));
+  const hasFile = parameters.some(parameter => parameter.type === 'file');
+  const mediaTypes = formTypes.length > 0 ? formTypes : [hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded'];
+  return { content: buildContent(schema, mediaTypes), ...(required.length > 0 ? { required: true } : {}) };
+}
+
+/**
+ * Convert a Swagger 2.0 response to OpenAPI 3
+ * @param {Object} response - Response object
+ * @param {Array<string>} produces - Media types the operation returns
+ * @returns {Object} Converted response
+ */
+function convertResponse(response, produces) {
+  if (response.$ref) return { $ref: rewriteRef(response.$ref) };
+
+  const converted = { description: response.description || '' };
+  if (response.schema) {
+    const examples = response.examples || {};
+    const mediaTypes = produces && produces.length > 0 ? produces : [DEFAULT_MEDIA_TYPE];
+    converted.content = Object.fromEntries(mediaTypes.map(type => [
+      type,
+      examples[type] !== undefined ? { schema: convertSchema(response.schema), example: examples[type] } : { schema: convertSchema(response.schema) }
+    ]));
+  }
+  if (response.headers) {
+    converted.headers = Object.fromEntries(Object.entries(response.headers).map(([name, header]) => [
+      name, omit(convertParameter(header), ['name', 'in'])
+    ]));
+  }
+  Object.keys(response).filter(key => key.startsWith('x-')).forEach(key => {
+    converted[key] = response[key];
+  });
+  return converted;
+}
+
+/**
+ * Convert Swagger 2.0 security definitions to OpenAPI 3 security schemes
+ * @param {Object} definitions - securityDefinitions
+ * @returns {Object} Security schemes
+ */
+function convertSecurityDefinitions(definitions) {
+  const flowNames = { implicit: 'implicit', password: 'password', application: 'clientCredentials', accessCode: 'authorizationCode' };
+
+  return Object.fromEntries(Object.entries(definitions).map(([name, definition]) => {
+    if (definition.type === 'basic') {
+      return [name, { type: 'http', scheme: 'basic', ...(definition.description ? { description: definition.description } : {}) }];
+    }
+    if (definition.type === 'oauth2') {
+      const flow = { scopes: definition.scopes || {} };
+      if (definition.authorizationUrl) flow.authorizationUrl = definition.authorizationUrl;
+      if (definition.tokenUrl) flow.tokenUrl = definition.tokenUrl;
+      return [name, {
+        type: 'oauth2',
+        ...(definition.description ? { description: definition.description } : {}),
+        flows: { [flowNames[definition.flow] || definition.flow]: flow }
+      }];
+    }
+    return [name, { ...definition }];
+  }));
+}
+
+/**
+ * Build the servers list from Swagger 2.0 schemes, host and basePath
+ * @param {Object} spec - Swagger 2.0 specification
+ * @returns {Array<Object>} Servers
+ */
+function convertServers(spec) {
+  const basePath = spec.basePath || '/';
+  if (!spec.host) {
+    return [{ url: basePath }];
+  }
+  const schemes = spec.schemes && spec.schemes.length > 0 ? spec.schemes : ['https'];
+  return schemes.map(scheme => ({ url: `${scheme}://${spec.host}${basePath === '/' ? '' : basePath}` }));
+}
+
+/**
+ * Convert the operations of one path
+ * @param {Object} pathItem - Path item
+ * @param {Object} spec - Swagger 2.0 specification (for shared parameters and media types)
+ * @param {Object} bodyParameters - Names of shared parameters that became request bodies
+ * @param {Array<string>} warnings - Conversion warnings (appended to)
+ * @param {string} apiPath - Path, for warnings
+ * @returns {Object} Converted path item
+ */
+function convertPathItem(pathItem, spec, bodyParameters, warnings, apiPath) {
+  const converted = {};
+  const pathParameters = pathItem.parameters || [];
+
+  for (const [key, value] of Object.entries(pathItem)) {
+    if (key === 'parameters') {
+      const parameters = value.filter(parameter => !isBodyOrForm(spec, parameter)).map(parameter => convertOperationParameter(parameter));
+      if (parameters.length > 0) converted.parameters = parameters;
+      if (parameters.length < value.length) {
+        warnings.push(`${apiPath}: path-level body parameters were moved to each operation's requestBody`);
+      }
+    } else if (HTTP_METHODS.includes(key)) {
+      converted[key] = convertOperation(value, spec, pathParameters, bodyParameters);
+    } else if (key === '$ref') {
+      converted.$ref = value;
+    } else {
+      converted[key] = value;
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Tell whether a parameter (or reference to one) is a body or formData parameter
+ * @param {Object} spec - Swagger 2.0 specification
+ * @param {Object} parameter - Parameter or { $ref }
+ * @returns {boolean} True for body and formData parameters
+ */
+function isBodyOrForm(spec, parameter) {
+  const resolved = dereference(spec, parameter) || {};
+  return resolved.in === 'body' || resolved.in === 'formData';
+}
+
+/**
+ * Convert an operation parameter, keeping references to shared parameters
+ * @param {Object} parameter - Parameter or { $ref }
+ * @returns {Object} Converted parameter or reference
+ */
+function convertOperationParameter(parameter) {
+  return parameter.$ref ? { $ref: rewriteRef(parameter.$ref) } : convertParameter(parameter);
+}
+
+/**
+ * Convert one operation: parameters, request body and responses
+ * @param {Object} operation - Operation object
+ * @param {Object} spec - Swagger 2.0 specification
+ * @param {Array<Object>} pathParameters - Parameters declared on the path item
+ * @param {Object} bodyParameters - Shared parameter name → request body name
+ * @returns {Object} Converted operation
+ */
+function convertOperation(operation, spec, pathParameters, bodyParameters) {
+  const consumes = operation.consumes || spec.consumes;
+  const produces = operation.produces || spec.produces;
+  const converted = {};
+  const parameters = [];
+  const formParameters = [];
+  let requestBody = null;
+
+  // Body parameters declared on the path apply to every operation unless overridden
+  const declared = operation.parameters || [];
+  const inherited = pathParameters.filter(parameter => isBodyOrForm(spec, parameter) && !declared.some(own => isBodyOrForm(spec, own)));
+
+  for (const parameter of [...inherited, ...declared]) {
+    const resolved = dereference(spec, parameter) || {};
+    if (resolved.in === 'body') {
+      const shared = parameter.$ref && bodyParameters[parameter.$ref];
+      requestBody = shared && (!operation.consumes || sameMediaTypes(operation.consumes, spec.consumes))
+        ? { $ref: `#/components/requestBodies/${shared}` }
+        : convertBodyParameter(resolved, consumes);
+    } else if (resolved.in === 'formData') {
+      formParameters.push(resolved);
+    } else {
+      parameters.push(convertOperationParameter(parameter));
+    }
+  }
+  if (formParameters.length > 0) {
+    requestBody = convertFormParameters(formParameters, consumes);
+  }
+
+  for (const [key, value] of Object.entries(operation)) {
+    switch (key) {
+      case 'consumes':
+      case 'produces':
+      case 'schemes':
+        break;
+      case 'parameters':
+        if (parameters.length > 0) converted.parameters = parameters;
+        if (requestBody) converted.requestBody = requestBody;
+        break;
+      case 'responses':
+        converted.responses = Object.fromEntries(Object.entries(value).map(([status, response]) => [status, convertResponse(response, produces)]));
+        break;
+      default:
+        converted[key] = value;
+    }
+  }
+  if (requestBody && !converted.requestBody) {
+    converted.requestBody = requestBody;
+  }
+
+  return converted;
+}
+
+/**
+ * Compare two media type lists ignoring order
+ * @param {Array<string>} left - Media types
+ * @param {Array<string>} right - Media types
+ * @returns {boolean} True if both contain the same media types
+ */
+function sameMediaTypes(left = [], right = []) {
+  return left.length === right.length && left.every(type => right.includes(type));
+}
+
+/**
+ * Convert a Swagger 2.0 specification (or a Supabase spec mixing 2.0 fields into "openapi: 3.0.0")
+ * to OpenAPI 3.1
+ * - schemes, host and basePath become servers; definitions, parameters, responses and
+ *   securityDefinitions move under components
+ * - body parameters become requestBody (shared ones become components.requestBodies) and
+ *   formData parameters become form request bodies
+ * - response schemas and request bodies get content entries for each produces/consumes media type
+ * - non-body parameters move their type keywords into schema, and every $ref is rewritten
+ * @param {Object} spec - Parsed Swagger 2.0 specification
+ * @returns {Object} { spec, warnings } with the OpenAPI 3.1 specification
+ * @throws {Error} If the spec already has the OpenAPI 3.x shape
+ */
+function convertToOpenApi31(spec) {
+  if (!isSwagger2(spec)) {
+    throw new Error(`Specification already has the OpenAPI ${spec.openapi || '3.x'} shape; nothing to convert`);
+  }
+
+  const warnings = [];
+  const components = {};
+  const sharedParameters = spec.parameters || {};
+  const bodyParameters = {};
+
+  // Shared body parameters become request bodies; other shared parameters stay parameters
+  for (const [name, parameter] of Object.entries(sharedParameters)) {
+    if (parameter.in === 'body') {
+      components.requestBodies = components.requestBodies || {};
+      components.requestBodies[name] = convertBodyParameter(parameter, spec.consumes);
+      bodyParameters[`#/parameters/${name}`] = name;
+    } else if (parameter.in === 'formData') {
+      warnings.push(`Shared formData parameter '${name}' is inlined into the request body of each operation that uses it`);
+    } else {
+      components.parameters = components.parameters || {};
+      components.parameters[name] = convertParameter(parameter);
+    }
+  }
+  if (spec.definitions) {
+    components.schemas = Object.fromEntries(Object.entries(spec.definitions).map(([name, schema]) => [name, convertSchema(schema)]));
+  }
+  if (spec.responses) {
+    components.responses = Object.fromEntries(Object.entries(spec.responses).map(([name, response]) => [name, convertResponse(response, spec.produces)]));
+  }
+  if (spec.securityDefinitions) {
+    components.securitySchemes = convertSecurityDefinitions(spec.securityDefinitions);
+  }
+
+  const converted = { openapi: OPENAPI_31_VERSION };
+  for (const [key, value] of Object.entries(spec)) {
+    if (key === 'swagger' || key === 'openapi' || SWAGGER2_FIELDS.includes(key)) {
+      if (key === 'host' || (key === 'basePath' && !spec.host)) {
+        converted.servers = convertServers(spec);
+      }
+      if (key === 'definitions' || (key === 'parameters' && !spec.definitions)) {
+        converted.components = components;
+      }
+      continue;
+    }
+    if (key === 'paths') {
+      converted.paths = Object.fromEntries(Object.entries(value || {}).map(([apiPath, pathItem]) => [
+        apiPath, convertPathItem(pathItem, spec, bodyParameters, warnings, apiPath)
+      ]));
+    } else {
+      converted[key] = value;
+    }
+  }
+  if (!converted.components && Object.keys(components).length > 0) {
+    converted.components = components;
+  }
+
+  return { spec: converted, warnings };
+}
+
+module.exports = {
+  OPENAPI_31_VERSION,
+  SWAGGER2_FIELDS,
+  HTTP_METHODS,
+  NEPA_API_EXTENSION,
+  isNepaApiSpec,
+  isSwagger2,
+  getSchemaDefinitions,
+  getSchemaDefinitionsPointer,
+  getBasePath,
+  getResponseSchema,
+  resolveRef,
+  dereference,
+  convertSchema,
+  convertToOpenApi31
+};
@@ -0,0 +1,383 @@
+/**
+ * PostgREST request utilities
+ * Parses the query syntax of the PostgREST/Supabase API described by src/openapi
+ * (row filters, select, order, limit/offset, Range and Prefer headers) and applies it to rows
+ */
+
+// Query parameters that are not row filters
+const RESERVED_PARAMS = ['select', 'order', 'limit', 'offset', 'on_conflict', 'columns'];
+
+// Filter operators supported by matchesFilter()
+const FILTER_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'in', 'is'];
+
+// Operators whose operands Postgres casts to the column's type
+const TYPED_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in'];
+
+// Boolean input Postgres accepts, by value (case-insensitive)
+const BOOLEAN_LITERALS = {
+  true: true, t: true, yes: true, y: true, on: true, 1: true,
+  false: false, f: false, no: false, n: false, off: false, 0: false
+};
+
+/**
+ * Error with the HTTP status and body PostgREST would return
+ */
+class PostgrestError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} code - PostgREST (PGRST...) or Postgres error code
+   * @param {string} message - Error message
+   * @param {Object} extra - Optional details and hint
+   */
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = extra.details || null;
+    this.hint = extra.hint || null;
+  }
+
+  /**
+   * Response body in PostgREST's error format
+   * @returns {Object} { code, details, hint, message }
+   */
+  toJSON() {
+    return { code: this.code, details: this.details, hint: this.hint, message: this.message };
+  }
+}
+
+/**
+ * Parse a row filter value such as "eq.5", "not.in.(1,2)" or "is.null"
+ * @param {string} value - Query parameter value
+ * @returns {Object} { operator, value, negate }
+ * @throws {PostgrestError} If the operator is unknown
+ */
+function parseFilter(value) {
+  let text = String(value);
+  let negate = false;
+  if (text.startsWith('not.')) {
+    negate = true;
+    text = text.slice(4);
+  }
+
+  const dot = text.indexOf('.');
+  const operator = dot === -1 ? text : text.slice(0, dot);
+  if (!FILTER_OPERATORS.includes(operator)) {
+    throw new PostgrestError(400, 'PGRST100', `"failed to parse filter (${value})" (line 1, column 1)`, {
+      details: `unexpected "${operator}" expecting one of ${FILTER_OPERATORS.join(', ')}`
+    });
+  }
+
+  return { operator, value: dot === -1 ? '' : text.slice(dot + 1), negate };
+}
+
+/**
+ * Split an in.(...) list, honoring double-quoted values
+ * @param {string} value - List including parentheses, e.g. (1,2,"a,b")
+ * @returns {Array<string>} Values
+ */
+function parseList(value) {
+  const inner = value.replace(/^\(/, '').replace(/\)$/, '');
+  const values = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|([^,]+)/g;
+  let match;
+  while ((match = pattern.exec(inner)) !== null) {
+    values.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2].trim());
+  }
+  return values;
+}
+
+/**
+ * Convert a filter operand to the column's type for comparison
+ * @param {string} value - Operand from the query string
+ * @param {string} type - OpenAPI type of the column (integer, number, boolean, string or undefined)
+ * @returns {*} Comparable value
+ */
+function coerceOperand(value, type) {
+  if (type === 'integer' || type === 'number') {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (type === 'boolean') {
+    const literal = BOOLEAN_LITERALS[String(value).trim().toLowerCase()];
+    return literal === undefined ? value : literal;
+  }
+  return value;
+}
+
+/**
+ * Tell whether Postgres accepts a filter operand as input for a column type
+ * @param {string} value - Operand from the query string
+ * @param {string} type - OpenAPI type of the column
+ * @returns {boolean} True if the operand can be cast to the type
+ */
+function isValidOperand(value, type) {
+  const text = String(value).trim();
+  switch (type) {
+    case 'integer':
+      return /^[+-]?\d+$/.test(text);
+    case 'number':
+      return text !== '' && !Number.isNaN(Number(text));
+    case 'boolean':
+      return BOOLEAN_LITERALS[text.toLowerCase()] !== undefined;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check the operands of a row filter against the column's type, as Postgres does before
+ * running the query (eq.abc on a bigint column fails instead of matching nothing)
+ * @param {Object} filter - Filter from parseFilter()
+ * @param {Object} property - OpenAPI property of the column
+ * @throws {PostgrestError} 22P02 for an operand the column cannot hold
+ */
+function checkFilterOperands(filter, property = {}) {
+  if (!TYPED_OPERATORS.includes(filter.operator)) return;
+
+  const operands = filter.operator === 'in' ? parseList(filter.value) : [filter.value];
+  const invalid = operands.find(operand => !isValidOperand(operand, property.type));
+  if (invalid !== undefined) {
+    throw new PostgrestError(400, '22P02', `invalid input syntax for type ${property.format || property.type}: "${invalid}"`);
+  }
+}
+
+/**
+ * Convert a row value to a comparable value (objects are compared as JSON text)
+ * @param {*} value - Row value
+ * @returns {*} Comparable value
+ */
+function comparableValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+/**
+ * Convert a like/ilike pattern (* or % wildcards) to a regular expression
+ * @param {string} pattern - Pattern
+ * @param {boolean} caseInsensitive - True for ilike
+ * @returns {RegExp} Regular expression
+ */
+function likeToRegExp(pattern, caseInsensitive) {
+  const source = pattern
+    .split(/[*%]/)
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/_/g, '.'))
+    .join('.*');
+  return new RegExp(`^${source}$`, caseInsensitive ? 'is' : 's');
+}
+
+/**
+ * Test a row value against a parsed filter
+ * @param {*} rowValue - Column value of the row
+ * @param {Object} filter - Filter from parseFilter()
+ * @param {string} type - OpenAPI type of the column
+ * @returns {boolean} True if the row matches
+ */
+function matchesFilter(rowValue, filter, type) {
+  const value = comparableValue(rowValue);
+  let result;
+
+  switch (filter.operator) {
+    case 'is':
+      if (filter.value === 'null') result = value === null || value === undefined;
+      else if (filter.value === 'true') result = value === true;
+      else if (filter.value === 'false') result = value === false;
+      else result = false;
+      break;
+    case 'in':
+      result = parseList(filter.value).map(operand => coerceOperand(operand, type)).some(operand => operand === value);
+      break;
+    case 'like':
+    case 'ilike':
+      result = value !== null && value !== undefined && likeToRegExp(filter.value, filter.operator === 'ilike').test(String(value));
+      break;
+    default: {
+      const operand = coerceOperand(filter.value, type);
+      if (value === null || value === undefined) {
+        // Comparisons with NULL are never true in SQL
+        result = false;
+        break;
+      }
+      switch (filter.operator) {
+        case 'eq': result = value === operand; break;
+        case 'neq': result = value !== operand; break;
+        case 'gt': result = value > operand; break;
+        case 'gte': result = value >= operand; break;
+        case 'lt': result = value < operand; break;
+        case 'lte': result = value <= operand; break;
+        default: result = false;
+      }
+    }
+  }
+
+  return filter.negate ? !result : result;
+}
+
+/**
+ * Parse an order parameter such as "start_date.desc,id.asc.nullsfirst"
+ * @param {string} value - Query parameter value
+ * @returns {Array<Object>} Terms with column, descending and nullsFirst
+ */
+function parseOrder(value) {
+  if (!value) return [];
+
+  return String(value).split(',').filter(Boolean).map(term => {
+    const [column, ...modifiers] = term.split('.');
+    const descending = modifiers.includes('desc');
+    const nullsFirst = modifiers.includes('nullsfirst') || (descending && !modifiers.includes('nullslast'));
+    return { column, descending, nullsFirst };
+  });
+}
+
+/**
+ * Sort rows by order terms (stable; NULLs last ascending and first descending, as in Postgres)
+ * @param {Array<Object>} rows - Rows
+ * @param {Array<Object>} terms - Terms from parseOrder()
+ * @returns {Array<Object>} Sorted copy of the rows
+ */
+function sortRows(rows, terms) {
+  if (terms.length === 0) return rows.slice();
+
+  return rows.slice().sort((a, b) => {
+    for (const term of terms) {
+      const left = comparableValue(a[term.column]);
+      const right = comparableValue(b[term.column]);
+      const leftNull = left === null || left === undefined;
+      const rightNull = right === null || right === undefined;
+
+      if (leftNull || rightNull) {
+        if (leftNull && rightNull) continue;
+        return leftNull === term.nullsFirst ? -1 : 1;
+      }
+      if (left < right) return term.descending ? 1 : -1;
+      if (left > right) return term.descending ? -1 : 1;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Parse a select parameter such as "id,name:title"
+ * Embedded resources (e.g. "document(*)") and casts are not supported
+ * @param {string} value - Query parameter value
+ * @returns {Array<Object>|null} Items with alias and column, or null for all columns
+ * @throws {PostgrestError} For embedded resources and casts
+ */
+function parseSelect(value) {
+  if (!value || String(value).trim() === '*') return null;
+
+  const items = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const unsupported = items.find(item => item.includes('(') || item.includes('::'));
+  if (unsupported) {
+    throw new PostgrestError(400, 'PGRST100', `Unsupported select item '${unsupported}'; only plain columns and aliases can be selected`);
+  }
+  if (items.includes('*')) return null;
+
+  return items.map(item => {
+    const [alias, column] = item.includes(':') ? item.split(':') : [item, item];
+    return { alias, column };
+  });
+}
+
+/**
+ * Keep only the selected columns of a row, applying aliases
+ * @param {Object} row - Row
+ * @param {Array<Object>|null} items - Items from parseSelect() (null keeps every column)
+ * @returns {Object} Projected row
+ */
+function projectRow(row, items) {
+  if (!items) return row;
+
+  const projected = {};
+  items.forEach(({ alias, column }) => {
+    projected[alias] = row[column] === undefined ? null : row[column];
+  });
+  return projected;
+}
+
+/**
+ * Parse a Range header such as "0-24" or "10-"
+ * @param {string} header - Range header value
+ * @returns {Object|null} { start, end } where end is null for an open range, or null if absent
+ */
+function parseRange(header) {
+  const match = /^\s*(\d+)-(\d*)\s*$/.exec(header || '');
+  if (!match) return null;
+  return { start: Number(match[1]), end: match[2] === '' ? null : Number(match[2]) };
+}
+
+/**
+ * Parse a Prefer header such as "return=representation, count=exact"
+ * @param {string} header - Prefer header value
+ * @returns {Object} Preference name → value
+ */
+function parsePrefer(header) {
+  const preferences = {};
+  String(header || '').split(',').forEach(item => {
+    const [name, value] = item.split('=').map(part => part.trim());
+    if (name) preferences[name] = value === undefined ? true : value;
+  });
+  return preferences;
+}
+
+/**
+ * Find the primary key column of a table definition (marked <pk/> in PostgREST descriptions)
+ * @param {Object} definition - OpenAPI definition of the table
+ * @returns {string} Primary key column (default: id)
+ */
+function findPrimaryKey(definition) {
+  const properties = definition.properties || {};
+  return Object.keys(properties).find(name => /<pk\/>/.test(properties[name].description || '')) || 'id';
+}
+
+/**
+ * Build the JSON schema for a row of a table from its OpenAPI definition
+ * Columns the spec marks required are NOT NULL and every other column is nullable. The
+ * primary key and columns with a default may be omitted on insert, no column is required
+ * on update, and a response row (select=*) has every NOT NULL column
+ * @param {Object} definition - OpenAPI definition of the table
+ * @param {string} primaryKey - Primary key column
+ * @param {string} mode - 'insert', 'update' or 'response'
+ * @returns {Object} JSON schema for one row
+ */
+function buildRowSchema(definition, primaryKey, mode) {
+  const notNull = definition.required || [];
+  const properties = {};
+
+  for (const [name, property] of Object.entries(definition.properties || {})) {
+    const schema = {};
+    if (property.type) {
+      schema.type = notNull.includes(name) ? property.type : [property.type, 'null'];
+    }
+    if (Array.isArray(property.enum)) {
+      schema.enum = notNull.includes(name) ? property.enum : [...property.enum, null];
+    }
+    properties[name] = schema;
+  }
+
+  let required = [];
+  if (mode === 'insert') {
+    required = notNull.filter(name => name !== primaryKey && (definition.properties[name] || {}).default === undefined);
+  } else if (mode === 'response') {
+    required = notNull;
+  }
+
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+module.exports = {
+  RESERVED_PARAMS,
+  FILTER_OPERATORS,
+  PostgrestError,
+  parseFilter,
+  parseList,
+  checkFilterOperands,
+  matchesFilter,
+  parseOrder,
+  sortRows,
+  parseSelect,
+  projectRow,
+  parseRange,
+  parsePrefer,
+  findPrimaryKey,
+  buildRowSchema
+};
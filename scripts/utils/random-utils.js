@@ -0,0 +1,132 @@
+/**
+ * Seeded random number utilities
+ * The same seed always produces the same sequence, so generated datasets are reproducible
+ */
+
+// Milliseconds per day, for date arithmetic
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a seed (number or string) into a 32-bit integer
+ * @param {number|string} seed - Seed
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 1779033703 ^ text.length;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 3432918353);
+    hash = (hash << 13) | (hash >>> 19);
+  }
+  hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+  hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|string} seed - Seed
+ * @returns {Object} Generator with next(), int(), float(), chance(), pick(), weighted(), sample() and date helpers
+ */
+function createRandom(seed = 1) {
+  let state = hashSeed(seed);
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const random = {
+    next,
+
+    /**
+     * Integer between min and max, inclusive
+     */
+    int(min, max) {
+      return min + Math.floor(next() * (max - min + 1));
+    },
+
+    /**
+     * Number between min and max, rounded to the given number of decimals
+     */
+    float(min, max, decimals = 6) {
+      return Number((min + next() * (max - min)).toFixed(decimals));
+    },
+
+    /**
+     * True with the given probability
+     */
+    chance(probability) {
+      return next() < probability;
+    },
+
+    /**
+     * One element of an array
+     */
+    pick(values) {
+      return values[Math.floor(next() * values.length)];
+    },
+
+    /**
+     * One key of a value → weight map
+     */
+    weighted(weights) {
+      const entries = Object.entries(weights);
+      const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+      let threshold = next() * total;
+      for (const [value, weight] of entries) {
+        threshold -= weight;
+        if (threshold < 0) return value;
+      }
+      return entries[entries.length - 1][0];
+    },
+
+    /**
+     * Up to count distinct elements of an array, in their original order
+     */
+    sample(values, count) {
+      const indexes = values.map((value, index) => index);
+      for (let i = indexes.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+      }
+      return indexes.slice(0, Math.max(0, count)).sort((a, b) => a - b).map(index => values[index]);
+    },
+
+    /**
+     * Date (YYYY-MM-DD) a random number of days after another date
+     */
+    dateAfter(date, minDays, maxDays) {
+      return addDays(date, random.int(minDays, maxDays));
+    },
+
+    /**
+     * Date-time (ISO 8601, UTC) during business hours of a date
+     */
+    dateTimeOn(date) {
+      const time = Date.parse(`${date}T00:00:00Z`) + random.int(8, 17) * 3600000 + random.int(0, 3) * 900000;
+      return new Date(time).toISOString().replace('.000Z', 'Z');
+    }
+  };
+
+  return random;
+}
+
+/**
+ * Add days to a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  hashSeed,
+  createRandom,
+  addDays
+};
@@ -0,0 +1,409 @@
+/**
+ * Referential integrity utilities for NEPA datasets
+ * Resolves the foreign keys implied by the NEPA schema across entity collections
+ */
+
+// Business key of each NEPA collection (every record also has an integer `id`)
+const PRIMARY_KEYS = {
+  projects: 'project_id',
+  processes: 'process_id',
+  documents: 'document_id',
+  public_comments: 'comment_id',
+  public_engagement_events: 'event_id',
+  case_events: 'case_event_id',
+  gis_data: 'gis_id',
+  gis_data_elements: 'gis_element_id',
+  user_roles: 'role_id',
+  legal_structures: 'legal_structure_id',
+  decision_elements: 'decision_element_id',
+  process_models: 'process_model_id',
+  decision_payloads: 'decision_payload_id'
+};
+
+/**
+ * Foreign keys implied by the NEPA schema
+ * - targetKey 'id' references the integer id, any other value the business key
+ * - parent marks the link to the record's owning entity (the schema's collection
+ *   `dependencies`); records whose parent chain is broken are reported as orphans
+ * - array marks a field holding a list of references, each resolved on its own
+ */
+const FOREIGN_KEYS = [
+  { collection: 'processes', field: 'project_id', target: 'projects', targetKey: 'project_id', parent: true },
+  { collection: 'processes', field: 'parent_process_id', target: 'processes', targetKey: 'process_id' },
+  { collection: 'processes', field: 'process_model_id', target: 'process_models', targetKey: 'process_model_id' },
+  { collection: 'documents', field: 'process_id', target: 'processes', targetKey: 'process_id', parent: true },
+  { collection: 'documents', field: 'related_document_id', target: 'documents', targetKey: 'id' },
+  { collection: 'documents', field: 'related_document_ids', target: 'documents', targetKey: 'document_id', array: true },
+  { collection: 'public_comments', field: 'related_document_id', target: 'documents', targetKey: 'document_id', parent: true },
+  { collection: 'public_engagement_events', field: 'related_process_id', target: 'processes', targetKey: 'process_id', parent: true },
+  { collection: 'public_engagement_events', field: 'related_document_id', target: 'documents', targetKey: 'id' },
+  { collection: 'public_engagement_events', field: 'related_document_ids', target: 'documents', targetKey: 'document_id', array: true },
+  { collection: 'case_events', field: 'process_id', target: 'processes', targetKey: 'process_id', parent: true },
+  { collection: 'case_events', field: 'document_id', target: 'documents', targetKey: 'document_id' },
+  { collection: 'case_events', field: 'related_document_id', target: 'documents', targetKey: 'id' },
+  { collection: 'case_events', field: 'parent_event_id', target: 'case_events', targetKey: 'id' },
+  { collection: 'case_events', field: 'parent_id', target: 'case_events', targetKey: 'case_event_id' },
+  { collection: 'case_events', field: 'related_engagement_id', target: 'public_engagement_events', targetKey: 'id' },
+  { collection: 'gis_data', field: 'parent_project_id', target: 'projects', targetKey: 'id' },
+  { collection: 'gis_data', field: 'parent_process_id', target: 'processes', targetKey: 'id' },
+  { collection: 'gis_data', field: 'parent_document_id', target: 'documents', targetKey: 'id' },
+  { collection: 'gis_data', field: 'parent_case_event_id', target: 'case_events', targetKey: 'id' },
+  { collection: 'gis_data', field: 'parent_comment_id', target: 'public_comments', targetKey: 'id' },
+  { collection: 'gis_data', field: 'parent_engagement_id', target: 'public_engagement_events', targetKey: 'id' },
+  { collection: 'gis_data_elements', field: 'gis_id', target: 'gis_data', targetKey: 'gis_id', parent: true },
+  { collection: 'decision_elements', field: 'process_model_id', target: 'process_models', targetKey: 'process_model_id', parent: true },
+  { collection: 'process_models', field: 'parent_model', target: 'process_models', targetKey: 'process_model_id' },
+  { collection: 'decision_payloads', field: 'process_id', target: 'processes', targetKey: 'process_id', parent: true },
+  { collection: 'decision_payloads', field: 'project_id', target: 'projects', targetKey: 'project_id' },
+  { collection: 'decision_payloads', field: 'decision_element_id', target: 'decision_elements', targetKey: 'decision_element_id' },
+  { collection: 'decision_payloads', field: 'parent_payload', target: 'decision_payloads', targetKey: 'decision_payload_id' }
+];
+
+/**
+ * Check whether a reference value is empty
+ * Integer references use 0 for "no reference" in the database exports
+ * @param {*} value - Reference value
+ * @param {string} targetKey - Key the reference points at
+ * @returns {boolean} True if there is nothing to resolve
+ */
+function isEmptyReference(value, targetKey) {
+  if (value === null || value === undefined || value === '') {
+    return true;
+  }
+  return targetKey === 'id' && Number(value) === 0;
+}
+
+/**
+ * Build a JSON Pointer to a record field
+ * @param {string} collection - Collection name
+ * @param {number} index - Record index
+ * @param {string} field - Field name (optional)
+ * @returns {string} JSON Pointer
+ */
+function recordPointer(collection, index, field = null) {
+  return field ? `/${collection}/${index}/${field}` : `/${collection}/${index}`;
+}
+
+/**
+ * List the references a record holds in a foreign key field
+ * A plain field holds one reference; an array field one per element, each with its own pointer
+ * @param {Object} fk - Foreign key definition
+ * @param {Object} record - Record
+ * @param {number} index - Record index
+ * @returns {Array<Object>} { value, field, pointer } where field names the element (e.g. related_document_ids[1])
+ */
+function referenceValues(fk, record, index) {
+  const value = record[fk.field];
+  const pointer = recordPointer(fk.collection, index, fk.field);
+
+  if (!fk.array) {
+    return [{ value, field: fk.field, pointer }];
+  }
+  return (Array.isArray(value) ? value : []).map((item, position) => ({
+    value: item,
+    field: `${fk.field}[${position}]`,
+    pointer: `${pointer}/${position}`
+  }));
+}
+
+/**
+ * Index the records of every collection by integer id and business key
+ * Duplicate keys are collected while indexing
+ * @param {Object} data - NEPA dataset
+ * @returns {Object} { indexes, duplicates }
+ */
+function buildKeyIndexes(data) {
+  const indexes = {};
+  const duplicates = [];
+
+  for (const [collection, primaryKey] of Object.entries(PRIMARY_KEYS)) {
+    const records = Array.isArray(data[collection]) ? data[collection] : [];
+    indexes[collection] = { id: new Map(), [primaryKey]: new Map() };
+
+    records.forEach((record, index) => {
+      if (!record || typeof record !== 'object') return;
+
+      for (const key of ['id', primaryKey]) {
+        const value = record[key];
+        if (value === null || value === undefined || value === '') continue;
+
+        const keyIndex = indexes[collection][key];
+        const normalized = String(value);
+        if (keyIndex.has(normalized)) {
+          duplicates.push({
+            type: 'duplicate-id',
+            collection,
+            index,
+            field: key,
+            value,
+            firstIndex: keyIndex.get(normalized),
+            pointer: recordPointer(collection, index, key),
+            message: `Duplicate ${collection}.${key} '${value}' (first used by ${recordPointer(collection, keyIndex.get(normalized))})`
+          });
+        } else {
+          keyIndex.set(normalized, index);
+        }
+      }
+    });
+  }
+
+  return { indexes, duplicates };
+}
+
+/**
+ * Check referential integrity across the collections of a NEPA dataset
+ * @param {Object} data - NEPA dataset (collections of records)
+ * @param {Object} options - Check options
+ * @param {Array<Object>} options.foreignKeys - Foreign key definitions (default: FOREIGN_KEYS)
+ * @returns {Object} Results with duplicate ids and dangling references as errors and orphans as warnings
+ */
+function checkReferences(data, options = {}) {
+  const foreignKeys = options.foreignKeys || FOREIGN_KEYS;
+  const results = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    stats: { references: 0, resolved: 0, dangling: 0, duplicates: 0, orphans: 0 }
+  };
+
+  if (!data || typeof data !== 'object') {
+    return results;
+  }
+
+  const { indexes, duplicates } = buildKeyIndexes(data);
+  results.errors.push(...duplicates);
+  results.stats.duplicates = duplicates.length;
+
+  // Parent links per record, used to trace orphans below
+  const parentLinks = new Map();
+  const brokenRecords = new Set();
+
+  for (const fk of foreignKeys) {
+    const records = Array.isArray(data[fk.collection]) ? data[fk.collection] : [];
+    const targetIndex = indexes[fk.target] && indexes[fk.target][fk.targetKey];
+
+    records.forEach((record, index) => {
+      if (!record || typeof record !== 'object') return;
+      const recordKey = `${fk.collection}/${index}`;
+
+      for (const { value, field, pointer } of referenceValues(fk, record, index)) {
+        if (isEmptyReference(value, fk.targetKey)) {
+          if (fk.parent) {
+            results.warnings.push({
+              type: 'orphan',
+              collection: fk.collection,
+              index,
+              field: fk.field,
+              value: value === undefined ? null : value,
+              target: fk.target,
+              pointer,
+              message: `${fk.collection}[${index}] has no ${fk.field}, so it is not attached to any ${fk.target} record`
+            });
+          }
+          continue;
+        }
+
+        results.stats.references++;
+        const targetPosition = targetIndex ? targetIndex.get(String(value)) : undefined;
+
+        if (targetPosition === undefined) {
+          results.stats.dangling++;
+          if (fk.parent) brokenRecords.add(recordKey);
+          results.errors.push({
+            type: 'dangling-reference',
+            collection: fk.collection,
+            index,
+            field: fk.field,
+            value,
+            target: fk.target,
+            targetKey: fk.targetKey,
+            pointer,
+            message: `${fk.collection}[${index}].${field} '${value}' does not match any ${fk.target}.${fk.targetKey}`
+          });
+          continue;
+        }
+
+        results.stats.resolved++;
+        if (fk.parent) {
+          parentLinks.set(recordKey, { key: `${fk.target}/${targetPosition}`, fk });
+        }
+      }
+    });
+  }
+
+  // Records whose parent resolves but whose ancestor chain is broken further up
+  const isBroken = (recordKey, seen = new Set()) => {
+    if (brokenRecords.has(recordKey)) return true;
+    const link = parentLinks.get(recordKey);
+    if (!link || seen.has(recordKey)) return false;
+    seen.add(recordKey);
+    return isBroken(link.key, seen);
+  };
+
+  for (const [recordKey, link] of parentLinks) {
+    if (!isBroken(link.key)) continue;
+
+    const [collection, index] = recordKey.split('/');
+    results.warnings.push({
+      type: 'orphan',
+      collection,
+      index: Number(index),
+      field: link.fk.field,
+      value: data[collection][index][link.fk.field],
+      target: link.fk.target,
+      pointer: recordPointer(collection, index, link.fk.field),
+      message: `${collection}[${index}] belongs to ${recordPointer(...link.key.split('/'))}, whose own parent reference is dangling`
+    });
+  }
+
+  results.stats.orphans = results.warnings.filter(warning => warning.type === 'orphan').length;
+  results.valid = results.errors.length === 0;
+  return results;
+}
+
+/**
+ * Create a tracker that checks referential integrity one record at a time
+ * Keeps only the key indexes foreign keys resolve against (business keys, plus integer ids of
+ * collections referenced by id) and the references whose target has not been seen yet, so a
+ * dataset can be checked as it streams. Feeding parents before children keeps that pending
+ * list short. Orphans are reported for empty parent references only; tracing broken parent
+ * chains needs every record and is left to checkReferences()
+ * @param {Object} options - Tracker options
+ * @param {Array<Object>} options.foreignKeys - Foreign key definitions (default: FOREIGN_KEYS)
+ * @param {number} options.maxIssues - Errors and warnings to keep each; the rest are only counted
+ * @returns {Object} { add(collection, index, record, source), finish() } where source optionally maps a
+ *   field to the location reported with its issues, and finish() returns results shaped like
+ *   checkReferences() plus the number of issues not kept (truncated)
+ */
+function createReferenceTracker(options = {}) {
+  const foreignKeys = options.foreignKeys || FOREIGN_KEYS;
+  const maxIssues = options.maxIssues || Infinity;
+  const results = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    stats: { references: 0, resolved: 0, dangling: 0, duplicates: 0, orphans: 0 },
+    truncated: 0
+  };
+
+  // collection → key → Map(value → first index)
+  const indexes = {};
+  for (const [collection, primaryKey] of Object.entries(PRIMARY_KEYS)) {
+    indexes[collection] = { [primaryKey]: new Map() };
+  }
+  foreignKeys.forEach(fk => {
+    indexes[fk.target] = indexes[fk.target] || {};
+    indexes[fk.target][fk.targetKey] = indexes[fk.target][fk.targetKey] || new Map();
+  });
+
+  const pending = [];
+  const report = (list, issue) => {
+    if (list.length < maxIssues) {
+      list.push(issue);
+    } else {
+      results.truncated++;
+    }
+  };
+
+  const danglingReference = ({ fk, index, value, field, pointer, source }) => ({
+    type: 'dangling-reference',
+    collection: fk.collection,
+    index,
+    field: fk.field,
+    value,
+    target: fk.target,
+    targetKey: fk.targetKey,
+    pointer,
+    message: `${fk.collection}[${index}].${field} '${value}' does not match any ${fk.target}.${fk.targetKey}`,
+    ...(source ? { source } : {})
+  });
+
+  const resolve = (fk, value) => {
+    const targetIndex = indexes[fk.target] && indexes[fk.target][fk.targetKey];
+    return Boolean(targetIndex && targetIndex.has(String(value)));
+  };
+
+  function add(collection, index, record, source = null) {
+    if (!record || typeof record !== 'object') return;
+
+    for (const [key, keyIndex] of Object.entries(indexes[collection] || {})) {
+      const value = record[key];
+      if (value === null || value === undefined || value === '') continue;
+
+      const normalized = String(value);
+      if (keyIndex.has(normalized)) {
+        results.stats.duplicates++;
+        report(results.errors, {
+          type: 'duplicate-id',
+          collection,
+          index,
+          field: key,
+          value,
+          firstIndex: keyIndex.get(normalized),
+          pointer: recordPointer(collection, index, key),
+          message: `Duplicate ${collection}.${key} '${value}' (first used by ${recordPointer(collection, keyIndex.get(normalized))})`,
+          ...(source ? { source: source(key) } : {})
+        });
+      } else {
+        keyIndex.set(normalized, index);
+      }
+    }
+
+    for (const fk of foreignKeys) {
+      if (fk.collection !== collection) continue;
+
+      for (const { value, field, pointer } of referenceValues(fk, record, index)) {
+        if (isEmptyReference(value, fk.targetKey)) {
+          if (fk.parent) {
+            results.stats.orphans++;
+            report(results.warnings, {
+              type: 'orphan',
+              collection,
+              index,
+              field: fk.field,
+              value: value === undefined ? null : value,
+              target: fk.target,
+              pointer,
+              message: `${collection}[${index}] has no ${fk.field}, so it is not attached to any ${fk.target} record`,
+              ...(source ? { source: source(fk.field) } : {})
+            });
+          }
+          continue;
+        }
+
+        results.stats.references++;
+        if (resolve(fk, value)) {
+          results.stats.resolved++;
+        } else {
+          // The target may still arrive later in the stream
+          pending.push({ fk, index, value, field, pointer, source: source ? source(fk.field) : null });
+        }
+      }
+    }
+  }
+
+  function finish() {
+    for (const reference of pending) {
+      if (resolve(reference.fk, reference.value)) {
+        results.stats.resolved++;
+      } else {
+        results.stats.dangling++;
+        report(results.errors, danglingReference(reference));
+      }
+    }
+    pending.length = 0;
+
+    results.valid = results.stats.duplicates === 0 && results.stats.dangling === 0;
+    return results;
+  }
+
+  return { add, finish };
+}
+
+module.exports = {
+  PRIMARY_KEYS,
+  FOREIGN_KEYS,
+  isEmptyReference,
+  checkReferences,
+  createReferenceTracker
+};
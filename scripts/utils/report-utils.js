@@ -0,0 +1,607 @@
+/**
+ * Report utilities for machine-readable validation output
+ * Normalizes findings from every validator and serializes them as JSON, SARIF or JUnit XML
+ */
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../../package.json');
+
+const REPORT_FORMATS = ['json', 'sarif', 'junit'];
+
+const TOOL_NAME = 'pic';
+const TOOL_URI = 'https://github.com/GSA-TTS/pic-standards';
+
+/**
+ * Create a normalized finding
+ * @param {Object} fields - Finding fields
+ * @param {string} fields.file - File the finding belongs to
+ * @param {string} fields.pointer - JSON Pointer to the offending value, if known
+ * @param {number} fields.row - CSV row number (header is row 1), if known
+ * @param {string} fields.column - CSV column header, if known
+ * @param {string} fields.value - Original CSV cell value, if known
+ * @param {string} fields.keyword - AJV keyword, if the finding came from schema validation
+ * @param {string} fields.severity - 'error', 'warning' or 'note'
+ * @param {string} fields.ruleId - Stable rule identifier (e.g. 'schema/required')
+ * @param {string} fields.message - Human-readable message
+ * @param {string} fields.context - Extra location context such as a table or definition name
+ * @returns {Object} Finding
+ */
+function createFinding(fields) {
+  return {
+    file: fields.file || null,
+    pointer: fields.pointer !== undefined ? fields.pointer : null,
+    row: fields.row || null,
+    column: fields.column || null,
+    value: fields.value !== undefined ? fields.value : null,
+    keyword: fields.keyword || null,
+    severity: fields.severity || 'error',
+    ruleId: fields.ruleId,
+    message: fields.message,
+    context: fields.context || null
+  };
+}
+
+/**
+ * Decode a JSON Pointer into its reference tokens
+ * @param {string} pointer - JSON Pointer (e.g. /documents/0/title)
+ * @returns {Array<string>} Decoded tokens
+ */
+function parseJsonPointer(pointer) {
+  if (!pointer) return [];
+  return pointer.split('/').slice(1).map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Locate the CSV file, line, column and cell a combined-data JSON Pointer came from
+ * Rows are found by their provenance (collectCsvData() records the line each row starts on
+ * and its cells under the original headers), so multi-line cells and several files for one
+ * section are located correctly
+ * @param {string} pointer - JSON Pointer into the combined CSV dataset
+ * @param {Array<Object>} csvSources - processedFiles entries from collectCsvData()
+ * @returns {Object|null} Location with file, row (1-based line), column (original header) and value
+ *   (original cell, undefined if the column is absent), or null if not a record pointer
+ */
+function locateCsvRecord(pointer, csvSources) {
+  const [section, index, field] = parseJsonPointer(pointer);
+  if (index === undefined || !/^\d+$/.test(index)) {
+    return null;
+  }
+
+  const position = Number(index);
+  const source = (csvSources || []).find(entry => entry.schemaSection === section &&
+    position >= (entry.offset || 0) && position < (entry.offset || 0) + (entry.rowCount || Infinity));
+  if (!source) {
+    return null;
+  }
+
+  const rowIndex = position - (source.offset || 0);
+  const record = source.records ? source.records[rowIndex] : null;
+  const column = field ? (source.columns && source.columns[field]) || field : null;
+
+  return {
+    file: source.filePath,
+    row: record && record.line ? record.line : rowIndex + 2,
+    column,
+    value: record && column && Object.prototype.hasOwnProperty.call(record.values, column) ? record.values[column] : undefined
+  };
+}
+
+/**
+ * Get the JSON Pointer an AJV error is about
+ * Points at the missing or unexpected property rather than its parent object
+ * @param {Object} error - AJV error
+ * @returns {string} JSON Pointer
+ */
+function getErrorPointer(error) {
+  const pointer = error.instancePath || '';
+  if (error.keyword === 'required' && error.params) {
+    return `${pointer}/${error.params.missingProperty}`;
+  }
+  if (error.keyword === 'additionalProperties' && error.params) {
+    return `${pointer}/${error.params.additionalProperty}`;
+  }
+  return pointer;
+}
+
+/**
+ * Convert AJV errors into findings
+ * @param {Array<Object>} errors - AJV errors (or { message } parse failures), optionally with the
+ *   source location already attached
+ * @param {Object} options - Location options
+ * @param {string} options.file - File that was validated
+ * @param {Array<Object>} options.csvSources - CSV sources to resolve row/column locations
+ * @param {string} options.rulePrefix - Rule id prefix (default 'schema')
+ * @returns {Array<Object>} Findings
+ */
+function findingsFromAjvErrors(errors, options = {}) {
+  const rulePrefix = options.rulePrefix || 'schema';
+
+  return (errors || []).map(error => {
+    if (!error.keyword) {
+      return createFinding({
+        file: options.file,
+        severity: 'error',
+        ruleId: `${rulePrefix}/parse-error`,
+        message: error.message
+      });
+    }
+
+    const pointer = getErrorPointer(error);
+    const location = error.source || (options.csvSources ? locateCsvRecord(pointer, options.csvSources) : null);
+
+    return createFinding({
+      file: location ? location.file : options.file,
+      pointer,
+      row: location ? location.row : null,
+      column: location ? location.column : null,
+      value: location ? location.value : undefined,
+      keyword: error.keyword,
+      severity: 'error',
+      ruleId: `${rulePrefix}/${error.keyword}`,
+      message: error.message
+    });
+  });
+}
+
+/**
+ * Convert checkSchemas() results into findings
+ * @param {Object} results - Results from checkSchemas()
+ * @returns {Array<Object>} Findings
+ */
+function findingsFromSchemaResults(results) {
+  return results.files.flatMap(file => findingsFromAjvErrors(file.errors, {
+    file: file.filePath,
+    rulePrefix: 'meta-schema'
+  }));
+}
+
+/**
+ * Convert checkDatabaseCrosswalk() results into findings
+ * @param {Object} results - Results from checkDatabaseCrosswalk()
+ * @returns {Array<Object>} Findings
+ */
+function findingsFromCrosswalkResults(results) {
+  const file = results.crosswalkPath;
+  const findings = results.notices
+    .filter(notice => notice.level !== 'info')
+    .map(notice => createFinding({ file, severity: 'note', ruleId: 'crosswalk/setup', message: notice.message }));
+
+  for (const table of results.tables) {
+    const context = table.tableName;
+    table.errors.forEach(message => findings.push(createFinding({
+      file, context, severity: 'error', ruleId: 'crosswalk/missing-required', message
+    })));
+    table.warnings.forEach(message => findings.push(createFinding({
+      file, context, severity: 'warning', ruleId: 'crosswalk/missing-definition', message
+    })));
+    (table.mappingErrors || []).forEach(message => findings.push(createFinding({
+      file, context, severity: 'error', ruleId: 'crosswalk/invalid-mapping', message
+    })));
+    (table.driftErrors || []).forEach(drift => findings.push(createFinding({
+      file, row: drift.row, context, severity: 'error', ruleId: 'crosswalk/ddl-drift', message: drift.message
+    })));
+    table.mappingWarnings.forEach(message => findings.push(createFinding({
+      file, context, severity: 'warning', ruleId: 'crosswalk/unmapped-column', message
+    })));
+  }
+
+  (results.missingTables || []).forEach(message => findings.push(createFinding({
+    file: results.ddlPath, severity: 'error', ruleId: 'crosswalk/ddl-drift', message
+  })));
+
+  return findings;
+}
+
+/**
+ * Convert checkRoundTrip() results into findings
+ * @param {Object} results - Results from checkRoundTrip()
+ * @returns {Array<Object>} Findings
+ */
+function findingsFromRoundTripResults(results) {
+  const file = results.seedPath;
+  const findings = results.warnings.map(message => createFinding({
+    file, severity: 'warning', ruleId: 'roundtrip/conversion', message
+  }));
+
+  for (const table of results.tables) {
+    table.differences.forEach(difference => findings.push(createFinding({
+      file,
+      context: `${table.tableName}.${difference.column}`,
+      severity: 'error',
+      ruleId: 'roundtrip/difference',
+      message: difference.message
+    })));
+  }
+
+  if (!results.stable) {
+    findings.push(createFinding({
+      file, severity: 'error', ruleId: 'roundtrip/unstable', message: 'A second database → NEPA conversion differs from the first'
+    }));
+  }
+
+  return findings;
+}
+
+/**
+ * Convert checkOpenApiFiles() results into findings
+ * @param {Object} results - Results from checkOpenApiFiles()
+ * @returns {Array<Object>} Findings
+ */
+function findingsFromOpenApiResults(results) {
+  const findings = [];
+  const escapeToken = token => String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+
+  const addAll = (file, result, ruleId, pointer, context) => {
+    if (!result) return;
+    result.errors.forEach(message => findings.push(createFinding({
+      file, pointer, context, severity: 'error', ruleId, message
+    })));
+    result.warnings.forEach(message => findings.push(createFinding({
+      file, pointer, context, severity: 'warning', ruleId, message
+    })));
+  };
+
+  for (const file of results.files) {
+    file.errors.forEach(message => findings.push(createFinding({
+      file: file.filePath, severity: 'error', ruleId: 'openapi/parse-error', message
+    })));
+    addAll(file.filePath, file.structure, 'openapi/structure', '');
+    addAll(file.filePath, file.standard, 'openapi/standard', '');
+    file.tables.forEach(table => {
+      addAll(file.filePath, table, 'openapi/crosswalk-mismatch', `/paths/${escapeToken(`/${table.tableName}`)}`, table.tableName);
+    });
+    file.definitions.forEach(definition => {
+      addAll(file.filePath, definition, 'openapi/schema-mismatch', `${file.definitionsPointer || '/components/schemas'}/${escapeToken(definition.definitionName)}`, definition.definitionName);
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Convert checkReferences() results into findings
+ * @param {Object} results - Results from checkReferences()
+ * @param {Object} options - Location options
+ * @param {string} options.file - File that was validated
+ * @param {Array<Object>} options.csvSources - CSV sources to resolve row/column locations
+ * @returns {Array<Object>} Findings
+ */
+function findingsFromReferenceResults(results, options = {}) {
+  const toFinding = severity => issue => {
+    const location = issue.source || (options.csvSources ? locateCsvRecord(issue.pointer, options.csvSources) : null);
+    return createFinding({
+      file: location ? location.file : options.file,
+      pointer: issue.pointer,
+      row: location ? location.row : null,
+      column: location ? location.column : null,
+      value: location ? location.value : undefined,
+      severity,
+      ruleId: `references/${issue.type}`,
+      message: issue.message
+    });
+  };
+
+  return [
+    ...results.errors.map(toFinding('error')),
+    ...results.warnings.map(toFinding('warning'))
+  ];
+}
+
+/**
+ * Convert the coercions applied to CSV cell values into notes
+ * One note per file, column and rule (located at its first converted cell), so a large export
+ * yields a handful of notes rather than one per cell
+ * @param {Object} coercions - finish() result of a coercion log (see coercion-utils.js)
+ * @returns {Array<Object>} Findings, one per coercion group
+ */
+function findingsFromCoercions(coercions) {
+  const show = value => (value === undefined ? '(left out)' : JSON.stringify(value));
+  return ((coercions && coercions.groups) || []).map(group => createFinding({
+    file: group.file,
+    row: group.example.row,
+    column: group.column,
+    value: group.example.from,
+    severity: 'note',
+    ruleId: `csv/coercion/${group.rule}`,
+    message: `Coerced ${group.count} ${group.count === 1 ? 'value' : 'values'} (${group.rule}), e.g. ${show(group.example.from)} to ${show(group.example.to)}`
+  }));
+}
+
+/**
+ * Convert checkSchemaDiff() results into findings
+ * Breaking changes are errors; non-breaking and documentation changes are notes
+ * @param {Object} results - Results from checkSchemaDiff()
+ * @returns {Array<Object>} Findings
+ */
+function findingsFromSchemaDiffResults(results) {
+  return results.changes.map(change => createFinding({
+    file: change.schema === 'old' ? results.oldPath : results.newPath,
+    pointer: change.pointer,
+    context: change.name || null,
+    severity: change.impact === 'breaking' ? 'error' : 'note',
+    ruleId: `schema-diff/${change.kind}`,
+    message: change.message
+  }));
+}
+
+/**
+ * Convert checkSchemaLint() results into findings
+ * @param {Object} results - Results from checkSchemaLint()
+ * @returns {Array<Object>} Findings
+ */
+function findingsFromSchemaLintResults(results) {
+  return results.issues.map(issue => createFinding({
+    file: results.schemaPath,
+    pointer: issue.pointer,
+    severity: issue.severity,
+    ruleId: `schema-lint/${issue.ruleId}`,
+    message: issue.message
+  }));
+}
+
+/**
+ * Convert checkApiContract() results into findings
+ * Findings are reported against the spec, with the request as context; skipped operations are notes
+ * @param {Object} results - Results from checkApiContract()
+ * @returns {Array<Object>} Findings
+ */
+function findingsFromContractResults(results) {
+  return results.operations.flatMap(operation => {
+    const context = `${operation.method.toUpperCase()} ${operation.url.replace(results.baseUrl, '')}`;
+    if (operation.skipped) {
+      return [createFinding({
+        file: results.specPath, context, severity: 'note', ruleId: 'contract/skipped', message: `Not tested: ${operation.skipped}`
+      })];
+    }
+
+    return operation.errors.map(error => createFinding({
+      file: results.specPath,
+      keyword: error.keyword,
+      context,
+      severity: 'error',
+      ruleId: `contract/${error.source}`,
+      message: error.pointer ? `${error.pointer}: ${error.message}` : error.message
+    }));
+  });
+}
+
+/**
+ * Describe where a finding is, for console output
+ * @param {Object} finding - Finding
+ * @returns {string} Location such as document.csv:6:publish_date or file.json#/projects/0
+ */
+function formatLocation(finding) {
+  const file = finding.file ? path.relative(process.cwd(), finding.file) || finding.file : '(unknown)';
+
+  if (finding.row) {
+    return `${file}:${finding.row}${finding.column ? `:${finding.column}` : ''}`;
+  }
+  if (finding.pointer !== null && finding.pointer !== undefined) {
+    return `${file}#${finding.pointer}`;
+  }
+  return finding.context ? `${file} [${finding.context}]` : file;
+}
+
+/**
+ * Assemble a report from findings
+ * @param {Object} options - Report contents
+ * @param {string} options.command - Command that produced the findings
+ * @param {boolean} options.valid - Overall validation result
+ * @param {Array<string>} options.targets - Files or directories that were checked
+ * @param {Array<Object>} options.findings - Findings
+ * @param {string} options.baseDir - Directory that file paths are made relative to (default: cwd)
+ * @param {Object} options.truncated - { errors, warnings } found but left out of findings (e.g. past --max-errors)
+ * @returns {Object} Report whose summary counts the listed findings, the ones left out (truncated) and both (total)
+ */
+function buildReport(options) {
+  const baseDir = options.baseDir || process.cwd();
+  const relative = file => (file && path.isAbsolute(file) ? path.relative(baseDir, file) || '.' : file);
+  const findings = options.findings.map(finding => ({ ...finding, file: relative(finding.file) }));
+  const errors = findings.filter(f => f.severity === 'error').length;
+  const warnings = findings.filter(f => f.severity === 'warning').length;
+  const truncated = { errors: 0, warnings: 0, ...options.truncated };
+
+  return {
+    tool: { name: TOOL_NAME, version },
+    command: options.command,
+    generatedAt: new Date().toISOString(),
+    valid: options.valid,
+    summary: {
+      targets: options.targets.length,
+      errors,
+      warnings,
+      notes: findings.filter(f => f.severity === 'note').length,
+      truncated,
+      total: { errors: errors + truncated.errors, warnings: warnings + truncated.warnings }
+    },
+    targets: options.targets.map(relative),
+    findings
+  };
+}
+
+/**
+ * Serialize a report as SARIF 2.1.0
+ * @param {Object} report - Report from buildReport()
+ * @returns {Object} SARIF log
+ */
+function toSarif(report) {
+  const ruleIds = [...new Set(report.findings.map(f => f.ruleId))].sort();
+
+  const results = report.findings.map(finding => {
+    const result = {
+      ruleId: finding.ruleId,
+      ruleIndex: ruleIds.indexOf(finding.ruleId),
+      level: finding.severity,
+      message: { text: finding.message }
+    };
+
+    if (finding.file) {
+      const physicalLocation = {
+        artifactLocation: { uri: finding.file.split(path.sep).join('/') }
+      };
+      if (finding.row) {
+        physicalLocation.region = { startLine: finding.row };
+      }
+
+      const location = { physicalLocation };
+      const logicalName = finding.pointer || finding.context;
+      if (logicalName) {
+        location.logicalLocations = [{ fullyQualifiedName: logicalName }];
+      }
+      result.locations = [location];
+    }
+
+    const properties = {};
+    if (finding.pointer !== null) properties.jsonPointer = finding.pointer;
+    if (finding.column) properties.column = finding.column;
+    if (finding.keyword) properties.keyword = finding.keyword;
+    if (Object.keys(properties).length > 0) {
+      result.properties = properties;
+    }
+
+    return result;
+  });
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          version: report.tool.version,
+          informationUri: TOOL_URI,
+          rules: ruleIds.map(id => ({ id, name: id, shortDescription: { text: id } }))
+        }
+      },
+      results,
+      invocations: [{ executionSuccessful: true, commandLine: `${TOOL_NAME} ${report.command}` }],
+      properties: { total: report.summary.total, truncated: report.summary.truncated }
+    }]
+  };
+}
+
+/**
+ * Escape text for XML attributes and content
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Serialize a report as JUnit XML
+ * One test suite per checked target; each error is a failing test case and
+ * targets without errors get a single passing test case
+ * @param {Object} report - Report from buildReport()
+ * @returns {string} JUnit XML document
+ */
+function toJunit(report) {
+  const className = `${TOOL_NAME}.${report.command.replace(/\s+/g, '.')}`;
+  const files = [...new Set([...report.targets, ...report.findings.map(f => f.file || '(unknown)')])];
+  let totalTests = 0;
+
+  const suites = files.map(file => {
+    const findings = report.findings.filter(f => (f.file || '(unknown)') === file);
+    const errors = findings.filter(f => f.severity === 'error');
+
+    const cases = errors.map(finding => {
+      const where = finding.row ? `row ${finding.row}${finding.column ? ` ${finding.column}` : ''}` : finding.pointer || finding.context || '';
+      const name = where ? `${finding.ruleId} at ${where}` : finding.ruleId;
+      return [
+        `    <testcase classname="${escapeXml(className)}" name="${escapeXml(name)}">`,
+        `      <failure type="${escapeXml(finding.ruleId)}" message="${escapeXml(finding.message)}">${escapeXml(finding.message)}</failure>`,
+        '    </testcase>'
+      ].join('\n');
+    });
+
+    // Targets without errors pass; their warnings are attached as output
+    if (errors.length === 0) {
+      const output = findings.map(f => `${f.severity}: ${f.message}`).join('\n');
+      cases.push(output
+        ? `    <testcase classname="${escapeXml(className)}" name="${escapeXml(file)}">\n      <system-out>${escapeXml(output)}</system-out>\n    </testcase>`
+        : `    <testcase classname="${escapeXml(className)}" name="${escapeXml(file)}"/>`);
+    }
+
+    totalTests += cases.length;
+    return [
+      `  <testsuite name="${escapeXml(file)}" tests="${cases.length}" failures="${errors.length}" errors="0" skipped="0">`,
+      ...cases,
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(`${TOOL_NAME} ${report.command}`)}" tests="${totalTests}" failures="${report.summary.errors}" errors="0">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Serialize a report in the requested format
+ * @param {Object} report - Report from buildReport()
+ * @param {string} format - 'json', 'sarif' or 'junit'
+ * @returns {string} Serialized report
+ */
+function formatReport(report, format) {
+  switch (format) {
+    case 'json':
+      return `${JSON.stringify(report, null, 2)}\n`;
+    case 'sarif':
+      return `${JSON.stringify(toSarif(report), null, 2)}\n`;
+    case 'junit':
+      return toJunit(report);
+    default:
+      throw new Error(`Unsupported report format: ${format} (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Write a serialized report to a file, or to stdout when no file is given
+ * @param {Object} report - Report from buildReport()
+ * @param {string} format - 'json', 'sarif' or 'junit'
+ * @param {string} outputPath - Destination file (optional)
+ */
+function writeReport(report, format, outputPath = null) {
+  const content = formatReport(report, format);
+
+  if (outputPath) {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, content);
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  createFinding,
+  parseJsonPointer,
+  locateCsvRecord,
+  getErrorPointer,
+  findingsFromAjvErrors,
+  findingsFromSchemaResults,
+  findingsFromCrosswalkResults,
+  findingsFromOpenApiResults,
+  findingsFromReferenceResults,
+  findingsFromCoercions,
+  findingsFromRoundTripResults,
+  findingsFromSchemaDiffResults,
+  findingsFromSchemaLintResults,
+  findingsFromContractResults,
+  formatLocation,
+  buildReport,
+  toSarif,
+  toJunit,
+  formatReport,
+  writeReport
+};
@@ -0,0 +1,337 @@
+/**
+ * Schema diff utilities for comparing two versions of the NEPA JSON schema
+ * Walks the root collections and every definition (as gatherSchemaStatistics does) and classifies
+ * each change by its effect on existing data:
+ * - breaking: data valid against the old schema may be rejected by the new one
+ * - non-breaking: everything valid before is still valid
+ * - documentation: descriptions and titles only
+ */
+
+// Keywords that set a lower or upper bound; raising a lower bound or lowering an upper bound is breaking
+const LOWER_BOUNDS = ['minimum', 'exclusiveMinimum', 'minLength', 'minItems', 'minProperties'];
+const UPPER_BOUNDS = ['maximum', 'exclusiveMaximum', 'maxLength', 'maxItems', 'maxProperties'];
+
+// Keywords where any new or different value is breaking and removing the keyword is not
+const EXACT_CONSTRAINTS = ['pattern', 'const', 'format'];
+
+// Semver bump implied by each impact, from most to least significant
+const IMPACT_BUMPS = [
+  ['breaking', 'major'],
+  ['non-breaking', 'minor'],
+  ['documentation', 'patch']
+];
+
+/**
+ * Escape a JSON Pointer reference token
+ * @param {string} token - Property or definition name
+ * @returns {string} Escaped token
+ */
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Describe a schema node in a form that can be compared
+ * $refs are not followed (each definition is compared once, under /definitions); a reference
+ * counts as a type named after its target. anyOf/oneOf branches are merged into one descriptor.
+ * @param {Object} node - Schema node
+ * @returns {Object} { types, enum, node } where types is a Set (null included) and enum is a Set or null
+ */
+function describeSchemaNode(node) {
+  if (!node || typeof node !== 'object') {
+    return { types: new Set(), enum: null, node: {} };
+  }
+
+  if (node.$ref) {
+    return { types: new Set([`$ref ${node.$ref}`]), enum: null, node };
+  }
+
+  const branches = node.anyOf || node.oneOf;
+  if (branches) {
+    const described = branches.map(describeSchemaNode);
+    const nonNull = described.filter(branch => !(branch.types.size === 1 && branch.types.has('null')));
+    // Keywords of a single non-null branch (e.g. format) apply to the whole property
+    const primary = nonNull.length === 1 ? nonNull[0] : nonNull.find(branch => branch.node.properties || branch.node.items);
+    const { anyOf, oneOf, ...keywords } = node;
+
+    return {
+      types: new Set(described.flatMap(branch => [...branch.types])),
+      enum: nonNull.length > 0 && nonNull.every(branch => branch.enum) ? new Set(nonNull.flatMap(branch => [...branch.enum])) : null,
+      node: { ...(primary ? primary.node : {}), ...keywords }
+    };
+  }
+
+  const types = node.type === undefined ? [] : Array.isArray(node.type) ? node.type : [node.type];
+  const enumValues = Array.isArray(node.enum) ? node.enum : null;
+  if (enumValues && enumValues.includes(null)) {
+    types.push('null');
+  }
+
+  return {
+    types: new Set(types),
+    enum: enumValues ? new Set(enumValues.filter(value => value !== null)) : null,
+    node
+  };
+}
+
+/**
+ * Check whether every type in one set is accepted by another
+ * An untyped node accepts everything, and number accepts integer
+ * @param {Set} types - Types to cover
+ * @param {Set} accepted - Accepting types
+ * @returns {boolean} True if every type is accepted
+ */
+function typesCovered(types, accepted) {
+  if (accepted.size === 0) return true;
+  if (types.size === 0) return false;
+  return [...types].every(type => accepted.has(type) || (type === 'integer' && accepted.has('number')));
+}
+
+/**
+ * Format a type set for messages
+ * @param {Set} types - Types
+ * @returns {string} e.g. string|null
+ */
+function formatTypes(types) {
+  return types.size === 0 ? 'any' : [...types].map(type => type.replace(/^\$ref #\/definitions\//, '$ref ')).join('|');
+}
+
+/**
+ * Compare two schema nodes and record their differences
+ * @param {Object} oldNode - Node in the old schema
+ * @param {Object} newNode - Node in the new schema
+ * @param {Object} location - { pointer, name } of the node
+ * @param {Function} record - record(impact, kind, location, message)
+ */
+function diffSchemaNodes(oldNode, newNode, location, record) {
+  const before = describeSchemaNode(oldNode);
+  const after = describeSchemaNode(newNode);
+  const { name } = location;
+
+  // Types: null is reported separately as nullability
+  const oldTypes = new Set([...before.types].filter(type => type !== 'null'));
+  const newTypes = new Set([...after.types].filter(type => type !== 'null'));
+  const widened = typesCovered(oldTypes, newTypes);
+  const narrowed = typesCovered(newTypes, oldTypes);
+  if (widened && !narrowed) {
+    record('non-breaking', 'type-widened', location, `${name}: type widened from ${formatTypes(oldTypes)} to ${formatTypes(newTypes)}`);
+  } else if (narrowed && !widened) {
+    record('breaking', 'type-narrowed', location, `${name}: type narrowed from ${formatTypes(oldTypes)} to ${formatTypes(newTypes)}`);
+  } else if (!widened && !narrowed) {
+    record('breaking', 'type-changed', location, `${name}: type changed from ${formatTypes(oldTypes)} to ${formatTypes(newTypes)}`);
+  }
+
+  const wasNullable = before.types.has('null') || before.types.size === 0;
+  const isNullable = after.types.has('null') || after.types.size === 0;
+  if (wasNullable && !isNullable) {
+    record('breaking', 'nullable-removed', location, `${name}: null is no longer allowed`);
+  } else if (!wasNullable && isNullable) {
+    record('non-breaking', 'nullable-added', location, `${name}: null is now allowed`);
+  }
+
+  // Enums
+  if (before.enum && !after.enum) {
+    record('non-breaking', 'enum-removed', location, `${name}: enum restriction removed`);
+  } else if (!before.enum && after.enum) {
+    record('breaking', 'enum-added', location, `${name}: now restricted to ${[...after.enum].map(value => JSON.stringify(value)).join(', ')}`);
+  } else if (before.enum && after.enum) {
+    [...before.enum].filter(value => !after.enum.has(value)).forEach(value => {
+      record('breaking', 'enum-value-removed', location, `${name}: enum value ${JSON.stringify(value)} removed`);
+    });
+    [...after.enum].filter(value => !before.enum.has(value)).forEach(value => {
+      record('non-breaking', 'enum-value-added', location, `${name}: enum value ${JSON.stringify(value)} added`);
+    });
+  }
+
+  diffConstraints(before.node, after.node, location, record);
+
+  const oldDescription = before.node.description || before.node.title;
+  const newDescription = after.node.description || after.node.title;
+  if ((oldDescription || '') !== (newDescription || '')) {
+    record('documentation', 'description-changed', location, `${name}: description ${oldDescription ? (newDescription ? 'changed' : 'removed') : 'added'}`);
+  }
+
+  if (before.node.properties || after.node.properties) {
+    diffObjectNodes(before.node, after.node, location, record);
+  }
+
+  const oldItems = before.node.items && !Array.isArray(before.node.items) ? before.node.items : null;
+  const newItems = after.node.items && !Array.isArray(after.node.items) ? after.node.items : null;
+  if (oldItems && newItems) {
+    diffSchemaNodes(oldItems, newItems, { pointer: `${location.pointer}/items`, name: `${name}[]` }, record);
+  }
+}
+
+/**
+ * Compare bound, pattern and format keywords of two nodes
+ * @param {Object} oldNode - Node in the old schema
+ * @param {Object} newNode - Node in the new schema
+ * @param {Object} location - { pointer, name } of the node
+ * @param {Function} record - Change recorder
+ */
+function diffConstraints(oldNode, newNode, location, record) {
+  const { name } = location;
+  const bounds = [...LOWER_BOUNDS.map(keyword => [keyword, 1]), ...UPPER_BOUNDS.map(keyword => [keyword, -1])];
+
+  for (const [keyword, direction] of bounds) {
+    const before = oldNode[keyword];
+    const after = newNode[keyword];
+    if (before === after) continue;
+
+    if (before === undefined) {
+      record('breaking', 'constraint-tightened', location, `${name}: ${keyword} ${after} added`);
+    } else if (after === undefined) {
+      record('non-breaking', 'constraint-relaxed', location, `${name}: ${keyword} ${before} removed`);
+    } else if ((after - before) * direction > 0) {
+      record('breaking', 'constraint-tightened', location, `${name}: ${keyword} tightened from ${before} to ${after}`);
+    } else {
+      record('non-breaking', 'constraint-relaxed', location, `${name}: ${keyword} relaxed from ${before} to ${after}`);
+    }
+  }
+
+  for (const keyword of EXACT_CONSTRAINTS) {
+    const before = oldNode[keyword];
+    const after = newNode[keyword];
+    if (JSON.stringify(before) === JSON.stringify(after)) continue;
+
+    if (after === undefined) {
+      record('non-breaking', 'constraint-relaxed', location, `${name}: ${keyword} ${JSON.stringify(before)} removed`);
+    } else {
+      record('breaking', 'constraint-tightened', location, before === undefined
+        ? `${name}: ${keyword} ${JSON.stringify(after)} added`
+        : `${name}: ${keyword} changed from ${JSON.stringify(before)} to ${JSON.stringify(after)}`);
+    }
+  }
+
+  if (!oldNode.uniqueItems && newNode.uniqueItems) {
+    record('breaking', 'constraint-tightened', location, `${name}: items must now be unique`);
+  } else if (oldNode.uniqueItems && !newNode.uniqueItems) {
+    record('non-breaking', 'constraint-relaxed', location, `${name}: items no longer need to be unique`);
+  }
+}
+
+/**
+ * Compare the properties, required lists, additionalProperties and dependencies of two object nodes
+ * @param {Object} oldNode - Object node in the old schema
+ * @param {Object} newNode - Object node in the new schema
+ * @param {Object} location - { pointer, name } of the node ('' name for the root)
+ * @param {Function} record - Change recorder
+ */
+function diffObjectNodes(oldNode, newNode, location, record) {
+  const oldProperties = oldNode.properties || {};
+  const newProperties = newNode.properties || {};
+  const oldRequired = new Set(oldNode.required || []);
+  const newRequired = new Set(newNode.required || []);
+  const childName = property => location.name ? `${location.name}.${property}` : property;
+  const childLocation = property => ({
+    pointer: `${location.pointer}/properties/${escapePointerToken(property)}`,
+    name: childName(property)
+  });
+
+  for (const property of Object.keys(oldProperties)) {
+    if (!(property in newProperties)) {
+      record('breaking', 'property-removed', { ...childLocation(property), schema: 'old' }, `${childName(property)}: property removed`);
+    }
+  }
+
+  for (const [property, newProperty] of Object.entries(newProperties)) {
+    if (!(property in oldProperties)) {
+      if (newRequired.has(property)) {
+        record('breaking', 'required-property-added', childLocation(property), `${childName(property)}: required property added`);
+      } else {
+        record('non-breaking', 'property-added', childLocation(property), `${childName(property)}: optional property added`);
+      }
+      continue;
+    }
+
+    if (!oldRequired.has(property) && newRequired.has(property)) {
+      record('breaking', 'required-added', childLocation(property), `${childName(property)}: property is now required`);
+    } else if (oldRequired.has(property) && !newRequired.has(property)) {
+      record('non-breaking', 'required-removed', childLocation(property), `${childName(property)}: property is no longer required`);
+    }
+
+    diffSchemaNodes(oldProperties[property], newProperty, childLocation(property), record);
+  }
+
+  // Required entries without a property definition still reject data that lacks them
+  for (const property of newRequired) {
+    if (!oldRequired.has(property) && !(property in newProperties) && !(property in oldProperties)) {
+      record('breaking', 'required-added', location, `${childName(property)}: property is now required`);
+    }
+  }
+
+  // additionalProperties defaults to allowing anything; false or a schema restricts it
+  const allowsAny = node => node.additionalProperties === undefined || node.additionalProperties === true;
+  const label = location.name || 'root';
+  if (allowsAny(oldNode) && !allowsAny(newNode)) {
+    record('breaking', 'additional-properties-restricted', location, `${label}: additional properties are no longer allowed`);
+  } else if (!allowsAny(oldNode) && allowsAny(newNode)) {
+    record('non-breaking', 'additional-properties-allowed', location, `${label}: additional properties are now allowed`);
+  }
+
+  const oldDependencies = oldNode.dependencies || {};
+  const newDependencies = newNode.dependencies || {};
+  for (const property of new Set([...Object.keys(oldDependencies), ...Object.keys(newDependencies)])) {
+    const before = Array.isArray(oldDependencies[property]) ? oldDependencies[property] : [];
+    const after = Array.isArray(newDependencies[property]) ? newDependencies[property] : [];
+    after.filter(dependency => !before.includes(dependency)).forEach(dependency => {
+      record('breaking', 'dependency-added', location, `${childName(property)}: now requires ${dependency}`);
+    });
+    before.filter(dependency => !after.includes(dependency)).forEach(dependency => {
+      record('non-breaking', 'dependency-removed', location, `${childName(property)}: no longer requires ${dependency}`);
+    });
+  }
+}
+
+/**
+ * Compare two versions of a JSON schema
+ * @param {Object} oldSchema - Parsed old schema
+ * @param {Object} newSchema - Parsed new schema
+ * @returns {Object} { changes, summary, suggestedBump } where each change is
+ *   { impact, kind, pointer, schema, name, message } (pointer is into the 'new' schema, or the 'old' one
+ *   for removals) and suggestedBump is 'major', 'minor', 'patch' or 'none'
+ */
+function diffSchemas(oldSchema, newSchema) {
+  const changes = [];
+  const record = (impact, kind, location, message) => {
+    changes.push({ impact, kind, pointer: location.pointer, schema: location.schema || 'new', name: location.name, message });
+  };
+
+  // Root: the collections, their required list and dependencies
+  diffObjectNodes(oldSchema, newSchema, { pointer: '', name: '' }, record);
+  if ((oldSchema.description || '') !== (newSchema.description || '')) {
+    record('documentation', 'description-changed', { pointer: '', name: '' }, 'root: description changed');
+  }
+
+  const oldDefinitions = oldSchema.definitions || {};
+  const newDefinitions = newSchema.definitions || {};
+  for (const definition of Object.keys(oldDefinitions)) {
+    if (!(definition in newDefinitions)) {
+      const location = { pointer: `/definitions/${escapePointerToken(definition)}`, name: definition, schema: 'old' };
+      record('breaking', 'definition-removed', location, `${definition}: definition removed`);
+    }
+  }
+  for (const [definition, newDefinition] of Object.entries(newDefinitions)) {
+    const location = { pointer: `/definitions/${escapePointerToken(definition)}`, name: definition };
+    if (!(definition in oldDefinitions)) {
+      record('non-breaking', 'definition-added', location, `${definition}: definition added`);
+    } else {
+      diffSchemaNodes(oldDefinitions[definition], newDefinition, location, record);
+    }
+  }
+
+  const summary = {
+    breaking: changes.filter(change => change.impact === 'breaking').length,
+    nonBreaking: changes.filter(change => change.impact === 'non-breaking').length,
+    documentation: changes.filter(change => change.impact === 'documentation').length
+  };
+  const bump = IMPACT_BUMPS.find(([impact]) => changes.some(change => change.impact === impact));
+
+  return { changes, summary, suggestedBump: bump ? bump[1] : 'none' };
+}
+
+module.exports = {
+  describeSchemaNode,
+  diffSchemaNodes,
+  diffSchemas
+};
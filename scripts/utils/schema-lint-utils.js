@@ -0,0 +1,394 @@
+/**
+ * Schema lint utilities
+ * Rules for mistakes that meta-schema validation accepts but that make nepa.schema.json
+ * wrong or hard to use: required properties that are never defined, keywords from another
+ * draft, formats AJV ignores, unreferenced definitions and inconsistent naming.
+ * Every rule has a default severity that can be changed or turned off.
+ */
+const { createValidator } = require('./validation-utils');
+const { getCollectionDefinitions } = require('./schema-utils');
+const { PRIMARY_KEYS } = require('./reference-utils');
+
+// Severities a rule can be configured with; off disables it
+const LINT_SEVERITIES = ['error', 'warning', 'off'];
+
+// Keywords of draft-07 (https://json-schema.org/draft-07/json-schema-validation.html)
+const DRAFT_07_KEYWORDS = [
+  '$schema', '$id', '$ref', '$comment', 'title', 'description', 'default', 'readOnly', 'writeOnly', 'examples',
+  'multipleOf', 'maximum', 'exclusiveMaximum', 'minimum', 'exclusiveMinimum', 'maxLength', 'minLength', 'pattern',
+  'additionalItems', 'items', 'maxItems', 'minItems', 'uniqueItems', 'contains',
+  'maxProperties', 'minProperties', 'required', 'additionalProperties', 'definitions', 'properties', 'patternProperties',
+  'dependencies', 'propertyNames', 'const', 'enum', 'type', 'format', 'contentMediaType', 'contentEncoding',
+  'if', 'then', 'else', 'allOf', 'anyOf', 'oneOf', 'not'
+];
+
+// Keywords added by draft 2019-09 and 2020-12, with the draft-07 keyword to use instead
+const LATER_DRAFT_KEYWORDS = {
+  $defs: 'definitions',
+  $anchor: '$id',
+  $vocabulary: null,
+  $recursiveRef: null,
+  $recursiveAnchor: null,
+  $dynamicRef: null,
+  $dynamicAnchor: null,
+  dependentRequired: 'dependencies',
+  dependentSchemas: 'dependencies',
+  unevaluatedProperties: 'additionalProperties',
+  unevaluatedItems: 'additionalItems',
+  prefixItems: 'items (array form)',
+  maxContains: null,
+  minContains: null,
+  contentSchema: null,
+  deprecated: null
+};
+
+// Draft-07 keywords that later drafts replaced, with their replacement
+const REPLACED_KEYWORDS = {
+  dependencies: 'dependentRequired or dependentSchemas',
+  additionalItems: 'items with prefixItems'
+};
+
+/**
+ * Escape a JSON Pointer reference token
+ * @param {string} token - Property or definition name
+ * @returns {string} Escaped token
+ */
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Tell whether a schema declares draft 2019-09 or later
+ * @param {Object} schema - Root schema
+ * @returns {boolean} True for 2019-09 and 2020-12
+ */
+function isLaterDraft(schema) {
+  return /draft\/(2019-09|2020-12)/.test(String(schema.$schema || ''));
+}
+
+/**
+ * Visit every subschema of a schema with its JSON Pointer
+ * Property maps (properties, definitions, ...) are walked as maps, so property names are
+ * never mistaken for keywords
+ * @param {Object} node - Schema node
+ * @param {Function} visit - Called with (node, pointer, parent) where parent is { keyword, name } or null
+ * @param {string} pointer - Pointer of node
+ * @param {Object|null} parent - How node was reached
+ */
+function walkSchema(node, visit, pointer = '', parent = null) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+  visit(node, pointer, parent);
+
+  for (const keyword of ['properties', 'patternProperties', 'definitions', '$defs', 'dependencies', 'dependentSchemas']) {
+    if (!node[keyword] || typeof node[keyword] !== 'object') continue;
+    for (const [name, child] of Object.entries(node[keyword])) {
+      walkSchema(child, visit, `${pointer}/${keyword}/${escapePointerToken(name)}`, { keyword, name });
+    }
+  }
+  for (const keyword of ['additionalProperties', 'additionalItems', 'unevaluatedProperties', 'unevaluatedItems',
+    'contains', 'propertyNames', 'not', 'if', 'then', 'else']) {
+    walkSchema(node[keyword], visit, `${pointer}/${keyword}`, { keyword });
+  }
+  for (const keyword of ['allOf', 'anyOf', 'oneOf', 'prefixItems']) {
+    if (Array.isArray(node[keyword])) {
+      node[keyword].forEach((child, index) => walkSchema(child, visit, `${pointer}/${keyword}/${index}`, { keyword }));
+    }
+  }
+  if (Array.isArray(node.items)) {
+    node.items.forEach((child, index) => walkSchema(child, visit, `${pointer}/items/${index}`, { keyword: 'items' }));
+  } else {
+    walkSchema(node.items, visit, `${pointer}/items`, { keyword: 'items' });
+  }
+}
+
+/**
+ * Collect the local definition names referenced under a node
+ * @param {*} node - Schema node
+ * @param {Set} names - Collected names (appended to)
+ * @returns {Set} names
+ */
+function collectDefinitionRefs(node, names = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectDefinitionRefs(child, names));
+  } else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      const match = key === '$ref' && typeof value === 'string' && /^#\/(?:definitions|\$defs)\/([^/]+)/.exec(value);
+      if (match) {
+        names.add(match[1].replace(/~1/g, '/').replace(/~0/g, '~'));
+      } else {
+        collectDefinitionRefs(value, names);
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Normalize an enum value for comparing casing variants (Under Review, under_review, UNDER-REVIEW)
+ * @param {*} value - Enum value
+ * @returns {string|null} Normalized value, or null for non-strings
+ */
+function normalizeEnumValue(value) {
+  return typeof value === 'string' ? value.toLowerCase().replace(/[\s_-]+/g, '') : null;
+}
+
+// Rule definitions: id → { severity, description, check(schema) → [{ pointer, message }] }
+const LINT_RULES = {
+  'meta-schema': {
+    severity: 'error',
+    description: 'The schema must validate against the JSON Schema meta-schema it declares',
+    check(schema) {
+      const ajv = createValidator();
+      try {
+        if (ajv.validateSchema(schema)) return [];
+      } catch (error) {
+        return [{ pointer: '/$schema', message: error.message }];
+      }
+      return (ajv.errors || []).map(error => ({ pointer: error.instancePath, message: `Meta-schema: ${error.message}` }));
+    }
+  },
+
+  'required-unreachable': {
+    severity: 'error',
+    description: 'Required properties must be allowed: with additionalProperties false they must be in properties',
+    check(schema) {
+      const issues = [];
+      walkSchema(schema, (node, pointer) => {
+        if (!Array.isArray(node.required) || node.additionalProperties !== false) return;
+        const properties = node.properties || {};
+        node.required.forEach((name, index) => {
+          if (!Object.prototype.hasOwnProperty.call(properties, name) && !node.patternProperties) {
+            issues.push({ pointer: `${pointer}/required/${index}`, message: `Required property '${name}' is not in properties and additionalProperties is false, so no value can ever be valid` });
+          }
+        });
+      });
+      return issues;
+    }
+  },
+
+  'required-undefined': {
+    severity: 'warning',
+    description: 'Required properties should be defined in properties, so their type and meaning are documented',
+    check(schema) {
+      const issues = [];
+      walkSchema(schema, (node, pointer) => {
+        if (!Array.isArray(node.required) || node.additionalProperties === false) return;
+        const properties = node.properties || {};
+        node.required.forEach((name, index) => {
+          if (!Object.prototype.hasOwnProperty.call(properties, name)) {
+            issues.push({ pointer: `${pointer}/required/${index}`, message: `Required property '${name}' is not defined in properties (any value is accepted)` });
+          }
+        });
+      });
+      return issues;
+    }
+  },
+
+  'missing-description': {
+    severity: 'warning',
+    description: 'Definitions and properties should have a description',
+    check(schema) {
+      const issues = [];
+      walkSchema(schema, (node, pointer, parent) => {
+        if (!parent || !['properties', 'definitions', '$defs'].includes(parent.keyword)) return;
+        if (node.description || node.$ref) return;
+        const kind = parent.keyword === 'properties' ? 'Property' : 'Definition';
+        issues.push({ pointer, message: `${kind} '${parent.name}' has no description` });
+      });
+      return issues;
+    }
+  },
+
+  'id-naming': {
+    severity: 'warning',
+    description: 'Each definition should have one identifier, and identifier properties should be snake_case ending in _id',
+    check(schema) {
+      const issues = [];
+      const definitionKeys = {};
+      for (const [collection, definitionName] of Object.entries(getCollectionDefinitions(schema))) {
+        definitionKeys[definitionName] = PRIMARY_KEYS[collection];
+      }
+
+      for (const [definitionName, definition] of Object.entries(schema.definitions || {})) {
+        const properties = definition.properties || {};
+        const pointer = `/definitions/${escapePointerToken(definitionName)}/properties`;
+        const businessKey = definitionKeys[definitionName] || `${definitionName}_id`;
+
+        if (properties.id && properties[businessKey]) {
+          issues.push({ pointer: `${pointer}/id`, message: `'${definitionName}' has both id and ${businessKey}; records can be identified two ways` });
+        }
+        Object.keys(properties)
+          .filter(name => /(_id|Id|ID)$/.test(name) && !/^[a-z0-9]+(_[a-z0-9]+)*_id$/.test(name))
+          .forEach(name => issues.push({
+            pointer: `${pointer}/${escapePointerToken(name)}`,
+            message: `Identifier '${name}' in '${definitionName}' is not snake_case ending in _id`
+          }));
+      }
+      return issues;
+    }
+  },
+
+  'enum-case-variants': {
+    severity: 'warning',
+    description: 'Enum values should not differ only by case, spaces, hyphens or underscores',
+    check(schema) {
+      const issues = [];
+      walkSchema(schema, (node, pointer) => {
+        if (!Array.isArray(node.enum)) return;
+        const seen = new Map();
+        node.enum.forEach((value, index) => {
+          const normalized = normalizeEnumValue(value);
+          if (normalized === null) return;
+          if (seen.has(normalized)) {
+            issues.push({ pointer: `${pointer}/enum/${index}`, message: `Enum value '${value}' is a variant of '${seen.get(normalized)}'` });
+          } else {
+            seen.set(normalized, value);
+          }
+        });
+      });
+      return issues;
+    }
+  },
+
+  'unused-definition': {
+    severity: 'warning',
+    description: 'Every definition should be reachable through $ref from the root schema',
+    check(schema) {
+      const definitions = { ...(schema.definitions || {}), ...(schema.$defs || {}) };
+      const { definitions: ignored, $defs: ignoredDefs, ...root } = schema;
+      const reachable = new Set();
+      const queue = [...collectDefinitionRefs(root)];
+
+      while (queue.length > 0) {
+        const name = queue.shift();
+        if (reachable.has(name) || !definitions[name]) continue;
+        reachable.add(name);
+        queue.push(...collectDefinitionRefs(definitions[name]));
+      }
+
+      return Object.keys(definitions)
+        .filter(name => !reachable.has(name))
+        .map(name => ({
+          pointer: `/${schema.definitions && schema.definitions[name] ? 'definitions' : '$defs'}/${escapePointerToken(name)}`,
+          message: `Definition '${name}' is never referenced from the root schema`
+        }));
+    }
+  },
+
+  'unknown-format': {
+    severity: 'warning',
+    description: 'Formats must be known to AJV; unknown formats are not validated',
+    check(schema) {
+      const formats = Object.keys(createValidator().formats);
+      const issues = [];
+      walkSchema(schema, (node, pointer) => {
+        if (typeof node.format === 'string' && !formats.includes(node.format)) {
+          issues.push({ pointer: `${pointer}/format`, message: `Format '${node.format}' is unknown to AJV and will not be validated` });
+        }
+      });
+      return issues;
+    }
+  },
+
+  'draft-keyword': {
+    severity: 'warning',
+    description: 'Keywords must belong to the draft the schema declares; others are ignored',
+    check(schema) {
+      const laterDraft = isLaterDraft(schema);
+      const issues = [];
+      walkSchema(schema, (node, pointer) => {
+        for (const keyword of Object.keys(node)) {
+          if (!laterDraft && Object.prototype.hasOwnProperty.call(LATER_DRAFT_KEYWORDS, keyword)) {
+            const instead = LATER_DRAFT_KEYWORDS[keyword];
+            issues.push({
+              pointer: `${pointer}/${escapePointerToken(keyword)}`,
+              message: `'${keyword}' is not a draft-07 keyword and is ignored${instead ? `; use ${instead}` : ''}`
+            });
+          } else if (laterDraft && REPLACED_KEYWORDS[keyword]) {
+            issues.push({
+              pointer: `${pointer}/${escapePointerToken(keyword)}`,
+              message: `'${keyword}' was replaced in draft 2019-09; use ${REPLACED_KEYWORDS[keyword]}`
+            });
+          }
+        }
+      });
+      return issues;
+    }
+  },
+
+  'unknown-keyword': {
+    severity: 'warning',
+    description: 'Keywords should be JSON Schema keywords (or x- extensions); unknown ones are usually typos',
+    check(schema) {
+      const known = new Set([...DRAFT_07_KEYWORDS, ...Object.keys(LATER_DRAFT_KEYWORDS)]);
+      const issues = [];
+      walkSchema(schema, (node, pointer) => {
+        Object.keys(node)
+          .filter(keyword => !known.has(keyword) && !keyword.startsWith('x-'))
+          .forEach(keyword => issues.push({
+            pointer: `${pointer}/${escapePointerToken(keyword)}`,
+            message: `Unknown keyword '${keyword}' is ignored by validators`
+          }));
+      });
+      return issues;
+    }
+  }
+};
+
+/**
+ * Resolve rule severities from a configuration
+ * @param {Object} config - Rule id → 'error', 'warning' (or 'warn') or 'off'
+ * @returns {Object} Rule id → severity for every rule
+ * @throws {Error} For unknown rules or severities
+ */
+function resolveLintRules(config = {}) {
+  const severities = {};
+  for (const [ruleId, rule] of Object.entries(LINT_RULES)) {
+    severities[ruleId] = rule.severity;
+  }
+
+  for (const [ruleId, value] of Object.entries(config || {})) {
+    if (!LINT_RULES[ruleId]) {
+      throw new Error(`Unknown schema lint rule: ${ruleId} (expected one of: ${Object.keys(LINT_RULES).join(', ')})`);
+    }
+    const severity = value === 'warn' ? 'warning' : value;
+    if (!LINT_SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity '${value}' for schema lint rule ${ruleId} (expected one of: ${LINT_SEVERITIES.join(', ')})`);
+    }
+    severities[ruleId] = severity;
+  }
+
+  return severities;
+}
+
+/**
+ * Lint a schema
+ * @param {Object} schema - Parsed JSON schema
+ * @param {Object} rules - Rule id → severity overrides (see resolveLintRules())
+ * @returns {Object} { valid, issues, summary } where issues are { ruleId, severity, pointer, message },
+ *   summary counts errors and warnings, and valid is false if any issue is an error
+ */
+function lintSchema(schema, rules = {}) {
+  const severities = resolveLintRules(rules);
+  const issues = [];
+
+  for (const [ruleId, rule] of Object.entries(LINT_RULES)) {
+    if (severities[ruleId] === 'off') continue;
+    rule.check(schema).forEach(issue => issues.push({ ruleId, severity: severities[ruleId], ...issue }));
+  }
+
+  const summary = {
+    errors: issues.filter(issue => issue.severity === 'error').length,
+    warnings: issues.filter(issue => issue.severity === 'warning').length
+  };
+
+  return { valid: summary.errors === 0, issues, summary };
+}
+
+module.exports = {
+  LINT_SEVERITIES,
+  LINT_RULES,
+  walkSchema,
+  resolveLintRules,
+  lintSchema
+};
@@ -0,0 +1,177 @@
+/**
+ * Schema utilities for deriving property maps from the NEPA JSON schema
+ * Compiles definitions into simple descriptors (type, format, enum, nullable, required)
+ * so transformations follow the schema instead of hand-written type lists
+ */
+const fs = require('fs');
+const { PATHS } = require('./validation-utils');
+
+// Compiled schema details, cached per schema path
+const schemaCache = new Map();
+
+/**
+ * Resolve a local $ref (e.g. #/definitions/project) against the root schema
+ * @param {Object} rootSchema - Root schema document
+ * @param {string} ref - JSON reference
+ * @returns {Object|null} Referenced schema node
+ */
+function resolveRef(rootSchema, ref) {
+  if (!ref || !ref.startsWith('#/')) {
+    return null;
+  }
+
+  return ref.slice(2).split('/').reduce((node, token) => {
+    const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    return node && node[key] !== undefined ? node[key] : null;
+  }, rootSchema);
+}
+
+/**
+ * Compile a schema node into a property descriptor
+ * anyOf/oneOf branches are merged: a null branch makes the property nullable, and
+ * enum/format are kept only when every non-null branch enforces them
+ * @param {Object} node - Schema node for the property
+ * @param {Object} rootSchema - Root schema document (for $ref resolution)
+ * @param {Set} seenRefs - References already being compiled (guards against cycles)
+ * @returns {Object} Descriptor with type, nullable, format, enum, properties and items
+ */
+function compileProperty(node, rootSchema, seenRefs = new Set()) {
+  if (!node || typeof node !== 'object') {
+    return { type: null, nullable: true };
+  }
+
+  if (node.$ref) {
+    if (seenRefs.has(node.$ref)) {
+      return { type: 'object', nullable: false, ref: node.$ref };
+    }
+    const target = resolveRef(rootSchema, node.$ref);
+    const descriptor = compileProperty(target, rootSchema, new Set([...seenRefs, node.$ref]));
+    return { ...descriptor, ref: node.$ref };
+  }
+
+  const branches = node.anyOf || node.oneOf;
+  if (branches) {
+    const compiled = branches.map(branch => compileProperty(branch, rootSchema, seenRefs));
+    const nonNull = compiled.filter(branch => branch.type !== 'null');
+    const first = nonNull[0] || { type: 'null' };
+    const descriptor = {
+      type: nonNull.every(branch => branch.type === first.type) ? first.type : nonNull.map(branch => branch.type),
+      nullable: nonNull.length < compiled.length || nonNull.some(branch => branch.nullable)
+    };
+
+    if (nonNull.length > 0 && nonNull.every(branch => branch.enum)) {
+      descriptor.enum = [...new Set(nonNull.flatMap(branch => branch.enum))];
+    }
+    if (nonNull.length > 0 && nonNull.every(branch => branch.format === first.format) && first.format) {
+      descriptor.format = first.format;
+    }
+    if (first.properties) descriptor.properties = first.properties;
+    if (first.items) descriptor.items = first.items;
+    return descriptor;
+  }
+
+  const types = Array.isArray(node.type) ? node.type : [node.type || null];
+  const nonNullTypes = types.filter(type => type !== 'null');
+  const descriptor = {
+    type: nonNullTypes.length === 1 ? nonNullTypes[0] : nonNullTypes.length === 0 ? types[0] : nonNullTypes,
+    nullable: types.includes('null') || (Array.isArray(node.enum) && node.enum.includes(null))
+  };
+
+  if (node.format) descriptor.format = node.format;
+  if (Array.isArray(node.enum)) descriptor.enum = node.enum.filter(value => value !== null);
+
+  if (node.properties) {
+    descriptor.properties = compilePropertyMap(node, rootSchema, seenRefs);
+  }
+  if (node.items && !Array.isArray(node.items)) {
+    descriptor.items = compileProperty(node.items, rootSchema, seenRefs);
+  }
+
+  return descriptor;
+}
+
+/**
+ * Compile the properties of an object schema into a property map
+ * @param {Object} node - Object schema with properties and required
+ * @param {Object} rootSchema - Root schema document (for $ref resolution)
+ * @param {Set} seenRefs - References already being compiled
+ * @returns {Object} Property name → descriptor (each with a required flag)
+ */
+function compilePropertyMap(node, rootSchema, seenRefs = new Set()) {
+  const required = node.required || [];
+  const map = {};
+
+  for (const [name, property] of Object.entries(node.properties || {})) {
+    map[name] = {
+      ...compileProperty(property, rootSchema, seenRefs),
+      required: required.includes(name)
+    };
+  }
+
+  return map;
+}
+
+/**
+ * Map each top-level collection to the definition its items reference
+ * @param {Object} schema - Root schema document
+ * @returns {Object} Collection name → definition name (e.g. processes → process)
+ */
+function getCollectionDefinitions(schema) {
+  const collections = {};
+
+  for (const [collection, property] of Object.entries(schema.properties || {})) {
+    const ref = property.items && property.items.$ref;
+    if (ref && ref.startsWith('#/definitions/')) {
+      collections[collection] = ref.slice('#/definitions/'.length);
+    }
+  }
+
+  return collections;
+}
+
+/**
+ * Compile property maps for every definition in a schema
+ * @param {Object} schema - Root schema document
+ * @returns {Object} Definition name → property map
+ */
+function compileDefinitions(schema) {
+  const definitions = {};
+
+  for (const [name, definition] of Object.entries(schema.definitions || {})) {
+    definitions[name] = compilePropertyMap(definition, schema);
+  }
+
+  return definitions;
+}
+
+/**
+ * Load the NEPA schema and compile its definitions and collection map
+ * @param {string} schemaPath - Path to the schema (default: PATHS.NEPA_SCHEMA)
+ * @returns {Object} { schema, definitions, collections, definitionCollections }
+ */
+function loadSchemaModel(schemaPath = PATHS.NEPA_SCHEMA) {
+  if (!schemaCache.has(schemaPath)) {
+    const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    const collections = getCollectionDefinitions(schema);
+
+    schemaCache.set(schemaPath, {
+      schema,
+      definitions: compileDefinitions(schema),
+      collections,
+      definitionCollections: Object.fromEntries(
+        Object.entries(collections).map(([collection, definition]) => [definition, collection])
+      )
+    });
+  }
+
+  return schemaCache.get(schemaPath);
+}
+
+module.exports = {
+  resolveRef,
+  compileProperty,
+  compilePropertyMap,
+  compileDefinitions,
+  getCollectionDefinitions,
+  loadSchemaModel
+};
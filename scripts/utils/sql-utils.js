@@ -0,0 +1,607 @@
+/**
+ * SQL utilities for reading and writing the database files in src/database
+ * Parses seed INSERT statements into rows keyed by column name, reads tables, columns
+ * and foreign keys from the DDL and builds upsert statements
+ */
+const fs = require('fs');
+const path = require('path');
+const { PATHS } = require('./validation-utils');
+
+// Default seed and DDL files
+const DEFAULT_SEED_PATH = path.join(PATHS.DATABASE_DIR, 'seed-v1.0.0.sql');
+const DEFAULT_SCHEMA_SQL_PATH = path.join(PATHS.DATABASE_DIR, 'schema-v1.0.0.sql');
+
+// Postgres type aliases, normalized to the names pg_dump writes
+const SQL_TYPE_ALIASES = {
+  int8: 'bigint',
+  int: 'integer',
+  int4: 'integer',
+  int2: 'smallint',
+  float8: 'double precision',
+  float4: 'real',
+  bool: 'boolean',
+  timestamptz: 'timestamp with time zone',
+  timestamp: 'timestamp without time zone',
+  varchar: 'character varying',
+  decimal: 'numeric'
+};
+
+// Words that end the type of a column definition
+const COLUMN_CONSTRAINT_WORDS = ['DEFAULT', 'NOT', 'NULL', 'CONSTRAINT', 'PRIMARY', 'UNIQUE', 'CHECK', 'REFERENCES', 'COLLATE', 'GENERATED'];
+
+// Words that start a table constraint instead of a column inside CREATE TABLE
+const TABLE_CONSTRAINT_WORDS = ['CONSTRAINT', 'PRIMARY', 'UNIQUE', 'CHECK', 'FOREIGN', 'EXCLUDE', 'LIKE'];
+
+/**
+ * Split SQL text into tokens: quoted identifiers, string literals, numbers, words and punctuation
+ * Comments (-- ...) are skipped
+ * @param {string} sql - SQL text
+ * @returns {Array<Object>} Tokens with type, value and source offsets (start, end)
+ */
+function tokenizeSql(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const start = i;
+    const count = tokens.length;
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '-' && sql[i + 1] === '-') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+    } else if (char === '\'' || ((char === 'E' || char === 'e') && sql[i + 1] === '\'')) {
+      // String literal ('' escapes a quote; E'' strings also allow backslash escapes)
+      const escaped = char !== '\'';
+      let value = '';
+      i += escaped ? 2 : 1;
+      while (i < sql.length) {
+        if (sql[i] === '\'' && sql[i + 1] === '\'') {
+          value += '\'';
+          i += 2;
+        } else if (sql[i] === '\'') {
+          i++;
+          break;
+        } else if (escaped && sql[i] === '\\' && i + 1 < sql.length) {
+          const next = sql[i + 1];
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+          i += 2;
+        } else {
+          value += sql[i++];
+        }
+      }
+      tokens.push({ type: 'string', value });
+    } else if (char === '"') {
+      let value = '';
+      i++;
+      while (i < sql.length) {
+        if (sql[i] === '"' && sql[i + 1] === '"') {
+          value += '"';
+          i += 2;
+        } else if (sql[i] === '"') {
+          i++;
+          break;
+        } else {
+          value += sql[i++];
+        }
+      }
+      tokens.push({ type: 'identifier', value });
+    } else if (/[0-9]/.test(char) || (char === '-' && /[0-9.]/.test(sql[i + 1] || ''))) {
+      const match = sql.slice(i).match(/^-?\d*\.?\d+(?:[eE][+-]?\d+)?/);
+      tokens.push({ type: 'number', value: match[0] });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = sql.slice(i).match(/^[A-Za-z_][A-Za-z0-9_$]*/);
+      tokens.push({ type: 'word', value: match[0] });
+      i += match[0].length;
+    } else if (char === ':' && sql[i + 1] === ':') {
+      tokens.push({ type: 'punct', value: '::' });
+      i += 2;
+    } else {
+      tokens.push({ type: 'punct', value: char });
+      i++;
+    }
+
+    if (tokens.length > count) {
+      Object.assign(tokens[count], { start, end: i });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Convert a literal token into a JavaScript value
+ * Numbers become numbers (kept as strings if they would lose precision), NULL becomes null
+ * @param {Object} token - Token from tokenizeSql()
+ * @returns {*} JavaScript value
+ */
+function parseSqlLiteral(token) {
+  if (token.type === 'string') {
+    return token.value;
+  }
+  if (token.type === 'number') {
+    const number = Number(token.value);
+    return Number.isSafeInteger(number) || !Number.isInteger(number) ? number : token.value;
+  }
+
+  const word = token.value.toUpperCase();
+  if (word === 'NULL') return null;
+  if (word === 'TRUE') return true;
+  if (word === 'FALSE') return false;
+  return token.value;
+}
+
+/**
+ * Parse the INSERT statements in SQL text
+ * Handles multi-row VALUES lists, optional schema prefixes and type casts (e.g. '{}'::jsonb);
+ * a missing semicolon between statements is tolerated
+ * @param {string} sql - SQL text
+ * @returns {Array<Object>} Statements as { table, columns, rows } (rows keyed by column name)
+ */
+function parseInsertStatements(sql) {
+  const tokens = tokenizeSql(sql);
+  const statements = [];
+  const isWord = (token, word) => token && token.type === 'word' && token.value.toUpperCase() === word;
+  const isPunct = (token, value) => token && token.type === 'punct' && token.value === value;
+  const name = token => token && (token.type === 'identifier' || token.type === 'word') ? token.value : null;
+
+  let i = 0;
+  while (i < tokens.length) {
+    if (!isWord(tokens[i], 'INSERT') || !isWord(tokens[i + 1], 'INTO')) {
+      i++;
+      continue;
+    }
+    i += 2;
+
+    // Table name, possibly schema-qualified ("public"."project")
+    let table = name(tokens[i++]);
+    while (isPunct(tokens[i], '.')) {
+      table = name(tokens[i + 1]);
+      i += 2;
+    }
+
+    const columns = [];
+    if (isPunct(tokens[i], '(')) {
+      i++;
+      while (i < tokens.length && !isPunct(tokens[i], ')')) {
+        if (!isPunct(tokens[i], ',')) columns.push(name(tokens[i]));
+        i++;
+      }
+      i++;
+    }
+
+    if (!isWord(tokens[i], 'VALUES')) {
+      continue;
+    }
+    i++;
+
+    const rows = [];
+    while (isPunct(tokens[i], '(')) {
+      i++;
+      const values = [];
+      while (i < tokens.length && !isPunct(tokens[i], ')')) {
+        if (isPunct(tokens[i], ',')) {
+          i++;
+          continue;
+        }
+        values.push(parseSqlLiteral(tokens[i++]));
+        // Skip type casts such as ::jsonb or ::timestamp with time zone
+        while (isPunct(tokens[i], '::')) {
+          i += 2;
+          while (tokens[i] && tokens[i].type === 'word' && !isPunct(tokens[i], ',')) i++;
+        }
+      }
+      i++;
+      rows.push(Object.fromEntries(columns.map((column, index) => [column, values[index] === undefined ? null : values[index]])));
+
+      if (isPunct(tokens[i], ',')) i++;
+    }
+
+    statements.push({ table, columns, rows });
+  }
+
+  return statements;
+}
+
+/**
+ * Load the rows of a seed file grouped by table
+ * @param {string} sqlPath - Path to the seed SQL (default: src/database/seed-v1.0.0.sql)
+ * @returns {Object} Table name → array of rows
+ */
+function loadSeedRows(sqlPath = DEFAULT_SEED_PATH) {
+  const sql = fs.readFileSync(sqlPath, 'utf8');
+  const tables = {};
+
+  for (const statement of parseInsertStatements(sql)) {
+    if (!tables[statement.table]) {
+      tables[statement.table] = [];
+    }
+    tables[statement.table].push(...statement.rows);
+  }
+
+  return tables;
+}
+
+/**
+ * Read a possibly schema-qualified name ("public"."project") starting at a token
+ * @param {Array<Object>} tokens - Tokens from tokenizeSql()
+ * @param {number} start - Index of the first name token
+ * @returns {Object} { name, next } with the unqualified name and the index after it
+ */
+function readQualifiedName(tokens, start) {
+  const name = token => token && (token.type === 'identifier' || token.type === 'word') ? token.value : null;
+  let i = start;
+  let value = name(tokens[i++]);
+
+  while (tokens[i] && tokens[i].type === 'punct' && tokens[i].value === '.') {
+    value = name(tokens[i + 1]);
+    i += 2;
+  }
+
+  return { name: value, next: i };
+}
+
+/**
+ * Read a parenthesized list of column names starting at a token
+ * @param {Array<Object>} tokens - Tokens from tokenizeSql()
+ * @param {number} start - Index of the opening parenthesis
+ * @returns {Object} { columns, next } with the names and the index after the closing parenthesis
+ */
+function readColumnList(tokens, start) {
+  const columns = [];
+  let i = start;
+  if (!tokens[i] || tokens[i].value !== '(') {
+    return { columns, next: i };
+  }
+
+  i++;
+  while (i < tokens.length && !(tokens[i].type === 'punct' && tokens[i].value === ')')) {
+    if (tokens[i].type !== 'punct') columns.push(tokens[i].value);
+    i++;
+  }
+
+  return { columns, next: i + 1 };
+}
+
+/**
+ * Read the ON UPDATE / ON DELETE actions (CASCADE, SET NULL, NO ACTION, ...) after a REFERENCES clause
+ * @param {Array<Object>} tokens - Tokens from tokenizeSql()
+ * @param {number} start - Index of the first token after the referenced columns
+ * @param {Object} constraint - Foreign key to set onUpdate and onDelete on (null when absent)
+ * @returns {number} Index after the actions
+ */
+function readReferentialActions(tokens, start, constraint) {
+  const isWord = (token, word) => token && token.type === 'word' && token.value.toUpperCase() === word;
+  let i = start;
+  constraint.onUpdate = null;
+  constraint.onDelete = null;
+
+  while (isWord(tokens[i], 'ON') && (isWord(tokens[i + 1], 'UPDATE') || isWord(tokens[i + 1], 'DELETE'))) {
+    const event = tokens[i + 1].value.toUpperCase();
+    const action = [];
+    i += 2;
+    // SET NULL / SET DEFAULT take the following word even though it also starts a column constraint
+    while (tokens[i] && tokens[i].type === 'word' && !isWord(tokens[i], 'ON') &&
+      (action[action.length - 1] === 'SET' || !COLUMN_CONSTRAINT_WORDS.includes(tokens[i].value.toUpperCase()))) {
+      action.push(tokens[i++].value.toUpperCase());
+    }
+    constraint[event === 'UPDATE' ? 'onUpdate' : 'onDelete'] = action.join(' ');
+  }
+
+  return i;
+}
+
+/**
+ * Parse the foreign key constraints declared with ALTER TABLE ... ADD CONSTRAINT ... FOREIGN KEY
+ * @param {string} sql - DDL text
+ * @returns {Array<Object>} Constraints as { name, table, columns, refTable, refColumns, onUpdate, onDelete }
+ */
+function parseForeignKeys(sql) {
+  const tokens = tokenizeSql(sql);
+  const foreignKeys = [];
+  const isWord = (token, word) => token && token.type === 'word' && token.value.toUpperCase() === word;
+
+  let i = 0;
+  while (i < tokens.length) {
+    if (!isWord(tokens[i], 'ALTER') || !isWord(tokens[i + 1], 'TABLE')) {
+      i++;
+      continue;
+    }
+    i += 2;
+    if (isWord(tokens[i], 'ONLY')) i++;
+
+    const table = readQualifiedName(tokens, i);
+    i = table.next;
+    if (!isWord(tokens[i], 'ADD') || !isWord(tokens[i + 1], 'CONSTRAINT') || !isWord(tokens[i + 3], 'FOREIGN')) {
+      continue;
+    }
+
+    const constraint = { name: tokens[i + 2].value, table: table.name };
+    const columns = readColumnList(tokens, i + 5);
+    const refTable = readQualifiedName(tokens, columns.next + 1);
+    const refColumns = readColumnList(tokens, refTable.next);
+    i = refColumns.next;
+
+    constraint.columns = columns.columns;
+    constraint.refTable = refTable.name;
+    constraint.refColumns = refColumns.columns;
+    i = readReferentialActions(tokens, i, constraint);
+
+    foreignKeys.push(constraint);
+  }
+
+  return foreignKeys;
+}
+
+/**
+ * Load the foreign key constraints of a DDL file
+ * @param {string} sqlPath - Path to the DDL (default: src/database/schema-v1.0.0.sql)
+ * @returns {Array<Object>} Constraints from parseForeignKeys()
+ */
+function loadForeignKeys(sqlPath = DEFAULT_SCHEMA_SQL_PATH) {
+  return parseForeignKeys(fs.readFileSync(sqlPath, 'utf8'));
+}
+
+/**
+ * Normalize a Postgres type name for comparison ("text" → text, int8 → bigint)
+ * @param {string} type - Type as written in DDL or the crosswalk
+ * @returns {string} Normalized type
+ */
+function normalizeSqlType(type) {
+  const normalized = String(type || '').replace(/"/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const [, base, suffix] = normalized.match(/^([a-z][a-z0-9 ]*?)\s*(\(.*\)|\[\])?$/) || [null, normalized, ''];
+  return `${SQL_TYPE_ALIASES[base] || base}${suffix || ''}`;
+}
+
+/**
+ * Parse the tables, columns and constraints of pg_dump-style DDL
+ * Reads CREATE TABLE column definitions (type, nullability, default, inline constraints),
+ * identity columns and ALTER TABLE primary and foreign keys
+ * @param {string} sql - DDL text
+ * @returns {Object} { tables, foreignKeys } where tables maps table name →
+ *   { name, columns: { name → { name, dataType, nullable, defaultValue, identity } }, primaryKey }
+ */
+function parseDdl(sql) {
+  const tokens = tokenizeSql(sql);
+  const tables = {};
+  const foreignKeys = [];
+  const isWord = (token, word) => token && token.type === 'word' && token.value.toUpperCase() === word;
+  const isPunct = (token, value) => token && token.type === 'punct' && token.value === value;
+  const source = (from, to) => from < to ? sql.slice(tokens[from].start, tokens[to - 1].end) : '';
+
+  // Index of the first token in [from, to) at parenthesis depth 0 that matches
+  const findAtDepth = (from, to, match) => {
+    let depth = 0;
+    for (let j = from; j < to; j++) {
+      if (depth === 0 && match(tokens[j])) return j;
+      if (isPunct(tokens[j], '(')) depth++;
+      if (isPunct(tokens[j], ')')) depth--;
+    }
+    return to;
+  };
+  const isConstraintWord = token => token.type === 'word' && COLUMN_CONSTRAINT_WORDS.includes(token.value.toUpperCase());
+
+  const parseColumn = (table, from, to) => {
+    const column = { name: tokens[from].value, dataType: null, nullable: true, defaultValue: null, identity: false };
+    const typeEnd = findAtDepth(from + 1, to, isConstraintWord);
+    column.dataType = normalizeSqlType(source(from + 1, typeEnd));
+
+    let j = typeEnd;
+    while (j < to) {
+      if (isWord(tokens[j], 'NOT') && isWord(tokens[j + 1], 'NULL')) {
+        column.nullable = false;
+        j += 2;
+      } else if (isWord(tokens[j], 'DEFAULT')) {
+        const end = findAtDepth(j + 1, to, isConstraintWord);
+        column.defaultValue = source(j + 1, end);
+        j = end;
+      } else if (isWord(tokens[j], 'PRIMARY')) {
+        table.primaryKey = [column.name];
+        column.nullable = false;
+        j += 2;
+      } else if (isWord(tokens[j], 'GENERATED')) {
+        column.identity = source(j, to).toUpperCase().includes('IDENTITY');
+        j = findAtDepth(j + 1, to, token => isConstraintWord(token) && !['GENERATED', 'DEFAULT'].includes(token.value.toUpperCase()));
+      } else if (isWord(tokens[j], 'REFERENCES')) {
+        const refTable = readQualifiedName(tokens, j + 1);
+        const refColumns = readColumnList(tokens, refTable.next);
+        const constraint = { name: null, table: table.name, columns: [column.name], refTable: refTable.name, refColumns: refColumns.columns };
+        j = Math.max(readReferentialActions(tokens, refColumns.next, constraint), j + 2);
+        foreignKeys.push(constraint);
+      } else {
+        j++;
+      }
+    }
+
+    table.columns[column.name] = column;
+  };
+
+  let i = 0;
+  while (i < tokens.length) {
+    if (isWord(tokens[i], 'CREATE') && isWord(tokens[i + 1], 'TABLE')) {
+      i += 2;
+      if (isWord(tokens[i], 'IF') && isWord(tokens[i + 1], 'NOT') && isWord(tokens[i + 2], 'EXISTS')) i += 3;
+
+      const name = readQualifiedName(tokens, i);
+      const table = tables[name.name] || { name: name.name, columns: {}, primaryKey: [] };
+      tables[name.name] = table;
+      i = name.next;
+      if (!isPunct(tokens[i], '(')) continue;
+
+      const end = findAtDepth(i + 1, tokens.length, token => isPunct(token, ')'));
+      let from = i + 1;
+      while (from < end) {
+        const to = findAtDepth(from, end, token => isPunct(token, ','));
+        if (tokens[from].type === 'word' && TABLE_CONSTRAINT_WORDS.includes(tokens[from].value.toUpperCase())) {
+          const primary = findAtDepth(from, to, token => isWord(token, 'PRIMARY'));
+          if (primary < to) table.primaryKey = readColumnList(tokens, primary + 2).columns;
+        } else {
+          parseColumn(table, from, to);
+        }
+        from = to + 1;
+      }
+      i = end + 1;
+    } else if (isWord(tokens[i], 'ALTER') && isWord(tokens[i + 1], 'TABLE')) {
+      i += 2;
+      if (isWord(tokens[i], 'ONLY')) i++;
+      const name = readQualifiedName(tokens, i);
+      const table = tables[name.name];
+      i = name.next;
+      if (!table) continue;
+
+      if (isWord(tokens[i], 'ALTER') && isWord(tokens[i + 1], 'COLUMN') && isWord(tokens[i + 3], 'ADD') && isWord(tokens[i + 4], 'GENERATED')) {
+        const column = table.columns[tokens[i + 2].value];
+        if (column) column.identity = true;
+        i += 5;
+      } else if (isWord(tokens[i], 'ADD') && isWord(tokens[i + 1], 'CONSTRAINT') && isWord(tokens[i + 3], 'PRIMARY')) {
+        const primaryKey = readColumnList(tokens, i + 5);
+        table.primaryKey = primaryKey.columns;
+        primaryKey.columns.forEach(column => {
+          if (table.columns[column]) table.columns[column].nullable = false;
+        });
+        i = primaryKey.next;
+      }
+    } else {
+      i++;
+    }
+  }
+
+  return { tables, foreignKeys: [...foreignKeys, ...parseForeignKeys(sql)] };
+}
+
+/**
+ * Load the DDL of a .sql file, or of every .sql file in a directory
+ * Files without CREATE TABLE statements (e.g. seed data) contribute nothing
+ * @param {string} sqlPath - DDL file or directory (default: src/database/schema-v1.0.0.sql)
+ * @returns {Object} { tables, foreignKeys, files } as from parseDdl()
+ */
+function loadDdl(sqlPath = DEFAULT_SCHEMA_SQL_PATH) {
+  const files = fs.statSync(sqlPath).isDirectory()
+    ? fs.readdirSync(sqlPath).filter(file => file.endsWith('.sql')).sort().map(file => path.join(sqlPath, file))
+    : [sqlPath];
+  const ddl = { tables: {}, foreignKeys: [], files };
+
+  for (const file of files) {
+    const parsed = parseDdl(fs.readFileSync(file, 'utf8'));
+    Object.assign(ddl.tables, parsed.tables);
+    ddl.foreignKeys.push(...parsed.foreignKeys);
+  }
+
+  return ddl;
+}
+
+/**
+ * Order tables so every table comes after the tables its foreign keys reference
+ * Ties keep the given order; self-references are ignored
+ * @param {Array<string>} tableNames - Tables to order
+ * @param {Array<Object>} foreignKeys - Constraints from parseForeignKeys()
+ * @returns {Object} { order, cycles } where cycles lists tables that could not be ordered (appended to order)
+ */
+function orderTablesByForeignKeys(tableNames, foreignKeys) {
+  const dependencies = new Map(tableNames.map(table => [table, new Set()]));
+  for (const foreignKey of foreignKeys) {
+    if (dependencies.has(foreignKey.table) && dependencies.has(foreignKey.refTable) && foreignKey.table !== foreignKey.refTable) {
+      dependencies.get(foreignKey.table).add(foreignKey.refTable);
+    }
+  }
+
+  const order = [];
+  let remaining = [...tableNames];
+  while (remaining.length > 0) {
+    const ready = remaining.find(table => [...dependencies.get(table)].every(dependency => order.includes(dependency)));
+    if (!ready) break;
+    order.push(ready);
+    remaining = remaining.filter(table => table !== ready);
+  }
+
+  return { order: [...order, ...remaining], cycles: remaining };
+}
+
+/**
+ * Quote an SQL identifier
+ * @param {string} name - Table or column name
+ * @returns {string} Double-quoted identifier
+ */
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Format a JavaScript value as an SQL literal for a column type
+ * JSON columns get their value as JSON text (strings included) and a ::json/::jsonb cast, integers kept as strings (beyond 2^53) are written unquoted
+ * @param {*} value - Column value
+ * @param {string} dataType - Postgres column type from the crosswalk
+ * @returns {string} SQL literal
+ */
+function formatSqlLiteral(value, dataType = 'text') {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+
+  const type = String(dataType).toLowerCase();
+  const quote = text => `'${String(text).replace(/'/g, '\'\'')}'`;
+
+  if (type === 'json' || type === 'jsonb') {
+    // Strings are JSON values too: 'text'::json is invalid, '"text"'::json is not
+    return `${quote(JSON.stringify(value))}::${type}`;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? String(value) : 'NULL';
+  }
+  if (['bigint', 'integer', 'smallint'].includes(type) && /^-?\d+$/.test(String(value))) {
+    return String(value);
+  }
+  if (typeof value === 'object') {
+    return quote(JSON.stringify(value));
+  }
+
+  return quote(value);
+}
+
+/**
+ * Build an INSERT ... ON CONFLICT DO UPDATE statement for one row
+ * @param {string} table - Table name
+ * @param {Object} row - Column name → value
+ * @param {Object} options - Statement options
+ * @param {Array<string>} options.columns - Columns to write, in order (default: the row's keys)
+ * @param {Object} options.dataTypes - Column name → Postgres type (for literal formatting)
+ * @param {Array<string>} options.conflictColumns - Conflict target (default: ["id"])
+ * @returns {string} SQL statement
+ */
+function buildUpsertStatement(table, row, options = {}) {
+  const columns = options.columns || Object.keys(row);
+  const dataTypes = options.dataTypes || {};
+  const conflictColumns = options.conflictColumns || ['id'];
+
+  const values = columns.map(column => formatSqlLiteral(row[column], dataTypes[column]));
+  const updates = columns
+    .filter(column => !conflictColumns.includes(column))
+    .map(column => `${quoteIdentifier(column)} = EXCLUDED.${quoteIdentifier(column)}`);
+
+  return `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(', ')}) VALUES (${values.join(', ')}) ` +
+    `ON CONFLICT (${conflictColumns.map(quoteIdentifier).join(', ')}) ` +
+    (updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')};` : 'DO NOTHING;');
+}
+
+module.exports = {
+  DEFAULT_SEED_PATH,
+  DEFAULT_SCHEMA_SQL_PATH,
+  tokenizeSql,
+  parseSqlLiteral,
+  parseInsertStatements,
+  loadSeedRows,
+  parseForeignKeys,
+  loadForeignKeys,
+  normalizeSqlType,
+  parseDdl,
+  loadDdl,
+  orderTablesByForeignKeys,
+  quoteIdentifier,
+  formatSqlLiteral,
+  buildUpsertStatement
+};
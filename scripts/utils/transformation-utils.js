@@ -8,8 +8,17 @@ const {
   mapEventStatus, 
   mapDatabaseFieldToSchema, 
   getSchemaMapping, 
-  mapEntityId 
+  mapEntityId,
+  getColumnMapping,
+  applyFieldTransform,
+  mergeMappedValue,
+  reverseFieldTransform,
+  loadCrosswalkMappings,
+  findTableForSchema,
+  TABLE_TO_SCHEMA_MAP
 } = require('./mapping-utils');
+const { loadSchemaModel } = require('./schema-utils');
+const { PRIMARY_KEYS, FOREIGN_KEYS } = require('./reference-utils');
 
 /**
  * Provides a default value for a given schema type.
@@ -34,12 +43,26 @@ function getDefaultValueForType(type) {
   }
 }
 
+/**
+ * Provides a default value for a compiled schema property descriptor.
+ * Nullable properties keep null, and formatted or enumerated strings have no safe
+ * placeholder (an empty string would fail validation), so they keep null as well.
+ * @param {Object} descriptor - Property descriptor from schema-utils.
+ * @returns {*} - The default value, or null if null should be kept.
+ */
+function getDefaultValueForProperty(descriptor) {
+  if (!descriptor || descriptor.nullable || descriptor.format || descriptor.enum) {
+    return null;
+  }
+  return getDefaultValueForType(descriptor.type);
+}
+
 /**
  * Recursively transforms an entity, ensuring nulls are replaced by type-appropriate defaults.
  * @param {Object} entity - The entity to transform.
  * @param {string} entityType - The type of the entity (e.g., 'project', 'document').
  * @param {Array<string>} fixes - Array to collect descriptions of fixes.
- * @param {Object} schemaProperties - Simplified map of property names to their expected types for the entity.
+ * @param {Object} schemaProperties - Property descriptors for the entity, compiled from the NEPA schema.
  */
 function transformProperties(entity, entityType, fixes, schemaProperties = {}) {
   if (typeof entity !== 'object' || entity === null) return entity;
@@ -47,18 +70,14 @@ function transformProperties(entity, entityType, fixes, schemaProperties = {}) {
   const transformedEntity = {};
   for (const key in entity) {
     let value = entity[key];
-    const expectedType = schemaProperties[key]; // Get expected type from simplified schema map
-
-    if (value === null && expectedType) {
-      const defaultValue = getDefaultValueForType(expectedType);
-      if (defaultValue !== null || key.endsWith('_id')) { // Don't replace _id fields with 0 if they are null, unless schema demands
-        // Only apply default if it's not null, or if it's an ID field that might need a specific default (though typically IDs are strings or numbers already)
-        // This prevents replacing intentional nulls in optional fields if the default is also null.
-        // For strings, integers, booleans, this will provide a non-null default.
-         if (value === null && defaultValue !== null && entity[key] !== defaultValue) {
-            fixes.push(`Replaced null with default '${defaultValue}' for ${entityType}.${key} (expected ${expectedType})`);
-            value = defaultValue;
-        }
+    const descriptor = schemaProperties[key]; // Get expected type from the compiled schema
+
+    if (value === null && descriptor) {
+      const defaultValue = getDefaultValueForProperty(descriptor);
+      // Only apply non-null defaults; intentional nulls in nullable or formatted fields are kept
+      if (defaultValue !== null && entity[key] !== defaultValue) {
+        fixes.push(`Replaced null with default '${defaultValue}' for ${entityType}.${key} (expected ${descriptor.type})`);
+        value = defaultValue;
       }
     }
 
@@ -85,9 +104,12 @@ function transformProperties(entity, entityType, fixes, schemaProperties = {}) {
         // Pass down schema properties for the nested object if available
         const nestedSchemaProperties = schemaProperties[key] && schemaProperties[key].properties ? schemaProperties[key].properties : {};
         transformedEntity[key] = transformProperties(value, `${entityType}.${key}`, fixes, nestedSchemaProperties);
+      } else if (schemaProperties[key] && schemaProperties[key].items && schemaProperties[key].items.properties) {
+        // Arrays of objects are transformed item by item using the schema's item properties
+        transformedEntity[key] = value.map(item => 
+          transformProperties(item, `${entityType}.${key}[]`, fixes, schemaProperties[key].items.properties)
+        );
       } else {
-        // For arrays, we might want to transform each item if we know their type
-        // For now, keep arrays as they are unless specific logic is added
         transformedEntity[key] = value;
       }
     } else {
@@ -113,7 +135,7 @@ function transformProperties(entity, entityType, fixes, schemaProperties = {}) {
  * @param {string} originalType - The original type name (e.g., 'project', 'process_instance').
  * @param {string} targetType - The target NEPA schema type name (e.g., 'projects', 'processes').
  * @param {Array<string>} fixes - Array to collect descriptions of fixes.
- * @param {Object} entitySchemaProperties - Simplified map of property names to their expected types for this entity.
+ * @param {Object} entitySchemaProperties - Property descriptors for this entity, compiled from the NEPA schema.
  * @returns {Object} The transformed item.
  */
 function transformEntity(item, originalType, targetType, fixes, entitySchemaProperties = {}) {
@@ -122,7 +144,9 @@ function transformEntity(item, originalType, targetType, fixes, entitySchemaProp
 
   for (const key in item) {
     const schemaKey = mapDatabaseFieldToSchema(key, originalType);
-    let value = item[key];
+    const columnMapping = getColumnMapping(originalType, key);
+    const transform = columnMapping && columnMapping.transform;
+    let value = applyFieldTransform(item[key], transform);
 
     // Apply specific value mappings (status, type, etc.)
     if (schemaKey === 'status' || schemaKey === 'process_status' || schemaKey === 'project_status') value = mapStatus(value);
@@ -132,19 +156,18 @@ function transformEntity(item, originalType, targetType, fixes, entitySchemaProp
     // Add other specific mappings if needed
 
     // Handle null to default conversion based on schema properties
-    const expectedType = entitySchemaProperties[schemaKey];
-    if (value === null && expectedType) {
-      const defaultValue = getDefaultValueForType(expectedType);
-      if (defaultValue !== null || schemaKey === idField) { // Ensure ID fields get a default if null and expected
-        if (item[key] !== defaultValue) { // Check if original was null and new default is different
-             fixes.push(`Replaced null with default '${defaultValue}' for ${originalType}.${key} (mapped to ${schemaKey}, expected ${expectedType})`);
-             value = defaultValue;
-        }
+    const descriptor = entitySchemaProperties[schemaKey];
+    if (value === null && descriptor) {
+      const defaultValue = getDefaultValueForProperty(descriptor);
+      if (defaultValue !== null && item[key] !== defaultValue) { // Check if original was null and new default is different
+        fixes.push(`Replaced null with default '${defaultValue}' for ${originalType}.${key} (mapped to ${schemaKey}, expected ${descriptor.type})`);
+        value = defaultValue;
       }
     }
     
-    // Ensure IDs are strings if that's the schema expectation (common for _id fields)
-    if (schemaKey.endsWith('_id') && typeof value !== 'string' && value !== null && value !== undefined) {
+    // Ensure IDs are strings where the schema expects strings (common for _id fields)
+    const expectsString = !descriptor || descriptor.type === 'string';
+    if (schemaKey.endsWith('_id') && expectsString && typeof value !== 'string' && value !== null && value !== undefined) {
         if (typeof value === 'number' || typeof value === 'bigint') {
             const originalValue = value;
             value = String(value);
@@ -158,22 +181,23 @@ function transformEntity(item, originalType, targetType, fixes, entitySchemaProp
       const nestedSchemaProps = entitySchemaProperties[schemaKey] && entitySchemaProperties[schemaKey].properties 
                                 ? entitySchemaProperties[schemaKey].properties 
                                 : {};
-      transformedItem[schemaKey] = transformProperties(value, `${originalType}.${schemaKey}`, fixes, nestedSchemaProps);
+      const nestedValue = transformProperties(value, `${originalType}.${schemaKey}`, fixes, nestedSchemaProps);
+      transformedItem[schemaKey] = mergeMappedValue(transformedItem[schemaKey], nestedValue, transform);
     } else if (Array.isArray(value) && entitySchemaProperties[schemaKey] && entitySchemaProperties[schemaKey].items && entitySchemaProperties[schemaKey].items.properties) {
       // If it's an array of objects and we have schema for items
       transformedItem[schemaKey] = value.map(arrItem => 
         transformProperties(arrItem, `${originalType}.${schemaKey}[]`, fixes, entitySchemaProperties[schemaKey].items.properties)
       );
     } else {
-      transformedItem[schemaKey] = value;
+      transformedItem[schemaKey] = mergeMappedValue(transformedItem[schemaKey], value, transform);
     }
   }
   
   // Ensure the primary ID field for the entity exists and has a sensible default if it was null
   // This is important if the original data might not have an 'id' but schema requires one (e.g. 'project_id')
-  const targetIdField = mapEntityId(targetType.slice(0,-1)); // e.g. projects -> project -> project_id
+  const targetIdField = PRIMARY_KEYS[targetType] || idField; // e.g. projects -> project_id
   if (!transformedItem[targetIdField] && entitySchemaProperties[targetIdField]) {
-      const idDefaultValue = getDefaultValueForType(entitySchemaProperties[targetIdField]);
+      const idDefaultValue = getDefaultValueForType(entitySchemaProperties[targetIdField].type);
       if (idDefaultValue !== null) { // Only add if default is not null (e.g. for string IDs)
           transformedItem[targetIdField] = idDefaultValue;
           fixes.push(`Added missing ID field '${targetIdField}' with default '${idDefaultValue}' for ${targetType}`);
@@ -183,15 +207,15 @@ function transformEntity(item, originalType, targetType, fixes, entitySchemaProp
   // GIS specific transformations
   if (originalType === 'gis_data' || targetType === 'gis_data') {
       if (!transformedItem.gis_id && entitySchemaProperties.gis_id) {
-          transformedItem.gis_id = getDefaultValueForType(entitySchemaProperties.gis_id) || `gis-${Date.now()}`; // Default gis_id
+          transformedItem.gis_id = getDefaultValueForProperty(entitySchemaProperties.gis_id) || `gis-${Date.now()}`; // Default gis_id
           fixes.push(`Added missing required gis_id for ${originalType}`);
       }
       if (!transformedItem.data_type && entitySchemaProperties.data_type) {
-          transformedItem.data_type = getDefaultValueForType(entitySchemaProperties.data_type) || 'point'; // Default data_type
+          transformedItem.data_type = getDefaultValueForProperty(entitySchemaProperties.data_type) || 'point'; // Default data_type
           fixes.push(`Added missing required data_type for ${originalType}`);
       }
       if (!transformedItem.coordinate_system && entitySchemaProperties.coordinate_system) {
-          transformedItem.coordinate_system = getDefaultValueForType(entitySchemaProperties.coordinate_system) || 'WGS84'; // Default coordinate_system
+          transformedItem.coordinate_system = getDefaultValueForProperty(entitySchemaProperties.coordinate_system) || 'WGS84'; // Default coordinate_system
           fixes.push(`Added missing required coordinate_system for ${originalType}`);
       }
       if (transformedItem.container_inventory && typeof transformedItem.container_inventory !== 'object' && entitySchemaProperties.container_inventory && entitySchemaProperties.container_inventory.type === 'object') {
@@ -215,78 +239,18 @@ function transformEntity(item, originalType, targetType, fixes, entitySchemaProp
 
 /**
  * Transform database format to NEPA schema format with automatic fixes
+ * Property types are compiled from nepa.schema.json, so schema edits apply automatically
+ * @param {Object} data - Data in database (table-keyed) or NEPA (collection-keyed) format
+ * @param {Object} options - Transformation options
+ * @param {string} options.schemaPath - Schema to derive property types from (default: nepa.schema.json)
+ * @returns {Object} { data, fixes }
  */
-function transformToNepaFormat(data) {
+function transformToNepaFormat(data, options = {}) {
   const fixes = [];
   let transformedData = JSON.parse(JSON.stringify(data)); // Deep clone
 
-  // Attempt to load a simplified representation of schema properties and types
-  // This is a placeholder for actual schema loading and parsing.
-  // In a real scenario, this would come from parsing nepa.schema.json definitions.
-  const simplifiedSchemas = {
-    project: {
-      project_id: 'string', project_title: 'string', project_status: 'string',
-      project_sponsor: { type: 'object', properties: { name: 'string', contact_info: 'string' } },
-      location: { type: 'object', properties: { description: 'string', gis_reference: 'string' } },
-      notes: 'string',
-      // ... other project fields
-    },
-    process: {
-      process_id: 'string', parent_process_id: 'string', process_stage: 'string', notes: 'string',
-      purpose_need: 'string', process_model: 'string', description: 'string',
-      // ... other process fields
-    },
-    document: {
-      document_id: 'string', document_type: 'string', volume_title: 'string', 
-      revision_number: 'integer', supplement_number: 'integer', url: 'string', 
-      notes: 'string', document_summary: 'string', document_toc: 'string',
-      document_revision: 'string', // Added from error output
-      // ... other document fields
-    },
-    public_comment: {
-      comment_id: 'string', method_of_submission: 'string',
-      // ... other comment fields
-    },
-    public_engagement_event: {
-      event_id: 'string', 
-      location: { type: 'object', properties: { description: 'string', gis_reference: 'string' } },
-      // ... other engagement fields
-    },
-    case_event: {
-      case_event_id: 'string', source: 'string', outcome: 'string', 
-      parent_event_id: 'integer', related_engagement_id: 'integer',
-      following_segment: 'string', // Added from error output
-      // ... other case_event fields
-    },
-    gis_data: {
-      gis_id: 'string', data_type: 'string', coordinate_system: 'string', extent: 'string', notes: 'string',
-      parent_project_id: 'integer', parent_process_id: 'integer', parent_document_id: 'integer',
-      parent_case_event_id: 'integer', parent_comment_id: 'integer', parent_engagement_id: 'integer',
-      container_inventory: { type: 'object', properties: { /* ... container props ... */ } }
-      // ... other gis_data fields
-    },
-    legal_structure: {
-      legal_structure_id: 'string', effective_date: 'string', context: 'string',
-      // ... other legal_structure fields
-    },
-    decision_element: {
-      decision_element_id: 'string', intersect: 'string', spatial_reference: 'string',
-      evaluation_dmn: 'string', spatial: 'string',
-      // ... other decision_element fields
-    },
-    process_model: {
-      process_model_id: 'string', name: 'string', bpmn_model: 'string', DMN_model: 'string', // Added name as it's often required
-      // ... other process_model fields
-    },
-    decision_payload: {
-      decision_payload_id: 'string', evaluation_data: 'object', response: 'string', result: 'string',
-      result_bool: 'boolean', result_notes: 'string', result_source: 'string',
-      data_annotation: 'string', evaluation_data_annotation: 'string',
-      // ... other decision_payload fields
-    }
-    // ... add other entity types and their simplified property types
-  };
-
+  // Per-entity property descriptors and the collection each definition belongs to
+  const { definitions, collections, definitionCollections } = loadSchemaModel(options.schemaPath);
 
   // Ensure root level has required 'projects' array if not present
   if (!transformedData.projects) {
@@ -294,21 +258,14 @@ function transformToNepaFormat(data) {
     fixes.push('Added missing required projects array to root level');
   }
 
-  const entityTypesMap = {
-    project: { target: 'projects', schemaProps: simplifiedSchemas.project },
-    process_instance: { target: 'processes', schemaProps: simplifiedSchemas.process },
-    document: { target: 'documents', schemaProps: simplifiedSchemas.document },
-    comment: { target: 'public_comments', schemaProps: simplifiedSchemas.public_comment },
-    engagement: { target: 'public_engagement_events', schemaProps: simplifiedSchemas.public_engagement_event },
-    case_event: { target: 'case_events', schemaProps: simplifiedSchemas.case_event },
-    gis_data_element: { target: 'gis_data', schemaProps: simplifiedSchemas.gis_data }, // Assuming gis_data_element maps to gis_data
-    gis_data: { target: 'gis_data', schemaProps: simplifiedSchemas.gis_data },
-    user_role: { target: 'user_roles', schemaProps: simplifiedSchemas.user_role },
-    legal_structure: { target: 'legal_structures', schemaProps: simplifiedSchemas.legal_structure },
-    decision_element: { target: 'decision_elements', schemaProps: simplifiedSchemas.decision_element },
-    process_model: { target: 'process_models', schemaProps: simplifiedSchemas.process_model },
-    process_decision_payload: { target: 'decision_payloads', schemaProps: simplifiedSchemas.decision_payload }
-  };
+  // Database table → NEPA collection, via the table's schema definition
+  const entityTypesMap = {};
+  for (const [tableName, mapping] of Object.entries(TABLE_TO_SCHEMA_MAP)) {
+    const target = definitionCollections[mapping.schemaName];
+    if (target) {
+      entityTypesMap[tableName] = { target, schemaProps: definitions[mapping.schemaName] };
+    }
+  }
 
   // Transform entities if they exist at the root (old format)
   for (const originalType in entityTypesMap) {
@@ -330,9 +287,9 @@ function transformToNepaFormat(data) {
   // Iterate over NEPA standard top-level arrays and apply property transformations
   // This ensures that even if data is already in NEPA format, nulls are handled
   for (const nepaKey in transformedData) {
-    if (Array.isArray(transformedData[nepaKey])) {
-        const entityType = nepaKey.slice(0, -1); // e.g. "projects" -> "project"
-        const schemaProps = simplifiedSchemas[entityType] || {}; // Get schema for this entity type
+    if (Array.isArray(transformedData[nepaKey]) && collections[nepaKey]) {
+        const entityType = collections[nepaKey]; // e.g. "gis_data" -> "gis_data", "processes" -> "process"
+        const schemaProps = definitions[entityType] || {};
         
         transformedData[nepaKey] = transformedData[nepaKey].map(entity => {
             // Pass the singular entityType for transformProperties context
@@ -345,8 +302,217 @@ function transformToNepaFormat(data) {
   return { data: transformedData, fixes };
 }
 
+/**
+ * Coerce a database value to the type of a schema property
+ * Only conversions that can be reversed from the column's data type are applied
+ * @param {*} value - Column value (after the crosswalk transform)
+ * @param {Object} descriptor - Property descriptor from schema-utils
+ * @returns {*} Property value
+ */
+function toPropertyValue(value, descriptor) {
+  if (!descriptor || value === null || value === undefined) {
+    return value === undefined ? null : value;
+  }
+
+  if (descriptor.type === 'string') {
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (typeof value === 'object') return JSON.stringify(value);
+  } else if ((descriptor.type === 'integer' || descriptor.type === 'number') && typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+    return Number(value);
+  } else if (descriptor.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+
+  return value;
+}
+
+/**
+ * Coerce a schema property value to a PostgreSQL column type
+ * @param {*} value - Property value (after reversing the crosswalk transform)
+ * @param {string} dataType - Column data type from the crosswalk (e.g. bigint, date, jsonb)
+ * @returns {*} Column value
+ */
+function toColumnValue(value, dataType = 'text') {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const type = String(dataType).toLowerCase();
+  if (['bigint', 'integer', 'smallint'].includes(type)) {
+    if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+      const number = Number(value);
+      return Number.isSafeInteger(number) ? number : value.trim();
+    }
+    return value;
+  }
+  if (['double precision', 'real', 'numeric'].includes(type)) {
+    return typeof value === 'string' && value.trim() !== '' && !isNaN(value) ? Number(value) : value;
+  }
+  if (type === 'boolean') {
+    return value === 'true' ? true : value === 'false' ? false : value;
+  }
+  if (type === 'date') {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) ? value.slice(0, 10) : value;
+  }
+  if (type === 'json' || type === 'jsonb') {
+    return value;
+  }
+  if (type === 'text' && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return typeof value === 'number' || typeof value === 'boolean' ? String(value) : value;
+}
+
+/**
+ * Convert database rows into a NEPA document using only the crosswalk mappings
+ * Unlike transformToNepaFormat, no defaults or value normalizations are applied, so the result
+ * can be converted back with toDatabaseRows()
+ * @param {Object} tables - Table name → array of rows (e.g. from sql-utils loadSeedRows())
+ * @param {Object} options - Conversion options
+ * @param {string} options.crosswalkPath - Crosswalk to map columns with (default: src/crosswalk/database_crosswalk.csv)
+ * @returns {Object} { data, warnings }
+ */
+function fromDatabaseRows(tables, options = {}) {
+  const { tables: crosswalk } = loadCrosswalkMappings(options.crosswalkPath);
+  const { definitions, definitionCollections } = loadSchemaModel(options.schemaPath);
+  const data = {};
+  const warnings = [];
+
+  for (const [tableName, rows] of Object.entries(tables)) {
+    const table = crosswalk[tableName];
+    const collection = table && definitionCollections[table.schemaEntity];
+    if (!collection) {
+      warnings.push(`Table '${tableName}' is not mapped to a NEPA collection in the crosswalk; ${rows.length} row(s) skipped`);
+      continue;
+    }
+
+    const properties = definitions[table.schemaEntity] || {};
+    data[collection] = rows.map(row => {
+      const record = {};
+      for (const [columnName, value] of Object.entries(row)) {
+        const mapping = table.columns[columnName];
+        if (!mapping || !mapping.property) continue;
+
+        const propertyValue = toPropertyValue(applyFieldTransform(value, mapping.transform), properties[mapping.property]);
+        record[mapping.property] = mergeMappedValue(record[mapping.property], propertyValue, mapping.transform);
+      }
+      return record;
+    });
+  }
+
+  return { data, warnings };
+}
+
+/**
+ * Convert a NEPA document into database rows by reversing the crosswalk mappings
+ * Business keys are replaced with bigint ids: each record's database id is its integer `id`,
+ * else its numeric business key, else the next free id; foreign keys are resolved the same way.
+ * A reference that matches no record and is not itself a numeric id is left empty and listed in dangling
+ * @param {Object} nepaDocument - NEPA document (collections of records)
+ * @param {Object} options - Conversion options
+ * @param {string} options.crosswalkPath - Crosswalk to map properties with (default: src/crosswalk/database_crosswalk.csv)
+ * @returns {Object} { rows, warnings, dangling } where rows maps table name → array of rows and dangling lists
+ *   { collection, index, property, value, table, column, target, targetKey, message } per unresolved reference
+ */
+function toDatabaseRows(nepaDocument, options = {}) {
+  const { tables: crosswalk } = loadCrosswalkMappings(options.crosswalkPath);
+  const { collections } = loadSchemaModel(options.schemaPath);
+  const rows = {};
+  const warnings = [];
+  const dangling = [];
+  const sources = [];
+
+  for (const [collection, records] of Object.entries(nepaDocument || {})) {
+    if (!Array.isArray(records) || !collections[collection]) continue;
+
+    const tableName = findTableForSchema(collections[collection], options.crosswalkPath);
+    if (!tableName) {
+      warnings.push(`Collection '${collection}' has no table in the crosswalk; ${records.length} record(s) skipped`);
+      continue;
+    }
+    sources.push({ collection, records, tableName });
+  }
+
+  // Database id of every record, indexed by business key so foreign keys can be resolved
+  const databaseIds = {};
+  for (const { collection, records } of sources) {
+    const businessKey = PRIMARY_KEYS[collection];
+    const ids = records.map(record => {
+      if (Number.isSafeInteger(record.id)) return record.id;
+      const key = record[businessKey];
+      return typeof key === 'number' || (typeof key === 'string' && /^\d+$/.test(key)) ? Number(key) : null;
+    });
+
+    let nextId = Math.max(0, ...ids.filter(id => id !== null)) + 1;
+    databaseIds[collection] = { byIndex: [], byKey: new Map() };
+    ids.forEach((id, index) => {
+      if (id === null) {
+        id = nextId++;
+        warnings.push(`${collection}[${index}] has no numeric id or ${businessKey}; assigned database id ${id}`);
+      }
+      databaseIds[collection].byIndex.push(id);
+      const key = records[index][businessKey];
+      if (key !== undefined && key !== null) databaseIds[collection].byKey.set(String(key), id);
+    });
+  }
+
+  for (const { collection, records, tableName } of sources) {
+    const columns = Object.values(crosswalk[tableName].columns).filter(column => column.property);
+
+    rows[tableName] = records.map((record, index) => {
+      const row = {};
+
+      for (const column of columns) {
+        if (column.column === 'id') {
+          row.id = databaseIds[collection].byIndex[index];
+          continue;
+        }
+
+        // Keys taken from a shared object property by sibling object:<key> columns
+        const claimedKeys = columns
+          .filter(other => other !== column && other.property === column.property && other.transform && other.transform.startsWith('object:'))
+          .map(other => other.transform.split(':')[1]);
+        let value = reverseFieldTransform(record[column.property], column.transform, claimedKeys);
+
+        const foreignKey = FOREIGN_KEYS.find(fk => fk.collection === collection && fk.field === column.property);
+        if (foreignKey && foreignKey.targetKey !== 'id' && value !== null && value !== '') {
+          const target = databaseIds[foreignKey.target];
+          const resolved = target && target.byKey.get(String(value));
+          if (resolved !== undefined) {
+            value = resolved;
+          } else if (!/^\d+$/.test(String(value))) {
+            dangling.push({
+              collection,
+              index,
+              property: column.property,
+              value,
+              table: tableName,
+              column: column.column,
+              target: foreignKey.target,
+              targetKey: foreignKey.targetKey,
+              message: `${collection}[${index}].${column.property} '${value}' does not match any ${foreignKey.target}.${foreignKey.targetKey}`
+            });
+            value = null;
+          }
+        }
+
+        row[column.column] = toColumnValue(value, column.dataType);
+      }
+
+      return row;
+    });
+  }
+
+  return { rows, warnings, dangling };
+}
+
 module.exports = {
   transformToNepaFormat,
+  fromDatabaseRows,
+  toDatabaseRows,
+  toPropertyValue,
+  toColumnValue,
+  getDefaultValueForProperty,
   transformEntity, // Export if needed by other modules, otherwise can be kept internal
   transformProperties // Export if needed
 };
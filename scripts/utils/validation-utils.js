@@ -20,15 +20,44 @@ const colors = {
   yellow: '\x1b[33m',
   blue: '\x1b[34m',
   magenta: '\x1b[35m',
-  cyan: '\x1b[36m'
+  cyan: '\x1b[36m',
+  gray: '\x1b[90m'
 };
 
+// Project paths shared by the scripts
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const PATHS = {
+  PROJECT_ROOT,
+  SRC_DIR: path.join(PROJECT_ROOT, 'src'),
+  SCHEMA_DIR: path.join(PROJECT_ROOT, 'src', 'jsonschema'),
+  NEPA_SCHEMA: path.join(PROJECT_ROOT, 'src', 'jsonschema', 'nepa.schema.json'),
+  SCHEMA_REGISTRY: path.join(PROJECT_ROOT, 'src', 'jsonschema', 'versions.json'),
+  NEPA_TYPES: path.join(PROJECT_ROOT, 'src', 'types', 'nepa.d.ts'),
+  DATABASE_SCHEMA: path.join(PROJECT_ROOT, 'src', 'jsonschema', 'database.schema.json'),
+  EXAMPLES_DIR: path.join(PROJECT_ROOT, 'src', 'jsonschema', 'examples'),
+  JSON_DIR: path.join(PROJECT_ROOT, 'src', 'json'),
+  YAML_DIR: path.join(PROJECT_ROOT, 'src', 'yaml'),
+  CSV_DIR: path.join(PROJECT_ROOT, 'src', 'csv'),
+  CROSSWALK: path.join(PROJECT_ROOT, 'src', 'crosswalk', 'database_crosswalk.csv'),
+  OPENAPI_DIR: path.join(PROJECT_ROOT, 'src', 'openapi'),
+  OPENAPI_SPEC: path.join(PROJECT_ROOT, 'src', 'openapi', 'openapi.json'),
+  OPENAPI_31_SPEC: path.join(PROJECT_ROOT, 'src', 'openapi', 'openapi-3.1.json'),
+  NEPA_API_SPEC: path.join(PROJECT_ROOT, 'src', 'openapi', 'nepa-api.yaml'),
+  DATABASE_DIR: path.join(PROJECT_ROOT, 'src', 'database'),
+  SCHEMA_GUIDE: path.join(PROJECT_ROOT, 'docs', 'schema-guide.md')
+};
+
+// Top-level record collections defined by the NEPA schema (its root array properties)
+const NEPA_RECORD_TYPES = Object.entries(
+  JSON.parse(fs.readFileSync(PATHS.NEPA_SCHEMA, 'utf8')).properties || {}
+).filter(([, property]) => property.type === 'array').map(([name]) => name);
+
 /**
  * Shared validation utilities
  */
 class ValidationUtils {
   constructor(options = {}) {
-    this.isVerbose = options.verbose || process.argv.includes('--verbose');
+    this.isVerbose = options.verbose !== undefined ? options.verbose : process.argv.includes('--verbose');
     this.ajv = new Ajv({
       allErrors: true,
       verbose: true,
@@ -46,38 +75,15 @@ class ValidationUtils {
   loadSchema(schemaPath) {
     try {
       const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
-      return this.ajv.compile(schema);
+      // Reuse the compiled schema if this instance has already loaded it ($id must be unique per AJV instance)
+      return (schema.$id && this.ajv.getSchema(schema.$id)) || this.ajv.compile(schema);
     } catch (error) {
       throw new Error(`Failed to load schema from ${schemaPath}: ${error.message}`);
     }
   }
 
   findFiles(searchDirs, extensions, excludePatterns = []) {
-    const files = [];
-    
-    const findInDir = (dir) => {
-      if (!fs.existsSync(dir)) return;
-      
-      const items = fs.readdirSync(dir);
-      for (const item of items) {
-        const fullPath = path.join(dir, item);
-        const stat = fs.statSync(fullPath);
-        
-        if (stat.isDirectory()) {
-          findInDir(fullPath);
-        } else {
-          const hasValidExtension = extensions.some(ext => item.endsWith(ext));
-          const isExcluded = excludePatterns.some(pattern => item.includes(pattern));
-          
-          if (hasValidExtension && !isExcluded && !item.startsWith('.')) {
-            files.push(fullPath);
-          }
-        }
-      }
-    };
-
-    searchDirs.forEach(dir => findInDir(dir));
-    return files;
+    return findFiles(searchDirs, extensions, excludePatterns);
   }
 
   parseFile(filePath) {
@@ -229,7 +235,15 @@ class ValidationUtils {
             expectedType = Array.isArray(error.parentSchema.type) ? error.parentSchema.type.join('|') : error.parentSchema.type;
           }
 
-          this.log(`  ${colors.yellow}Error at ${instancePath || '(root)'}:${colors.reset} ${error.message}`, 'error');
+          // CSV errors carry their source cell (see checkCombinedData() in validate-csv.js)
+          const source = error.source;
+          const location = source
+            ? `${path.relative(process.cwd(), source.file) || source.file}:${source.row}${source.column ? `:${source.column}` : ''}`
+            : instancePath || '(root)';
+          this.log(`  ${colors.yellow}Error at ${location}:${colors.reset} ${error.message}`, 'error');
+          if (source && source.value !== undefined) {
+            this.log(`    ${colors.cyan}Cell Value:${colors.reset} ${JSON.stringify(source.value)}`, 'error');
+          }
           
           if (error.keyword === 'required') {
             this.log(`    ${colors.cyan}Missing Key:${colors.reset} "${error.params.missingProperty}"`, 'error');
@@ -298,6 +312,44 @@ function createValidator() {
   return ajv;
 }
 
+// Compiled NEPA validators, cached per AJV instance and schema path
+const nepaSchemaCache = new WeakMap();
+let defaultAjv = null;
+
+/**
+ * Load and compile the NEPA schema, reusing earlier compilations
+ * @param {Object} ajv - AJV instance to compile with (default: a shared createValidator() instance)
+ * @param {string} schemaPath - Path to the schema (default: PATHS.NEPA_SCHEMA)
+ * @returns {Function|null} AJV validate function, or null if the schema could not be loaded
+ */
+function loadNepaSchema(ajv = null, schemaPath = PATHS.NEPA_SCHEMA) {
+  if (!ajv) {
+    defaultAjv = defaultAjv || createValidator();
+    ajv = defaultAjv;
+  }
+
+  if (!nepaSchemaCache.has(ajv)) {
+    nepaSchemaCache.set(ajv, new Map());
+  }
+  const cache = nepaSchemaCache.get(ajv);
+
+  if (!cache.has(schemaPath)) {
+    const schema = loadSchemaFile(schemaPath);
+    if (!schema) {
+      return null;
+    }
+
+    try {
+      cache.set(schemaPath, (schema.$id && ajv.getSchema(schema.$id)) || ajv.compile(schema));
+    } catch (error) {
+      console.error(`${colors.red}Error compiling schema ${schemaPath}: ${error.message}${colors.reset}`);
+      return null;
+    }
+  }
+
+  return cache.get(schemaPath);
+}
+
 function loadSchemaFile(filePath) {
   try {
     const content = fs.readFileSync(filePath, 'utf8');
@@ -308,6 +360,95 @@ function loadSchemaFile(filePath) {
   }
 }
 
+/**
+ * Load a JSON file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {*} Parsed content, or null if the file could not be read or parsed
+ */
+function loadJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`${colors.red}Error loading JSON from ${filePath}: ${error.message}${colors.reset}`);
+    return null;
+  }
+}
+
+/**
+ * Write data to a JSON file with two-space indentation
+ * @param {string} filePath - Destination path
+ * @param {*} data - Data to serialize
+ * @returns {boolean} True if the file was written
+ */
+function writeJsonFile(filePath, data) {
+  try {
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    return true;
+  } catch (error) {
+    console.error(`${colors.red}Error writing JSON to ${filePath}: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+/**
+ * Walk an object depth-first, calling the callback for every nested object
+ * Arrays are traversed but not passed to the callback
+ * @param {*} obj - Value to walk
+ * @param {Function} callback - Called as callback(object, path) where path is an array of keys
+ * @param {Array} currentPath - Keys leading to obj (used during recursion)
+ */
+function processObjectRecursively(obj, callback, currentPath = []) {
+  if (Array.isArray(obj)) {
+    obj.forEach((item, index) => processObjectRecursively(item, callback, [...currentPath, index]));
+    return;
+  }
+
+  if (obj === null || typeof obj !== 'object') {
+    return;
+  }
+
+  callback(obj, currentPath);
+
+  for (const [key, value] of Object.entries(obj)) {
+    processObjectRecursively(value, callback, [...currentPath, key]);
+  }
+}
+
+/**
+ * Recursively find files with the given extensions
+ * @param {Array<string>} searchDirs - Directories to search (missing directories are skipped)
+ * @param {Array<string>} extensions - File extensions to include (e.g. ['.json'])
+ * @param {Array<string>} excludePatterns - Skip files whose name contains any of these strings
+ * @returns {Array<string>} Matching file paths
+ */
+function findFiles(searchDirs, extensions, excludePatterns = []) {
+  const files = [];
+
+  const findInDir = (dir) => {
+    if (!fs.existsSync(dir)) return;
+
+    const items = fs.readdirSync(dir);
+    for (const item of items) {
+      const fullPath = path.join(dir, item);
+      const stat = fs.statSync(fullPath);
+
+      if (stat.isDirectory()) {
+        findInDir(fullPath);
+      } else {
+        const hasValidExtension = extensions.some(ext => item.endsWith(ext));
+        const isExcluded = excludePatterns.some(pattern => item.includes(pattern));
+
+        if (hasValidExtension && !isExcluded && !item.startsWith('.')) {
+          files.push(fullPath);
+        }
+      }
+    }
+  };
+
+  searchDirs.forEach(dir => findInDir(dir));
+  return files;
+}
+
 function findJsonFiles(dir) {
   const files = [];
   
@@ -413,10 +554,17 @@ module.exports = {
   ValidationUtils,
   createValidator,
   loadSchemaFile,
+  loadNepaSchema,
+  loadJsonFile,
+  writeJsonFile,
+  processObjectRecursively,
+  findFiles,
   findJsonFiles,
   validateJsonFile,
   printSummary,
   colors,
   ensureDirectory,
-  shouldIgnoreField
+  shouldIgnoreField,
+  PATHS,
+  NEPA_RECORD_TYPES
 };
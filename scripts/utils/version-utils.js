@@ -0,0 +1,169 @@
+/**
+ * Version utilities for the NEPA standard release registry
+ * Reads src/jsonschema/versions.json, which lists each release of the standard, its schema file
+ * and the migration operations that upgrade documents from the previous release. The current
+ * release uses nepa.schema.json; earlier releases keep a frozen snapshot (nepa-1.0.0.schema.json)
+ */
+const fs = require('fs');
+const path = require('path');
+const { PATHS } = require('./validation-utils');
+
+// Top-level document property that declares the standard version
+const VERSION_PROPERTY = 'standard_version';
+
+// Migration operations a release may declare (see migration-utils.js)
+const MIGRATION_OPERATIONS = ['rename', 'split', 'rename-collection', 'default', 'remove'];
+
+// Loaded registries, cached per path
+const registryCache = new Map();
+
+/**
+ * Normalize a version string to MAJOR.MINOR.PATCH
+ * Accepts a leading "v" and a missing minor or patch number (v1.1 → 1.1.0)
+ * @param {string} version - Version string
+ * @returns {string|null} Normalized version, or null if it is not a version
+ */
+function normalizeVersion(version) {
+  const match = String(version === undefined || version === null ? '' : version).trim().match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?$/);
+  if (!match) {
+    return null;
+  }
+  return [match[1], match[2] || '0', match[3] || '0'].map(Number).join('.');
+}
+
+/**
+ * Compare two versions
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+function compareVersions(a, b) {
+  const left = normalizeVersion(a).split('.').map(Number);
+  const right = normalizeVersion(b).split('.').map(Number);
+  return left[0] - right[0] || left[1] - right[1] || left[2] - right[2];
+}
+
+/**
+ * Load and check the release registry
+ * @param {string} registryPath - Path to the registry (default: src/jsonschema/versions.json)
+ * @returns {Object} { current, releases } with releases sorted by version, each with an absolute schemaPath
+ * @throws {Error} If the registry is malformed
+ */
+function loadSchemaRegistry(registryPath = PATHS.SCHEMA_REGISTRY) {
+  if (registryCache.has(registryPath)) {
+    return registryCache.get(registryPath);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  const releases = (manifest.releases || []).map(release => {
+    const version = normalizeVersion(release.version);
+    if (!version) {
+      throw new Error(`Invalid release version '${release.version}' in ${registryPath}`);
+    }
+
+    const migrations = release.migrations || [];
+    migrations.forEach(operation => {
+      if (!MIGRATION_OPERATIONS.includes(operation.op)) {
+        throw new Error(`Unknown migration operation '${operation.op}' for release ${version} (expected one of: ${MIGRATION_OPERATIONS.join(', ')})`);
+      }
+    });
+
+    return {
+      version,
+      schema: release.schema,
+      schemaPath: path.resolve(path.dirname(registryPath), release.schema),
+      notes: release.notes || '',
+      migrations
+    };
+  }).sort((a, b) => compareVersions(a.version, b.version));
+
+  const duplicate = releases.find((release, index) => index > 0 && releases[index - 1].version === release.version);
+  if (duplicate) {
+    throw new Error(`Release ${duplicate.version} is listed more than once in ${registryPath}`);
+  }
+
+  // Each release is validated against its own snapshot, so no two releases may share a schema file
+  const shared = releases.find((release, index) => releases.findIndex(other => other.schemaPath === release.schemaPath) !== index);
+  if (shared) {
+    throw new Error(`Release ${shared.version} shares ${shared.schema} with an earlier release in ${registryPath}; give each release its own schema snapshot`);
+  }
+
+  const current = normalizeVersion(manifest.current) || (releases.length > 0 ? releases[releases.length - 1].version : null);
+  if (!releases.some(release => release.version === current)) {
+    throw new Error(`Current release '${manifest.current}' is not listed in ${registryPath}`);
+  }
+
+  const registry = { current, releases };
+  registryCache.set(registryPath, registry);
+  return registry;
+}
+
+/**
+ * Find a release in the registry
+ * @param {string} version - Release version (any form accepted by normalizeVersion)
+ * @param {string} registryPath - Path to the registry
+ * @returns {Object|null} Release, or null if the version is not registered
+ */
+function getRelease(version, registryPath = PATHS.SCHEMA_REGISTRY) {
+  const normalized = normalizeVersion(version);
+  return loadSchemaRegistry(registryPath).releases.find(release => release.version === normalized) || null;
+}
+
+/**
+ * Select the schema for a document from its declared standard version
+ * Documents without a declaration are validated against the current release
+ * @param {Object} document - NEPA document
+ * @param {Object} options - Selection options
+ * @param {string} options.version - Version to use instead of the declared one
+ * @param {string} options.registryPath - Path to the registry
+ * @returns {Object} { version, schemaPath, declared }
+ * @throws {Error} If the version is not a registered release
+ */
+function resolveDocumentSchema(document, options = {}) {
+  const registry = loadSchemaRegistry(options.registryPath);
+  const declared = document && typeof document === 'object' && !Array.isArray(document) ? document[VERSION_PROPERTY] : undefined;
+  const requested = options.version || declared;
+  const version = requested === undefined || requested === null ? registry.current : requested;
+  const release = getRelease(version, options.registryPath);
+
+  if (!release) {
+    throw new Error(`Unknown ${VERSION_PROPERTY} '${version}' (known releases: ${registry.releases.map(entry => entry.version).join(', ')})`);
+  }
+
+  return { version: release.version, schemaPath: release.schemaPath, declared: declared !== undefined && declared !== null };
+}
+
+/**
+ * List the releases a document passes through when upgrading between two versions
+ * @param {string} from - Version the document conforms to
+ * @param {string} to - Target version
+ * @param {string} registryPath - Path to the registry
+ * @returns {Array<Object>} Releases after `from` up to and including `to`, in order
+ * @throws {Error} If either version is unknown or `to` is older than `from`
+ */
+function getMigrationSteps(from, to, registryPath = PATHS.SCHEMA_REGISTRY) {
+  const registry = loadSchemaRegistry(registryPath);
+  const known = registry.releases.map(release => release.version).join(', ');
+
+  [from, to].forEach(version => {
+    if (!getRelease(version, registryPath)) {
+      throw new Error(`Unknown release '${version}' (known releases: ${known})`);
+    }
+  });
+  if (compareVersions(to, from) < 0) {
+    throw new Error(`Cannot migrate from ${normalizeVersion(from)} back to ${normalizeVersion(to)}; only upgrades are supported`);
+  }
+
+  return registry.releases.filter(release => compareVersions(release.version, from) > 0 && compareVersions(release.version, to) <= 0);
+}
+
+module.exports = {
+  VERSION_PROPERTY,
+  MIGRATION_OPERATIONS,
+  normalizeVersion,
+  compareVersions,
+  loadSchemaRegistry,
+  getRelease,
+  resolveDocumentSchema,
+  getMigrationSteps
+};
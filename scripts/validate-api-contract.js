@@ -0,0 +1,346 @@
+/**
+ * Contract tests for a running API
+ * Calls every table path and method in the OpenAPI spec against a base URL and checks that
+ * the responses conform to the spec definitions and, after crosswalk mapping, to nepa.schema.json
+ */
+const path = require('path');
+const { ValidationUtils, printSummary, colors, PATHS } = require('./utils/validation-utils');
+const { loadCrosswalkMappings } = require('./utils/mapping-utils');
+const { fromDatabaseRows } = require('./utils/transformation-utils');
+const { findPrimaryKey, buildRowSchema } = require('./utils/postgrest-utils');
+const { getSchemaDefinitions } = require('./utils/openapi-utils');
+const { extractTablesFromOpenApi } = require('./validate-openapi');
+const { DEFAULT_SPEC_PATH, createMockServer } = require('./mock-server');
+const { EXIT_CODES, parseOptions, showHelp } = require('./utils/cli-utils');
+
+// Rows read from each table
+const DEFAULT_SAMPLE_SIZE = 25;
+
+// Milliseconds to wait for each response
+const DEFAULT_TIMEOUT = 10000;
+
+// Status codes each method may answer with (Prefer: return=representation is sent for writes)
+const EXPECTED_STATUS = {
+  get: [200, 206],
+  post: [201],
+  patch: [200, 204],
+  delete: [200, 204]
+};
+
+/**
+ * Send a request and parse the JSON response
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options plus timeout
+ * @returns {Promise<Object>} { status, body, error } where error describes a network or parse failure
+ */
+async function requestJson(url, options = {}) {
+  try {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(options.timeout || DEFAULT_TIMEOUT) });
+    const text = await response.text();
+    try {
+      return { status: response.status, body: text.trim() === '' ? null : JSON.parse(text), error: null };
+    } catch (error) {
+      return { status: response.status, body: text, error: `Response is not JSON: ${error.message}` };
+    }
+  } catch (error) {
+    return { status: null, body: null, error: `${options.method || 'GET'} ${url} failed: ${error.cause ? error.cause.message : error.message}` };
+  }
+}
+
+/**
+ * Remove NULL columns after mapping; a NULL column is an absent property in a NEPA record
+ * @param {Object} record - Mapped record
+ * @returns {Object} Record without null properties
+ */
+function withoutNulls(record) {
+  return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== null && value !== undefined));
+}
+
+/**
+ * Build a row to insert by copying a sample row without its generated columns
+ * @param {Object} row - Existing row
+ * @param {Object} definition - OpenAPI definition of the table
+ * @param {string} primaryKey - Primary key column
+ * @returns {Object} Row body
+ */
+function buildInsertBody(row, definition, primaryKey) {
+  const body = {};
+  for (const [name, value] of Object.entries(row)) {
+    const property = (definition.properties || {})[name];
+    if (!property || name === primaryKey || property.default !== undefined) continue;
+    body[name] = value;
+  }
+  return body;
+}
+
+/**
+ * Run the contract tests against a base URL without printing
+ * @param {string} baseUrl - API root, e.g. http://localhost:3030 or https://<project>.supabase.co/rest/v1
+ * @param {Object} options - Test options
+ * @param {string} options.specPath - OpenAPI spec (default: src/openapi/openapi.json)
+ * @param {string} options.crosswalkPath - Crosswalk to map rows with (default: src/crosswalk/database_crosswalk.csv)
+ * @param {string} options.schemaPath - NEPA schema (default: nepa.schema.json)
+ * @param {boolean} options.write - Also exercise POST, PATCH and DELETE with a copy of a sample row
+ * @param {string} options.apiKey - Sent as the apikey header and a bearer token (Supabase)
+ * @param {number} options.sampleSize - Rows read per table (default: 25)
+ * @param {number} options.timeout - Milliseconds to wait for each response (default: 10000)
+ * @returns {Promise<Object>} { valid, baseUrl, specPath, operations } with one entry per path and method
+ */
+async function checkApiContract(baseUrl, options = {}) {
+  const specPath = options.specPath || DEFAULT_SPEC_PATH;
+  const utils = new ValidationUtils({ strict: false, verbose: false });
+  const spec = utils.parseFile(specPath);
+  const definitions = getSchemaDefinitions(spec);
+  const { tables: crosswalk } = loadCrosswalkMappings(options.crosswalkPath);
+
+  const nepaSchema = utils.parseFile(options.schemaPath || PATHS.NEPA_SCHEMA);
+  const nepaKey = nepaSchema.$id || 'nepa.schema.json';
+  utils.ajv.addSchema(nepaSchema, nepaSchema.$id ? undefined : nepaKey);
+
+  const root = baseUrl.replace(/\/+$/, '');
+  const headers = { Accept: 'application/json', 'Content-Type': 'application/json' };
+  if (options.apiKey) {
+    headers.apikey = options.apiKey;
+    headers.Authorization = `Bearer ${options.apiKey}`;
+  }
+  const send = (method, url, body) => requestJson(url, {
+    method,
+    headers: method === 'GET' ? headers : { ...headers, Prefer: 'return=representation' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    timeout: options.timeout
+  });
+
+  const operations = [];
+
+  for (const [tableName, tableInfo] of Object.entries(extractTablesFromOpenApi(spec))) {
+    const definition = definitions[tableName] || { properties: {} };
+    const primaryKey = findPrimaryKey(definition);
+    const validateRow = utils.ajv.compile(buildRowSchema(definition, primaryKey, 'response'));
+    const entity = crosswalk[tableName] && crosswalk[tableName].schemaEntity;
+    const validateRecord = entity ? utils.ajv.compile({ $ref: `${nepaKey}#/definitions/${entity}` }) : null;
+    const tableUrl = `${root}/${tableName}`;
+
+    // Check response rows against the spec definition and the mapped NEPA definition
+    const checkRows = (operation, rows) => {
+      rows.forEach((row, index) => {
+        if (!validateRow(row)) {
+          validateRow.errors.forEach(error => operation.errors.push({
+            source: 'openapi', keyword: error.keyword, pointer: `/${tableName}/${index}${error.instancePath}`,
+            message: `${error.message}${error.params.additionalProperty ? ` (${error.params.additionalProperty})` : ''}`
+          }));
+        }
+      });
+      if (!validateRecord || rows.length === 0) return;
+
+      const mapped = fromDatabaseRows({ [tableName]: rows }, { crosswalkPath: options.crosswalkPath, schemaPath: options.schemaPath });
+      const records = Object.values(mapped.data)[0] || [];
+      records.forEach((record, index) => {
+        if (!validateRecord(withoutNulls(record))) {
+          validateRecord.errors.forEach(error => operation.errors.push({
+            source: 'nepa', keyword: error.keyword, pointer: `/${tableName}/${index}${error.instancePath}`,
+            message: `${entity}: ${error.message}${error.params.allowedValues ? ` (${error.params.allowedValues.join(', ')})` : ''}`
+          }));
+        }
+      });
+    };
+
+    const run = async (method, url, body, onBody) => {
+      const operation = { tableName, method, path: `/${tableName}`, url, status: null, skipped: null, rows: 0, errors: [] };
+      operations.push(operation);
+
+      const response = await send(method.toUpperCase(), url, body);
+      operation.status = response.status;
+      if (response.error) {
+        operation.errors.push({ source: 'http', keyword: 'request', pointer: null, message: response.error });
+        return operation;
+      }
+      if (!EXPECTED_STATUS[method].includes(response.status)) {
+        const detail = response.body && response.body.message ? `: ${response.body.message}` : '';
+        operation.errors.push({ source: 'http', keyword: 'status', pointer: null, message: `Expected HTTP ${EXPECTED_STATUS[method].join(' or ')}, got ${response.status}${detail}` });
+        return operation;
+      }
+      if (response.body !== null && !Array.isArray(response.body)) {
+        operation.errors.push({ source: 'openapi', keyword: 'type', pointer: `/${tableName}`, message: 'Response must be an array of rows' });
+        return operation;
+      }
+
+      const rows = response.body || [];
+      operation.rows = rows.length;
+      checkRows(operation, rows);
+      if (onBody) onBody(rows, operation);
+      return operation;
+    };
+
+    const skip = (method, reason) => operations.push({ tableName, method, path: `/${tableName}`, url: tableUrl, status: null, skipped: reason, rows: 0, errors: [] });
+
+    if (!tableInfo.methods.includes('get')) {
+      tableInfo.methods.forEach(method => skip(method, 'no GET operation to read sample rows'));
+      continue;
+    }
+
+    let sample = [];
+    await run('get', `${tableUrl}?limit=${options.sampleSize || DEFAULT_SAMPLE_SIZE}`, undefined, rows => {
+      sample = rows;
+    });
+
+    // A row filter on the primary key must return exactly that row
+    if (sample.length > 0 && sample[0][primaryKey] !== undefined) {
+      const id = sample[0][primaryKey];
+      await run('get', `${tableUrl}?${primaryKey}=eq.${encodeURIComponent(id)}`, undefined, (rows, operation) => {
+        if (rows.length !== 1 || rows[0][primaryKey] !== id) {
+          operation.errors.push({ source: 'http', keyword: 'filter', pointer: null, message: `Filter ${primaryKey}=eq.${id} returned ${rows.length} row(s)` });
+        }
+      });
+    }
+
+    const writes = ['post', 'patch', 'delete'].filter(method => tableInfo.methods.includes(method));
+    if (!options.write) {
+      writes.forEach(method => skip(method, 'read-only run (use --write)'));
+      continue;
+    }
+    if (sample.length === 0) {
+      writes.forEach(method => skip(method, 'table has no rows to copy'));
+      continue;
+    }
+
+    let created = null;
+    if (writes.includes('post')) {
+      await run('post', tableUrl, buildInsertBody(sample[0], definition, primaryKey), rows => {
+        created = rows[0] || null;
+      });
+    }
+    if (!created) {
+      writes.filter(method => method !== 'post').forEach(method => skip(method, 'no row was created to update or delete'));
+      continue;
+    }
+
+    const createdUrl = `${tableUrl}?${primaryKey}=eq.${encodeURIComponent(created[primaryKey])}`;
+    if (writes.includes('patch')) {
+      const body = buildInsertBody(created, definition, primaryKey);
+      await run('patch', createdUrl, body);
+    }
+    if (writes.includes('delete')) {
+      await run('delete', createdUrl);
+    }
+  }
+
+  return {
+    valid: operations.every(operation => operation.errors.length === 0),
+    baseUrl: root,
+    specPath,
+    operations
+  };
+}
+
+/**
+ * Run the contract tests against an in-process mock server
+ * @param {Object} options - Test options (see checkApiContract) plus dataPath for the mock's data
+ * @returns {Promise<Object>} Results from checkApiContract()
+ */
+async function checkMockApiContract(options = {}) {
+  const { server } = createMockServer({ specPath: options.specPath, dataPath: options.dataPath });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await checkApiContract(`http://127.0.0.1:${server.address().port}`, options);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Main contract test function
+ * @param {string|null} baseUrl - API root, or null to start an in-process mock server
+ * @param {Object} options - Test options (see checkApiContract and checkMockApiContract)
+ * @param {boolean} options.verbose - List every operation, not only failures
+ * @returns {Promise<boolean>} True if every response conforms
+ */
+async function validateApiContract(baseUrl, options = {}) {
+  try {
+    console.log(`${colors.bold}${colors.blue}=== API Contract Tests ===${colors.reset}`);
+    console.log(`API: ${baseUrl || `in-process mock server (${options.dataPath ? path.relative(process.cwd(), options.dataPath) : 'seed data'})`}`);
+    console.log(`Spec: ${options.specPath || DEFAULT_SPEC_PATH}`);
+
+    const results = baseUrl ? await checkApiContract(baseUrl, options) : await checkMockApiContract(options);
+
+    let currentTable = null;
+    for (const operation of results.operations) {
+      if (operation.tableName !== currentTable) {
+        currentTable = operation.tableName;
+        const failed = results.operations.some(candidate => candidate.tableName === currentTable && candidate.errors.length > 0);
+        console.log(`\n${failed ? colors.red + '✘' : colors.green + '✓'}${colors.reset} /${currentTable}`);
+      }
+
+      const label = `${operation.method.toUpperCase()} ${operation.url.replace(results.baseUrl, '')}`;
+      if (operation.skipped) {
+        if (options.verbose) console.log(`  ${colors.gray}- ${label} skipped: ${operation.skipped}${colors.reset}`);
+        continue;
+      }
+      if (operation.errors.length === 0) {
+        if (options.verbose) console.log(`  ${colors.green}✓${colors.reset} ${label} → ${operation.status} (${operation.rows} row(s))`);
+        continue;
+      }
+
+      console.log(`  ${colors.red}✘${colors.reset} ${label} → ${operation.status === null ? 'no response' : operation.status}`);
+      operation.errors.forEach(error => {
+        const pointer = error.pointer ? `${error.pointer} ` : '';
+        console.log(`    ${colors.red}[${error.source}]${colors.reset} ${pointer}${error.message}`);
+      });
+    }
+
+    const tested = results.operations.filter(operation => !operation.skipped);
+    const passed = tested.filter(operation => operation.errors.length === 0);
+    const skipped = results.operations.length - tested.length;
+    console.log(`\n${colors.bold}Operations:${colors.reset} ${passed.length}/${tested.length} passed${skipped > 0 ? `, ${skipped} skipped` : ''}`);
+
+    return results.valid;
+  } catch (error) {
+    console.error(`${colors.red}Error running contract tests: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+module.exports = {
+  checkApiContract,
+  checkMockApiContract,
+  validateApiContract
+};
+
+// Run contract tests if called directly
+if (require.main === module) {
+  const options = [
+    { name: '--write', description: 'Also test POST, PATCH and DELETE with a copy of a sample row' },
+    { name: '--api-key <key>', description: 'Sent as the apikey header and bearer token (default: $PIC_API_KEY)' },
+    { name: '--spec <openapi.json>', description: 'OpenAPI spec to test against (default: src/openapi/openapi.json)' },
+    { name: '--data <file>', description: 'Without a base URL, seed the in-process mock server from this .sql or NEPA dataset' },
+    { name: '--verbose', description: 'List every operation, not only failures' },
+    { name: '--help, -h', description: 'Show this help' }
+  ];
+  let parsed;
+  try {
+    parsed = parseOptions(process.argv.slice(2), options, 'validate-api-contract.js');
+  } catch (error) {
+    console.error(`${colors.red}${error.message}${colors.reset}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+  const { flags, positional } = parsed;
+
+  if (flags.help) {
+    showHelp('API Contract Tests', {
+      description: 'Checks a running API against the OpenAPI spec and the NEPA schema; without a base URL an in-process mock server is started',
+      usage: 'node validate-api-contract.js [base-url] [--write] [--api-key <key>] [--spec <openapi.json>] [--data <file>] [--verbose]',
+      options
+    });
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+
+  validateApiContract(positional[0] || null, {
+    specPath: flags.spec,
+    apiKey: flags['api-key'] || process.env.PIC_API_KEY,
+    dataPath: flags.data,
+    write: Boolean(flags.write),
+    verbose: Boolean(flags.verbose)
+  }).then(success => {
+    printSummary(success, 'API contract test');
+    process.exit(success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE);
+  });
+}
@@ -178,10 +178,12 @@ async function validateAllFiles(dirPath, utils) { // Added utils parameter
   }
   
   // Use utils.findFiles
-  const csvFiles = utils.findFiles([dirPath], ['.csv'], ['schema', 'package', 'lock']);
+  // The crosswalk and OpenAPI specs live alongside the data but are not NEPA datasets
+  const excludePatterns = ['schema', 'package', 'lock', 'crosswalk', 'openapi'];
+  const csvFiles = utils.findFiles([dirPath], ['.csv'], excludePatterns);
   const yamlFiles = [
-    ...utils.findFiles([dirPath], ['.yaml'], ['schema', 'package', 'lock']),
-    ...utils.findFiles([dirPath], ['.yml'], ['schema', 'package', 'lock'])
+    ...utils.findFiles([dirPath], ['.yaml'], excludePatterns),
+    ...utils.findFiles([dirPath], ['.yml'], excludePatterns)
   ];
   
   console.log(`Found ${csvFiles.length} CSV files, ${yamlFiles.length} YAML files in ${dirPath}`);
@@ -191,9 +193,7 @@ async function validateAllFiles(dirPath, utils) { // Added utils parameter
   // Validate CSV files using dedicated CSV validator
   if (csvFiles.length > 0) {
     try {
-      // Assuming validateCsvFiles might also need utils or is self-contained
-      // If validateCsvFiles needs utils, it should be passed: await validateCsvFiles(dirPath, utils);
-      const csvValid = await validateCsvFiles(dirPath); 
+      const csvValid = await validateCsvFiles(csvFiles);
       if (!csvValid) {
         allValid = false;
       }
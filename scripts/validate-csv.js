@@ -1,19 +1,40 @@
 /**
  * Dedicated CSV validation script for NEPA schema compliance
- * Handles multiple CSV files by concatenating them to meet schema requirements
+ * Handles multiple CSV files by concatenating them to meet schema requirements, or (in
+ * streaming mode) validates each row against its entity definition as it is parsed
  */
 const fs = require('fs');
 const path = require('path');
 const csvParser = require('csv-parser');
 const {
-  createValidator,
   loadNepaSchema,
-  ensureDirectory,
+  createValidator,
   findFiles,
   colors,
-  PATHS,
-  printSummary
+  printSummary,
+  PATHS
 } = require('./utils/validation-utils');
+const { findTableForSchema, getColumnMapping, applyFieldTransform, mergeMappedValue } = require('./utils/mapping-utils');
+const { loadSchemaModel, getCollectionDefinitions } = require('./utils/schema-utils');
+const { PRIMARY_KEYS, FOREIGN_KEYS, checkReferences, createReferenceTracker } = require('./utils/reference-utils');
+const { findCsvRecordLines, createCsvRecordScanner, readCsvHeaders } = require('./utils/csv-utils');
+const {
+  NULL_VALUES,
+  coerceValue,
+  nestedDescriptor,
+  createCoercionLog,
+  formatCoercionGroup,
+  isValidTimezone
+} = require('./utils/coercion-utils');
+const {
+  DEFAULT_MAPPING_FILE,
+  matchColumns,
+  detectSchemaSection,
+  toColumnMap,
+  loadCsvMapping
+} = require('./utils/csv-mapping-utils');
+const { getErrorPointer, parseJsonPointer, locateCsvRecord, formatLocation } = require('./utils/report-utils');
+const { EXIT_CODES, UsageError, parseOptions, showHelp } = require('./utils/cli-utils');
 
 /**
  * Schema section mappings - maps CSV filenames to NEPA schema sections
@@ -33,250 +54,200 @@ const SCHEMA_MAPPINGS = {
   'decision_element.csv': 'decision_elements',
   'decision_payload.csv': 'decision_payloads',
   'process_decision_payload.csv': 'decision_payloads',
-  'process_model.csv': 'models',
+  'process_model.csv': 'process_models',
   'user_role.csv': 'user_roles'
 };
 
+// Errors kept by streaming validation before it only counts them
+const DEFAULT_MAX_ERRORS = 1000;
+
+// Rows between memory samples in streaming validation
+const MEMORY_SAMPLE_INTERVAL = 1000;
+
+// Crosswalk transforms that reshape a cell rather than convert its type
+const STRUCTURAL_TRANSFORMS = ['json', 'object'];
+
 /**
- * Field mappings from CSV column names to schema property names (now snake_case)
- */
-const FIELD_MAPPINGS = {
-  // Common mappings - all now snake_case
-  'title': 'project_title', // For projects
-  'description': 'project_description',
-  'sector': 'project_sector',
-  'lead_agency': 'lead_agency',
-  'sponsor': 'project_sponsor',
-  'sponsor_contact': 'contact_info',
-  'location_text': 'location',
-  
-  // Process specific
-  'parent_project_id': 'project_id',
-  'type': 'process_type',
-  'status': 'process_status',
-  
-  // Document specific
-  'parent_process_id': 'process_id',
-  'document_type': 'document_type',
-  'prepared_by': 'prepared_by',
-  'publish_date': 'publish_date',
-  'public_access': 'accessibility',
-  'document_summary': 'document_summary',
-  'document_toc': 'document_toc',
-  'title': 'title', // For documents - keep as title
-  
-  // Comment specific
-  'commenter_entity': 'commenter_name',
-  'content_text': 'content',
-  'date_submitted': 'date_submitted',
-  'submission_method': 'method_of_submission',
-  'response_text': 'agency_response',
-  'public_source': 'privacy_level',
-  'public_acess': 'privacy_level',
-  'parent_document_id': 'related_document_id',
-  
-  // Engagement specific
-  'parent_process_id': 'related_process_id',
-  'start_datetime': 'date',
-  
-  // Case Event specific
-  'name': 'event_name',
-  'datetime': 'event_date',
-  'type': 'event_type', // For case events
-  
-  // GIS Data specific
-  'parent_project_id': 'project_id',
-  'centroid_lat': 'centroid_lat',
-  'centroid_lon': 'centroid_lon',
-  'creator_contact': 'contact_information',
-  'updated_last': 'last_updated',
-  
-  // Legal Structure specific
-  'issuing_authority': 'issuing_authority',
-  'effective_date': 'effective_date',
-  'compliance_data': 'compliance_requirements'
-};
+ * Resolve the schema property a CSV column maps to
+ * The column map (from header matching or the mapping file) renames the header first, then the
+ * database crosswalk maps it to a property. Dotted headers (project_sponsor.name) fill a
+ * property of a nested object. Schema-layout files (a mapping entry with layout: schema, as
+ * pic export csv writes) already name schema properties, so the crosswalk is not consulted
+ * @param {string} header - Header as written in the file
+ * @param {string} schemaSection - Schema section the file belongs to
+ * @param {Object} columnMap - Header → target renames (a null target drops the column)
+ * @param {string} layout - File layout: database (default) or schema (see CSV_LAYOUTS in csv-mapping-utils.js)
+ * @returns {Object|null} { property, nested, mapping, descriptor }, or null if the column is dropped
+ */
+function resolveField(header, schemaSection, columnMap = null, layout = 'database') {
+  const key = columnMap && Object.prototype.hasOwnProperty.call(columnMap, header) ? columnMap[header] : header;
+  if (key === null) {
+    return null;
+  }
+
+  const { collections, definitions } = loadSchemaModel();
+  const definition = collections[schemaSection];
+  const properties = (definition && definitions[definition]) || {};
+
+  if (layout === 'schema') {
+    const [parent, ...nested] = key.split('.');
+    return properties[key] || nested.length === 0
+      ? { property: key, nested: [], mapping: null, descriptor: properties[key] || null }
+      : { property: parent, nested, mapping: null, descriptor: properties[parent] ? nestedDescriptor(properties[parent], nested) : null };
+  }
+
+  const tableName = definition ? findTableForSchema(definition) : null;
+  const mapping = tableName ? getColumnMapping(tableName, key) : null;
+  let property = mapping && mapping.property ? mapping.property : key;
+
+  // Handle CSV id → schema section ID for tables outside the crosswalk
+  if (key === 'id' && property === 'id') {
+    property = PRIMARY_KEYS[schemaSection] || 'id';
+  }
+
+  if (!properties[property] && property.includes('.')) {
+    const [parent, ...nested] = property.split('.');
+    if (properties[parent]) {
+      return { property: parent, nested, mapping, descriptor: nestedDescriptor(properties[parent], nested) };
+    }
+  }
+
+  return { property, nested: [], mapping, descriptor: properties[property] || null };
+}
 
 /**
- * Get appropriate ID field mapping based on schema section (now snake_case)
- */
-function getIdFieldMapping(schemaSection) {
-  const idMappings = {
-    'projects': 'project_id',
-    'processes': 'process_id',
-    'documents': 'document_id',
-    'public_comments': 'comment_id',
-    'public_engagement_events': 'event_id',
-    'case_events': 'case_event_id',
-    'gis_data': 'gis_id',
-    'gis_data_elements': 'gis_element_id',
-    'legal_structures': 'legal_structure_id',
-    'decision_elements': 'decision_element_id',
-    'decision_payloads': 'decision_payload_id',
-    'models': 'process_model_id',
-    'user_roles': 'role_id'
-  };
-  
-  return idMappings[schemaSection] || 'id';
+ * Set a value at a nested path, creating objects along the way
+ * @param {*} target - Existing value of the top-level property
+ * @param {Array<string>} keys - Nested property names
+ * @param {*} value - Value to set
+ * @returns {Object} Updated object
+ */
+function setNestedValue(target, keys, value) {
+  // Objects along the path are copied, so values already recorded in the coercion log keep their shape
+  const copy = node => (node && typeof node === 'object' && !Array.isArray(node) ? { ...node } : {});
+  const root = copy(target);
+  let node = root;
+  keys.slice(0, -1).forEach(key => {
+    node[key] = copy(node[key]);
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+  return root;
 }
 
 /**
  * Transform CSV field names to match schema expectations
+ * Column names, and any value transform, come from the database crosswalk for the table
+ * that maps to this schema section. Values are then coerced to the type and format of the
+ * property they map to (see coerceValue() in coercion-utils.js)
+ * @param {Object} data - Row keyed by the original headers
+ * @param {string} schemaSection - Schema section the row belongs to
+ * @param {Object} columnMap - Header → target renames (a null target drops the column)
+ * @param {Object} options - Coercion options
+ * @param {string} options.timezone - Time zone for date-times without an offset (default UTC)
+ * @param {string} options.layout - File layout: database (default) or schema (see resolveField())
+ * @param {Function} options.onCoerce - Called with { column, property, rule, from, to } for each value
+ *   that was converted
+ * @returns {Object} Record keyed by schema property
  */
-function transformFieldNames(data, schemaSection) {
+function transformFieldNames(data, schemaSection, columnMap = null, options = {}) {
   const transformed = {};
-  const idField = getIdFieldMapping(schemaSection);
-
-  Object.keys(data).forEach(key => {
-    let newKey = key;
-    let value = data[key];
 
-    // Handle CSV id → schema section ID
-    if (key === 'id') {
-      newKey = idField;
-    }
-    // parent_process_id → related_process_id (engagement) or process_id (others), but not in 'processes' section
-    else if (key === 'parent_process_id' && schemaSection !== 'processes') {
-      if (schemaSection === 'public_engagement_events') {
-        newKey = 'related_process_id';
-      } else {
-        newKey = 'process_id';
-      }
-    }
-    // parent_project_id → project_id, but skip in 'projects' section
-    else if (key === 'parent_project_id' && schemaSection !== 'projects') {
-      newKey = 'project_id';
-    }
-    else if (FIELD_MAPPINGS[key]) {
-      newKey = FIELD_MAPPINGS[key];
-    }
-    
-    // Special handling for context-sensitive fields
-    if (key === 'type') {
-      if (schemaSection === 'case_events') {
-        newKey = 'event_type';
-      } else if (schemaSection === 'processes') {
-        newKey = 'process_type';
-      } else if (schemaSection === 'public_engagement_events') {
-        newKey = 'type';
-      }
-    }
-    
-    if (key === 'title') {
-      if (schemaSection === 'projects') {
-        newKey = 'project_title';
-      } else {
-        newKey = 'title'; // For documents, legal structures, etc.
-      }
-    }
-    
-    if (key === 'description') {
-      if (schemaSection === 'projects') {
-        newKey = 'project_description';
-      } else {
-        newKey = 'description';
-      }
-    }
-    
-    // Convert values - ALWAYS convert IDs and most fields to strings
-    if (value === 'null' || value === '') {
-      // For required string fields, use empty string instead of null
-      const requiredStringFields = ['source', 'tier', 'outcome', 'notes', 'url', 'extent'];
-      if (requiredStringFields.includes(key)) {
-        value = '';
-      } else {
-        value = null;
-      }
-    } else if (value === 'true') {
-      value = true;
-    } else if (value === 'false') {
-      value = false;
-    } else if (value !== null) {
-      // Convert ALL values to strings first, then handle special numeric cases
-      value = String(value);
-      
-      // Only convert specific numeric fields to numbers
-      const numericFields = ['attendance', 'centroid_lat', 'centroid_lon'];
-      if (numericFields.includes(key)) {
-        if (!isNaN(value) && !isNaN(parseFloat(value))) {
-          value = key.includes('lat') || key.includes('lon') ? parseFloat(value) : parseInt(value);
-        }
-      }
-      // All other fields including IDs remain as strings
-    }
-    
-    // Handle special object transformations
-    if (newKey === 'project_sponsor' && typeof value === 'string') {
-      // Transform string to object format expected by schema
-      transformed[newKey] = {
-        name: value,
-        contact_info: data['sponsor_contact'] || ''
-      };
-      return; // Skip adding this field again
-    }
-    
-    if (newKey === 'location' && typeof value === 'string' && schemaSection === 'projects') {
-      // Transform string to object format
-      transformed[newKey] = {
-        description: value
-      };
+  Object.keys(data).forEach(header => {
+    const field = resolveField(header, schemaSection, columnMap, options.layout);
+    if (!field) {
       return;
     }
-    
-    if (newKey === 'location' && typeof value === 'string' && schemaSection === 'public_engagement_events') {
-      // Transform string to object format
-      transformed[newKey] = {
-        name: value,
-        address: value
-      };
-      return;
+
+    const raw = data[header];
+    const transform = field.mapping && field.mapping.transform;
+    // Scalar and split transforms are left to coerceValue(), which follows the schema type
+    const structural = transform && STRUCTURAL_TRANSFORMS.includes(transform.split(':')[0]);
+    const value = structural && typeof raw === 'string' && !NULL_VALUES.includes(raw) ? applyFieldTransform(raw, transform) : raw;
+    const coerced = coerceValue(value, field.descriptor, options);
+
+    // A crosswalk transform that changed the value counts as a coercion too
+    const rule = coerced.rule || (value !== raw ? transform.split(':')[0] : null);
+    if (rule && options.onCoerce) {
+      options.onCoerce({ column: header, property: [field.property, ...field.nested].join('.'), rule, from: raw, to: coerced.value });
     }
-    
-    // Format dates properly
-    if (newKey === 'date' && value) {
-      // Convert datetime to date format (YYYY-MM-DD)
-      if (value.includes(' ')) {
-        value = value.split(' ')[0];
-      }
+
+    if (coerced.value === undefined) {
+      return;
     }
-    
-    transformed[newKey] = value;
+
+    // Several columns may map to one property (e.g. sponsor and sponsor_contact → project_sponsor)
+    transformed[field.property] = field.nested.length > 0
+      ? setNestedValue(transformed[field.property], field.nested, coerced.value)
+      : mergeMappedValue(transformed[field.property], coerced.value, transform);
   });
 
   return transformed;
 }
 
 /**
- * Parse a single CSV file and return the data
+ * Read a single CSV file without logging
+ * Each row keeps its provenance: the line it starts on and its cells under the original headers
  * @param {string} filePath - Path to CSV file
  * @param {string} schemaSection - Schema section this data belongs to
- * @returns {Promise<Array>} Parsed CSV data
+ * @param {Object} columnMap - Header → target renames from resolveCsvFile()
+ * @param {Object} options - Read options
+ * @param {string} options.timezone - Time zone for date-times without an offset (default UTC)
+ * @param {string} options.layout - File layout from resolveCsvFile() (default database)
+ * @param {Object} options.coercionLog - Log from createCoercionLog() to record each converted value in
+ * @returns {Promise<Object>} Transformed rows, the original header row and a { line, values } record per row
  */
-function parseCsvFile(filePath, schemaSection = null) {
+function readCsvFile(filePath, schemaSection = null, columnMap = null, options = {}) {
   return new Promise((resolve, reject) => {
-    const results = [];
-    let headerRow = [];
-    
+    const rows = [];
+    const records = [];
+    let headers = [];
+    let recordLines;
+
+    try {
+      recordLines = findCsvRecordLines(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      reject(err);
+      return;
+    }
+
     fs.createReadStream(filePath)
       .pipe(csvParser())
-      .on('headers', (headers) => {
-        headerRow = headers;
+      .on('headers', (headerRow) => {
+        headers = headerRow;
       })
       .on('data', (data) => {
-        const transformed = transformFieldNames(data, schemaSection);
-        results.push(transformed);
+        // recordLines[0] is the header row
+        const line = recordLines[rows.length + 1] || null;
+        records.push({ line, values: data });
+        rows.push(transformFieldNames(data, schemaSection, columnMap, {
+          timezone: options.timezone,
+          layout: options.layout,
+          onCoerce: options.coercionLog ? entry => options.coercionLog.add({ file: filePath, row: line, ...entry }) : null
+        }));
       })
-      .on('end', () => {
-        console.log(`${colors.blue}Parsed ${path.basename(filePath)}:${colors.reset} ${results.length} rows, ${headerRow.length} columns`);
-        resolve(results);
-      })
-      .on('error', (err) => {
-        console.error(`${colors.red}Error parsing ${filePath}:${colors.reset} ${err.message}`);
-        reject(err);
-      });
+      .on('end', () => resolve({ rows, headers, records }))
+      .on('error', reject);
   });
 }
 
+/**
+ * Parse a single CSV file and return the data
+ * @param {string} filePath - Path to CSV file
+ * @param {string} schemaSection - Schema section this data belongs to
+ * @returns {Promise<Array>} Parsed CSV data
+ */
+async function parseCsvFile(filePath, schemaSection = null) {
+  try {
+    const { rows, headers } = await readCsvFile(filePath, schemaSection);
+    console.log(`${colors.blue}Parsed ${path.basename(filePath)}:${colors.reset} ${rows.length} rows, ${headers.length} columns`);
+    return rows;
+  } catch (err) {
+    console.error(`${colors.red}Error parsing ${filePath}:${colors.reset} ${err.message}`);
+    throw err;
+  }
+}
+
 /**
  * Get the schema section name for a CSV file
  * @param {string} filename - CSV filename
@@ -288,80 +259,280 @@ function getSchemaSection(filename) {
 }
 
 /**
- * Combine multiple CSV files into a single NEPA-compliant data structure
+ * Map schema fields back to the CSV headers they came from, for reporting errors against the source file
+ * @param {Array<string>} headers - Original header row
+ * @param {string} schemaSection - Schema section the file belongs to
+ * @param {Object} columnMap - Header → target renames from resolveCsvFile()
+ * @param {string} layout - File layout from resolveCsvFile() (default database)
+ * @returns {Object} Schema field → original header (the first header wins when several map to one field)
+ */
+function mapColumnHeaders(headers, schemaSection, columnMap = null, layout = 'database') {
+  return Object.fromEntries(headers
+    .map(header => [resolveField(header, schemaSection, columnMap, layout), header])
+    .filter(([field]) => field !== null)
+    .map(([field, header]) => [field.property, header])
+    .reverse());
+}
+
+/**
+ * Load the CSV mapping file for a validation run
+ * @param {string|Array<string>} csvInput - Directory containing CSV files, or an array of CSV file paths
+ * @param {string|Object} mapping - Mapping file path or loaded mapping; without one, csv-mapping.yaml
+ *   in the CSV directory is used when it exists
+ * @returns {Object|null} Loaded mapping, or null if there is none
+ */
+function resolveCsvMapping(csvInput, mapping = null) {
+  if (mapping && typeof mapping === 'object') {
+    return mapping;
+  }
+  if (mapping) {
+    return loadCsvMapping(mapping);
+  }
+
+  const defaultPath = path.join(Array.isArray(csvInput) ? '' : csvInput || PATHS.CSV_DIR, DEFAULT_MAPPING_FILE);
+  return !Array.isArray(csvInput) && fs.existsSync(defaultPath) ? loadCsvMapping(defaultPath) : null;
+}
+
+/**
+ * Decide which schema section a CSV file holds and how its headers map to it
+ * A mapping file entry wins; otherwise the section comes from the file name (SCHEMA_MAPPINGS)
+ * or, for unrecognized names, is detected from the headers. Headers are then matched to
+ * crosswalk columns and schema properties by normalized name, similarity and description words
+ * @param {string} filePath - Path to CSV file
+ * @param {Array<string>} headers - Header row as written in the file
+ * @param {Object} mapping - Loaded mapping file (optional)
+ * @returns {Object|null} { schemaSection, source ('mapping', 'filename' or 'detected'), layout (the
+ *   mapping entry's, otherwise database), confidence, columns, columnMap, unmatched }, or null if no section fits
+ */
+function resolveCsvFile(filePath, headers, mapping = null) {
+  const filename = path.basename(filePath);
+  const entry = mapping && mapping.files[filename];
+
+  if (entry) {
+    return {
+      schemaSection: entry.section,
+      source: 'mapping',
+      layout: entry.layout || 'database',
+      confidence: null,
+      columns: entry.columns,
+      columnMap: toColumnMap(entry.columns),
+      unmatched: []
+    };
+  }
+
+  const schemaSection = getSchemaSection(filename);
+  if (schemaSection) {
+    const { columns, unmatched } = matchColumns(headers, schemaSection);
+    return { schemaSection, source: 'filename', layout: 'database', confidence: null, columns, columnMap: toColumnMap(columns), unmatched };
+  }
+
+  const detected = detectSchemaSection(headers, filename);
+  if (!detected) {
+    return null;
+  }
+
+  return {
+    schemaSection: detected.schemaSection,
+    source: 'detected',
+    layout: 'database',
+    confidence: detected.confidence,
+    alternatives: detected.alternatives,
+    columns: detected.columns,
+    columnMap: toColumnMap(detected.columns),
+    unmatched: detected.unmatched
+  };
+}
+
+/**
+ * Combine multiple CSV files into a single NEPA data structure without logging
  * @param {Array<string>} csvFiles - Array of CSV file paths
- * @returns {Promise<Object>} Combined data structure
+ * @param {Object} options - Collection options
+ * @param {Object} options.mapping - Loaded CSV mapping file (see resolveCsvMapping())
+ * @param {string} options.timezone - Time zone for date-times without an offset (default UTC)
+ * @returns {Promise<Object>} Combined data plus processed, skipped and empty files, and the coercions
+ *   made ({ total, entries, groups } from createCoercionLog())
  */
-async function combineCsvFiles(csvFiles) {
-  const combinedData = {};
+async function collectCsvData(csvFiles, options = {}) {
+  const data = {};
   const processedFiles = [];
-  
-  console.log(`${colors.bold}${colors.blue}=== Combining CSV files for validation ===${colors.reset}`);
+  const skippedFiles = [];
+  const emptyFiles = [];
+  const coercionLog = createCoercionLog();
   
   for (const filePath of csvFiles) {
-    try {
-      const filename = path.basename(filePath);
-      const schemaSection = getSchemaSection(filename);
-      
-      if (!schemaSection) {
-        console.log(`${colors.yellow}Warning: No schema mapping for ${filename}, skipping${colors.reset}`);
-        continue;
-      }
-      
-      const data = await parseCsvFile(filePath, schemaSection);
-      
-      if (data.length > 0) {
-        combinedData[schemaSection] = data;
-        processedFiles.push(filename);
-        console.log(`${colors.green}✓ Added ${data.length} records to ${schemaSection}${colors.reset}`);
-      } else {
-        console.log(`${colors.yellow}Warning: ${filename} is empty${colors.reset}`);
-      }
-      
-    } catch (err) {
-      console.error(`${colors.red}Error processing ${filePath}: ${err.message}${colors.reset}`);
-      return null;
+    const filename = path.basename(filePath);
+    const resolution = resolveCsvFile(filePath, await readCsvHeaders(filePath), options.mapping);
+    
+    if (!resolution) {
+      skippedFiles.push(filename);
+      continue;
+    }
+    
+    const { schemaSection, columnMap, layout } = resolution;
+    const { rows, headers, records } = await readCsvFile(filePath, schemaSection, columnMap, {
+      timezone: options.timezone,
+      layout,
+      coercionLog
+    });
+    
+    if (rows.length > 0) {
+      // Several files may map to one section (comment.csv and public_comment.csv)
+      const offset = (data[schemaSection] || []).length;
+      data[schemaSection] = [...(data[schemaSection] || []), ...rows];
+      processedFiles.push({
+        filePath,
+        filename,
+        schemaSection,
+        offset,
+        rowCount: rows.length,
+        columnCount: headers.length,
+        // Source line and original cells of each row, in data order from offset
+        records,
+        columns: mapColumnHeaders(headers, schemaSection, columnMap, layout),
+        resolution
+      });
+    } else {
+      emptyFiles.push(filename);
     }
   }
   
-  console.log(`${colors.bold}Combined data from ${processedFiles.length} files:${colors.reset} ${processedFiles.join(', ')}`);
-  console.log(`${colors.bold}Schema sections populated:${colors.reset} ${Object.keys(combinedData).join(', ')}`);
+  return { data, processedFiles, skippedFiles, emptyFiles, coercions: coercionLog.finish() };
+}
+
+/**
+ * Print the coercions made while reading CSV files, one line per file, column and rule
+ * @param {Object} coercions - finish() result of a coercion log
+ */
+function printCoercions(coercions) {
+  if (!coercions || coercions.total === 0) {
+    return;
+  }
+
+  console.log(`${colors.bold}Coerced ${coercions.total} values to their schema types:${colors.reset}`);
+  coercions.groups.forEach(group => console.log(`  ${colors.gray}${formatCoercionGroup(group)}${colors.reset}`));
+}
+
+/**
+ * Print how a file's section and headers were resolved when it was not by exact name
+ * @param {string} filename - CSV file name
+ * @param {Object} resolution - resolveCsvFile() result
+ */
+function printCsvResolution(filename, resolution) {
+  if (!resolution || resolution.source === 'mapping') {
+    return;
+  }
+
+  if (resolution.source === 'detected') {
+    console.log(`${colors.yellow}Detected ${filename} as ${resolution.schemaSection} from its headers (confidence ${resolution.confidence})${colors.reset}`);
+  }
+
+  const guessed = Object.entries(resolution.columns).filter(([, column]) => column.via === 'fuzzy' || column.via === 'description');
+  guessed.forEach(([header, column]) => {
+    console.log(`  ${colors.yellow}Matched column "${header}" → ${column.target} (${column.via} ${column.score})${colors.reset}`);
+  });
+
+  if (resolution.source === 'detected' || guessed.length > 0) {
+    console.log(`  ${colors.gray}Review with: pic csv map (writes ${DEFAULT_MAPPING_FILE}, which later runs reuse)${colors.reset}`);
+  }
+}
+
+/**
+ * Combine multiple CSV files into a single NEPA-compliant data structure
+ * @param {Array<string>} csvFiles - Array of CSV file paths
+ * @param {Object} options - Options for collectCsvData()
+ * @returns {Promise<Object|null>} collectCsvData() result (combined data plus processed files with row provenance),
+ *   or null if a file could not be read
+ */
+async function combineCsvFiles(csvFiles, options = {}) {
+  console.log(`${colors.bold}${colors.blue}=== Combining CSV files for validation ===${colors.reset}`);
+  
+  let combined;
+  try {
+    combined = await collectCsvData(csvFiles, options);
+  } catch (err) {
+    console.error(`${colors.red}Error processing CSV files: ${err.message}${colors.reset}`);
+    return null;
+  }
+  
+  combined.skippedFiles.forEach(filename => {
+    console.log(`${colors.yellow}Warning: No schema mapping for ${filename}, skipping${colors.reset}`);
+  });
+  
+  combined.emptyFiles.forEach(filename => {
+    console.log(`${colors.yellow}Warning: ${filename} is empty${colors.reset}`);
+  });
+  
+  combined.processedFiles.forEach(file => {
+    console.log(`${colors.blue}Parsed ${file.filename}:${colors.reset} ${file.rowCount} rows, ${file.columnCount} columns`);
+    printCsvResolution(file.filename, file.resolution);
+    console.log(`${colors.green}✓ Added ${file.rowCount} records to ${file.schemaSection}${colors.reset}`);
+  });
+  
+  printCoercions(combined.coercions);
+  console.log(`${colors.bold}Combined data from ${combined.processedFiles.length} files:${colors.reset} ${combined.processedFiles.map(file => file.filename).join(', ')}`);
+  console.log(`${colors.bold}Schema sections populated:${colors.reset} ${Object.keys(combined.data).join(', ')}`);
   
-  return combinedData;
+  return combined;
 }
 
 /**
- * Validate combined CSV data against NEPA schema
+ * Check combined CSV data against the NEPA schema without logging
+ * With the processed files from collectCsvData(), each AJV error gets a source with the CSV file,
+ * line, original column header and cell value it came from
  * @param {Object} combinedData - Combined data from CSV files
- * @returns {boolean} True if valid
+ * @param {Array<Object>} csvSources - processedFiles from collectCsvData()
+ * @returns {Object} Validation result with AJV errors
  */
-function validateCombinedData(combinedData) {
+function checkCombinedData(combinedData, csvSources = null) {
   try {
-    console.log(`\n${colors.bold}${colors.blue}=== Validating against NEPA schema ===${colors.reset}`);
-    
-    const ajv = createValidator();
-    const validator = loadNepaSchema(ajv);
-    
+    const validator = loadNepaSchema();
     if (!validator) {
-      console.error(`${colors.red}Failed to load NEPA schema${colors.reset}`);
-      return false;
+      return {
+        valid: false,
+        errors: [{ message: `Failed to load NEPA schema: ${PATHS.NEPA_SCHEMA}` }]
+      };
     }
     
     const valid = validator(combinedData);
+    const errors = valid ? [] : validator.errors;
     
-    if (!valid) {
+    return {
+      valid,
+      errors: csvSources
+        ? errors.map(err => ({ ...err, source: locateCsvRecord(getErrorPointer(err), csvSources) }))
+        : errors
+    };
+  } catch (err) {
+    return {
+      valid: false,
+      errors: [{ message: `Validation error: ${err.message}` }]
+    };
+  }
+}
+
+/**
+ * Validate combined CSV data against NEPA schema
+ * @param {Object} combinedData - Combined data from CSV files
+ * @param {Array<Object>} csvSources - processedFiles from collectCsvData(), to report errors by file, line and column
+ * @returns {boolean} True if valid
+ */
+function validateCombinedData(combinedData, csvSources = null) {
+  console.log(`\n${colors.bold}${colors.blue}=== Validating against NEPA schema ===${colors.reset}`);
+  
+  const result = checkCombinedData(combinedData, csvSources);
+  
+  if (!result.valid) {
+    if (result.errors.some(err => err.keyword)) {
       console.error(`${colors.red}${colors.bold}✘ Combined CSV data validation failed${colors.reset}`);
-      formatValidationErrors(validator.errors);
-      return false;
+      formatValidationErrors(result.errors);
+    } else {
+      result.errors.forEach(err => console.error(`${colors.red}${err.message}${colors.reset}`));
     }
-    
-    console.log(`${colors.green}${colors.bold}✓ Combined CSV data is valid against NEPA schema${colors.reset}`);
-    return true;
-    
-  } catch (err) {
-    console.error(`${colors.red}Validation error: ${err.message}${colors.reset}`);
     return false;
   }
+  
+  console.log(`${colors.green}${colors.bold}✓ Combined CSV data is valid against NEPA schema${colors.reset}`);
+  return true;
 }
 
 /**
@@ -371,19 +542,23 @@ function validateCombinedData(combinedData) {
 function formatValidationErrors(errors) {
   const errorsByPath = {};
   
-  // Group errors by instance path
+  // Group errors by CSV cell (file:line:column) when the source is known, otherwise by instance path
   for (const err of errors) {
-    const path = err.instancePath || '(root)';
-    if (!errorsByPath[path]) {
-      errorsByPath[path] = [];
+    const location = err.source
+      ? formatLocation({ file: path.basename(err.source.file), row: err.source.row, column: err.source.column })
+      : err.instancePath || '(root)';
+    if (!errorsByPath[location]) {
+      errorsByPath[location] = [];
     }
-    errorsByPath[path].push(err);
+    errorsByPath[location].push(err);
   }
   
   console.error(`\n${colors.bold}Validation Errors:${colors.reset}`);
   
-  for (const [path, pathErrors] of Object.entries(errorsByPath)) {
-    console.error(`\n  ${colors.yellow}At ${path}:${colors.reset}`);
+  for (const [location, pathErrors] of Object.entries(errorsByPath)) {
+    const source = pathErrors[0].source;
+    const value = source && source.value !== undefined ? ` ${colors.gray}(value: ${JSON.stringify(source.value)})${colors.reset}` : '';
+    console.error(`\n  ${colors.yellow}At ${location}:${colors.reset}${value}`);
     
     const displayErrors = pathErrors.slice(0, 3);
     for (const err of displayErrors) {
@@ -419,60 +594,192 @@ function formatValidationErrors(errors) {
 }
 
 /**
- * Validate individual CSV files for basic structure
+ * Check individual CSV files for basic structure without logging
  * @param {Array<string>} csvFiles - Array of CSV file paths
- * @returns {Promise<boolean>} True if all files have valid structure
+ * @returns {Promise<Array>} Per-file results
  */
-async function validateIndividualFiles(csvFiles) {
-  console.log(`\n${colors.bold}${colors.blue}=== Validating individual CSV files ===${colors.reset}`);
-  
-  let allValid = true;
+async function checkIndividualFiles(csvFiles) {
+  const results = [];
   
   for (const filePath of csvFiles) {
+    const result = {
+      filePath,
+      filename: path.basename(filePath),
+      valid: true,
+      empty: false,
+      rowCount: 0,
+      errors: []
+    };
+    
     try {
-      const filename = path.basename(filePath);
-      const data = await parseCsvFile(filePath);
-      
-      if (data.length === 0) {
-        console.log(`${colors.yellow}Warning: ${filename} is empty${colors.reset}`);
-        continue;
-      }
+      const { rows } = await readCsvFile(filePath);
+      result.rowCount = rows.length;
       
-      // Basic structure validation
-      const firstRow = data[0];
-      const hasId = firstRow.hasOwnProperty('id') || 
-                   Object.keys(firstRow).some(key => key.toLowerCase().includes('id'));
-      
-      if (!hasId) {
-        console.error(`${colors.red}✘ ${filename}: No ID column found${colors.reset}`);
-        allValid = false;
+      if (rows.length === 0) {
+        result.empty = true;
       } else {
-        console.log(`${colors.green}✓ ${filename}: ${data.length} rows, valid structure${colors.reset}`);
+        // Basic structure validation
+        const firstRow = rows[0];
+        const hasId = firstRow.hasOwnProperty('id') || 
+                     Object.keys(firstRow).some(key => key.toLowerCase().includes('id'));
+        
+        if (!hasId) {
+          result.valid = false;
+          result.errors.push({ message: 'No ID column found' });
+        }
       }
-      
     } catch (err) {
-      console.error(`${colors.red}✘ Error validating ${filePath}: ${err.message}${colors.reset}`);
-      allValid = false;
+      result.valid = false;
+      result.errors.push({ message: err.message });
     }
+    
+    results.push(result);
   }
   
-  return allValid;
+  return results;
 }
 
 /**
- * Main CSV validation function
+ * Validate individual CSV files for basic structure
+ * @param {Array<string>} csvFiles - Array of CSV file paths
+ * @returns {Promise<boolean>} True if all files have valid structure
+ */
+async function validateIndividualFiles(csvFiles) {
+  console.log(`\n${colors.bold}${colors.blue}=== Validating individual CSV files ===${colors.reset}`);
+  
+  const results = await checkIndividualFiles(csvFiles);
+  
+  for (const result of results) {
+    if (result.empty) {
+      console.log(`${colors.yellow}Warning: ${result.filename} is empty${colors.reset}`);
+    } else if (result.valid) {
+      console.log(`${colors.green}✓ ${result.filename}: ${result.rowCount} rows, valid structure${colors.reset}`);
+    } else {
+      result.errors.forEach(err => {
+        console.error(`${colors.red}✘ ${result.filename}: ${err.message}${colors.reset}`);
+      });
+    }
+  }
+  
+  return results.every(result => result.valid);
+}
+
+/**
+ * Find CSV files in a directory
  * @param {string} csvDir - Directory containing CSV files
- * @returns {Promise<boolean>} True if all validations pass
+ * @returns {Array<string>} CSV file paths
+ */
+function findCsvFiles(csvDir) {
+  return findFiles([csvDir], ['.csv']);
+}
+
+/**
+ * Attach the CSV file, line, column and original cell to reference issues found in combined data
+ * The streaming tracker records these as rows are read; this does the same from the issue pointers
+ * @param {Object} results - Results from checkReferences()
+ * @param {Array<Object>} csvSources - processedFiles from collectCsvData()
+ * @returns {Object} The results, with source on each issue that points into a CSV row
+ */
+function locateReferenceIssues(results, csvSources) {
+  const locate = issue => {
+    const source = issue.pointer ? locateCsvRecord(issue.pointer, csvSources) : null;
+    return source ? { ...issue, source } : issue;
+  };
+  return { ...results, errors: results.errors.map(locate), warnings: results.warnings.map(locate) };
+}
+
+/**
+ * Check CSV files against the NEPA schema and collect structured results
+ * @param {string|Array<string>} csvInput - Directory containing CSV files, or an array of CSV file paths
+ * @param {Object} options - Check options
+ * @param {string|Object} options.mapping - CSV mapping file path or loaded mapping (default: csv-mapping.yaml
+ *   in the CSV directory, if present)
+ * @param {string} options.timezone - Time zone for date-times without an offset (default UTC)
+ * @param {boolean} options.references - Also check foreign keys and duplicate ids across files
+ * @returns {Promise<Object>} Results with per-file structure checks, combined data, coercions and schema errors,
+ *   plus reference results (with options.references) located by file, line and column like the schema errors
  */
-async function validateCsvFiles(csvDir = null) {
-  const targetDir = csvDir || path.join(__dirname, '..', 'src', 'csv');
+async function checkCsvFiles(csvInput = null, options = {}) {
+  let csvFiles = csvInput;
   
-  if (!ensureDirectory(targetDir)) {
-    console.error(`${colors.red}CSV directory not found: ${targetDir}${colors.reset}`);
-    return false;
+  if (options.timezone && !isValidTimezone(options.timezone)) {
+    return { valid: false, csvFiles: [], files: [], data: {}, errors: [{ message: `Unknown time zone: ${options.timezone}` }] };
+  }
+  
+  if (!Array.isArray(csvInput)) {
+    const targetDir = csvInput || PATHS.CSV_DIR;
+    
+    if (!fs.existsSync(targetDir)) {
+      return {
+        valid: false,
+        csvFiles: [],
+        files: [],
+        data: {},
+        errors: [{ message: `CSV directory not found: ${targetDir}` }]
+      };
+    }
+    
+    csvFiles = findCsvFiles(targetDir);
   }
   
-  const csvFiles = findFiles(targetDir, '.csv');
+  const files = await checkIndividualFiles(csvFiles);
+  
+  let combined;
+  try {
+    combined = await collectCsvData(csvFiles, {
+      mapping: resolveCsvMapping(csvInput, options.mapping),
+      timezone: options.timezone
+    });
+  } catch (err) {
+    return {
+      valid: false,
+      csvFiles,
+      files,
+      data: {},
+      errors: [{ message: `Error processing CSV files: ${err.message}` }]
+    };
+  }
+  
+  const schemaResult = csvFiles.length > 0
+    ? checkCombinedData(combined.data, combined.processedFiles)
+    : { valid: true, errors: [] };
+  const references = options.references ? locateReferenceIssues(checkReferences(combined.data), combined.processedFiles) : undefined;
+  
+  return {
+    valid: files.every(file => file.valid) && schemaResult.valid && (!references || references.valid),
+    csvFiles,
+    files,
+    data: combined.data,
+    processedFiles: combined.processedFiles,
+    skippedFiles: combined.skippedFiles,
+    coercions: combined.coercions,
+    errors: schemaResult.errors,
+    references
+  };
+}
+
+/**
+ * Main CSV validation function
+ * @param {string|Array<string>} csvInput - Directory containing CSV files, or an array of CSV file paths
+ * @param {Object} options - Validation options
+ * @param {string|Object} options.mapping - CSV mapping file path or loaded mapping
+ * @param {string} options.timezone - Time zone for date-times without an offset (default UTC)
+ * @returns {Promise<boolean>} True if all validations pass
+ */
+async function validateCsvFiles(csvInput = null, options = {}) {
+  let csvFiles = csvInput;
+  let targetDir = 'the provided file list';
+  
+  if (!Array.isArray(csvInput)) {
+    targetDir = csvInput || PATHS.CSV_DIR;
+    
+    if (!fs.existsSync(targetDir)) {
+      console.error(`${colors.red}CSV directory not found: ${targetDir}${colors.reset}`);
+      return false;
+    }
+    
+    csvFiles = findCsvFiles(targetDir);
+  }
   
   if (csvFiles.length === 0) {
     console.log(`${colors.yellow}No CSV files found in ${targetDir}${colors.reset}`);
@@ -484,17 +791,398 @@ async function validateCsvFiles(csvDir = null) {
   // Step 1: Validate individual files
   const individualValid = await validateIndividualFiles(csvFiles);
   
+  if (options.timezone && !isValidTimezone(options.timezone)) {
+    console.error(`${colors.red}Unknown time zone: ${options.timezone}${colors.reset}`);
+    return false;
+  }
+  
+  let mapping;
+  try {
+    mapping = resolveCsvMapping(csvInput, options.mapping);
+  } catch (err) {
+    console.error(`${colors.red}${err.message}${colors.reset}`);
+    return false;
+  }
+  
   // Step 2: Combine and validate against schema
-  const combinedData = await combineCsvFiles(csvFiles);
-  if (!combinedData) {
+  const combined = await combineCsvFiles(csvFiles, { mapping, timezone: options.timezone });
+  if (!combined) {
     return false;
   }
   
-  const schemaValid = validateCombinedData(combinedData);
+  const schemaValid = validateCombinedData(combined.data, combined.processedFiles);
   
   return individualValid && schemaValid;
 }
 
+/**
+ * Compile a validator for each collection's entity definition
+ * Rows are validated one at a time against these instead of building the combined dataset
+ * @returns {Object|null} { root, entities } where entities maps collection → validate function,
+ *   or null if the schema could not be compiled
+ */
+function compileEntityValidators() {
+  const ajv = createValidator();
+  const root = loadNepaSchema(ajv);
+  if (!root) {
+    return null;
+  }
+
+  const { schema, collections } = loadSchemaModel();
+  const entities = {};
+  for (const [collection, definition] of Object.entries(collections)) {
+    entities[collection] = ajv.getSchema(`${schema.$id}#/definitions/${definition}`);
+  }
+
+  return { root, entities };
+}
+
+/**
+ * Order schema sections so the targets of their foreign keys come first
+ * Lets streaming reference checks resolve most references as soon as the row is read
+ * @param {Array<string>} sections - Schema sections
+ * @returns {Array<string>} Sections, parents first
+ */
+function orderByReferences(sections) {
+  const ordered = [];
+  const visit = (section, seen = new Set()) => {
+    if (ordered.includes(section) || seen.has(section)) return;
+    seen.add(section);
+    FOREIGN_KEYS
+      .filter(fk => fk.collection === section && fk.target !== section && sections.includes(fk.target))
+      .forEach(fk => visit(fk.target, seen));
+    ordered.push(section);
+  };
+
+  sections.forEach(section => visit(section));
+  return ordered;
+}
+
+/**
+ * Stream a CSV file row by row
+ * Record start lines are tracked as the file is read, so no more than a chunk is held in memory
+ * @param {string} filePath - Path to CSV file
+ * @param {Object} handlers - Event handlers
+ * @param {Function} handlers.headers - Called with the original header row
+ * @param {Function} handlers.row - Called with { line, values } for each row, values under the original headers
+ * @returns {Promise<Object>} { headers, rowCount }
+ */
+function streamCsvFile(filePath, handlers = {}) {
+  return new Promise((resolve, reject) => {
+    const scan = createCsvRecordScanner();
+    const lines = [];
+    let headers = [];
+    let rowCount = 0;
+
+    const source = fs.createReadStream(filePath, { encoding: 'utf8' });
+    // Registered before pipe(), so a chunk's lines are queued before the parser emits its rows
+    source.on('data', chunk => lines.push(...scan(chunk)));
+    source.on('error', reject);
+
+    source.pipe(csvParser())
+      .on('headers', (headerRow) => {
+        headers = headerRow;
+        lines.shift();
+        if (handlers.headers) handlers.headers(headerRow);
+      })
+      .on('data', (values) => {
+        rowCount++;
+        if (handlers.row) handlers.row({ line: lines.shift() || null, values });
+      })
+      .on('end', () => resolve({ headers, rowCount }))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Track peak memory use while streaming
+ * @returns {Object} { sample(), peak } where peak holds the highest rss and heapUsed seen, in bytes
+ */
+function createMemorySampler() {
+  const peak = { rss: 0, heapUsed: 0 };
+  return {
+    peak,
+    sample() {
+      const { rss, heapUsed } = process.memoryUsage();
+      peak.rss = Math.max(peak.rss, rss);
+      peak.heapUsed = Math.max(peak.heapUsed, heapUsed);
+    }
+  };
+}
+
+/**
+ * Check CSV files against the NEPA schema one row at a time, without logging
+ * Each row is validated against its entity definition as it is parsed and then dropped; only
+ * the key indexes needed for reference checks (with options.references) are kept, so memory
+ * stays bounded by the number of keys rather than the size of the export. Collection-level
+ * rules (required collections and their dependencies) are checked once all files are read.
+ * Files are read parents first so references resolve as rows arrive
+ * @param {string|Array<string>} csvInput - Directory containing CSV files, or an array of CSV file paths
+ * @param {Object} options - Streaming options
+ * @param {boolean} options.references - Also check foreign keys and duplicate ids across files
+ * @param {string|Object} options.mapping - CSV mapping file path or loaded mapping (see checkCsvFiles())
+ * @param {string} options.timezone - Time zone for date-times without an offset (default UTC)
+ * @param {number} options.maxErrors - Errors to keep (default 1000); the rest are only counted
+ * @returns {Promise<Object>} Results with per-file structure checks, AJV errors (each with its CSV source),
+ *   error count, record counts, coercions (entries capped like errors), reference results and
+ *   throughput/peak-memory stats
+ */
+async function checkCsvFilesStreaming(csvInput = null, options = {}) {
+  const maxErrors = options.maxErrors || DEFAULT_MAX_ERRORS;
+  let csvFiles = csvInput;
+
+  if (options.timezone && !isValidTimezone(options.timezone)) {
+    return { valid: false, csvFiles: [], files: [], errors: [{ message: `Unknown time zone: ${options.timezone}` }], errorCount: 1, recordCounts: {} };
+  }
+
+  if (!Array.isArray(csvInput)) {
+    const targetDir = csvInput || PATHS.CSV_DIR;
+
+    if (!fs.existsSync(targetDir)) {
+      return {
+        valid: false,
+        csvFiles: [],
+        files: [],
+        errors: [{ message: `CSV directory not found: ${targetDir}` }],
+        errorCount: 1,
+        recordCounts: {}
+      };
+    }
+
+    csvFiles = findCsvFiles(targetDir);
+  }
+
+  let mapping;
+  try {
+    mapping = resolveCsvMapping(csvInput, options.mapping);
+  } catch (err) {
+    return { valid: false, csvFiles, files: [], errors: [{ message: err.message }], errorCount: 1, recordCounts: {} };
+  }
+
+  const validators = compileEntityValidators();
+  if (!validators) {
+    return {
+      valid: false,
+      csvFiles,
+      files: [],
+      errors: [{ message: `Failed to load NEPA schema: ${PATHS.NEPA_SCHEMA}` }],
+      errorCount: 1,
+      recordCounts: {}
+    };
+  }
+
+  const tracker = options.references ? createReferenceTracker({ maxIssues: maxErrors }) : null;
+  const coercionLog = createCoercionLog({ maxEntries: maxErrors });
+  const memory = createMemorySampler();
+  const started = Date.now();
+  const files = [];
+  const processedFiles = [];
+  const skippedFiles = [];
+  const emptyFiles = [];
+  const recordCounts = {};
+  const errors = [];
+  let errorCount = 0;
+  let rows = 0;
+
+  const sections = {};
+  const resolutions = {};
+  for (const filePath of csvFiles) {
+    const resolution = resolveCsvFile(filePath, await readCsvHeaders(filePath), mapping);
+    if (resolution) {
+      resolutions[filePath] = resolution;
+      sections[resolution.schemaSection] = [...(sections[resolution.schemaSection] || []), filePath];
+    } else {
+      skippedFiles.push(path.basename(filePath));
+    }
+  }
+
+  memory.sample();
+
+  for (const schemaSection of orderByReferences(Object.keys(sections))) {
+    const validate = validators.entities[schemaSection];
+
+    for (const filePath of sections[schemaSection]) {
+      const filename = path.basename(filePath);
+      const resolution = resolutions[filePath];
+      const offset = recordCounts[schemaSection] || 0;
+      const file = { filePath, filename, valid: true, empty: false, rowCount: 0, errors: [] };
+      let columns = {};
+
+      try {
+        const { headers } = await streamCsvFile(filePath, {
+          headers: (headerRow) => {
+            columns = mapColumnHeaders(headerRow, schemaSection, resolution.columnMap, resolution.layout);
+          },
+          row: ({ line, values }) => {
+            const index = offset + file.rowCount++;
+            const record = transformFieldNames(values, schemaSection, resolution.columnMap, {
+              timezone: options.timezone,
+              layout: resolution.layout,
+              onCoerce: entry => coercionLog.add({ file: filePath, row: line || index - offset + 2, ...entry })
+            });
+            const locate = (field) => {
+              const column = field ? columns[field] || field : null;
+              return {
+                file: filePath,
+                row: line || index - offset + 2,
+                column,
+                value: column && Object.prototype.hasOwnProperty.call(values, column) ? values[column] : undefined
+              };
+            };
+
+            if (!validate(record)) {
+              for (const err of validate.errors) {
+                errorCount++;
+                if (errors.length < maxErrors) {
+                  const [field] = parseJsonPointer(getErrorPointer(err));
+                  errors.push({ ...err, instancePath: `/${schemaSection}/${index}${err.instancePath}`, source: locate(field) });
+                }
+              }
+            }
+
+            if (tracker) {
+              tracker.add(schemaSection, index, record, locate);
+            }
+
+            if (++rows % MEMORY_SAMPLE_INTERVAL === 0) {
+              memory.sample();
+            }
+          }
+        });
+
+        if (file.rowCount === 0) {
+          file.empty = true;
+          emptyFiles.push(filename);
+        } else {
+          if (!headers.some(header => header.toLowerCase().includes('id'))) {
+            file.valid = false;
+            file.errors.push({ message: 'No ID column found' });
+          }
+          recordCounts[schemaSection] = offset + file.rowCount;
+          processedFiles.push({ filePath, filename, schemaSection, offset, rowCount: file.rowCount, columnCount: headers.length, columns, resolution });
+        }
+      } catch (err) {
+        file.valid = false;
+        file.errors.push({ message: err.message });
+      }
+
+      files.push(file);
+    }
+  }
+
+  // Collection-level rules only need to know which collections are present
+  if (csvFiles.length > 0) {
+    const skeleton = Object.fromEntries(Object.keys(recordCounts).map(section => [section, []]));
+    if (!validators.root(skeleton)) {
+      validators.root.errors.filter(err => err.instancePath === '').forEach(err => {
+        errorCount++;
+        errors.push(err);
+      });
+    }
+  }
+
+  const references = tracker ? tracker.finish() : undefined;
+  memory.sample();
+  const durationMs = Date.now() - started;
+
+  return {
+    valid: files.every(file => file.valid) && errorCount === 0,
+    csvFiles,
+    files,
+    processedFiles,
+    skippedFiles,
+    emptyFiles,
+    errors,
+    errorCount,
+    recordCounts,
+    coercions: coercionLog.finish(),
+    references,
+    stats: {
+      files: files.length,
+      rows,
+      durationMs,
+      rowsPerSecond: durationMs > 0 ? Math.round(rows / (durationMs / 1000)) : rows,
+      peakRss: memory.peak.rss,
+      peakHeapUsed: memory.peak.heapUsed
+    }
+  };
+}
+
+/**
+ * Format streaming throughput and peak memory for display
+ * @param {Object} stats - stats from checkCsvFilesStreaming()
+ * @returns {string} Summary line
+ */
+function formatStreamingStats(stats) {
+  const megabytes = bytes => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${stats.rows.toLocaleString('en-US')} rows from ${stats.files} files in ${(stats.durationMs / 1000).toFixed(2)}s ` +
+    `(${stats.rowsPerSecond.toLocaleString('en-US')} rows/s), peak memory ${megabytes(stats.peakRss)} RSS, ${megabytes(stats.peakHeapUsed)} heap`;
+}
+
+/**
+ * Streaming CSV validation with logging
+ * @param {string|Array<string>} csvInput - Directory containing CSV files, or an array of CSV file paths
+ * @param {Object} options - Options for checkCsvFilesStreaming()
+ * @returns {Promise<boolean>} True if all rows (and, with options.references, all references) are valid
+ */
+async function validateCsvFilesStreaming(csvInput = null, options = {}) {
+  console.log(`${colors.bold}${colors.blue}=== Streaming CSV validation ===${colors.reset}`);
+
+  const result = await checkCsvFilesStreaming(csvInput, options);
+
+  if (!result.stats) {
+    result.errors.forEach(err => console.error(`${colors.red}${err.message}${colors.reset}`));
+    return false;
+  }
+
+  result.skippedFiles.forEach(filename => {
+    console.log(`${colors.yellow}Warning: No schema mapping for ${filename}, skipping${colors.reset}`);
+  });
+
+  result.processedFiles.forEach(file => printCsvResolution(file.filename, file.resolution));
+  printCoercions(result.coercions);
+
+  for (const file of result.files) {
+    if (file.empty) {
+      console.log(`${colors.yellow}Warning: ${file.filename} is empty${colors.reset}`);
+    } else if (file.valid) {
+      console.log(`${colors.green}✓ ${file.filename}: ${file.rowCount} rows${colors.reset}`);
+    } else {
+      file.errors.forEach(err => console.error(`${colors.red}✘ ${file.filename}: ${err.message}${colors.reset}`));
+    }
+  }
+
+  let valid = result.valid;
+  if (result.errorCount > 0) {
+    console.error(`${colors.red}${colors.bold}✘ ${result.errorCount} schema errors${colors.reset}`);
+    formatValidationErrors(result.errors);
+    if (result.errorCount > result.errors.length) {
+      console.error(`\n${colors.gray}Showing the first ${result.errors.length} of ${result.errorCount} errors${colors.reset}`);
+    }
+  } else if (result.files.length > 0) {
+    console.log(`${colors.green}${colors.bold}✓ All rows are valid against NEPA schema${colors.reset}`);
+  }
+
+  if (result.references) {
+    const { errors, warnings, stats, truncated } = result.references;
+    valid = valid && result.references.valid;
+    [...errors, ...warnings].forEach(issue => {
+      const [color, marker] = warnings.includes(issue) ? [colors.yellow, '⚠'] : [colors.red, '✘'];
+      const location = issue.source
+        ? formatLocation({ file: path.basename(issue.source.file), row: issue.source.row, column: issue.source.column })
+        : issue.pointer;
+      console.log(`  ${color}${marker}${colors.reset} ${location}: ${issue.message}`);
+    });
+    if (truncated > 0) {
+      console.log(`  ${colors.gray}... and ${truncated} more reference issues${colors.reset}`);
+    }
+    console.log(`${colors.bold}References:${colors.reset} ${stats.resolved}/${stats.references} resolved, ${stats.dangling} dangling, ${stats.duplicates} duplicate keys, ${stats.orphans} orphans`);
+  }
+
+  console.log(`${colors.bold}Streamed:${colors.reset} ${formatStreamingStats(result.stats)}`);
+  return valid;
+}
+
 /**
  * Display schema mapping information
  */
@@ -506,39 +1194,90 @@ function displayMappingInfo() {
   });
   
   console.log(`\n${colors.bold}${colors.blue}Usage Tips:${colors.reset}`);
-  console.log(`  • Name your CSV files according to the mappings above`);
+  console.log(`  • Name your CSV files according to the mappings above; other files are matched to a section by their headers`);
+  console.log(`  • Review detected sections and column matches with ${colors.cyan}pic csv map${colors.reset}, which writes ${DEFAULT_MAPPING_FILE}`);
+  console.log(`    (used automatically from the CSV directory, or pass ${colors.cyan}--mapping <file>${colors.reset})`);
   console.log(`  • Multiple files will be combined into a single data structure for validation`);
   console.log(`  • Ensure required relationships exist (e.g., processes reference valid project IDs)`);
-  console.log(`  • Use 'null' for empty values, 'true'/'false' for booleans`);
+  console.log(`  • Values are converted to their schema types: integers and numbers (1,234), booleans (true/false, yes/no, Y/N, 1/0),`);
+  console.log(`    dates (ISO 8601, M/D/YYYY or YYYYMMDD), date-times (times without an offset are read in ${colors.cyan}--timezone <zone>${colors.reset}, default UTC),`);
+  console.log(`    arrays (JSON or ; | , separated) and nested objects from dotted headers (project_sponsor.name); empty cells and 'null' are empty values`);
+  console.log(`  • For very large exports use ${colors.cyan}--stream${colors.reset} to validate row by row in bounded memory`);
+  console.log(`    (add ${colors.cyan}--references${colors.reset} to check foreign keys across files, ${colors.cyan}--max-errors <n>${colors.reset} to cap reported errors)`);
 }
 
 // Export functions for use in other modules
 module.exports = {
+  checkCsvFiles,
+  checkCsvFilesStreaming,
+  checkCombinedData,
+  collectCsvData,
   validateCsvFiles,
+  validateCsvFilesStreaming,
+  formatStreamingStats,
   combineCsvFiles,
   parseCsvFile,
+  readCsvFile,
+  getSchemaSection,
+  transformFieldNames,
+  resolveCsvFile,
+  resolveCsvMapping,
   SCHEMA_MAPPINGS
 };
 
 // Run validation if called directly
 if (require.main === module) {
-  const args = process.argv.slice(2);
-  
-  // Handle help flag
-  if (args.includes('--help') || args.includes('-h')) {
+  const options = [
+    { name: '--mapping <file>', description: `CSV mapping file from pic csv map (default: ${DEFAULT_MAPPING_FILE} in the CSV directory)` },
+    { name: '--timezone <zone>', description: 'IANA time zone for date-times written without an offset (default UTC)' },
+    { name: '--stream', description: 'Validate row by row in bounded memory' },
+    { name: '--references', description: 'With --stream, also check foreign keys and duplicate ids across files' },
+    { name: '--max-errors <n>', description: 'With --stream, errors to keep and report (default 1000); the rest are counted' },
+    { name: '--help, -h', description: 'Show this help' }
+  ];
+  let parsed;
+  try {
+    parsed = parseOptions(process.argv.slice(2), options, 'validate-csv.js');
+    const streamOnly = ['references', 'max-errors'].find(flag => parsed.flags[flag] !== undefined && !parsed.flags.stream);
+    if (streamOnly) {
+      throw new UsageError(`--${streamOnly} requires --stream`);
+    }
+  } catch (error) {
+    console.error(`${colors.red}${error.message}${colors.reset}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+  const { flags, positional } = parsed;
+
+  if (flags.help) {
+    showHelp('CSV Validation', {
+      description: 'Validates CSV exports against the NEPA schema',
+      usage: 'node validate-csv.js [csv-dir] [--mapping <file>] [--timezone <zone>] [--stream [--references] [--max-errors <n>]]',
+      options
+    });
     displayMappingInfo();
-    process.exit(0);
+    process.exit(EXIT_CODES.SUCCESS);
   }
-  
-  const csvDir = args[0];
-  
-  validateCsvFiles(csvDir)
+
+  const csvDir = positional[0];
+  const mapping = flags.mapping;
+  const timezone = flags.timezone;
+
+  const validation = flags.stream
+    ? validateCsvFilesStreaming(csvDir, {
+      references: Boolean(flags.references),
+      maxErrors: flags['max-errors'] ? Number(flags['max-errors']) : undefined,
+      mapping,
+      timezone
+    })
+    : validateCsvFiles(csvDir, { mapping, timezone });
+
+  validation
     .then((success) => {
       printSummary(success, 'CSV validation');
-      process.exit(success ? 0 : 1);
+      process.exit(success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE);
     })
     .catch((err) => {
       console.error(`${colors.red}Unexpected error: ${err.message}${colors.reset}`);
-      process.exit(1);
+      process.exit(EXIT_CODES.ERROR);
     });
 }
@@ -10,24 +10,38 @@ const {
   shouldIgnoreField, 
   mapDatabaseFieldToSchema, 
   getSchemaMapping,
+  isValidTransform,
   hasField,
-  TABLE_TO_SCHEMA_MAP 
+  FIELD_TRANSFORMS
 } = require('./utils/mapping-utils');
-const { loadDatabaseCrosswalk, validateCsvStructure } = require('./utils/csv-utils');
+const { loadDatabaseCrosswalk, validateCsvStructure, findCsvRecordLines } = require('./utils/csv-utils');
+const { loadDdl, normalizeSqlType, DEFAULT_SCHEMA_SQL_PATH } = require('./utils/sql-utils');
 
 /**
  * Parse the database crosswalk CSV
  * @param {string} csvPath - Path to crosswalk CSV file
- * @returns {Promise<Object>} Parsed crosswalk data grouped by table
+ * @returns {Promise<Object>} Parsed crosswalk data grouped by table; each column records the
+ *   line its row starts on (the header is line 1)
  */
 function parseCrosswalkCsv(csvPath) {
   return new Promise((resolve, reject) => {
     const crosswalk = {};
+    let recordLines;
+    let count = 0;
+
+    try {
+      recordLines = findCsvRecordLines(fs.readFileSync(csvPath, 'utf8'));
+    } catch (err) {
+      reject(err);
+      return;
+    }
     
     fs.createReadStream(csvPath)
       .pipe(csvParser())
       .on('data', (row) => {
-        const { table, column, data_type, description } = row;
+        const { table, column, data_type, description, schema_entity, schema_property, transform } = row;
+        // recordLines[0] is the header row
+        const line = recordLines[++count] || null;
         
         if (!crosswalk[table]) {
           crosswalk[table] = [];
@@ -36,26 +50,61 @@ function parseCrosswalkCsv(csvPath) {
         crosswalk[table].push({
           column,
           data_type,
-          description: description || ''
+          description: description || '',
+          schema_entity: schema_entity || '',
+          schema_property: schema_property || '',
+          transform: transform || '',
+          row: line
         });
       })
-      .on('end', () => {
-        console.log(`Loaded ${Object.keys(crosswalk).length} tables from crosswalk`);
-        resolve(crosswalk);
-      })
+      .on('end', () => resolve(crosswalk))
       .on('error', reject);
   });
 }
 
+/**
+ * Compare a crosswalk table with the table declared in the DDL, in both directions
+ * @param {string} tableName - Name of the database table
+ * @param {Array} columns - Array of column objects from crosswalk
+ * @param {Object} ddlTable - Table from sql-utils parseDdl(), or null if the DDL has no such table
+ * @returns {Array<Object>} Drift as { message, row } (crosswalk rows without a column, type mismatches,
+ *   undocumented columns); row is the crosswalk line at fault, or null for DDL columns it lacks
+ */
+function findDdlDrift(tableName, columns, ddlTable) {
+  if (!ddlTable) {
+    return [{ message: `Table '${tableName}' is in the crosswalk but not in the DDL`, row: columns.length > 0 ? columns[0].row || null : null }];
+  }
+
+  const drift = [];
+  columns.forEach(column => {
+    const ddlColumn = ddlTable.columns[column.column];
+    const row = column.row || null;
+    if (!ddlColumn) {
+      drift.push({ message: `Crosswalk column '${tableName}.${column.column}' does not exist in the DDL`, row });
+    } else if (normalizeSqlType(column.data_type) !== ddlColumn.dataType) {
+      drift.push({ message: `Crosswalk column '${tableName}.${column.column}' has data_type '${column.data_type}' but the DDL declares '${ddlColumn.dataType}'`, row });
+    }
+  });
+
+  Object.keys(ddlTable.columns)
+    .filter(columnName => !hasField(columns, columnName))
+    .forEach(columnName => drift.push({
+      message: `DDL column '${tableName}.${columnName}' (${ddlTable.columns[columnName].dataType}) is missing from the crosswalk`,
+      row: null
+    }));
+
+  return drift;
+}
+
 /**
  * Validate table against schema with enhanced mapping
  * @param {string} tableName - Name of the database table
  * @param {Array} columns - Array of column objects from crosswalk
  * @param {Object} schemaDefinitions - Schema definitions object
- * @param {Object} databaseSchemaDefinitions - Database schema definitions object
+ * @param {Object} ddl - Parsed DDL from sql-utils loadDdl(); when given, the table is also checked for drift
  * @returns {Object} Validation results
  */
-function validateTableAgainstSchema(tableName, columns, schemaDefinitions, databaseSchemaDefinitions = null) {
+function validateTableAgainstSchema(tableName, columns, schemaDefinitions, ddl = null) {
   const results = {
     tableName,
     valid: true,
@@ -65,14 +114,32 @@ function validateTableAgainstSchema(tableName, columns, schemaDefinitions, datab
     databaseCoverage: { found: 0, total: 0 },
     importantWarnings: [],
     mappingWarnings: [],
+    mappingErrors: [],
+    driftErrors: [],
     unmatchedProperties: [],
     unmatchedDatabaseFields: []
   };
 
-  // Use the mapping utilities for consistent table-to-schema mapping
-  const mapping = getSchemaMapping(tableName);
-  let schemaName = mapping.schemaName;
-  let schemaDef = schemaDefinitions[schemaName];
+  // The crosswalk's schema_entity column names the NEPA definition; older crosswalks fall back to the default mapping
+  const declaredEntity = columns.map(column => column.schema_entity).find(Boolean);
+  const schemaName = declaredEntity || getSchemaMapping(tableName).schemaName;
+  const schemaDef = schemaDefinitions[schemaName];
+
+  // The crosswalk must describe the tables in the DDL exactly
+  if (ddl) {
+    const ddlTable = ddl.tables[tableName] || null;
+    results.driftErrors = findDdlDrift(tableName, columns, ddlTable);
+    if (results.driftErrors.length > 0) {
+      results.valid = false;
+    }
+
+    if (ddlTable) {
+      const ddlColumns = Object.keys(ddlTable.columns).filter(column => !shouldIgnoreField(column));
+      results.databaseCoverage.total = ddlColumns.length;
+      results.databaseCoverage.found = ddlColumns.filter(column => hasField(columns, column)).length;
+      results.unmatchedDatabaseFields = ddlColumns.filter(column => !hasField(columns, column));
+    }
+  }
   
   if (!schemaDef) {
     results.warnings.push(`Schema definition not found for: ${schemaName} (table: ${tableName})`);
@@ -92,30 +159,17 @@ function validateTableAgainstSchema(tableName, columns, schemaDefinitions, datab
   const coveredSchemaProps = new Set();
   const dbFieldToSchemaMapping = new Map(); // Track which db fields map to which schema props
 
-  // Also validate against database schema if provided
-  let databaseSchemaDef = null;
-  let databaseSchemaProperties = {};
-  let databaseRequiredFields = [];
-  let coveredDatabaseProps = new Set();
-
-  if (databaseSchemaDefinitions) {
-    // Navigate the complex database schema structure
-    const dbPath = databaseSchemaDefinitions.definitions?.Database?.properties?.public?.properties?.Tables?.properties;
-    
-    if (dbPath && dbPath[tableName]) {
-      databaseSchemaDef = dbPath[tableName];
-      
-      // Extract properties from the Row schema which represents the actual table structure
-      if (databaseSchemaDef.properties?.Row?.properties) {
-        databaseSchemaProperties = databaseSchemaDef.properties.Row.properties;
-        databaseRequiredFields = databaseSchemaDef.properties.Row.required || [];
-        
-        const relevantDatabaseProps = Object.keys(databaseSchemaProperties).filter(prop => 
-          !shouldIgnoreField(prop)
-        );
-        results.databaseCoverage.total = relevantDatabaseProps.length;
-      }
+  // Check the declared mappings: schema_property must exist in the schema and transform must be supported
+  columns.forEach(column => {
+    if (column.schema_property && !schemaProperties[column.schema_property]) {
+      results.mappingErrors.push(`Crosswalk maps '${tableName}.${column.column}' to '${column.schema_property}', which is not a property of NEPA schema '${schemaName}'`);
     }
+    if (!isValidTransform(column.transform)) {
+      results.mappingErrors.push(`Unknown transform '${column.transform}' for '${tableName}.${column.column}' (expected one of: ${FIELD_TRANSFORMS.map(name => name === 'object' ? 'object:<key>' : name).join(', ')})`);
+    }
+  });
+  if (results.mappingErrors.length > 0) {
+    results.valid = false;
   }
 
   // Check each database column
@@ -127,8 +181,8 @@ function validateTableAgainstSchema(tableName, columns, schemaDefinitions, datab
       return;
     }
 
-    // Map database field to NEPA schema property
-    const mappedSchemaField = mapDatabaseFieldToSchema(dbField, tableName);
+    // Map database field to NEPA schema property (declared in the crosswalk being validated, or the default crosswalk)
+    const mappedSchemaField = column.schema_property || mapDatabaseFieldToSchema(dbField, tableName);
     
     // Track the mapping for debugging
     dbFieldToSchemaMapping.set(dbField, mappedSchemaField);
@@ -151,18 +205,10 @@ function validateTableAgainstSchema(tableName, columns, schemaDefinitions, datab
   // Ensure we don't count more properties than actually exist
   results.coverage.found = Math.min(coveredSchemaProps.size, results.coverage.total);
 
-  // Debug logging for over-coverage (only in verbose mode)
-  if (process.argv.includes('--verbose') && coveredSchemaProps.size > results.coverage.total) {
-    console.log(`  ${colors.yellow}Debug: Found ${coveredSchemaProps.size} mapped properties but schema only has ${results.coverage.total} relevant properties${colors.reset}`);
-    console.log(`  ${colors.cyan}Mapped properties: ${Array.from(coveredSchemaProps).join(', ')}${colors.reset}`);
-    console.log(`  ${colors.cyan}Schema properties: ${relevantSchemaProps.join(', ')}${colors.reset}`);
-    
-    // Show mapping details
-    console.log(`  ${colors.magenta}Database field mappings:${colors.reset}`);
-    for (const [dbField, schemaField] of dbFieldToSchemaMapping) {
-      console.log(`    ${dbField} → ${schemaField}`);
-    }
-  }
+  // Keep mapping details so callers can explain over-coverage in verbose mode
+  results.mappedProperties = Array.from(coveredSchemaProps);
+  results.relevantSchemaProperties = relevantSchemaProps;
+  results.fieldMappings = Object.fromEntries(dbFieldToSchemaMapping);
 
   // Check for missing required fields in NEPA schema
   const missingRequiredFields = requiredFields.filter(field => 
@@ -174,24 +220,6 @@ function validateTableAgainstSchema(tableName, columns, schemaDefinitions, datab
     results.valid = false;
   }
 
-  // Check for missing required fields in database schema
-  if (databaseSchemaDef && databaseSchemaProperties) {
-    const missingDatabaseFields = databaseRequiredFields.filter(field => 
-      !hasField(columns, field) && !shouldIgnoreField(field)
-    );
-
-    if (missingDatabaseFields.length > 0) {
-      results.errors.push(`Required database fields '${missingDatabaseFields.join(', ')}' missing in crosswalk for table '${tableName}'`);
-      results.valid = false;
-    }
-
-    results.databaseCoverage.found = coveredDatabaseProps.size;
-    
-    // Track unmatched database fields
-    const allDatabaseFields = Object.keys(databaseSchemaProperties).filter(prop => !shouldIgnoreField(prop));
-    results.unmatchedDatabaseFields = allDatabaseFields.filter(field => !coveredDatabaseProps.has(field));
-  }
-
   // Track unmatched schema properties
   results.unmatchedProperties = relevantSchemaProps.filter(prop => !coveredSchemaProps.has(prop));
 
@@ -204,242 +232,121 @@ function validateTableAgainstSchema(tableName, columns, schemaDefinitions, datab
 }
 
 /**
- * Validate a single table from the crosswalk against the NEPA schema
- * @param {string} tableName - Name of the table
- * @param {Array} dbColumns - Array of column objects from crosswalk
- * @param {Object} nepaSchemaDefinitions - Definitions from NEPA schema
- * @param {boolean} suggestions - Whether to show mapping suggestions
- * @returns {Object} Validation results for the table
+ * Check the database crosswalk against the NEPA schema and the DDL without printing
+ * @param {string} crosswalkPath - Path to database crosswalk CSV
+ * @param {Object} options - Check options
+ * @param {string} options.ddlPath - DDL file or directory (default: src/database/schema-v1.0.0.sql)
+ * @returns {Promise<Object>} Results with per-table details, DDL tables missing from the crosswalk and overall coverage
  */
-function validateTable(tableName, dbColumns, nepaSchemaDefinitions, suggestions) {
-  const results = {
-    tableName,
-    valid: true,
-    errors: [],
-    warnings: [],
-    coverage: { found: 0, total: 0, missingRequired: [] }
-  };
-
-  const schemaMapping = getSchemaMapping(tableName);
-  const schemaName = schemaMapping.schemaName;
-  const schemaDefinition = nepaSchemaDefinitions[schemaName];
-
-  if (!schemaDefinition) {
-    results.warnings.push(`No NEPA schema definition found for table: ${tableName} (mapped to: ${schemaName})`);
-    return results;
-  }
+async function checkDatabaseCrosswalk(crosswalkPath = null, options = {}) {
+  const defaultPath = path.join(__dirname, '..', 'src', 'crosswalk', 'database_crosswalk.csv');
+  const targetPath = crosswalkPath || defaultPath;
+  const notices = [];
 
-  const schemaProperties = schemaDefinition.properties || {};
-  const requiredSchemaFields = schemaDefinition.required || [];
+  // Load crosswalk data
+  const crosswalk = await parseCrosswalkCsv(targetPath);
   
-  // Only count non-ignored properties for coverage
-  const relevantSchemaProps = Object.keys(schemaProperties).filter(prop => 
-    !shouldIgnoreField(prop)
-  );
-  results.coverage.total = relevantSchemaProps.length;
-
-  // Create a map of database columns for easier lookup
-  const dbColumnMap = new Map();
-  dbColumns.forEach(col => {
-    dbColumnMap.set(col.column, col);
-    // Also map the schema-mapped version
-    const mappedName = mapDatabaseFieldToSchema(col.column, tableName);
-    if (mappedName !== col.column) {
-      dbColumnMap.set(mappedName, col);
-    }
-  });
-
-  // Enhanced field mapping for specific tables
-  const specificMappings = {
-    'comment': {
-      'parent_document_id': 'related_document_id',
-      'commenter_entity': 'commenter_name',
-      'content_text': 'content',
-      'submission_method': 'method_of_submission',
-      'public_acess': 'public_access' // Handle typo
-    },
-    'decision_element': {
-      'process_model': 'process_model_id',
-      'title': 'element_title',
-      'description': 'element_description'
-    },
-    'engagement': {
-      'parent_process_id': 'related_process_id',
-      'type': 'type',
-      'start_datetime': 'date'
-    },
-    'gis_data': {
-      'format': 'data_type', // From gis_data_element table
-      'coordinate_system': 'coordinate_system' // Should be added to schema
-    },
-    'process_decision_payload': {
-      'process': 'process_id',
-      'payload_data': 'payload_data',
-      'created_date': 'created_date'
-    },
-    'process_instance': {
-      'parent_project_id': 'project_id',
-      'type': 'process_type',
-      'status': 'process_status'
-    }
-  };
-
-  // Check coverage for each schema property
-  for (const propName of relevantSchemaProps) {
-    let found = false;
-    
-    // Direct match
-    if (dbColumnMap.has(propName)) {
-      found = true;
-    }
-    
-    // Check specific mappings for this table
-    if (!found && specificMappings[tableName]) {
-      for (const [dbCol, schemaProp] of Object.entries(specificMappings[tableName])) {
-        if (schemaProp === propName && dbColumnMap.has(dbCol)) {
-          found = true;
-          break;
-        }
-      }
-    }
-    
-    // Check reverse mapping (schema property to database column)
-    if (!found) {
-      for (const col of dbColumns) {
-        const mappedField = mapDatabaseFieldToSchema(col.column, tableName);
-        if (mappedField === propName) {
-          found = true;
-          break;
-        }
-      }
-    }
+  // Load NEPA schema
+  const nepaSchemaPath = path.join(__dirname, '..', 'src', 'jsonschema', 'nepa.schema.json');
+  const nepaSchema = JSON.parse(fs.readFileSync(nepaSchemaPath, 'utf8'));
+  
+  // Load the DDL the crosswalk describes
+  const ddlPath = options.ddlPath || DEFAULT_SCHEMA_SQL_PATH;
+  let ddl = null;
 
-    if (found) {
-      results.coverage.found++;
-    } else if (requiredSchemaFields.includes(propName)) {
-      // Special handling for known mappings that should exist
-      let shouldError = true;
-      
-      if (tableName === 'comment' && propName === 'related_document_id' && dbColumnMap.has('parent_document_id')) {
-        shouldError = false; // This is a valid mapping
-        results.coverage.found++;
-      } else if (tableName === 'decision_element' && propName === 'process_model_id' && dbColumnMap.has('process_model')) {
-        shouldError = false; // This is a valid mapping  
-        results.coverage.found++;
-      } else if (tableName === 'engagement' && propName === 'related_process_id' && dbColumnMap.has('parent_process_id')) {
-        shouldError = false; // This is a valid mapping
-        results.coverage.found++;
-      } else if (tableName === 'gis_data' && propName === 'data_type') {
-        // Check if format field exists in gis_data_element (related table)
-        shouldError = false; // This should be handled through relationships
-        results.coverage.found++;
-      } else if (tableName === 'process_decision_payload' && propName === 'process_id' && dbColumnMap.has('process')) {
-        shouldError = false; // This is a valid mapping
-        results.coverage.found++;
-      } else if (tableName === 'process_instance' && propName === 'project_id' && dbColumnMap.has('parent_project_id')) {
-        shouldError = false; // This is a valid mapping
-        results.coverage.found++;
-      }
-      
-      if (shouldError) {
-        results.errors.push(`Required schema property '${propName}' missing in database table '${tableName}'`);
-        results.valid = false;
-        results.coverage.missingRequired.push(propName);
-      }
-    } else {
-      results.warnings.push(`Schema property '${propName}' not found in database table '${tableName}'`);
-    }
+  try {
+    ddl = loadDdl(ddlPath);
+    notices.push({ level: 'info', message: `DDL loaded: ${ddlPath} (${Object.keys(ddl.tables).length} tables)` });
+  } catch (error) {
+    notices.push({ level: 'warning', message: `Could not load DDL: ${error.message}` });
   }
 
-  // Check for unmapped database columns (reduced noise)
-  for (const column of dbColumns) {
-    const columnName = column.column;
-    if (shouldIgnoreField(columnName)) {
-      continue;
-    }
-
-    const mappedName = mapDatabaseFieldToSchema(columnName, tableName);
-    let hasSchemaMatch = schemaProperties[mappedName] || schemaProperties[columnName];
-    
-    // Check specific mappings
-    if (!hasSchemaMatch && specificMappings[tableName]) {
-      const specificMapping = specificMappings[tableName][columnName];
-      if (specificMapping && schemaProperties[specificMapping]) {
-        hasSchemaMatch = true;
-      }
-    }
-    
-    if (!hasSchemaMatch && !columnName.endsWith('_id') && !columnName.startsWith('parent_')) {
-      results.warnings.push(`Database column '${tableName}.${columnName}' (mapped to '${mappedName}') does not match any property in schema '${schemaName}'`);
+  // Validate each table
+  const tables = Object.entries(crosswalk).map(([tableName, columns]) => validateTableAgainstSchema(
+    tableName, 
+    columns, 
+    nepaSchema.definitions,
+    ddl
+  ));
+
+  // Tables declared in the DDL that the crosswalk does not describe at all
+  const missingTables = ddl
+    ? Object.keys(ddl.tables).filter(tableName => !crosswalk[tableName]).map(tableName => `DDL table '${tableName}' is missing from the crosswalk`)
+    : [];
+
+  const percent = (found, total) => total > 0 ? Math.round((found / total) * 100) : 0;
+  const nepaFound = tables.reduce((sum, r) => sum + r.coverage.found, 0);
+  const nepaTotal = tables.reduce((sum, r) => sum + r.coverage.total, 0);
+  const databaseFound = tables.reduce((sum, r) => sum + r.databaseCoverage.found, 0);
+  const databaseTotal = tables.reduce((sum, r) => sum + r.databaseCoverage.total, 0);
+
+  return {
+    valid: tables.every(r => r.valid) && missingTables.length === 0,
+    crosswalkPath: targetPath,
+    ddlPath,
+    ddlLoaded: ddl !== null,
+    notices,
+    tables,
+    missingTables,
+    coverage: {
+      nepa: { found: nepaFound, total: nepaTotal, percent: percent(nepaFound, nepaTotal) },
+      database: { found: databaseFound, total: databaseTotal, percent: percent(databaseFound, databaseTotal) }
     }
-  }
-
-  return results;
+  };
 }
 
 /**
  * Main validation function
  * @param {string} crosswalkPath - Path to database crosswalk CSV
- * @param {boolean} suggestions - Whether to show mapping suggestions
+ * @param {Object} options - Output options
+ * @param {boolean} options.verbose - Show mapping details and all warnings (defaults to --verbose in argv)
+ * @param {string} options.ddlPath - DDL file or directory to check for drift (default: src/database/schema-v1.0.0.sql)
  * @returns {Promise<boolean>} True if validation succeeds
  */
-async function validateDatabaseCrosswalk(crosswalkPath, suggestions = false) {
+async function validateDatabaseCrosswalk(crosswalkPath, options = {}) {
   try {
+    const verbose = options.verbose !== undefined ? options.verbose : process.argv.includes('--verbose');
     const defaultPath = path.join(__dirname, '..', 'src', 'crosswalk', 'database_crosswalk.csv');
     const targetPath = crosswalkPath || defaultPath;
 
     console.log(`${colors.bold}${colors.blue}=== Validating Database Crosswalk ===${colors.reset}`);
     console.log(`Crosswalk file: ${targetPath}`);
 
-    // Load crosswalk data
-    const crosswalk = await parseCrosswalkCsv(targetPath);
-    
-    // Load NEPA schema
-    const nepaSchemaPath = path.join(__dirname, '..', 'src', 'jsonschema', 'nepa.schema.json');
-    const nepaSchema = JSON.parse(fs.readFileSync(nepaSchemaPath, 'utf8'));
+    const results = await checkDatabaseCrosswalk(targetPath, { ddlPath: options.ddlPath });
+    const allResults = results.tables;
     
-    // Load database schema if it exists
-    const databaseSchemaPath = path.join(__dirname, '..', 'src', 'jsonschema', 'database.schema.json');
-    let databaseSchema = null;
-    
-    if (fs.existsSync(databaseSchemaPath)) {
-      try {
-        databaseSchema = JSON.parse(fs.readFileSync(databaseSchemaPath, 'utf8'));
-        console.log(`Database schema loaded: ${databaseSchemaPath}`);
-      } catch (error) {
-        console.log(`${colors.yellow}Warning: Could not load database schema: ${error.message}${colors.reset}`);
-      }
-    } else {
-      console.log(`${colors.yellow}Info: Database schema not found at ${databaseSchemaPath}${colors.reset}`);
-    }
-
-    const allResults = [];
-    let allValid = true;
-
-    // Validate each table
-    for (const [tableName, columns] of Object.entries(crosswalk)) {
-      const result = validateTableAgainstSchema(
-        tableName, 
-        columns, 
-        nepaSchema.definitions,
-        databaseSchema?.definitions || null
-      );
-      
-      allResults.push(result);
-      
-      if (!result.valid) {
-        allValid = false;
+    console.log(`Loaded ${allResults.length} tables from crosswalk`);
+    results.notices.forEach(notice => {
+      if (notice.level === 'info') {
+        console.log(notice.message);
+      } else {
+        console.log(`${colors.yellow}Warning: ${notice.message}${colors.reset}`);
       }
+    });
 
+    for (const result of allResults) {
       // Print table results
       const statusIcon = result.valid ? '✅' : '❌';
       const statusText = result.valid ? 'VALID' : 'INVALID';
       
-      console.log(`\nTable: ${colors.bold}${tableName}${colors.reset} - ${statusIcon} ${statusText}`);
+      console.log(`\nTable: ${colors.bold}${result.tableName}${colors.reset} - ${statusIcon} ${statusText}`);
       console.log(`  Schema Coverage: ${result.coverage.found}/${result.coverage.total} properties found`);
       
-      if (databaseSchema && result.databaseCoverage.total > 0) {
-        console.log(`  Database Coverage: ${result.databaseCoverage.found}/${result.databaseCoverage.total} fields found`);
+      if (results.ddlLoaded && result.databaseCoverage.total > 0) {
+        console.log(`  Database Coverage: ${result.databaseCoverage.found}/${result.databaseCoverage.total} columns found`);
+      }
+
+      // Debug logging for over-coverage (only in verbose mode)
+      if (verbose && result.mappedProperties && result.mappedProperties.length > result.coverage.total) {
+        console.log(`  ${colors.yellow}Debug: Found ${result.mappedProperties.length} mapped properties but schema only has ${result.coverage.total} relevant properties${colors.reset}`);
+        console.log(`  ${colors.cyan}Mapped properties: ${result.mappedProperties.join(', ')}${colors.reset}`);
+        console.log(`  ${colors.cyan}Schema properties: ${result.relevantSchemaProperties.join(', ')}${colors.reset}`);
+        
+        // Show mapping details
+        console.log(`  ${colors.magenta}Database field mappings:${colors.reset}`);
+        for (const [dbField, schemaField] of Object.entries(result.fieldMappings)) {
+          console.log(`    ${dbField} → ${schemaField}`);
+        }
       }
 
       // Print errors
@@ -449,6 +356,20 @@ async function validateDatabaseCrosswalk(crosswalkPath, suggestions = false) {
         });
       }
 
+      // Print invalid crosswalk mappings
+      if (result.mappingErrors && result.mappingErrors.length > 0) {
+        result.mappingErrors.forEach(error => {
+          console.log(`  ${colors.red}Mapping Error: ${error}${colors.reset}`);
+        });
+      }
+
+      // Print drift between the crosswalk and the DDL
+      if (result.driftErrors && result.driftErrors.length > 0) {
+        result.driftErrors.forEach(drift => {
+          console.log(`  ${colors.red}Drift Error: ${drift.message}${drift.row ? ` (row ${drift.row})` : ''}${colors.reset}`);
+        });
+      }
+
       // Print important warnings (always shown)
       if (result.importantWarnings && result.importantWarnings.length > 0) {
         result.importantWarnings.forEach(warning => {
@@ -466,11 +387,6 @@ async function validateDatabaseCrosswalk(crosswalkPath, suggestions = false) {
         console.log(`  Unmatched Schema Properties: ${colors.magenta}${result.unmatchedProperties.join(', ')}${colors.reset}`);
       }
 
-      // Print unmatched database fields (if database schema available)
-      if (result.unmatchedDatabaseFields && result.unmatchedDatabaseFields.length > 0) {
-        console.log(`  Unmatched Database Fields: ${colors.cyan}${result.unmatchedDatabaseFields.join(', ')}${colors.reset}`);
-      }
-
       // Print mapping warnings (now shown by default)
       if (result.mappingWarnings && result.mappingWarnings.length > 0) {
         result.mappingWarnings.forEach(warning => {
@@ -479,7 +395,7 @@ async function validateDatabaseCrosswalk(crosswalkPath, suggestions = false) {
       }
 
       // Print additional warnings in verbose mode
-      if (process.argv.includes('--verbose') && result.warnings.length > 0) {
+      if (verbose && result.warnings.length > 0) {
         result.warnings.forEach(warning => {
           console.log(`  ${colors.magenta}Verbose Warning: ${warning}${colors.reset}`);
         });
@@ -489,10 +405,13 @@ async function validateDatabaseCrosswalk(crosswalkPath, suggestions = false) {
     // Print summary
     console.log(`\n${colors.bold}${colors.blue}=== Crosswalk Validation Summary ===${colors.reset}`);
     
-    const validTables = allResults.filter(r => r.valid).length;
     const totalTables = allResults.length;
+
+    results.missingTables.forEach(error => {
+      console.log(`${colors.red}Drift Error: ${error}${colors.reset}`);
+    });
     
-    if (allValid) {
+    if (results.valid) {
       console.log('All mapped tables are valid against the schema structure.');
     } else {
       console.log(`${colors.yellow}Some tables have structural discrepancies with the schema.${colors.reset}`);
@@ -500,26 +419,19 @@ async function validateDatabaseCrosswalk(crosswalkPath, suggestions = false) {
       const invalidTables = allResults.filter(r => !r.valid);
       console.log(`\n${colors.red}Invalid tables (${invalidTables.length}/${totalTables}):${colors.reset}`);
       invalidTables.forEach(result => {
-        console.log(`  - ${result.tableName}: ${result.errors.length} errors`);
+        console.log(`  - ${result.tableName}: ${result.errors.length + result.mappingErrors.length + result.driftErrors.length} errors`);
       });
     }
 
     // Overall coverage statistics
-    const totalNepaFound = allResults.reduce((sum, r) => sum + r.coverage.found, 0);
-    const totalNepaPossible = allResults.reduce((sum, r) => sum + r.coverage.total, 0);
-    const overallNepaCoverage = Math.round((totalNepaFound / totalNepaPossible) * 100);
-    
-    console.log(`\nNEPA Schema Coverage: ${totalNepaFound}/${totalNepaPossible} properties (${overallNepaCoverage}%)`);
+    const { nepa, database } = results.coverage;
+    console.log(`\nNEPA Schema Coverage: ${nepa.found}/${nepa.total} properties (${nepa.percent}%)`);
     
-    if (databaseSchema) {
-      const totalDbFound = allResults.reduce((sum, r) => sum + r.databaseCoverage.found, 0);
-      const totalDbPossible = allResults.reduce((sum, r) => sum + r.databaseCoverage.total, 0);
-      const overallDbCoverage = totalDbPossible > 0 ? Math.round((totalDbFound / totalDbPossible) * 100) : 0;
-      
-      console.log(`Database Schema Coverage: ${totalDbFound}/${totalDbPossible} fields (${overallDbCoverage}%)`);
+    if (results.ddlLoaded) {
+      console.log(`Database Schema Coverage: ${database.found}/${database.total} columns (${database.percent}%)`);
     }
 
-    return allValid;
+    return results.valid;
 
   } catch (error) {
     console.error(`${colors.red}Error during validation: ${error.message}${colors.reset}`);
@@ -532,6 +444,7 @@ async function validateDatabaseCrosswalk(crosswalkPath, suggestions = false) {
 
 /**
  * Generate mapping suggestions for unmapped columns
+ * Prints candidate schema_property values for crosswalk rows that have none
  * @param {string} csvPath - Path to crosswalk CSV
  * @returns {Promise<void>}
  */
@@ -542,15 +455,30 @@ async function generateMappingSuggestions(csvPath = null) {
   console.log(`${colors.bold}${colors.blue}=== Mapping Suggestions ===${colors.reset}`);
 
   const crosswalk = await parseCrosswalkCsv(targetPath);
+  const nepaSchemaPath = path.join(__dirname, '..', 'src', 'jsonschema', 'nepa.schema.json');
+  const nepaSchema = JSON.parse(fs.readFileSync(nepaSchemaPath, 'utf8'));
   
-  console.log(`\nSuggested additions to field mappings:`);
+  console.log(`\nSuggested schema_property values for unmapped crosswalk columns:`);
   
   for (const [tableName, columns] of Object.entries(crosswalk)) {
-    console.log(`\n// ${tableName} table mappings:`);
-    for (const column of columns) {
-      if (!['id', 'created_at', 'updated_at', 'other'].includes(column.column)) {
-        console.log(`'${column.column}': '${column.column}', // ${column.description || 'No description'}`);
-      }
+    const schemaName = columns.map(column => column.schema_entity).find(Boolean) || getSchemaMapping(tableName).schemaName;
+    const schemaProperties = nepaSchema.definitions[schemaName]?.properties || {};
+    const mappedProperties = new Set(columns.map(column => column.schema_property || mapDatabaseFieldToSchema(column.column, tableName)));
+    const unmapped = columns.filter(column => 
+      !column.schema_property && !shouldIgnoreField(column.column) && !schemaProperties[column.column]
+    );
+
+    if (unmapped.length === 0) continue;
+
+    console.log(`\n# ${tableName} (schema_entity: ${schemaName})`);
+    for (const column of unmapped) {
+      // Candidates are unmapped schema properties that share a word with the column name
+      const words = column.column.split('_').filter(word => word.length > 2 && word !== 'id');
+      const candidates = Object.keys(schemaProperties).filter(prop => 
+        !mappedProperties.has(prop) && words.some(word => prop.includes(word))
+      );
+      const suggestion = candidates.length > 0 ? candidates.join(' | ') : '(no matching property)';
+      console.log(`${tableName},${column.column} → ${suggestion}  // ${column.description || 'No description'}`);
     }
   }
 }
@@ -558,6 +486,9 @@ async function generateMappingSuggestions(csvPath = null) {
 // Export functions
 module.exports = {
   parseCrosswalkCsv,
+  checkDatabaseCrosswalk,
+  validateTableAgainstSchema,
+  findDdlDrift,
   validateDatabaseCrosswalk,
   generateMappingSuggestions
 };
@@ -568,12 +499,13 @@ if (require.main === module) {
   
   if (args.includes('--help') || args.includes('-h')) {
     console.log(`${colors.bold}Database Crosswalk Validator${colors.reset}`);
-    console.log(`\nValidates database schema alignment with NEPA JSON schema`);
+    console.log(`\nValidates database schema alignment with NEPA JSON schema and the SQL DDL`);
     console.log(`\nUsage:`);
     console.log(`  node validate-database-crosswalk.js [path/to/crosswalk.csv]`);
     console.log(`  node validate-database-crosswalk.js --suggestions`);
     console.log(`\nOptions:`);
     console.log(`  --suggestions  Generate mapping suggestions for unmapped columns`);
+    console.log(`  --ddl <file>   DDL file or directory to check for drift (default: src/database/schema-v1.0.0.sql)`);
     console.log(`\nDefault crosswalk file: src/crosswalk/database_crosswalk.csv`);
     process.exit(0);
   }
@@ -590,11 +522,13 @@ if (require.main === module) {
         process.exit(1);
       });
   } else {
-    // Get the CSV path - either specified or default
-    const csvPath = args.find(arg => !arg.startsWith('--')) || 
+    // Get the CSV path - either specified or default (skipping the --ddl value)
+    const ddlIndex = args.indexOf('--ddl');
+    const ddlPath = ddlIndex >= 0 ? args[ddlIndex + 1] : undefined;
+    const csvPath = args.find((arg, index) => !arg.startsWith('--') && index !== ddlIndex + 1) || 
                     path.join(__dirname, '..', 'src', 'crosswalk', 'database_crosswalk.csv');
     
-    validateDatabaseCrosswalk(csvPath)
+    validateDatabaseCrosswalk(csvPath, { ddlPath })
       .then((success) => {
         printSummary(success, 'database crosswalk validation');
         process.exit(success ? 0 : 1);
@@ -3,7 +3,14 @@
  * Ensures all example files in the repository are valid
  */
 const path = require('path');
-const ValidationUtils = require('./utils/validation-utils');
+const {
+  ValidationUtils,
+  createValidator,
+  loadNepaSchema,
+  loadJsonFile,
+  findJsonFiles,
+  PATHS
+} = require('./utils/validation-utils');
 
 /**
  * Check if an error is a GIS purpose enum error (known false positive)
@@ -35,7 +42,7 @@ function filterKnownFalsePositives(errors) {
 function validateJsonFileEnhanced(filePath, validator) {
   try {
     console.log(`Validating: ${filePath}`);
-    const data = ValidationUtils.loadJsonFile(filePath);
+    const data = loadJsonFile(filePath);
     if (!data) {
       return false;
     }
@@ -128,22 +135,21 @@ function validateFilesEnhanced(files, validator, context = 'files') {
  */
 function validateExamples(examplesDir = null) {
   // Default examples directory
-  const defaultExamplesDir = path.join(__dirname, '..', 'src', 'jsonschema', 'examples');
-  const targetDir = examplesDir || defaultExamplesDir;
+  const targetDir = examplesDir || PATHS.EXAMPLES_DIR;
   
   // Initialize validator
-  const ajv = ValidationUtils.createValidator();
+  const ajv = createValidator();
   
   // Load NEPA schema
-  const validator = ValidationUtils.loadNepaSchema(ajv);
+  const validator = loadNepaSchema(ajv);
   if (!validator) {
     console.error('Failed to load NEPA schema for examples validation');
     return false;
   }
   
   // Find and validate example files
-  const exampleFiles = ValidationUtils.findJsonFiles(targetDir);
-  const context = path.relative(path.join(__dirname, '..'), targetDir);
+  const exampleFiles = findJsonFiles(targetDir);
+  const context = path.relative(PATHS.PROJECT_ROOT, targetDir);
   
   return validateFilesEnhanced(exampleFiles, validator, context);
 }
@@ -156,8 +162,8 @@ function main() {
   console.log('🔧 Note: GIS container_inventory/purpose enum validation is automatically filtered due to schema enum limitations');
   
   const exampleDirs = [
-    path.join(__dirname, '..', 'src', 'jsonschema', 'examples'),
-    path.join(__dirname, '..', 'src', 'json')
+    PATHS.EXAMPLES_DIR,
+    PATHS.JSON_DIR
   ];
   
   let allValid = true;
@@ -1,25 +1,31 @@
+const fs = require('fs');
 const path = require('path');
-const { ValidationUtils } = require('./utils/validation-utils'); // Destructure ValidationUtils
+const { ValidationUtils, NEPA_RECORD_TYPES, PATHS } = require('./utils/validation-utils');
 
-function validateJsonFiles() {
+// Directories searched for JSON datasets when none are given
+const DEFAULT_SEARCH_DIRS = [
+  PATHS.JSON_DIR,
+  path.join(PATHS.SRC_DIR, 'sample-data'),
+  path.join(PATHS.PROJECT_ROOT, 'examples'),
+  path.join(PATHS.PROJECT_ROOT, 'test', 'data'),
+  path.join(PATHS.PROJECT_ROOT, 'data')
+];
+
+/**
+ * Validate every JSON dataset found in the search directories against the NEPA schema
+ * @param {Array<string>} searchDirs - Directories to search (default: DEFAULT_SEARCH_DIRS)
+ * @returns {boolean} True if all files are valid
+ */
+function validateJsonFiles(searchDirs = DEFAULT_SEARCH_DIRS) {
   const utils = new ValidationUtils({ strict: false });
   
   utils.log('🔍 Starting JSON validation process...');
   
   // Load NEPA schema
-  const schemaPath = path.join(__dirname, '../src/jsonschema/nepa.schema.json');
+  const schemaPath = PATHS.NEPA_SCHEMA;
   const validate = utils.loadSchema(schemaPath);
   utils.log(`📋 Schema loaded: ${schemaPath}`);
   
-  // Search directories for JSON files
-  const searchDirs = [
-    path.join(__dirname, '../src/json'),
-    path.join(__dirname, '../src/sample-data'),
-    path.join(__dirname, '../examples'),
-    path.join(__dirname, '../test/data'),
-    path.join(__dirname, '../data')
-  ];
-  
   const jsonFiles = utils.findFiles(
     searchDirs, 
     ['.json'], 
@@ -31,19 +37,14 @@ function validateJsonFiles() {
   if (jsonFiles.length === 0) {
     utils.log('ℹ️  No JSON data files found to validate. Searched in:');
     searchDirs.forEach(dir => {
-      utils.log(`   - ${dir} ${require('fs').existsSync(dir) ? '(exists)' : '(not found)'}`);
+      utils.log(`   - ${dir} ${fs.existsSync(dir) ? '(exists)' : '(not found)'}`);
     });
     utils.log('✅ Schema validation completed successfully - no data files to validate');
-    return;
+    return true;
   }
 
   // NEPA schema record types
-  const nepaRecordTypes = [
-    'projects', 'processes', 'documents', 'public_comments',
-    'public_engagement_events', 'case_events', 'gis_data',
-    'user_roles', 'legal_structures', 'decision_elements',
-    'process_models', 'decision_payloads'
-  ];
+  const nepaRecordTypes = NEPA_RECORD_TYPES;
 
   // Validate files
   const results = [];
@@ -68,8 +69,12 @@ function validateJsonFiles() {
     }
   }
 
-  const success = utils.printSummary(results, totalRecords, recordCounts);
-  process.exit(success ? 0 : 1);
+  return utils.printSummary(results, totalRecords, recordCounts);
+}
+
+// Run validation if called directly
+if (require.main === module) {
+  process.exit(validateJsonFiles() ? 0 : 1);
 }
 
-validateJsonFiles();
+module.exports = { validateJsonFiles, DEFAULT_SEARCH_DIRS };
@@ -5,16 +5,55 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
-const { ValidationUtils, colors, ensureDirectory } = require('./utils/validation-utils');
+const { ValidationUtils, colors } = require('./utils/validation-utils');
 const { 
   shouldIgnoreField, 
   mapDatabaseFieldToSchema, 
+  loadCrosswalkMappings,
   OPENAPI_TO_SCHEMA_MAP 
 } = require('./utils/mapping-utils');
 const { loadDatabaseCrosswalk } = require('./utils/csv-utils');
+const { getCollectionDefinitions } = require('./utils/schema-utils');
+const { loadSchemaRegistry } = require('./utils/version-utils');
+const {
+  SWAGGER2_FIELDS,
+  HTTP_METHODS,
+  NEPA_API_EXTENSION,
+  isNepaApiSpec,
+  isSwagger2,
+  getSchemaDefinitions,
+  getSchemaDefinitionsPointer,
+  getResponseSchema,
+  resolveRef,
+  dereference
+} = require('./utils/openapi-utils');
+
+/**
+ * Collect every $ref in a spec with the JSON Pointer where it appears
+ * @param {*} node - Spec or nested value
+ * @param {string} pointer - Pointer of node
+ * @param {Array<Object>} refs - Collected { ref, pointer } (appended to)
+ * @returns {Array<Object>} refs
+ */
+function collectRefs(node, pointer = '', refs = []) {
+  if (Array.isArray(node)) {
+    node.forEach((child, index) => collectRefs(child, `${pointer}/${index}`, refs));
+  } else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '$ref' && typeof value === 'string') {
+        refs.push({ ref: value, pointer });
+      } else {
+        collectRefs(value, `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`, refs);
+      }
+    }
+  }
+  return refs;
+}
 
 /**
  * Validate OpenAPI specification structure
+ * Accepts both Swagger 2.0 and OpenAPI 3.x; specs with the 2.0 shape (including Supabase specs
+ * that declare "openapi: 3.0.0" but use 2.0 fields) get a warning pointing at the converter
  * @param {Object} openApiSpec - Parsed OpenAPI specification
  * @returns {Object} Validation results
  */
@@ -26,7 +65,7 @@ function validateOpenApiStructure(openApiSpec) {
   };
   
   // Check required OpenAPI fields
-  const requiredFields = ['openapi', 'info', 'paths'];
+  const requiredFields = [openApiSpec.swagger ? 'swagger' : 'openapi', 'info', 'paths'];
   for (const field of requiredFields) {
     if (!openApiSpec[field]) {
       results.errors.push(`Missing required OpenAPI field: ${field}`);
@@ -34,22 +73,97 @@ function validateOpenApiStructure(openApiSpec) {
     }
   }
   
-  // Check OpenAPI version
-  if (openApiSpec.openapi && !openApiSpec.openapi.startsWith('3.')) {
+  // Check OpenAPI version and shape
+  const swagger2Fields = SWAGGER2_FIELDS.filter(field => openApiSpec[field] !== undefined);
+  if (openApiSpec.swagger) {
+    results.warnings.push(`Swagger ${openApiSpec.swagger} specification - convert it to OpenAPI 3.1 with 'pic openapi-upgrade'`);
+  } else if (openApiSpec.openapi && !String(openApiSpec.openapi).startsWith('3.')) {
     results.warnings.push(`OpenAPI version ${openApiSpec.openapi} - consider upgrading to 3.x`);
+  } else if (isSwagger2(openApiSpec)) {
+    results.warnings.push(`Declares OpenAPI ${openApiSpec.openapi} but uses Swagger 2.0 fields (${swagger2Fields.join(', ')}) - convert it to OpenAPI 3.1 with 'pic openapi-upgrade'`);
+  } else if (swagger2Fields.length > 0) {
+    results.warnings.push(`Swagger 2.0 fields in an OpenAPI 3.x specification are ignored: ${swagger2Fields.join(', ')}`);
   }
-  
-  // Check for deprecated fields (common in Supabase-generated specs)
-  const deprecatedFields = ['host', 'basePath', 'schemes', 'consumes', 'produces'];
-  for (const field of deprecatedFields) {
-    if (openApiSpec[field]) {
-      results.warnings.push(`Deprecated OpenAPI 2.0 field found: ${field} - should be updated for OpenAPI 3.x`);
+
+  // A 3.x spec must describe bodies with requestBody and content
+  if (!isSwagger2(openApiSpec)) {
+    for (const [apiPath, pathItem] of Object.entries(openApiSpec.paths || {})) {
+      for (const [method, operation] of Object.entries(pathItem || {})) {
+        if (!HTTP_METHODS.includes(method)) continue;
+        const bodyParameters = (operation.parameters || []).filter(parameter => ['body', 'formData'].includes(parameter.in));
+        if (bodyParameters.length > 0) {
+          results.warnings.push(`${method.toUpperCase()} ${apiPath}: '${bodyParameters[0].in}' parameters are Swagger 2.0; use requestBody`);
+        }
+        Object.entries(operation.responses || {}).filter(([, response]) => response.schema).forEach(([status]) => {
+          results.warnings.push(`${method.toUpperCase()} ${apiPath}: response ${status} has a Swagger 2.0 schema; use content`);
+        });
+      }
+    }
+  }
+
+  // Every local reference must resolve
+  for (const { ref, pointer } of collectRefs(openApiSpec)) {
+    if (ref.startsWith('#/') && resolveRef(openApiSpec, ref) === undefined) {
+      results.errors.push(`Unresolved $ref '${ref}' at ${pointer}`);
+      results.valid = false;
     }
   }
   
   return results;
 }
 
+/**
+ * Validate a NEPA-native exchange API spec (generate-api-spec.js) against nepa.schema.json
+ * Its schemas are $refs into the schema itself, so instead of comparing columns this checks
+ * that every external $ref resolves in the schema and every collection has a resource
+ * @param {Object} openApiSpec - Parsed OpenAPI specification
+ * @param {Object} nepaSchema - Parsed nepa.schema.json
+ * @param {Object} options - Location options
+ * @param {string} options.specPath - Spec file (relative $refs resolve from its directory)
+ * @param {string} options.schemaPath - nepa.schema.json file
+ * @returns {Object} Validation results with errors, warnings and the number of collections covered
+ */
+function validateNepaApiSpec(openApiSpec, nepaSchema, options = {}) {
+  const results = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    collections: 0
+  };
+
+  // External $refs must point into nepa.schema.json, by $id or by relative path
+  const baseDir = options.specPath ? path.dirname(options.specPath) : process.cwd();
+  for (const { ref, pointer } of collectRefs(openApiSpec)) {
+    if (ref.startsWith('#')) continue;
+    const [document, fragment = ''] = ref.split('#');
+    const isSchema = document === nepaSchema.$id ||
+      (Boolean(options.schemaPath) && !/^[a-z]+:/i.test(document) && path.resolve(baseDir, document) === path.resolve(options.schemaPath));
+    if (!isSchema) {
+      results.errors.push(`$ref '${ref}' at ${pointer} does not point at nepa.schema.json`);
+    } else if (fragment && resolveRef(nepaSchema, `#${fragment}`) === undefined) {
+      results.errors.push(`$ref '${ref}' at ${pointer} does not resolve in nepa.schema.json`);
+    }
+  }
+
+  // Every collection of the standard needs its resource
+  for (const collection of Object.keys(getCollectionDefinitions(nepaSchema))) {
+    if (openApiSpec.paths && openApiSpec.paths[`/${collection}`]) {
+      results.collections++;
+    } else {
+      results.errors.push(`No /${collection} resource for the ${collection} collection`);
+    }
+  }
+
+  const specVersion = openApiSpec.info[NEPA_API_EXTENSION];
+  const currentVersion = loadSchemaRegistry().current;
+  if (specVersion !== currentVersion) {
+    results.warnings.push(`Describes standard version ${specVersion} but the current release is ${currentVersion} - regenerate it with 'pic schema openapi'`);
+  }
+
+  results.valid = results.errors.length === 0;
+  return results;
+}
+
 /**
  * Simple command line argument parser.
  * @param {string[]} argv - The process.argv array.
@@ -98,7 +212,7 @@ function extractTablesFromOpenApi(openApiSpec) {
     tables[tableName].paths.push(path);
     
     // Extract HTTP methods and parameters
-    for (const [method, methodSpec] of Object.entries(methods)) {
+    for (const [method, methodSpec] of Object.entries(methods || {})) {
       if (['get', 'post', 'patch', 'delete'].includes(method)) {
         tables[tableName].methods.push(method);
         
@@ -118,15 +232,13 @@ function extractTablesFromOpenApi(openApiSpec) {
           });
         }
         
-        // Also check if there are query parameters defined elsewhere
-        if (methodSpec.responses && methodSpec.responses['200'] && methodSpec.responses['200'].schema) {
-          const responseSchema = methodSpec.responses['200'].schema;
-          if (responseSchema.items && responseSchema.items.properties) {
-            // Extract field names from response schema
-            Object.keys(responseSchema.items.properties).forEach(fieldName => {
-              tables[tableName].parameters.add(fieldName);
-            });
-          }
+        // Also collect the columns of the response rows (schema in 2.0, content in 3.x)
+        const responseSchema = dereference(openApiSpec, getResponseSchema(methodSpec.responses && methodSpec.responses['200']));
+        const rowSchema = responseSchema && dereference(openApiSpec, responseSchema.items);
+        if (rowSchema && rowSchema.properties) {
+          Object.keys(rowSchema.properties).forEach(fieldName => {
+            tables[tableName].parameters.add(fieldName);
+          });
         }
       }
     }
@@ -204,9 +316,11 @@ function validateTableAgainstCrosswalk(tableName, tableInfo, crosswalk) {
  * @param {string} definitionName - Name of the definition
  * @param {Object} definition - OpenAPI definition
  * @param {Object} nepaDefinitions - NEPA schema definitions
+ * @param {Object} options - Validation options
+ * @param {string} options.crosswalkPath - Crosswalk whose schema_entity maps tables to definitions
  * @returns {Object} Validation results
  */
-function validateDefinitionAgainstSchema(definitionName, definition, nepaDefinitions) {
+function validateDefinitionAgainstSchema(definitionName, definition, nepaDefinitions, options = {}) {
   const results = {
     definitionName,
     valid: true,
@@ -215,16 +329,18 @@ function validateDefinitionAgainstSchema(definitionName, definition, nepaDefinit
     coverage: { found: 0, total: 0 }
   };
 
-  // Map OpenAPI definition name to NEPA schema definition
-  const schemaMapping = OPENAPI_TO_SCHEMA_MAP[definitionName];
-  if (!schemaMapping) {
+  // Map OpenAPI definition name to NEPA schema definition (the crosswalk's schema_entity first)
+  const crosswalkTable = loadCrosswalkMappings(options.crosswalkPath).tables[definitionName];
+  const schemaName = (crosswalkTable && crosswalkTable.schemaEntity) ||
+    (OPENAPI_TO_SCHEMA_MAP[definitionName] && OPENAPI_TO_SCHEMA_MAP[definitionName].schema);
+  if (!schemaName) {
     results.warnings.push(`No schema mapping found for OpenAPI definition: ${definitionName}`);
     return results;
   }
 
-  const nepaDefinition = nepaDefinitions[schemaMapping.schema];
+  const nepaDefinition = nepaDefinitions[schemaName];
   if (!nepaDefinition) {
-    results.errors.push(`NEPA schema definition not found: ${schemaMapping.schema}`);
+    results.errors.push(`NEPA schema definition not found: ${schemaName}`);
     results.valid = false;
     return results;
   }
@@ -242,7 +358,7 @@ function validateDefinitionAgainstSchema(definitionName, definition, nepaDefinit
     
     if (apiProperties[propName]) {
       fieldFound = true;
-    } else if (!requiredFields.includes(propName) && !shouldIgnoreField(propName)) {
+    } else if (!shouldIgnoreField(propName)) {
       // Check if field exists with different name mapping
       for (const [apiField, apiDef] of Object.entries(apiProperties)) {
         const mappedField = mapDatabaseFieldToSchema(apiField, definitionName);
@@ -274,6 +390,92 @@ function validateDefinitionAgainstSchema(definitionName, definition, nepaDefinit
   return results;
 }
 
+/**
+ * Check OpenAPI files against the crosswalk and NEPA schema without printing
+ * @param {string} openApiDir - Directory containing OpenAPI files
+ * @param {string} crosswalkPath - Path to database crosswalk CSV
+ * @returns {Promise<Object>} Results with per-file structure, table and definition details
+ */
+async function checkOpenApiFiles(openApiDir = null, crosswalkPath = null) {
+  const targetDir = openApiDir || path.join(__dirname, '..', 'src', 'openapi');
+  const targetCrosswalk = crosswalkPath || path.join(__dirname, '..', 'src', 'crosswalk', 'database_crosswalk.csv');
+  const utils = new ValidationUtils({ verbose: false });
+
+  if (!fs.existsSync(targetDir)) {
+    throw new Error(`Directory not found: ${targetDir}`);
+  }
+
+  // Load database crosswalk for comparison
+  const crosswalk = await loadDatabaseCrosswalk(targetCrosswalk);
+
+  // Load NEPA schema for comparison
+  const schemaPath = path.join(__dirname, '..', 'src', 'jsonschema', 'nepa.schema.json');
+  const nepaSchema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  const nepaDefinitions = nepaSchema.definitions || {};
+
+  // Find OpenAPI files
+  const openApiFiles = utils.findFiles([targetDir], ['.yaml', '.yml', '.json'], ['test']);
+  const files = [];
+
+  for (const filePath of openApiFiles) {
+    const fileResult = {
+      filePath,
+      fileName: path.basename(filePath),
+      valid: true,
+      structure: null,
+      tables: [],
+      definitions: [],
+      definitionsPointer: null,
+      standard: null,
+      errors: []
+    };
+
+    try {
+      const openApiSpec = utils.parseFile(filePath);
+
+      // Validate basic OpenAPI structure
+      fileResult.structure = validateOpenApiStructure(openApiSpec);
+
+      // NEPA-native specs reference the schema directly and have no tables to compare
+      if (isNepaApiSpec(openApiSpec)) {
+        fileResult.standard = validateNepaApiSpec(openApiSpec, nepaSchema, { specPath: filePath, schemaPath });
+        fileResult.valid = fileResult.structure.valid && fileResult.standard.valid;
+        files.push(fileResult);
+        continue;
+      }
+
+      // Extract and validate table information against crosswalk
+      const tables = extractTablesFromOpenApi(openApiSpec);
+      for (const [tableName, tableInfo] of Object.entries(tables)) {
+        fileResult.tables.push(validateTableAgainstCrosswalk(tableName, tableInfo, crosswalk));
+      }
+
+      // Validate schema definitions (definitions in 2.0, components.schemas in 3.x)
+      fileResult.definitionsPointer = getSchemaDefinitionsPointer(openApiSpec);
+      for (const [definitionName, definition] of Object.entries(getSchemaDefinitions(openApiSpec))) {
+        fileResult.definitions.push(validateDefinitionAgainstSchema(definitionName, definition, nepaDefinitions, { crosswalkPath: targetCrosswalk }));
+      }
+
+      fileResult.valid = fileResult.structure.valid &&
+        fileResult.tables.every(result => result.valid) &&
+        fileResult.definitions.every(result => result.valid);
+    } catch (err) {
+      fileResult.valid = false;
+      fileResult.errors.push(err.message);
+    }
+
+    files.push(fileResult);
+  }
+
+  return {
+    valid: files.every(file => file.valid),
+    openApiDir: targetDir,
+    crosswalkPath: targetCrosswalk,
+    crosswalkTables: Object.keys(crosswalk).length,
+    files
+  };
+}
+
 /**
  * Main validation function for OpenAPI files
  * @param {string} openApiDir - Directory containing OpenAPI files
@@ -281,97 +483,65 @@ function validateDefinitionAgainstSchema(definitionName, definition, nepaDefinit
  * @returns {Promise<boolean>} True if validation succeeds
  */
 async function validateOpenApiFiles(openApiDir, crosswalkPath) {
-  const utils = new ValidationUtils();
-  
   console.log(`${colors.bold}${colors.blue}=== Validating OpenAPI Files ===${colors.reset}`);
   console.log(`OpenAPI directory: ${openApiDir}`);
   console.log(`Database crosswalk: ${crosswalkPath}`);
 
   try {
-    // Ensure directories exist
-    if (!ensureDirectory(openApiDir)) {
-      throw new Error(`Directory not found: ${openApiDir}`);
-    }
-    
-    if (!ensureDirectory(path.dirname(crosswalkPath))) {
-      throw new Error(`Directory not found: ${path.dirname(crosswalkPath)}`);
-    }
+    const results = await checkOpenApiFiles(openApiDir, crosswalkPath);
+    const validationResults = [];
 
-    // Load database crosswalk for comparison
-    const crosswalk = await loadDatabaseCrosswalk(crosswalkPath);
-    console.log(`Loaded crosswalk data for ${Object.keys(crosswalk).length} tables`);
+    console.log(`Loaded crosswalk data for ${results.crosswalkTables} tables`);
+    console.log(`\nFound ${results.files.length} OpenAPI files`);
 
-    // Load NEPA schema for comparison
-    const schemaPath = path.join(__dirname, '..', 'src', 'jsonschema', 'nepa.schema.json');
-    const nepaSchema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
-    const nepaDefinitions = nepaSchema.definitions || {};
+    for (const fileResult of results.files) {
+      console.log(`\n${colors.bold}Validating: ${fileResult.fileName}${colors.reset}`);
 
-    // Find OpenAPI files
-    const openApiFiles = utils.findFiles([openApiDir], ['.yaml', '.yml', '.json'], ['test']);
-    
-    console.log(`\nFound ${openApiFiles.length} OpenAPI files`);
+      if (fileResult.errors.length > 0) {
+        fileResult.errors.forEach(error => {
+          console.error(`${colors.red}Error processing file ${fileResult.fileName}: ${error}${colors.reset}`);
+        });
+        continue;
+      }
 
-    let allValid = true;
-    const validationResults = [];
+      const structureResult = fileResult.structure;
+      if (!structureResult.valid) {
+        console.log(`${colors.red}❌ Invalid OpenAPI structure${colors.reset}`);
+        structureResult.errors.forEach(error => console.log(`    ${colors.red}Error: ${error}${colors.reset}`));
+      }
+      
+      structureResult.warnings.forEach(warning => console.log(`    ${colors.yellow}Warning: ${warning}${colors.reset}`));
 
-    for (const filePath of openApiFiles) {
-      const fileName = path.basename(filePath);
-      console.log(`\n${colors.bold}Validating: ${fileName}${colors.reset}`);
+      if (fileResult.standard) {
+        validationResults.push({ ...fileResult.standard, definitionName: fileResult.fileName });
+        console.log(`  NEPA exchange API: ${fileResult.standard.collections} collections`);
+        fileResult.standard.warnings.forEach(warning => console.log(`    ${colors.yellow}Warning: ${warning}${colors.reset}`));
+        fileResult.standard.errors.forEach(error => console.log(`    ${colors.red}Error: ${error}${colors.reset}`));
+      }
 
-      try {
-        const openApiSpec = utils.parseFile(filePath);
+      for (const crosswalkResult of fileResult.tables) {
+        validationResults.push(crosswalkResult);
         
-        // Validate basic OpenAPI structure
-        const structureResult = validateOpenApiStructure(openApiSpec);
-        if (!structureResult.valid) {
-          allValid = false;
-          console.log(`${colors.red}❌ Invalid OpenAPI structure${colors.reset}`);
-          structureResult.errors.forEach(error => console.log(`    ${colors.red}Error: ${error}${colors.reset}`));
-        }
+        const coverage = crosswalkResult.coverage.total > 0 
+          ? ((crosswalkResult.coverage.found / crosswalkResult.coverage.total) * 100).toFixed(1)
+          : '0';
         
-        structureResult.warnings.forEach(warning => console.log(`    ${colors.yellow}Warning: ${warning}${colors.reset}`));
-
-        // Extract and validate table information against crosswalk
-        const tables = extractTablesFromOpenApi(openApiSpec);
-        for (const [tableName, tableInfo] of Object.entries(tables)) {
-          const crosswalkResult = validateTableAgainstCrosswalk(tableName, tableInfo, crosswalk);
-          validationResults.push(crosswalkResult);
-          
-          if (!crosswalkResult.valid) {
-            allValid = false;
-          }
-          
-          const coverage = crosswalkResult.coverage.total > 0 
-            ? ((crosswalkResult.coverage.found / crosswalkResult.coverage.total) * 100).toFixed(1)
-            : '0';
-          
-          console.log(`  Table ${tableName}: ${coverage}% coverage (${crosswalkResult.coverage.found}/${crosswalkResult.coverage.total})`);
-          
-          crosswalkResult.warnings.forEach(warning => console.log(`    ${colors.yellow}Warning: ${warning}${colors.reset}`));
-          crosswalkResult.errors.forEach(error => console.log(`    ${colors.red}Error: ${error}${colors.reset}`));
-        }
+        console.log(`  Table ${crosswalkResult.tableName}: ${coverage}% coverage (${crosswalkResult.coverage.found}/${crosswalkResult.coverage.total})`);
         
-        // Validate schema definitions if present
-        if (openApiSpec.components && openApiSpec.components.schemas) {
-          const schemas = openApiSpec.components.schemas;
-          
-          for (const [definitionName, definition] of Object.entries(schemas)) {
-            const result = validateDefinitionAgainstSchema(definitionName, definition, nepaDefinitions);
-            validationResults.push(result);
-            
-            if (!result.valid) {
-              allValid = false;
-              console.log(`${colors.red}❌ ${definitionName}: ${result.errors.length} errors${colors.reset}`);
-              result.errors.forEach(error => console.log(`    ${colors.red}Error: ${error}${colors.reset}`));
-            } else {
-              const coverage = result.coverage.total > 0 ? ((result.coverage.found / result.coverage.total) * 100).toFixed(1) : '0.0';
-              console.log(`  Schema ${definitionName}: ${coverage}% coverage (${result.coverage.found}/${result.coverage.total})`);
-            }
-          }
+        crosswalkResult.warnings.forEach(warning => console.log(`    ${colors.yellow}Warning: ${warning}${colors.reset}`));
+        crosswalkResult.errors.forEach(error => console.log(`    ${colors.red}Error: ${error}${colors.reset}`));
+      }
+
+      for (const result of fileResult.definitions) {
+        validationResults.push(result);
+        
+        if (!result.valid) {
+          console.log(`${colors.red}❌ ${result.definitionName}: ${result.errors.length} errors${colors.reset}`);
+          result.errors.forEach(error => console.log(`    ${colors.red}Error: ${error}${colors.reset}`));
+        } else {
+          const coverage = result.coverage.total > 0 ? ((result.coverage.found / result.coverage.total) * 100).toFixed(1) : '0.0';
+          console.log(`  Schema ${result.definitionName}: ${coverage}% coverage (${result.coverage.found}/${result.coverage.total})`);
         }
-      } catch (err) {
-        allValid = false;
-        console.error(`${colors.red}Error processing file ${fileName}: ${err.message}${colors.reset}`);
       }
     }
     
@@ -382,10 +552,10 @@ async function validateOpenApiFiles(openApiDir, crosswalkPath) {
       console.log(`- ${result.tableName || result.definitionName}: ${status}`);
     }
     
-    const overallStatus = allValid ? `${colors.green}✔️ All OpenAPI files are valid${colors.reset}` : `${colors.red}❌ Some errors were found in OpenAPI files${colors.reset}`;
+    const overallStatus = results.valid ? `${colors.green}✔️ All OpenAPI files are valid${colors.reset}` : `${colors.red}❌ Some errors were found in OpenAPI files${colors.reset}`;
     console.log(`\n${overallStatus}`);
     
-    return allValid;
+    return results.valid;
   } catch (err) {
     console.error(`${colors.red}Error: ${err.message}${colors.reset}`);
     return false;
@@ -412,9 +582,11 @@ if (require.main === module) {
 }
 
 module.exports = {
+  checkOpenApiFiles,
   validateOpenApiFiles,
   validateOpenApiStructure,
   extractTablesFromOpenApi,
   validateTableAgainstCrosswalk,
-  validateDefinitionAgainstSchema
+  validateDefinitionAgainstSchema,
+  validateNepaApiSpec
 };
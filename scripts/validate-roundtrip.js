@@ -0,0 +1,170 @@
+/**
+ * Validate that database rows survive a round trip through the NEPA format
+ * Converts seed rows to NEPA (fromDatabaseRows), back to rows (toDatabaseRows) and compares them
+ */
+const { printSummary, colors } = require('./utils/validation-utils');
+const { loadCrosswalkMappings } = require('./utils/mapping-utils');
+const { fromDatabaseRows, toDatabaseRows } = require('./utils/transformation-utils');
+const { loadSeedRows, DEFAULT_SEED_PATH } = require('./utils/sql-utils');
+
+// Crosswalk transforms that drop information by design (the schema's date format has no time of day)
+const LOSSY_TRANSFORMS = ['date'];
+
+/**
+ * Normalize a column value for comparison
+ * JSON columns are compared by content, lossy transforms by what the schema can hold
+ * @param {*} value - Column value
+ * @param {Object} column - Crosswalk column mapping
+ * @returns {string} Comparable representation
+ */
+function comparableValue(value, column) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+
+  const type = String(column.dataType || '').toLowerCase();
+  if ((type === 'json' || type === 'jsonb') && typeof value === 'string') {
+    try {
+      return JSON.stringify(JSON.parse(value));
+    } catch (error) {
+      return JSON.stringify(value);
+    }
+  }
+  if (column.transform === 'date' && typeof value === 'string') {
+    return JSON.stringify(value.slice(0, 10));
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Check the database → NEPA → database round trip without printing
+ * @param {string} seedPath - Seed SQL file with INSERT statements (default: src/database/seed-v1.0.0.sql)
+ * @param {Object} options - Check options
+ * @param {string} options.crosswalkPath - Crosswalk to map columns with
+ * @returns {Object} Results with per-table differences, unmapped columns and stability
+ */
+function checkRoundTrip(seedPath = null, options = {}) {
+  const targetPath = seedPath || DEFAULT_SEED_PATH;
+  const { tables: crosswalk } = loadCrosswalkMappings(options.crosswalkPath);
+  const seedRows = loadSeedRows(targetPath);
+
+  const forward = fromDatabaseRows(seedRows, options);
+  const backward = toDatabaseRows(forward.data, options);
+  const stable = JSON.stringify(fromDatabaseRows(backward.rows, options).data) === JSON.stringify(forward.data);
+
+  const tables = Object.entries(seedRows).map(([tableName, rows]) => {
+    const table = crosswalk[tableName];
+    const result = { tableName, rows: rows.length, differences: [], unmappedColumns: [], lossyColumns: [] };
+    if (!table) {
+      return result;
+    }
+
+    const roundTripped = backward.rows[tableName] || [];
+    const columns = Object.keys(rows[0] || {});
+    result.unmappedColumns = columns.filter(column => !table.columns[column] || !table.columns[column].property);
+    result.lossyColumns = columns.filter(column => table.columns[column] && LOSSY_TRANSFORMS.includes(table.columns[column].transform));
+
+    rows.forEach((row, index) => {
+      const actualRow = roundTripped[index] || {};
+      for (const columnName of columns) {
+        const column = table.columns[columnName];
+        if (!column || !column.property) continue;
+
+        if (comparableValue(row[columnName], column) !== comparableValue(actualRow[columnName], column)) {
+          result.differences.push({
+            id: row.id,
+            column: columnName,
+            expected: row[columnName],
+            actual: actualRow[columnName] === undefined ? null : actualRow[columnName],
+            message: `${tableName} id ${row.id}: ${columnName} changed from ${JSON.stringify(row[columnName])} to ${JSON.stringify(actualRow[columnName])}`
+          });
+        }
+      }
+    });
+
+    return result;
+  });
+
+  return {
+    valid: stable && tables.every(table => table.differences.length === 0),
+    seedPath: targetPath,
+    stable,
+    warnings: [...forward.warnings, ...backward.warnings, ...backward.dangling.map(reference => reference.message)],
+    tables
+  };
+}
+
+/**
+ * Main validation function
+ * @param {string} seedPath - Seed SQL file with INSERT statements
+ * @param {Object} options - Output options
+ * @param {boolean} options.verbose - Show unmapped and lossy columns per table
+ * @returns {boolean} True if the round trip is lossless and stable
+ */
+function validateRoundTrip(seedPath = null, options = {}) {
+  try {
+    const verbose = options.verbose !== undefined ? options.verbose : process.argv.includes('--verbose');
+
+    console.log(`${colors.bold}${colors.blue}=== Validating Database Round Trip ===${colors.reset}`);
+
+    const results = checkRoundTrip(seedPath, options);
+    console.log(`Seed file: ${results.seedPath}`);
+
+    results.warnings.forEach(warning => {
+      console.log(`${colors.yellow}Warning: ${warning}${colors.reset}`);
+    });
+
+    for (const table of results.tables) {
+      const statusIcon = table.differences.length === 0 ? '✅' : '❌';
+      console.log(`\nTable: ${colors.bold}${table.tableName}${colors.reset} - ${statusIcon} ${table.rows} row(s)`);
+
+      table.differences.forEach(difference => {
+        console.log(`  ${colors.red}Error: ${difference.message}${colors.reset}`);
+      });
+
+      if (verbose && table.unmappedColumns.length > 0) {
+        console.log(`  Not in the NEPA standard: ${colors.gray}${table.unmappedColumns.join(', ')}${colors.reset}`);
+      }
+      if (verbose && table.lossyColumns.length > 0) {
+        console.log(`  Compared by date only: ${colors.cyan}${table.lossyColumns.join(', ')}${colors.reset}`);
+      }
+    }
+
+    console.log(`\n${colors.bold}${colors.blue}=== Round Trip Summary ===${colors.reset}`);
+    const differences = results.tables.reduce((sum, table) => sum + table.differences.length, 0);
+    console.log(`Rows compared: ${results.tables.reduce((sum, table) => sum + table.rows, 0)}`);
+    console.log(`Column differences: ${differences}`);
+    console.log(`Stable on second pass: ${results.stable ? 'yes' : `${colors.red}no${colors.reset}`}`);
+
+    return results.valid;
+  } catch (error) {
+    console.error(`${colors.red}Error during validation: ${error.message}${colors.reset}`);
+    return false;
+  }
+}
+
+module.exports = {
+  checkRoundTrip,
+  validateRoundTrip,
+  LOSSY_TRANSFORMS
+};
+
+// Run validation if called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`${colors.bold}Database Round Trip Validator${colors.reset}`);
+    console.log(`\nConverts seed rows to NEPA JSON and back, and reports any column that changes`);
+    console.log(`\nUsage:`);
+    console.log(`  node validate-roundtrip.js [path/to/seed.sql] [--verbose]`);
+    console.log(`\nDefault seed file: src/database/seed-v1.0.0.sql`);
+    process.exit(0);
+  }
+
+  const seedPath = args.find(arg => !arg.startsWith('--')) || null;
+  const success = validateRoundTrip(seedPath);
+  printSummary(success, 'database round trip validation');
+  process.exit(success ? 0 : 1);
+}
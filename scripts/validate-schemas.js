@@ -2,6 +2,7 @@
  * Validate JSON schema files for syntax and structure
  * Ensures all schema files are valid JSON and follow JSON Schema standards
  */
+const fs = require('fs');
 const path = require('path');
 const {
   createValidator,
@@ -9,7 +10,8 @@ const {
   findJsonFiles,
   validateJsonFile,
   printSummary,
-  colors
+  colors,
+  PATHS
 } = require('./utils/validation-utils');
 
 /**
@@ -226,68 +228,94 @@ function gatherSchemaStatistics(schema) {
 }
 
 /**
- * Validate that schema files are valid JSON Schema documents
+ * Check schema files against the JSON Schema meta-schema without printing
  * @param {string} schemaDir - Directory containing schema files
- * @param {boolean} verbose - Whether to show detailed schema information
- * @returns {boolean} True if all schemas are valid
+ * @returns {Object} Results with overall validity and per-file details
  */
-function validateSchemas(schemaDir = null, verbose = false) {
+function checkSchemas(schemaDir = null) {
   const defaultSchemaDir = path.join(__dirname, '..', 'src', 'jsonschema');
   const targetDir = schemaDir || defaultSchemaDir;
   
-  console.log(`${colors.bold}${colors.blue}=== Validating JSON Schema files in ${targetDir} ===${colors.reset}`);
-  
   // Initialize validator with meta-schema support
   const ajv = createValidator();
   
-  // Find schema files
+  // Find schema files (the release registry sits alongside the schemas but is not one)
+  const registryFile = path.basename(PATHS.SCHEMA_REGISTRY);
   const schemaFiles = findJsonFiles(targetDir).filter(file => 
-    file.endsWith('.schema.json') || file.endsWith('.json')
+    (file.endsWith('.schema.json') || file.endsWith('.json')) && path.basename(file) !== registryFile
   );
   
-  console.log(`Found ${schemaFiles.length} schema files`);
-  
-  let allValid = true;
-  
-  for (const schemaFile of schemaFiles) {
+  const files = schemaFiles.map(schemaFile => {
+    const result = {
+      filePath: schemaFile,
+      fileName: path.basename(schemaFile),
+      valid: true,
+      errors: []
+    };
+    
     try {
-      const fileName = path.basename(schemaFile);
-      console.log(`\n${colors.bold}Validating schema: ${fileName}${colors.reset}`);
-      
-      // Load and parse schema
-      const schema = loadSchemaFile(schemaFile);
-      if (!schema) {
-        allValid = false;
-        continue;
-      }
+      const schema = JSON.parse(fs.readFileSync(schemaFile, 'utf8'));
       
       // Validate schema structure using AJV's meta-schema validation
-      const isValid = ajv.validateSchema(schema);
-      
-      if (!isValid) {
-        console.error(`${colors.red}❌ Invalid schema structure in ${fileName}:${colors.reset}`);
-        if (ajv.errors) {
-          for (const error of ajv.errors) {
-            console.error(`  - ${error.message} at ${error.instancePath}`);
-          }
-        }
-        allValid = false;
-      } else {
-        console.log(`${colors.green}✓ ${fileName} is a valid JSON Schema${colors.reset}`);
-        
-        // Show verbose information if requested
-        if (verbose) {
-          displayVerboseSchemaInfo(schema, fileName);
-        }
+      if (!ajv.validateSchema(schema)) {
+        result.valid = false;
+        result.errors = (ajv.errors || []).map(error => ({
+          message: error.message,
+          instancePath: error.instancePath,
+          keyword: error.keyword,
+          params: error.params
+        }));
       }
-      
     } catch (err) {
-      console.error(`${colors.red}❌ Error validating schema ${schemaFile}: ${err.message}${colors.reset}`);
-      allValid = false;
+      result.valid = false;
+      result.errors = [{ message: err.message }];
+    }
+    
+    return result;
+  });
+  
+  return {
+    valid: files.every(file => file.valid),
+    schemaDir: targetDir,
+    files
+  };
+}
+
+/**
+ * Validate that schema files are valid JSON Schema documents
+ * @param {string} schemaDir - Directory containing schema files
+ * @param {boolean} verbose - Whether to show detailed schema information
+ * @returns {boolean} True if all schemas are valid
+ */
+function validateSchemas(schemaDir = null, verbose = false) {
+  const results = checkSchemas(schemaDir);
+  
+  console.log(`${colors.bold}${colors.blue}=== Validating JSON Schema files in ${results.schemaDir} ===${colors.reset}`);
+  console.log(`Found ${results.files.length} schema files`);
+  
+  for (const result of results.files) {
+    console.log(`\n${colors.bold}Validating schema: ${result.fileName}${colors.reset}`);
+    
+    if (!result.valid) {
+      console.error(`${colors.red}❌ Invalid schema structure in ${result.fileName}:${colors.reset}`);
+      for (const error of result.errors) {
+        console.error(`  - ${error.message}${error.instancePath !== undefined ? ` at ${error.instancePath}` : ''}`);
+      }
+      continue;
+    }
+    
+    console.log(`${colors.green}✓ ${result.fileName} is a valid JSON Schema${colors.reset}`);
+    
+    // Show verbose information if requested
+    if (verbose) {
+      const schema = loadSchemaFile(result.filePath);
+      if (schema) {
+        displayVerboseSchemaInfo(schema, result.fileName);
+      }
     }
   }
   
-  return allValid;
+  return results.valid;
 }
 
 // Run validation if script is executed directly
@@ -314,4 +342,9 @@ if (require.main === module) {
   process.exit(success ? 0 : 1);
 }
 
-module.exports = { validateSchemas };
+module.exports = {
+  checkSchemas,
+  validateSchemas,
+  displayVerboseSchemaInfo,
+  gatherSchemaStatistics
+};
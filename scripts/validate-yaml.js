@@ -5,12 +5,23 @@
 const path = require('path');
 const fs = require('fs');
 const yaml = require('js-yaml');
-const { ValidationUtils } = require('./utils/validation-utils');
+const { ValidationUtils, NEPA_RECORD_TYPES } = require('./utils/validation-utils');
+
+// Directories searched for YAML datasets when none are given
+const DEFAULT_SEARCH_DIRS = [
+  path.join(__dirname, '../src/yaml'), // Standard YAML data
+  path.join(__dirname, '../src/sample-data'), // Sample data might include YAML
+  path.join(__dirname, '../examples'), // Examples might include YAML
+  path.join(__dirname, '../test/data'), // Test data might include YAML
+  path.join(__dirname, '../data') // General data directory
+];
 
 /**
  * Main function to validate YAML files.
+ * @param {Array<string>} searchDirs - Directories to search (default: DEFAULT_SEARCH_DIRS)
+ * @returns {Promise<boolean>} True if all files are valid
  */
-async function validateYamlFiles() {
+async function validateYamlFiles(searchDirs = DEFAULT_SEARCH_DIRS) {
   const utils = new ValidationUtils({ strict: false }); 
   
   utils.log('🔍 Starting YAML validation process...');
@@ -20,15 +31,6 @@ async function validateYamlFiles() {
   const validate = utils.loadSchema(schemaPath);
   utils.log(`📋 Schema loaded: ${schemaPath}`);
 
-  // Search directories for YAML files
-  const searchDirs = [
-    path.join(__dirname, '../src/yaml'), // Standard YAML data
-    path.join(__dirname, '../src/sample-data'), // Sample data might include YAML
-    path.join(__dirname, '../examples'), // Examples might include YAML
-    path.join(__dirname, '../test/data'), // Test data might include YAML
-    path.join(__dirname, '../data') // General data directory
-  ];
-  
   const yamlFiles = utils.findFiles(
     searchDirs, 
     ['.yaml', '.yml'], 
@@ -43,16 +45,11 @@ async function validateYamlFiles() {
       utils.log(`   - ${dir} ${fs.existsSync(dir) ? '(exists)' : '(not found)'}`);
     });
     utils.log('✅ Schema validation completed successfully - no data files to validate');
-    return;
+    return true;
   }
   
-  // NEPA schema record types (consistent with JSON validation)
-  const nepaRecordTypes = [
-    'projects', 'processes', 'documents', 'public_comments',
-    'public_engagement_events', 'case_events', 'gis_data',
-    'user_roles', 'legal_structures', 'decision_elements',
-    'process_models', 'decision_payloads'
-  ];
+  // NEPA schema record types
+  const nepaRecordTypes = NEPA_RECORD_TYPES;
 
   // Validate files
   const results = [];
@@ -76,14 +73,15 @@ async function validateYamlFiles() {
     }
   }
 
-  const success = utils.printSummary(results, totalRecords, recordCounts);
-  process.exit(success ? 0 : 1);
+  return utils.printSummary(results, totalRecords, recordCounts);
 } // Closing brace for validateYamlFiles function
 
 // Execute the validation
 if (require.main === module) {
-  validateYamlFiles().catch(err => {
+  validateYamlFiles().then(success => process.exit(success ? 0 : 1)).catch(err => {
     console.error('Unhandled error in YAML validation:', err);
     process.exit(1);
   });
 }
+
+module.exports = { validateYamlFiles, DEFAULT_SEARCH_DIRS };
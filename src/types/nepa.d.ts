@@ -0,0 +1,588 @@
+// Generated from nepa.schema.json by `pic schema types`. Do not edit by hand;
+// run `npm run generate:types` after changing the schema.
+
+export type ProjectSector = 'energy' | 'transportation' | 'land management' | (string & {});
+
+export type ProjectCurrentStatus = 'pre-application' | 'underway' | 'paused' | 'completed';
+
+/** Represents the activity or decision requiring a NEPA review process. A project generally has a relationship with a GIS object defining its location, which establishes the physical footprint of the action. */
+export interface Project {
+  /** Database primary key identifier */
+  id?: number;
+  /** Unique identification number for the project */
+  project_id: string;
+  /** Descriptive name of the project */
+  project_title: string;
+  /** Summary of the project's goals and scope */
+  project_description: string;
+  /** The sector or industry of the project */
+  project_sector: ProjectSector;
+  /** Name of responsible entity, organization, or person and contact card information */
+  project_sponsor: {
+    /** Name of the responsible entity or organization */
+    name: string;
+    /** Contact information for the project sponsor */
+    contact_info?: string;
+  };
+  /** Federal agency that supervises preparation of the environmental documents for the project */
+  lead_agency: string;
+  /** Other involved agencies */
+  participating_agencies?: string[];
+  /** Geographic area including GIS data */
+  location: {
+    /** Text description of the project location */
+    description: string;
+    /** Reference to associated GIS data */
+    gis_reference?: string;
+  };
+  /** Classification, a sub-type of sector (pipeline, highway, habitat restoration) */
+  project_type?: string;
+  /** Link to federal, state, local or other funding by reference (e.g., grant program, loan guarantee, appropriated funds) */
+  funding_source?: string;
+  /** Miscellaneous notes about the project */
+  notes?: string;
+  /**
+   * Environmental review initiation date (aggregated from process status)
+   * @format date
+   */
+  start_date?: string;
+  /** Current phase of the NEPA, permitting, or other authorization process (aggregated from process status) */
+  current_status?: ProjectCurrentStatus;
+  /** Latitude coordinate of project location */
+  location_lat?: number;
+  /** Longitude coordinate of project location */
+  location_lon?: number;
+  /** Contact information for project sponsor */
+  sponsor_contact?: string;
+  [key: string]: unknown;
+}
+
+export type ProcessType = 'CE' | 'EA' | 'EIS';
+
+export type ProcessStatus = 'planned' | 'underway' | 'paused' | 'completed' | (string & {});
+
+/** The specific type of environmental review, permit, or authorization. cA process is associated with or nested beneath a project and will have documents associated and nested beneath it. */
+export interface Process {
+  /** Database primary key identifier */
+  id?: number;
+  /** Reference to Process ID of parent process, if applicable */
+  parent_process_id?: string;
+  /** Unique identification number for the process within a project */
+  process_id: string;
+  /** Reference to Project ID of parent process */
+  project_id: string;
+  /** Process-specific ID assigned by agency, if assigned */
+  agency_id?: string;
+  /** Unique identification number assigned at federal level */
+  federal_unique_id?: string;
+  /** Level of NEPA review or other permit or authorization (see Permitting Council Federal Environmental Review and Authorization Inventory) */
+  process_type: ProcessType;
+  /** Current status of the NEPA process */
+  process_status: ProcessStatus;
+  /** Current state of process, may be derived from the last case event with this Process ID */
+  process_stage?: string;
+  /**
+   * Initiation date of the process
+   * @format date
+   */
+  start_date?: string;
+  /**
+   * Conclusion date of the process
+   * @format date
+   */
+  completion_date?: string;
+  /** Result (e.g., Record of Decision, permit issuance) */
+  process_outcome?: string;
+  /** Federal agency that supervises preparation of the environmental documents for the project */
+  lead_agency: string;
+  /** Joint lead agency, if applicable */
+  joint_lead_agency?: string;
+  /** Cooperating agencies involved in the process */
+  cooperating_agencies?: string[];
+  /** Other agencies involved in the process */
+  participating_agencies?: string[];
+  /** Miscellaneous notes about the process */
+  notes?: string;
+  /**
+   * Start date and time of public comment period
+   * @format date-time
+   */
+  comment_period_start?: string;
+  /**
+   * End date and time of public comment period
+   * @format date-time
+   */
+  comment_period_end?: string;
+  /** Purpose and need statement for the project */
+  purpose_need?: string;
+  /** Detailed description of the process */
+  description?: string;
+  /** Reference to the process model used for this process instance */
+  process_model_id?: string | null;
+  [key: string]: unknown;
+}
+
+export type DocumentType = 'NOI' | 'Draft EIS' | 'Final EIS' | 'ROD';
+
+/** Official records created during the NEPA review. The document object includes both metadata identifying the document and its context and a container for summary information that lays out, at a minimum, the table of contents of the document. Documents are also likely to have many GIS objects associated with them. */
+export interface Document {
+  /** Database primary key identifier */
+  id?: number;
+  /** Unique identification number for the NEPA document */
+  document_id: string;
+  /** Reference to Process ID of parent process */
+  process_id: string;
+  /** Type of document (e.g., NOI, Draft EIS, Final EIS, ROD) */
+  document_type: DocumentType;
+  /** Document title (database field) */
+  title: string;
+  /** Volume title (e.g., Appendix) */
+  volume_title?: string;
+  /** Indicates which revision of the document (e.g., first revised Draft EIS) */
+  document_revision?: string;
+  /** Document revision number */
+  revision_number?: number;
+  /** Document supplement number */
+  supplement_number?: number;
+  /**
+   * Publication or submission date
+   * @format date
+   */
+  publish_date?: string;
+  /** Responsible entity that prepared the document */
+  prepared_by: string;
+  /** Document production phase */
+  status?: string;
+  /**
+   * Online link to document if available
+   * @format uri
+   */
+  url?: string;
+  /** Unique identification numbers for related documents */
+  related_document_ids?: string[];
+  /** Miscellaneous notes about the document */
+  notes?: string;
+  /** Related document ID (database field) */
+  related_document_id?: number;
+  /** Document summary (database field) */
+  document_summary?: string;
+  /** Document table of contents */
+  document_toc?: string;
+  /** Public access level for the document */
+  public_access?: string;
+  [key: string]: unknown;
+}
+
+export type PublicCommentMethodOfSubmission = 'online' | 'email' | 'mail' | 'in-person';
+
+/** Feedback submitted by individuals or organizations during the NEPA process */
+export interface PublicComment {
+  /** Database primary key identifier */
+  id?: number;
+  /** Unique identification number for the comment */
+  comment_id: string;
+  /** Name of individual or organization submitting the comment */
+  commenter_name: string;
+  /** Text of the comment */
+  content: string;
+  /**
+   * Date the comment was submitted
+   * @format date
+   */
+  date_submitted: string;
+  /** Reference to Document ID of the document to which the comment is related */
+  related_document_id: string;
+  /** Method used to submit the comment */
+  method_of_submission?: PublicCommentMethodOfSubmission;
+  /** Formal reply from the agency, if applicable */
+  agency_response?: string;
+  /** Public source (database field) */
+  public_source?: string;
+  /** Content as JSON (database field) */
+  content_json?: Record<string, unknown>;
+  /** Response as JSON (database field) */
+  response_json?: Record<string, unknown>;
+  /** Public access level for the comment */
+  public_access?: string;
+  [key: string]: unknown;
+}
+
+export type PublicEngagementEventType = 'public meeting' | 'notice' | 'solicitation';
+
+/** Opportunities for interaction in the NEPA process, including formal consultation */
+export interface PublicEngagementEvent {
+  /** Database primary key identifier */
+  id?: number;
+  /** Unique identification number for the event */
+  event_id: string;
+  /** Type of public engagement event */
+  type: PublicEngagementEventType;
+  /**
+   * Date of the event
+   * @format date
+   */
+  date: string;
+  /** Physical, virtual, or hybrid location of the event */
+  location?: {
+    /** Type of event location */
+    type?: 'physical' | 'virtual' | 'hybrid';
+    /** Specific details about the event location */
+    details?: string;
+    /** Reference to associated GIS data for the event location */
+    gis_reference?: string;
+  };
+  /** Reference to Process ID of the associated NEPA process(es) for this event */
+  related_process_id: string;
+  /** Reference to Document ID of the documents released or referenced for this event */
+  related_document_ids?: string[];
+  /** Number of participants at the event */
+  attendance?: number;
+  /** Related document ID (database field) */
+  related_document_id?: number;
+  /**
+   * Event end date and time (database field)
+   * @format date-time
+   */
+  end_datetime?: string;
+  /** Method of public participation (in-person, virtual, etc.) */
+  participation_method?: string;
+  [key: string]: unknown;
+}
+
+export type CaseEventStatus = 'pending' | 'completed' | 'in progress';
+
+/** Milestones or steps within the NEPA review, tracked in a case management system or other system, such as task management tools or reporting dashboards */
+export interface CaseEvent {
+  /** Database primary key identifier */
+  id?: number;
+  /** Unique identification number for the case event */
+  case_event_id: string;
+  /** Reference to Process ID of the associated NEPA process for this event */
+  process_id: string;
+  /** Parent ID of the event, if applicable */
+  parent_id?: string;
+  /** Reference to Document ID of the document related to the event */
+  document_id?: string;
+  /** Name of the event */
+  event_name: string;
+  /**
+   * Date of the event
+   * @format date
+   */
+  event_date: string;
+  /** Link to information about the event */
+  source?: string;
+  /** Event class (e.g., NOI, ROD) */
+  event_type: string;
+  /** Optional event hierarchy (e.g., Tier 1 NOI, Tier 2 Scoping Complete, Tier 3 Task assigned) */
+  tier?: string;
+  /** Current status of the event */
+  status?: CaseEventStatus;
+  /** Result or action taken */
+  outcome?: string;
+  /** Related document ID (database field) */
+  related_document_id?: number;
+  /** Public access level (database field) */
+  public_access?: string;
+  /** Event description (database field) */
+  description?: string;
+  /** Assigned entity (database field) */
+  assigned_entity?: string;
+  /** Following segment name (database field) */
+  following_segment_name?: string;
+  /** Parent event ID (database field) */
+  parent_event_id?: number;
+  /** Related engagement ID (database field) */
+  related_engagement_id?: number;
+  [key: string]: unknown;
+}
+
+/** Geospatial data and metadata associated with NEPA projects */
+export interface GisData {
+  /** Database primary key identifier */
+  id?: number;
+  /** Unique identification number for the GIS data */
+  gis_id: string;
+  /** Creator of the GIS data (optional - may not be present in all implementations) */
+  creator?: string;
+  /** Description of the GIS data */
+  description?: string;
+  /** Spatial extent of the GIS data */
+  extent?: string;
+  /**
+   * Date and time when the GIS data was last modified
+   * @format date-time
+   */
+  last_updated?: string;
+  /** Miscellaneous notes about the GIS data */
+  notes?: string;
+  /** Inventory of map image container and GIS data container */
+  container_inventory?: {
+    /** Format of the GIS data */
+    format?: 'GeoJSON' | 'Shapefile' | 'KML';
+    /** Method to access the GIS data */
+    access_method?: 'URL' | 'API' | 'direct upload';
+    /** Spatial reference system used */
+    coordinate_system?: string;
+    /** Geographic extent of the data */
+    bounding_box?: {
+      /** Northern boundary coordinate */
+      north?: number;
+      /** Southern boundary coordinate */
+      south?: number;
+      /** Eastern boundary coordinate */
+      east?: number;
+      /** Western boundary coordinate */
+      west?: number;
+    };
+    /** Purpose of the GIS data (project-specific, analysis, or foundational layers) */
+    purpose?: 'bespoke' | 'analysis' | 'base map';
+  };
+  /** Parent project ID (database field) */
+  parent_project_id?: number;
+  /** Parent process ID (database field) */
+  parent_process_id?: number;
+  /** Parent document ID (database field) */
+  parent_document_id?: number;
+  /** Parent case event ID (database field) */
+  parent_case_event_id?: number;
+  /** Parent comment ID (database field) */
+  parent_comment_id?: number;
+  /** Parent engagement ID (database field) */
+  parent_engagement_id?: number;
+  /** Latitude of data centroid */
+  centroid_latitude?: number;
+  /** Longitude of data centroid */
+  centroid_longitude?: number;
+  /** Contact information for data creator */
+  creator_contact_info?: string;
+  /**
+   * URL to map image representation
+   * @format uri
+   */
+  map_image_url?: string;
+  /** Physical address of the location */
+  location_address?: string;
+  [key: string]: unknown;
+}
+
+export type GisDataElementDataType = 'GeoJSON' | 'Shapefile' | 'KML';
+
+export type GisDataElementAccessMethod = 'URL' | 'API' | 'direct upload';
+
+export type GisDataElementPurpose = 'bespoke' | 'analysis' | 'base map';
+
+/** Individual elements within GIS data containers with specific access and format information */
+export interface GisDataElement {
+  /** Database primary key identifier */
+  id?: number;
+  /** Unique identification number for the GIS data element */
+  gis_element_id: string;
+  /** Reference to parent GIS data entity */
+  gis_id: string;
+  /** Format of the GIS data element */
+  data_type: GisDataElementDataType;
+  /** Reference to header or other information in GIS data container to locate this particular data element */
+  container_reference?: string;
+  /** Method to access the GIS data element */
+  access_method?: GisDataElementAccessMethod;
+  /** Spatial reference system used for this data element */
+  coordinate_system?: string;
+  /** Northern boundary latitude of geographic extent */
+  top_left_lat?: number;
+  /** Western boundary longitude of geographic extent */
+  top_left_lon?: number;
+  /** Southern boundary latitude of geographic extent */
+  bot_right_lat?: number;
+  /** Eastern boundary longitude of geographic extent */
+  bot_right_lon?: number;
+  /** Purpose of the GIS data element (project-specific, analysis, or foundational layers) */
+  purpose?: GisDataElementPurpose;
+  /** Whether this object references an identified GIS analysis in an official inventory */
+  data_match?: string;
+  /** Instructions for accessing the data element */
+  access_info?: Record<string, unknown>;
+  [key: string]: unknown;
+}
+
+/** Defines stakeholders interacting with the NEPA IT system */
+export interface UserRole {
+  /** Database primary key identifier */
+  id?: number;
+  /** Unique identification number for the user role */
+  role_id: string;
+  /** Title of the role (e.g., Agency Staff, Public Commenter) */
+  name: string;
+  /** Responsibilities and access rights */
+  description?: string;
+  /** Role is member of the broader class of public user/stakeholders */
+  public?: boolean;
+  /** Access policy (database field) */
+  access_policy?: Record<string, unknown>;
+  /** Permission descriptions (database field) */
+  permission_descriptions?: string;
+}
+
+/** Legal, policy, or process data guiding the NEPA process, including thresholds and conditions for level of reviews or other decision criteria */
+export interface LegalStructure {
+  /** Database primary key identifier */
+  id?: number;
+  /** Unique identification number for the business rule */
+  legal_structure_id: string;
+  /** Official name */
+  title: string;
+  /** Legal reference */
+  citation: string;
+  /** Summary and relevance */
+  description?: string;
+  /** Government body */
+  issuing_authority?: string;
+  /**
+   * Implementation date
+   * @format date
+   */
+  effective_date?: string;
+  /** Legal context (database field) */
+  context?: string;
+  /** Compliance data (database field) */
+  compliance_data?: Record<string, unknown>;
+  /**
+   * URL to legal structure documentation
+   * @format uri
+   */
+  url?: string;
+}
+
+/** Individual criteria or conditions used in NEPA decision-making processes */
+export interface DecisionElement {
+  /** Database primary key identifier */
+  id?: number;
+  /** Unique identification number for the decision element */
+  decision_element_id: string;
+  /** Reference to the process model this element belongs to */
+  process_model_id: string;
+  /** Title of the decision element */
+  element_title: string;
+  /** Description of the decision element */
+  element_description: string;
+  /** Measurement criteria for the decision element */
+  measure?: string;
+  /** Intersection criteria for spatial analysis */
+  intersect?: string;
+  /** Spatial reference system for geographic data */
+  spatial_reference?: string;
+  /** Form text for data collection */
+  form_text?: string;
+  /** Description of expected form responses */
+  form_response_desc?: string;
+  /** Form data structure */
+  form_data?: Record<string, unknown>;
+  /** Method used for evaluation */
+  evaluation_method?: string;
+  /** DMN rules for evaluation */
+  evaluation_dmn?: string;
+  /** Threshold value or criteria for the decision element */
+  threshold?: string;
+  /** Spatial analysis criteria or requirements */
+  spatial?: string;
+  /** Category classification for the decision element */
+  category?: string;
+  [key: string]: unknown;
+}
+
+/** Template or framework for NEPA processes */
+export interface ProcessModel {
+  /** Database primary key identifier */
+  id?: number;
+  /** Unique identification number for the process model */
+  process_model_id: string;
+  /** Name of the process model */
+  name: string;
+  /** Description of the process model */
+  description: string;
+  /** BPMN model definition */
+  bpmn_model?: string;
+  /** Legal structure description text */
+  legal_structure_text?: string;
+  /** Description of screening criteria */
+  screening_description?: string;
+  /** Lead agency for this process model */
+  agency?: string;
+  /** Decision Model and Notation (DMN) definition */
+  dmn_model?: string;
+  /** Deprecated since 1.1.0: renamed to dmn_model, which new datasets should use (pic migrate renames it) */
+  DMN_model?: string;
+  /** Reference to parent process model, if this is a subprocess or flows from a previous process */
+  parent_model?: string | null;
+  [key: string]: unknown;
+}
+
+/** Data package containing decision-making information */
+export interface DecisionPayload {
+  /** Database primary key identifier */
+  id?: number;
+  /** Unique identification number for the decision payload */
+  decision_payload_id: string;
+  /** Reference to the associated process */
+  process_id: string;
+  /** The actual decision data payload */
+  payload_data?: Record<string, unknown>;
+  /** Description of the payload data */
+  data_description?: string;
+  /** Response from the decision process */
+  response?: string;
+  /** Result of the decision */
+  result?: string;
+  /** Boolean result of the decision */
+  result_bool?: boolean;
+  /** Notes about the decision result */
+  result_notes?: string;
+  /** Data associated with the result */
+  result_data?: Record<string, unknown>;
+  /** Source of the decision result */
+  result_source?: string;
+  /** Annotations on the payload data */
+  data_annotation?: string;
+  /** Annotations on the evaluation data */
+  evaluation_data_annotation?: string;
+  /** Reference to the decision element this payload responds to */
+  decision_element_id?: string | null;
+  /** Reference to the project this decision payload is associated with */
+  project_id?: string | null;
+  /** Reference to parent payload ID (e.g., if this is a response to a submission) */
+  parent_payload?: string | null;
+  [key: string]: unknown;
+}
+
+/** NEPA Data Standard */
+export interface NepaDataset {
+  /** Release of the NEPA Data Standard the dataset follows (see versions.json); datasets without one are validated against the current release */
+  standard_version?: string;
+  /** Collection of NEPA projects */
+  projects: Project[];
+  /** Collection of NEPA processes */
+  processes?: Process[];
+  /** Collection of NEPA documents */
+  documents?: Document[];
+  /** Collection of public comments */
+  public_comments?: PublicComment[];
+  /** Collection of public engagement events */
+  public_engagement_events?: PublicEngagementEvent[];
+  /** Collection of case events */
+  case_events?: CaseEvent[];
+  /** Collection of GIS data */
+  gis_data?: GisData[];
+  /** Collection of GIS data elements */
+  gis_data_elements?: GisDataElement[];
+  /** Collection of user roles */
+  user_roles?: UserRole[];
+  /** Collection of decision elements */
+  decision_elements?: DecisionElement[];
+  /** Collection of process models */
+  process_models?: ProcessModel[];
+  /** Collection of decision payloads */
+  decision_payloads?: DecisionPayload[];
+  /** Collection of legal structures */
+  legal_structures?: LegalStructure[];
+  [key: string]: unknown;
+}
@@ -0,0 +1,61 @@
+const { UsageError, parseArgs, checkFlags, parseOptions } = require('../scripts/utils/cli-utils');
+
+const OPTIONS = { valueFlags: ['out', 'projects'], aliases: { v: 'verbose' } };
+
+describe('cli-utils', () => {
+  describe('parseArgs', () => {
+    test('reads boolean flags, value flags, short aliases and positionals', () => {
+      const result = parseArgs(['generate', '--check', '--out', 'seed.json', '--projects=3', '-v', '--', '--literal'], OPTIONS);
+
+      expect(result.flags).toEqual({ check: true, out: 'seed.json', projects: '3', verbose: true });
+      expect(result.positional).toEqual(['generate', '--literal']);
+    });
+
+    test('takes a negative number as the value of a value flag', () => {
+      expect(parseArgs(['--projects', '-3'], OPTIONS).flags).toEqual({ projects: '-3' });
+    });
+
+    test('rejects a value flag without a value', () => {
+      expect(() => parseArgs(['--seed', '1', '--out'], OPTIONS)).toThrow(new UsageError('Option --out requires a value'));
+      expect(() => parseArgs(['--out', '--check'], OPTIONS)).toThrow(UsageError);
+    });
+  });
+
+  describe('checkFlags', () => {
+    const entries = [
+      { name: '--out <file>', description: 'Output file' },
+      { name: '--verbose, -v', description: 'Show detailed output' }
+    ];
+
+    test('accepts the declared long flags', () => {
+      expect(() => checkFlags({ out: 'x', verbose: true }, entries, 'pic generate')).not.toThrow();
+    });
+
+    test('names the first undeclared flag', () => {
+      expect(() => checkFlags({ out: 'x', stram: true }, entries, 'pic validate'))
+        .toThrow(new UsageError('Unknown option --stram for pic validate'));
+      expect(() => checkFlags({ x: true }, entries, 'pic generate')).toThrow('Unknown option -x for pic generate');
+    });
+  });
+
+  describe('parseOptions', () => {
+    const entries = [
+      { name: '--seed <value>', description: 'Random seed' },
+      { name: '--check', description: 'Check instead of writing' },
+      { name: '--help, -h', description: 'Show this help' }
+    ];
+
+    test('takes value flags and aliases from the help entries', () => {
+      const result = parseOptions(['out.json', '--seed', '7', '--check', '-h'], entries, 'generate-dataset.js');
+
+      expect(result.flags).toEqual({ seed: '7', check: true, help: true });
+      expect(result.positional).toEqual(['out.json']);
+    });
+
+    test('rejects undeclared flags and value flags without a value', () => {
+      expect(() => parseOptions(['--projects', '3'], entries, 'generate-dataset.js'))
+        .toThrow(new UsageError('Unknown option --projects for generate-dataset.js'));
+      expect(() => parseOptions(['--seed'], entries, 'generate-dataset.js')).toThrow('Option --seed requires a value');
+    });
+  });
+});
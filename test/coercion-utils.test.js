@@ -0,0 +1,63 @@
+const { coerceValue, formatCellValue } = require('../scripts/utils/coercion-utils');
+
+const nullableString = { type: ['string', 'null'], nullable: true };
+const optionalString = { type: 'string' };
+const requiredString = { type: 'string', required: true };
+const integer = { type: 'integer' };
+
+describe('coerceValue', () => {
+  describe('database layout (the default)', () => {
+    test('reads empty cells and "null" as null for nullable properties', () => {
+      expect(coerceValue('', nullableString)).toEqual({ value: null, rule: 'null' });
+      expect(coerceValue('null', nullableString)).toEqual({ value: null, rule: 'null' });
+      expect(coerceValue('', undefined)).toEqual({ value: null, rule: 'null' });
+    });
+
+    test('reads empty cells as an empty string for required strings and leaves them out otherwise', () => {
+      expect(coerceValue('', requiredString)).toEqual({ value: '', rule: null });
+      expect(coerceValue('', optionalString)).toEqual({ value: undefined, rule: 'empty' });
+    });
+
+    test('keeps undescribed cells as text', () => {
+      expect(coerceValue('false', null)).toEqual({ value: 'false', rule: null });
+    });
+  });
+
+  describe('schema layout', () => {
+    const options = { layout: 'schema' };
+
+    test('reads an empty cell as a missing property and "" as an empty string', () => {
+      expect(coerceValue('', nullableString, options).value).toBeUndefined();
+      expect(coerceValue('', requiredString, options).value).toBeUndefined();
+      expect(coerceValue('""', optionalString, options).value).toBe('');
+    });
+
+    test('reads "null" as null only for nullable properties', () => {
+      expect(coerceValue('null', nullableString, options).value).toBeNull();
+      expect(coerceValue('null', requiredString, options).value).toBe('null');
+    });
+
+    test('parses JSON in cells of undescribed properties', () => {
+      expect(coerceValue('false', null, options)).toEqual({ value: false, rule: 'json' });
+      expect(coerceValue('["a","b"]', null, options).value).toEqual(['a', 'b']);
+      expect(coerceValue('plain text', null, options)).toEqual({ value: 'plain text', rule: null });
+    });
+  });
+});
+
+describe('formatCellValue', () => {
+  test.each([
+    ['', optionalString, '""'],
+    [null, nullableString, 'null'],
+    [42, integer, '42'],
+    ['false', null, '"false"'],
+    [true, null, 'true'],
+    [{ a: 1 }, null, '{"a":1}']
+  ])('writes %j as %s in schema layout', (value, descriptor, text) => {
+    expect(formatCellValue(value, descriptor, { layout: 'schema' })).toEqual({ text, exact: true });
+  });
+
+  test('reports values the database layout cannot read back', () => {
+    expect(formatCellValue('', optionalString).exact).toBe(false);
+  });
+});
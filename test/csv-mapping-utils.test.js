@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeHeader,
+  matchColumns,
+  detectSchemaSection,
+  toColumnMap,
+  loadCsvMapping,
+  renderCsvMapping
+} = require('../scripts/utils/csv-mapping-utils');
+const { checkCsvMapping, writeCsvMapping } = require('../scripts/map-csv');
+const { checkCsvFiles } = require('../scripts/validate-csv');
+
+// A partner export: its own headers, a column the schema does not have, and a name that is no table
+const PARTNER_FILE = 'Comments_Export_2025.csv';
+const PARTNER_HEADERS = ['Commenter Name', 'Comment Text', 'Date Submitted', 'Formal Reply', 'Internal Notes'];
+
+describe('csv-mapping-utils', () => {
+  let tmpDir;
+
+  const writePartnerFile = () => fs.writeFileSync(path.join(tmpDir, PARTNER_FILE),
+    `${PARTNER_HEADERS.join(',')}\nJane Doe,Please widen the shoulder,2025-01-15,Noted,call back\n`);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-mapping-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test.each([
+    ['Commenter Name', 'commenter_name'],
+    ['commenterName', 'commenter_name'],
+    ['\uFEFF Date  Submitted (UTC) ', 'date_submitted_utc']
+  ])('normalizes the header %j to %s', (header, normalized) => {
+    expect(normalizeHeader(header)).toBe(normalized);
+  });
+
+  describe('matchColumns', () => {
+    test('scores exact, normalized, fuzzy and description matches', () => {
+      const { columns } = matchColumns(['content_text', 'Commenter Name', 'commentr_submission_method', 'Formal Reply'], 'public_comments');
+
+      expect(columns).toEqual({
+        content_text: { target: 'content_text', score: 1, via: 'exact' },
+        'Commenter Name': { target: 'commenter_entity', score: 1, via: 'normalized' },
+        commentr_submission_method: expect.objectContaining({ target: 'submission_method', via: 'fuzzy' }),
+        'Formal Reply': { target: 'response_text', score: 0.65, via: 'description' }
+      });
+      expect(columns.commentr_submission_method.score).toBeGreaterThan(0.6);
+      expect(columns.commentr_submission_method.score).toBeLessThan(1);
+    });
+
+    test('leaves headers below the threshold unmatched', () => {
+      const headers = ['Commenter Name', 'Internal Notes'];
+
+      expect(matchColumns(headers, 'public_comments').unmatched).toEqual(['Internal Notes']);
+      expect(matchColumns(headers, 'public_comments', { threshold: 1.01 }).unmatched).toEqual(headers);
+    });
+
+    test('lets each target be claimed by one header, the best match first', () => {
+      const { columns, unmatched } = matchColumns(['Commenter Name', 'commenter_entity'], 'public_comments');
+
+      expect(columns).toEqual({ commenter_entity: { target: 'commenter_entity', score: 1, via: 'exact' } });
+      expect(unmatched).toEqual(['Commenter Name']);
+    });
+  });
+
+  describe('detectSchemaSection', () => {
+    test('detects the section of a partner file from its headers, with a bonus for its name', () => {
+      const detected = detectSchemaSection(PARTNER_HEADERS, PARTNER_FILE);
+      const unnamed = detectSchemaSection(PARTNER_HEADERS, 'export.csv');
+
+      expect(detected.schemaSection).toBe('public_comments');
+      expect(detected.columns['Commenter Name']).toEqual({ target: 'commenter_entity', score: 1, via: 'normalized' });
+      expect(detected.unmatched).toEqual(['Internal Notes']);
+      expect(detected.alternatives).toHaveLength(2);
+      expect(unnamed.schemaSection).toBe('public_comments');
+      expect(detected.confidence).toBeCloseTo(unnamed.confidence + 0.25, 2);
+    });
+
+    test('detects nothing when no section matches the headers', () => {
+      expect(detectSchemaSection(['Foo', 'Bar Baz'], 'data.csv')).toBeNull();
+      expect(detectSchemaSection([], PARTNER_FILE)).toBeNull();
+    });
+  });
+
+  test('toColumnMap keeps renames and dropped columns only', () => {
+    expect(toColumnMap({
+      content_text: { target: 'content_text' },
+      'Commenter Name': { target: 'commenter_entity', score: 1, via: 'normalized' },
+      'Comment Text': 'content_text',
+      'Internal Notes': null
+    })).toEqual({ 'Commenter Name': 'commenter_entity', 'Comment Text': 'content_text', 'Internal Notes': null });
+  });
+
+  test('loadCsvMapping rejects unknown sections and layouts', () => {
+    const mappingPath = path.join(tmpDir, 'csv-mapping.yaml');
+
+    fs.writeFileSync(mappingPath, `files:\n  ${PARTNER_FILE}:\n    section: comments\n`);
+    expect(() => loadCsvMapping(mappingPath)).toThrow(`CSV mapping for ${PARTNER_FILE} has an unknown section 'comments'`);
+
+    fs.writeFileSync(mappingPath, `files:\n  ${PARTNER_FILE}:\n    section: public_comments\n    layout: wide\n`);
+    expect(() => loadCsvMapping(mappingPath)).toThrow("unknown layout 'wide'");
+  });
+
+  describe('mapping file', () => {
+    test('records a new entry for a detected partner file', async () => {
+      writePartnerFile();
+
+      const { mapping, files } = await checkCsvMapping(tmpDir);
+
+      expect(files.map(file => file.status)).toEqual(['new']);
+      expect(mapping.files[PARTNER_FILE]).toEqual(expect.objectContaining({ section: 'public_comments', confidence: 0.95 }));
+      expect(mapping.files[PARTNER_FILE].columns['Internal Notes']).toEqual({ target: 'Internal Notes', score: 0, via: 'unmatched' });
+    });
+
+    test('reuses a reviewed entry unchanged', async () => {
+      writePartnerFile();
+      const mappingPath = path.join(tmpDir, 'csv-mapping.yaml');
+      const reviewed = renderCsvMapping({
+        files: { [PARTNER_FILE]: { section: 'public_comments', columns: { 'Comment Text': 'content_json', 'Formal Reply': 'response_json' } } }
+      });
+      fs.writeFileSync(mappingPath, reviewed);
+
+      const { mapping, files } = await checkCsvMapping(tmpDir);
+
+      expect(files.map(file => file.status)).toEqual(['kept']);
+      expect(mapping.files).toEqual(loadCsvMapping(mappingPath).files);
+      await expect(writeCsvMapping(tmpDir)).resolves.toBe(true);
+      expect(fs.readFileSync(mappingPath, 'utf8')).toBe(reviewed);
+    });
+
+    test('drops a column mapped to null and keeps one mapped to its own name', async () => {
+      writePartnerFile();
+      const columns = {
+        'Commenter Name': 'commenter_entity',
+        'Comment Text': 'content_text',
+        'Date Submitted': 'date_submitted',
+        'Formal Reply': 'response_text'
+      };
+      const read = async target => {
+        const mapping = { files: { [PARTNER_FILE]: { section: 'public_comments', columns: { ...columns, 'Internal Notes': target } } } };
+        return (await checkCsvFiles(tmpDir, { mapping })).data.public_comments[0];
+      };
+
+      expect(await read(null)).toEqual({
+        commenter_name: 'Jane Doe',
+        content: 'Please widen the shoulder',
+        date_submitted: '2025-01-15',
+        agency_response: 'Noted'
+      });
+      expect(await read('Internal Notes')).toEqual(expect.objectContaining({ 'Internal Notes': 'call back' }));
+    });
+  });
+});
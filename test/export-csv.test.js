@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toCsvFiles, exportCsv } = require('../scripts/export-csv');
+const { checkCsvFiles } = require('../scripts/validate-csv');
+const { loadCsvMapping } = require('../scripts/utils/csv-mapping-utils');
+
+const collectionsOf = data => Object.fromEntries(Object.entries(data).filter(([, value]) => Array.isArray(value)));
+const load = file => collectionsOf(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'src', 'json', file), 'utf8')));
+
+describe('export-csv', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-export-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test.each(['all_entities.json', 'test/test.json', 'test/synthetic.json'])('%s reads back unchanged', async (file) => {
+    const { differences } = await toCsvFiles(load(file));
+
+    expect(differences).toEqual([]);
+  });
+
+  test('marks every file layout: schema in the mapping', async () => {
+    const { files, mapping } = await toCsvFiles(load('test/synthetic.json'));
+
+    expect(Object.keys(mapping.files)).toEqual(files.map(file => file.filename));
+    Object.values(mapping.files).forEach(entry => expect(entry.layout).toBe('schema'));
+  });
+
+  test('keeps empty strings, nulls and values of undescribed properties', async () => {
+    const record = { process_id: 'PRC-1', notes: '', process_model_id: null, permissions: ['read'], public: false, note: 'false' };
+    const { files, differences } = await toCsvFiles({ processes: [record] });
+
+    expect(differences).toEqual([]);
+    expect(files[0].rows[0]).toEqual({ process_id: 'PRC-1', notes: '""', process_model_id: 'null', permissions: '["read"]', public: 'false', note: '"false"' });
+  });
+
+  test('the written files validate as the same dataset', async () => {
+    const input = path.join(__dirname, '..', 'src', 'json', 'test', 'synthetic.json');
+    const outDir = path.join(tmpDir, 'csv');
+
+    await expect(exportCsv(input, outDir)).resolves.toBe(true);
+    expect(loadCsvMapping(path.join(outDir, 'csv-mapping.yaml')).files['project.csv'].layout).toBe('schema');
+
+    const result = await checkCsvFiles(outDir);
+    expect(result.errors).toEqual([]);
+    expect(result.data).toEqual(load('test/synthetic.json'));
+  });
+
+  test('rejects an unknown layout in the mapping file', () => {
+    const mappingPath = path.join(tmpDir, 'csv-mapping.yaml');
+    fs.writeFileSync(mappingPath, 'version: 1\nfiles:\n  project.csv:\n    section: projects\n    layout: wide\n');
+
+    expect(() => loadCsvMapping(mappingPath)).toThrow(/unknown layout 'wide'/);
+  });
+});
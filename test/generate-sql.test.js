@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toUpsertSql, generateSql } = require('../scripts/generate-sql');
+const synthetic = require('../src/json/test/synthetic.json');
+
+// The synthetic dataset with its first process pointing at a project it does not contain
+const danglingDataset = () => {
+  const data = JSON.parse(JSON.stringify(synthetic));
+  data.processes[0].project_id = 'PRJ-9999';
+  return data;
+};
+
+describe('generate-sql', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-sql-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('generates SQL for a dataset whose references all resolve', () => {
+    const result = toUpsertSql(synthetic);
+
+    expect(result.errors).toEqual([]);
+    expect(result.sql).toContain('INSERT INTO "project"');
+  });
+
+  test('writes every json and jsonb value as valid JSON text', () => {
+    const { sql } = toUpsertSql(synthetic);
+    const literals = [...sql.matchAll(/'((?:[^']|'')*)'::jsonb?/g)].map(match => match[1].replace(/''/g, '\''));
+
+    expect(literals.length).toBeGreaterThan(0);
+    literals.forEach(literal => expect(() => JSON.parse(literal)).not.toThrow());
+    expect(sql).toMatch(/'"[^']*@[^']*"'::json/);
+  });
+
+  test('treats a dangling foreign key as an error', () => {
+    const result = toUpsertSql(danglingDataset());
+
+    expect(result.sql).toBeNull();
+    expect(result.errors).toEqual([{
+      type: 'dangling-reference',
+      message: "processes[0].project_id 'PRJ-9999' does not match any projects.project_id"
+    }]);
+  });
+
+  test('writes a dangling foreign key as NULL only when asked to', () => {
+    const result = toUpsertSql(danglingDataset(), { nullDangling: true });
+
+    expect(result.errors).toEqual([]);
+    expect(result.sql).not.toBeNull();
+    expect(result.warnings).toContain("processes[0].project_id 'PRJ-9999' does not match any projects.project_id; process_instance.parent_project_id written as NULL");
+  });
+
+  test('generateSql fails and writes nothing for a dangling foreign key', () => {
+    const inputPath = path.join(tmpDir, 'dangling.json');
+    const outputPath = path.join(tmpDir, 'seed.sql');
+    fs.writeFileSync(inputPath, JSON.stringify(danglingDataset()));
+
+    expect(generateSql(inputPath, outputPath)).toBe(false);
+    expect(fs.existsSync(outputPath)).toBe(false);
+    expect(generateSql(inputPath, outputPath, { nullDangling: true })).toBe(true);
+    expect(fs.existsSync(outputPath)).toBe(true);
+  });
+});
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { renderTypeDeclarations, checkTypeDeclarations, generateTypes } = require('../scripts/generate-types');
+const { PATHS } = require('../scripts/utils/validation-utils');
+const packageJson = require('../package.json');
+
+describe('generate-types', () => {
+  test('src/types/nepa.d.ts matches the declarations generated from the schema', () => {
+    const schema = JSON.parse(fs.readFileSync(PATHS.NEPA_SCHEMA, 'utf8'));
+    const generated = renderTypeDeclarations(schema, { source: path.basename(PATHS.NEPA_SCHEMA) });
+
+    expect(fs.readFileSync(PATHS.NEPA_TYPES, 'utf8')).toBe(generated);
+    expect(checkTypeDeclarations().valid).toBe(true);
+  });
+
+  test('the package types re-export the declarations', () => {
+    const packageTypes = fs.readFileSync(path.resolve(__dirname, '..', packageJson.types), 'utf8');
+    const reexport = packageTypes.match(/^export \* from '(.+)';$/m);
+
+    expect(reexport).not.toBeNull();
+    expect(path.resolve(__dirname, '..', `${reexport[1]}.d.ts`)).toBe(PATHS.NEPA_TYPES);
+  });
+
+  test('declares enum unions, optional properties and the dataset root', () => {
+    const content = checkTypeDeclarations().content;
+
+    expect(content).toMatch(/export type ProcessType = /);
+    expect(content).toMatch(/export interface Process \{/);
+    expect(content).toMatch(/export interface NepaDataset \{/);
+    expect(content).toMatch(/gis_data_elements\?: GisDataElement\[\];/);
+  });
+
+  describe('--check', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-types-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('fails on a stale file and passes once it is regenerated', () => {
+      const typesPath = path.join(tempDir, 'nepa.d.ts');
+      fs.writeFileSync(typesPath, 'export interface Stale {}\n');
+
+      expect(generateTypes(PATHS.NEPA_SCHEMA, typesPath, { check: true })).toBe(false);
+      expect(generateTypes(PATHS.NEPA_SCHEMA, typesPath)).toBe(true);
+      expect(generateTypes(PATHS.NEPA_SCHEMA, typesPath, { check: true })).toBe(true);
+    });
+  });
+});
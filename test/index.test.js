@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  validateDataset,
+  validateSchemas,
+  validateCrosswalk,
+  validateOpenApi
+} = require('../index');
+const Ajv = require('ajv').default;
+const synthetic = require('../src/json/test/synthetic.json');
+
+const CSV_FIXTURE_DIR = path.join(__dirname, 'fixtures', 'csv');
+
+describe('index', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateDataset', () => {
+    test('validates a parsed dataset against its declared release', async () => {
+      const result = await validateDataset(synthetic, { references: true });
+
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual([]);
+      expect(result.standardVersion).toBe(synthetic.standard_version || '1.1.0');
+      expect(result.recordCounts.projects).toBe(synthetic.projects.length);
+      expect(result.references.valid).toBe(true);
+    });
+
+    test('parses raw JSON and YAML text', async () => {
+      const yamlText = fs.readFileSync(path.join(__dirname, '..', 'src', 'yaml', 'all_entities.yaml'), 'utf8');
+
+      await expect(validateDataset(JSON.stringify(synthetic))).resolves.toMatchObject({ valid: true, format: 'json' });
+      await expect(validateDataset(yamlText, { format: 'yaml' })).resolves.toMatchObject({ valid: true, format: 'yaml' });
+    });
+
+    test('reports unparseable input as a parse error', async () => {
+      const result = await validateDataset('{ "projects": [', { format: 'json' });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0].keyword).toBeUndefined();
+      expect(result.errors[0].message).toMatch(/^Failed to parse JSON data/);
+    });
+
+    test('reports an unknown standard_version against /standard_version', async () => {
+      const result = await validateDataset({ standard_version: '9.9.9', projects: [] });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([expect.objectContaining({
+        instancePath: '/standard_version',
+        keyword: 'standard_version',
+        message: expect.stringContaining("Unknown standard_version '9.9.9'")
+      })]);
+    });
+
+    test('returns compact errors without schema or data copies', async () => {
+      const result = await validateDataset({ projects: Array.from({ length: 50 }, () => ({})) });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.length).toBeGreaterThanOrEqual(50);
+      result.errors.forEach(error => {
+        expect(Object.keys(error).sort()).toEqual(['instancePath', 'keyword', 'message', 'params', 'schemaPath']);
+      });
+      expect(JSON.stringify(result).length).toBeLessThan(200000);
+    });
+
+    test('compiles each release schema once and reuses it', async () => {
+      await validateDataset(synthetic);
+      const compile = jest.spyOn(Ajv.prototype, 'compile');
+
+      await validateDataset(synthetic);
+      await validateDataset({ projects: [] });
+
+      expect(compile).not.toHaveBeenCalled();
+    });
+
+    test('validates a directory of CSV files, keeping each error\'s source cell', async () => {
+      const valid = await validateDataset(CSV_FIXTURE_DIR, { format: 'csv' });
+      expect(valid).toMatchObject({ valid: true, format: 'csv', totalRecords: 6 });
+
+      const streamed = await validateDataset(CSV_FIXTURE_DIR, { format: 'csv', stream: true });
+      expect(streamed).toMatchObject({ valid: true, totalRecords: 6, data: null });
+      expect(streamed.stats.rows).toBe(6);
+
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-index-'));
+      try {
+        fs.writeFileSync(path.join(tmpDir, 'project.csv'), 'id,title,lead_agency,current_status\n101,Bridge,FHWA,bogus\n');
+        const invalid = await validateDataset(tmpDir, { format: 'csv' });
+
+        expect(invalid.valid).toBe(false);
+        expect(invalid.errors).toContainEqual(expect.objectContaining({
+          keyword: 'enum',
+          source: { file: path.join(tmpDir, 'project.csv'), row: 2, column: 'current_status', value: 'bogus' }
+        }));
+        invalid.errors.forEach(error => expect(error).not.toHaveProperty('parentSchema'));
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  test('validateSchemas checks the schema files against the meta-schema', async () => {
+    const result = await validateSchemas();
+
+    expect(result.valid).toBe(true);
+    expect(result.files.length).toBeGreaterThan(0);
+  });
+
+  test('validateCrosswalk checks the crosswalk against the schema and DDL', async () => {
+    const result = await validateCrosswalk();
+
+    expect(result.valid).toBe(true);
+    expect(result.ddlLoaded).toBe(true);
+  });
+
+  test('validateOpenApi checks the OpenAPI specs against the crosswalk', async () => {
+    const result = await validateOpenApi();
+
+    expect(result.valid).toBe(true);
+    expect(result.files.length).toBeGreaterThan(0);
+  });
+
+  test('index.d.ts declares every export of index.js', () => {
+    const declarations = fs.readFileSync(path.join(__dirname, '..', 'index.d.ts'), 'utf8');
+
+    Object.entries(require('../index')).forEach(([name, value]) => {
+      const declaration = typeof value === 'function' ? `export function ${name}(` : `export const ${name}:`;
+      expect(declarations).toContain(declaration);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { migrateDocument } = require('../scripts/utils/migration-utils');
+const { loadSchemaRegistry, resolveDocumentSchema, getMigrationSteps } = require('../scripts/utils/version-utils');
+const { checkMigration } = require('../scripts/migrate');
+const { ValidationUtils, PATHS } = require('../scripts/utils/validation-utils');
+const synthetic = require('../src/json/test/synthetic.json');
+
+// The synthetic dataset as a 1.0.0 export: no standard_version support yet, DMN_model spelled the old way
+const releaseOneDataset = () => {
+  const { standard_version: _version, ...data } = JSON.parse(JSON.stringify(synthetic));
+  data.process_models[0].DMN_model = '<definitions id="ce-screening"/>';
+  return data;
+};
+
+describe('release registry', () => {
+  const registry = loadSchemaRegistry();
+
+  test('each release has its own schema snapshot named after its version', () => {
+    const schemaPaths = registry.releases.map(release => release.schemaPath);
+    expect(new Set(schemaPaths).size).toBe(schemaPaths.length);
+
+    registry.releases.forEach(release => {
+      const schema = JSON.parse(fs.readFileSync(release.schemaPath, 'utf8'));
+      expect(schema.$id).toContain(`/v${release.version}/`);
+    });
+  });
+
+  test('the current release is nepa.schema.json and declares standard_version', () => {
+    const current = registry.releases.find(release => release.version === registry.current);
+    const schema = JSON.parse(fs.readFileSync(current.schemaPath, 'utf8'));
+
+    expect(current.schemaPath).toBe(PATHS.NEPA_SCHEMA);
+    expect(schema.properties.standard_version.type).toBe('string');
+  });
+
+  test('a declared release selects its snapshot', () => {
+    expect(resolveDocumentSchema({ standard_version: '1.0.0' }).schemaPath).toBe(path.join(PATHS.SCHEMA_DIR, 'nepa-1.0.0.schema.json'));
+    expect(resolveDocumentSchema({}).version).toBe(registry.current);
+  });
+});
+
+describe('migrate 1.0.0 → 1.1.0', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-migrate-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('1.1.0 ships a rename step', () => {
+    const [step] = getMigrationSteps('1.0.0', '1.1.0');
+    expect(step.migrations).toEqual([{ op: 'rename', collection: 'process_models', from: 'DMN_model', to: 'dmn_model' }]);
+  });
+
+  test('renames DMN_model to dmn_model and declares the new release', () => {
+    const result = migrateDocument(releaseOneDataset(), { from: '1.0.0', to: '1.1.0' });
+
+    expect(result.data.standard_version).toBe('1.1.0');
+    expect(result.data.process_models[0].dmn_model).toBe('<definitions id="ce-screening"/>');
+    expect(result.data.process_models[0]).not.toHaveProperty('DMN_model');
+    expect(result.steps).toEqual([{
+      version: '1.1.0',
+      notes: expect.any(String),
+      operations: [{ description: 'process_models: rename DMN_model → dmn_model', changed: 1 }]
+    }]);
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('the dataset is valid against both releases before and after migrating', () => {
+    const utils = new ValidationUtils({ strict: false, verbose: false });
+    const validateOld = utils.loadSchema(path.join(PATHS.SCHEMA_DIR, 'nepa-1.0.0.schema.json'));
+    const validateNew = utils.loadSchema(PATHS.NEPA_SCHEMA);
+    const original = releaseOneDataset();
+
+    expect(validateOld(original)).toBe(true);
+    expect(validateNew(migrateDocument(original, { from: '1.0.0' }).data)).toBe(true);
+  });
+
+  test('checkMigration migrates and validates a file', () => {
+    const inputPath = path.join(tmpDir, 'export-1.0.0.json');
+    fs.writeFileSync(inputPath, JSON.stringify({ standard_version: '1.0.0', ...releaseOneDataset() }));
+
+    const result = checkMigration(inputPath);
+
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(result.from).toBe('1.0.0');
+    expect(result.data.process_models[0].dmn_model).toBeDefined();
+  });
+});
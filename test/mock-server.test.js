@@ -0,0 +1,134 @@
+const { createMockServer, getMockTables } = require('../scripts/mock-server');
+const { checkFilterOperands, parseFilter } = require('../scripts/utils/postgrest-utils');
+
+describe('mock-server', () => {
+  let server;
+  let baseUrl;
+
+  // Send a request and read the JSON body, if any
+  const send = async (method, requestPath, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${requestPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  beforeEach(async () => {
+    ({ server } = createMockServer());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('GET', () => {
+    test('returns the seed rows matching the filters', async () => {
+      const response = await send('GET', '/project?id=eq.1&select=id,name:title');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([{ id: 1, name: 'Generic Infrastructure Project  ' }]);
+      expect((await send('GET', '/project?id=in.(2,3)')).body).toEqual([]);
+    });
+
+    test('counts rows and returns a page with Prefer: count=exact', async () => {
+      const response = await send('GET', '/case_event?order=id.desc&limit=2', undefined, { Prefer: 'count=exact' });
+
+      expect(response.status).toBe(206);
+      expect(response.headers.get('content-range')).toBe('0-1/5');
+      expect(response.body).toHaveLength(2);
+      expect(response.body[0].id).toBeGreaterThan(response.body[1].id);
+    });
+
+    test.each([
+      ['/project?id=eq.abc', 'invalid input syntax for type bigint: "abc"'],
+      ['/project?id=in.(1,abc)', 'invalid input syntax for type bigint: "abc"'],
+      ['/project?id=not.gt.1.5', 'invalid input syntax for type bigint: "1.5"'],
+      ['/project?location_lat=lt.north', 'invalid input syntax for type double precision: "north"']
+    ])('rejects %s with 22P02 instead of matching nothing', async (requestPath, message) => {
+      const response = await send('GET', requestPath);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ code: '22P02', details: null, hint: null, message });
+    });
+
+    test('rejects unknown columns and operators', async () => {
+      expect((await send('GET', '/project?ghost=eq.1')).body.code).toBe('42703');
+      expect((await send('GET', '/project?id=equals.1')).body.code).toBe('PGRST100');
+    });
+  });
+
+  describe('POST', () => {
+    test('inserts a row, filling in the id and defaults', async () => {
+      const response = await send('POST', '/project', { title: 'New project' }, { Prefer: 'return=representation' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual([expect.objectContaining({ id: 2, title: 'New project', created_at: expect.any(String) })]);
+      expect((await send('GET', '/project?id=eq.2')).body).toHaveLength(1);
+    });
+
+    test('rejects a wrong type, an unknown column and a duplicate key', async () => {
+      expect(await send('POST', '/project', { id: 'abc' })).toMatchObject({ status: 400, body: { code: '22P02' } });
+      expect(await send('POST', '/project', { ghost: 1 })).toMatchObject({ status: 400, body: { code: 'PGRST204' } });
+      expect(await send('POST', '/project', { id: 1 })).toMatchObject({ status: 409, body: { code: '23505' } });
+    });
+  });
+
+  describe('PATCH', () => {
+    test('updates the rows matching the filters', async () => {
+      const response = await send('PATCH', '/project?id=eq.1', { title: 'Renamed' }, { Prefer: 'return=representation' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([expect.objectContaining({ id: 1, title: 'Renamed' })]);
+      expect((await send('PATCH', '/project?id=eq.1', { current_status: 'Complete' })).status).toBe(204);
+    });
+
+    test('rejects a filter value the column cannot hold and changes nothing', async () => {
+      const response = await send('PATCH', '/project?id=eq.abc', { title: 'Renamed' });
+
+      expect(response).toMatchObject({ status: 400, body: { code: '22P02' } });
+      expect((await send('GET', '/project?id=eq.1')).body[0].title).toBe('Generic Infrastructure Project  ');
+    });
+  });
+
+  describe('DELETE', () => {
+    test('deletes the rows matching the filters', async () => {
+      const response = await send('DELETE', '/document?id=eq.1', undefined, { Prefer: 'return=representation' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(1);
+      expect((await send('GET', '/document')).body).toHaveLength(1);
+    });
+
+    test('rejects a filter value the column cannot hold and deletes nothing', async () => {
+      const response = await send('DELETE', '/document?id=eq.abc');
+
+      expect(response).toMatchObject({ status: 400, body: { code: '22P02' } });
+      expect((await send('GET', '/document')).body).toHaveLength(2);
+    });
+  });
+
+  test('serves the same tables from the Swagger 2.0 spec and its 3.1 upgrade', () => {
+    const tables = getMockTables(require('../src/openapi/openapi.json'));
+
+    expect(tables.project).toEqual(expect.objectContaining({ methods: ['get', 'post', 'delete', 'patch'], primaryKey: 'id' }));
+    expect(getMockTables(require('../src/openapi/openapi-3.1.json'))).toEqual(tables);
+  });
+
+  test('checkFilterOperands accepts the input Postgres accepts', () => {
+    const check = (value, property) => () => checkFilterOperands(parseFilter(value), property);
+
+    expect(check('eq.-12', { type: 'integer', format: 'bigint' })).not.toThrow();
+    expect(check('in.(1, 2)', { type: 'integer', format: 'bigint' })).not.toThrow();
+    expect(check('gte.1e3', { type: 'number', format: 'double precision' })).not.toThrow();
+    expect(check('eq.t', { type: 'boolean', format: 'boolean' })).not.toThrow();
+    expect(check('eq.maybe', { type: 'boolean', format: 'boolean' })).toThrow('invalid input syntax for type boolean: "maybe"');
+    expect(check('eq.abc', { type: 'string', format: 'text' })).not.toThrow();
+    expect(check('like.ab*', { type: 'integer', format: 'bigint' })).not.toThrow();
+    expect(check('is.null', { type: 'integer', format: 'bigint' })).not.toThrow();
+  });
+});
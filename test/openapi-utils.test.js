@@ -0,0 +1,160 @@
+const {
+  isSwagger2,
+  getSchemaDefinitions,
+  getSchemaDefinitionsPointer,
+  getBasePath,
+  getResponseSchema,
+  dereference,
+  convertSchema,
+  convertToOpenApi31
+} = require('../scripts/utils/openapi-utils');
+
+// A spec in the shape Supabase generates: shared row filters and body parameters, two media types
+const swaggerSpec = () => ({
+  swagger: '2.0',
+  info: { title: 'Test', version: '1' },
+  host: 'example.supabase.co',
+  basePath: '/rest/v1',
+  schemes: ['https'],
+  consumes: ['application/json', 'text/csv'],
+  produces: ['application/json', 'application/vnd.pgrst.object+json'],
+  paths: {
+    '/project': {
+      get: {
+        parameters: [{ $ref: '#/parameters/rowFilter.project.id' }, { $ref: '#/parameters/select' }],
+        responses: {
+          200: { description: 'OK', schema: { type: 'array', items: { $ref: '#/definitions/project' } } },
+          206: { description: 'Partial Content' }
+        }
+      },
+      post: {
+        parameters: [{ $ref: '#/parameters/body.project' }, { $ref: '#/parameters/preferReturn' }],
+        responses: { 201: { description: 'Created' } }
+      },
+      patch: {
+        consumes: ['application/json'],
+        parameters: [{ $ref: '#/parameters/rowFilter.project.id' }, { name: 'project', in: 'body', required: true, schema: { $ref: '#/definitions/project' } }],
+        responses: { 204: { description: 'No Content' } }
+      }
+    }
+  },
+  definitions: {
+    project: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'integer', format: 'bigint' },
+        title: { type: 'string', 'x-nullable': true },
+        parent: { $ref: '#/definitions/project', 'x-nullable': true }
+      }
+    }
+  },
+  parameters: {
+    'rowFilter.project.id': { name: 'id', in: 'query', required: false, type: 'string', format: 'bigint' },
+    select: { name: 'select', in: 'query', type: 'string', description: 'Filtering Columns' },
+    preferReturn: { name: 'Prefer', in: 'header', type: 'string', enum: ['return=representation'] },
+    'body.project': { name: 'project', in: 'body', required: false, schema: { $ref: '#/definitions/project' } }
+  }
+});
+
+describe('openapi-utils', () => {
+  describe('convertToOpenApi31', () => {
+    const { spec, warnings } = convertToOpenApi31(swaggerSpec());
+    const project = spec.paths['/project'];
+
+    test('moves host, basePath and the shared objects to servers and components', () => {
+      expect(warnings).toEqual([]);
+      expect(spec.openapi).toBe('3.1.0');
+      expect(spec.servers).toEqual([{ url: 'https://example.supabase.co/rest/v1' }]);
+      expect(Object.keys(spec.components).sort()).toEqual(['parameters', 'requestBodies', 'schemas']);
+      ['swagger', 'host', 'basePath', 'schemes', 'consumes', 'produces', 'definitions', 'parameters'].forEach(field => {
+        expect(spec).not.toHaveProperty(field);
+      });
+    });
+
+    test('rewrites every $ref to its component location', () => {
+      const text = JSON.stringify(spec);
+
+      expect(text).not.toMatch(/#\/(definitions|parameters)\//);
+      expect(project.get.parameters).toEqual([
+        { $ref: '#/components/parameters/rowFilter.project.id' },
+        { $ref: '#/components/parameters/select' }
+      ]);
+      expect(spec.components.schemas.project.properties.parent).toEqual({
+        anyOf: [{ $ref: '#/components/schemas/project' }, { type: 'null' }]
+      });
+    });
+
+    test('moves the type keywords of parameters into their schema', () => {
+      expect(spec.components.parameters['rowFilter.project.id']).toEqual({
+        name: 'id', in: 'query', required: false, schema: { type: 'string', format: 'bigint' }
+      });
+      expect(spec.components.parameters.preferReturn.schema).toEqual({ type: 'string', enum: ['return=representation'] });
+    });
+
+    test('turns body parameters into request bodies for each consumed media type', () => {
+      const schema = { $ref: '#/components/schemas/project' };
+
+      expect(spec.components.requestBodies['body.project']).toEqual({
+        content: { 'application/json': { schema }, 'text/csv': { schema } }
+      });
+      expect(project.post.requestBody).toEqual({ $ref: '#/components/requestBodies/body.project' });
+      expect(project.post.parameters).toEqual([{ $ref: '#/components/parameters/preferReturn' }]);
+      // An operation with its own consumes gets its own request body
+      expect(project.patch.requestBody).toEqual({ content: { 'application/json': { schema } }, required: true });
+      expect(project.patch.parameters).toEqual([{ $ref: '#/components/parameters/rowFilter.project.id' }]);
+    });
+
+    test('gives response schemas a content entry for each produced media type', () => {
+      const schema = { type: 'array', items: { $ref: '#/components/schemas/project' } };
+
+      expect(project.get.responses[200]).toEqual({
+        description: 'OK',
+        content: { 'application/json': { schema }, 'application/vnd.pgrst.object+json': { schema } }
+      });
+      expect(project.get.responses[206]).toEqual({ description: 'Partial Content' });
+    });
+
+    test('refuses a spec that already has the OpenAPI 3 shape', () => {
+      expect(() => convertToOpenApi31(spec)).toThrow('Specification already has the OpenAPI 3.1.0 shape; nothing to convert');
+    });
+  });
+
+  test('convertSchema turns x-nullable into a null type or value', () => {
+    expect(convertSchema({ type: 'string', enum: ['a', 'b'], 'x-nullable': true })).toEqual({ type: ['string', 'null'], enum: ['a', 'b', null] });
+    expect(convertSchema({ type: 'file' })).toEqual({ type: 'string', contentMediaType: 'application/octet-stream' });
+  });
+
+  describe('both shapes', () => {
+    const swagger = swaggerSpec();
+    const openapi = convertToOpenApi31(swaggerSpec()).spec;
+
+    test('detects the Swagger 2.0 shape from its fields, not its version string', () => {
+      const supabase = { ...swaggerSpec(), openapi: '3.0.0' };
+      delete supabase.swagger;
+
+      expect(isSwagger2(swagger)).toBe(true);
+      expect(isSwagger2(supabase)).toBe(true);
+      expect(isSwagger2(openapi)).toBe(false);
+    });
+
+    test.each([
+      ['Swagger 2.0', swagger, '/definitions'],
+      ['OpenAPI 3.1', openapi, '/components/schemas']
+    ])('reads the definitions, base path and response rows of %s', (name, spec, pointer) => {
+      const response = getResponseSchema(spec.paths['/project'].get.responses[200]);
+
+      expect(Object.keys(getSchemaDefinitions(spec))).toEqual(['project']);
+      expect(getSchemaDefinitionsPointer(spec)).toBe(pointer);
+      expect(getBasePath(spec)).toBe('/rest/v1');
+      expect(dereference(spec, response.items).required).toEqual(['id']);
+    });
+
+    test('prefers the JSON media type of a response with several', () => {
+      const response = { content: { 'text/csv': { schema: { type: 'string' } }, 'application/vnd.pgrst.object+json': { schema: { type: 'object' } } } };
+
+      expect(getResponseSchema(response)).toEqual({ type: 'object' });
+      expect(getResponseSchema({ description: 'No Content' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, EXIT_CODES } = require('../scripts/pic');
+
+const SYNTHETIC = path.join(__dirname, '..', 'src', 'json', 'test', 'synthetic.json');
+
+describe('pic', () => {
+  let tmpDir;
+  let log;
+  let error;
+
+  const printed = spy => spy.mock.calls.map(call => call.join(' ')).join('\n');
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-cli-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('dispatch', () => {
+    test('runs a command and a subcommand', async () => {
+      await expect(main(['validate', SYNTHETIC, '--quiet'])).resolves.toBe(EXIT_CODES.SUCCESS);
+      await expect(main(['schema', 'validate', '--quiet'])).resolves.toBe(EXIT_CODES.SUCCESS);
+    });
+
+    test('exits 1 when validation finds problems', async () => {
+      const datasetPath = path.join(tmpDir, 'invalid.json');
+      fs.writeFileSync(datasetPath, JSON.stringify({ projects: [{ project_id: 5 }] }));
+
+      await expect(main(['validate', datasetPath, '--quiet'])).resolves.toBe(EXIT_CODES.FAILURE);
+    });
+
+    test('writes a report of the findings', async () => {
+      const reportPath = path.join(tmpDir, 'report.json');
+
+      await expect(main(['validate', SYNTHETIC, '--report', 'json', '--report-file', reportPath])).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(JSON.parse(fs.readFileSync(reportPath, 'utf8'))).toEqual(expect.objectContaining({ valid: true }));
+    });
+
+    test('counts the streamed errors past --max-errors in the report summary', async () => {
+      const csvDir = path.join(tmpDir, 'csv');
+      const reportPath = path.join(tmpDir, 'report.json');
+      fs.mkdirSync(csvDir);
+      fs.copyFileSync(path.join(__dirname, 'fixtures', 'csv', 'project.csv'), path.join(csvDir, 'project.csv'));
+      const rows = Array.from({ length: 8 }, (_, i) => `${210 + i},999,XYZ,underway,Federal Highway Administration`);
+      fs.writeFileSync(path.join(csvDir, 'process_instance.csv'), ['id,parent_project_id,type,status,lead_agency', ...rows].join('\n'));
+
+      const argv = ['validate', csvDir, '--stream', '--references', '--max-errors', '3'];
+      await expect(main([...argv, '--report', 'json', '--report-file', reportPath])).resolves.toBe(EXIT_CODES.FAILURE);
+      const { summary } = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+
+      expect(summary.errors).toBe(6);
+      expect(summary.truncated).toEqual({ errors: 10, warnings: 0 });
+      expect(summary.total).toEqual({ errors: 16, warnings: 0 });
+
+      await expect(main(argv)).resolves.toBe(EXIT_CODES.FAILURE);
+      expect(printed(log)).toContain('Found 16 errors and 0 warnings (10 errors and 0 warnings not shown)');
+    });
+
+    test('changes schema lint severities with --rules', async () => {
+      const rulesPath = path.join(tmpDir, 'lint-rules.yaml');
+      fs.writeFileSync(rulesPath, 'rules:\n  id-naming: error\n');
+
+      await expect(main(['schema', 'lint', '--quiet'])).resolves.toBe(EXIT_CODES.SUCCESS);
+      await expect(main(['schema', 'lint', '--quiet', '--rules', rulesPath])).resolves.toBe(EXIT_CODES.FAILURE);
+    });
+
+    test('reads default flag values from --config', async () => {
+      const configPath = path.join(tmpDir, 'pic.yaml');
+      fs.writeFileSync(configPath, 'quiet: true\n');
+
+      await expect(main(['validate', SYNTHETIC, '--config', configPath])).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(log).not.toHaveBeenCalled();
+    });
+
+    test('exits 3 on an unexpected error', async () => {
+      const inputPath = path.join(tmpDir, 'broken.json');
+      fs.writeFileSync(inputPath, '{ broken');
+
+      await expect(main(['convert', inputPath])).resolves.toBe(EXIT_CODES.ERROR);
+      expect(printed(error)).toContain('Unexpected error');
+    });
+  });
+
+  describe('help', () => {
+    test('lists every command and exits 0 with --help', async () => {
+      await expect(main(['--help'])).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(printed(log)).toContain('schema lint');
+      expect(printed(log)).toContain('mock-server');
+    });
+
+    test('shows the same help but exits 2 without a command', async () => {
+      await expect(main([])).resolves.toBe(EXIT_CODES.USAGE);
+      expect(printed(log)).toContain('Usage:');
+    });
+
+    test('shows the options of a command', async () => {
+      await expect(main(['generate', '--help'])).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(printed(log)).toContain('--projects <n>');
+    });
+
+    test('lists the subcommands of a command group', async () => {
+      await expect(main(['schema', '--help'])).resolves.toBe(EXIT_CODES.SUCCESS);
+      expect(printed(log)).toContain('inspect');
+      await expect(main(['schema'])).resolves.toBe(EXIT_CODES.USAGE);
+    });
+  });
+
+  describe('usage errors', () => {
+    test('rejects an invalid severity in a --rules file', async () => {
+      const rulesPath = path.join(tmpDir, 'lint-rules.json');
+      fs.writeFileSync(rulesPath, JSON.stringify({ 'id-naming': 'fatal' }));
+
+      await expect(main(['schema', 'lint', '--rules', rulesPath])).resolves.toBe(EXIT_CODES.USAGE);
+      expect(printed(error)).toContain("Invalid severity 'fatal' for schema lint rule id-naming");
+    });
+
+    test.each([
+      [['frobnicate'], 'Unknown command: frobnicate'],
+      [['schema', 'frobnicate'], 'Unknown schema command: frobnicate'],
+      [['crosswalk', '--nonsense-flag'], 'Unknown option --nonsense-flag for pic crosswalk'],
+      [['validate', '--stram'], 'Unknown option --stram for pic validate'],
+      [['generate', '-x'], 'Unknown option -x for pic generate'],
+      [['generate', '--seed', '1', '--out'], 'Option --out requires a value'],
+      [['generate', '--projects', '-3'], "Invalid --projects value '-3'"],
+      [['validate', '--config', '/nonexistent/pic.json'], 'Config file not found'],
+      [['validate', '--format', 'xml'], 'Unsupported format: xml'],
+      [['validate', '/nonexistent/dataset.json'], 'Path not found'],
+      [['validate', '--report', 'html'], 'Unsupported report format: html'],
+      [['convert', SYNTHETIC, '--report', 'json'], 'pic convert does not produce findings for --report']
+    ])('pic %j exits 2', async (argv, message) => {
+      await expect(main(argv)).resolves.toBe(EXIT_CODES.USAGE);
+      expect(printed(error)).toContain(message);
+    });
+  });
+});
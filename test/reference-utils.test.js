@@ -0,0 +1,67 @@
+const { checkReferences, createReferenceTracker, FOREIGN_KEYS } = require('../scripts/utils/reference-utils');
+const synthetic = require('../src/json/test/synthetic.json');
+
+const dataset = () => ({
+  projects: [{ id: 1, project_id: 'P-1' }],
+  processes: [{ id: 2, process_id: 'PR-1', project_id: 'P-1' }],
+  documents: [
+    { id: 3, document_id: 'D-1', process_id: 'PR-1' },
+    { id: 4, document_id: 'D-2', process_id: 'PR-1', related_document_ids: ['D-1', 'D-9'] }
+  ],
+  public_engagement_events: [{ id: 5, event_id: 'E-1', related_process_id: 'PR-1', related_document_ids: ['D-2'] }],
+  case_events: [
+    { id: 6, case_event_id: 'C-1', process_id: 'PR-1' },
+    { id: 7, case_event_id: 'C-2', process_id: 'PR-1', parent_id: 'C-3' }
+  ],
+  process_models: [
+    { id: 8, process_model_id: 'M-1' },
+    { id: 9, process_model_id: 'M-2', parent_model: 'M-1' }
+  ],
+  decision_payloads: [
+    { id: 10, decision_payload_id: 'DP-1', process_id: 'PR-1', parent_payload: 'DP-0' }
+  ]
+});
+
+const dangling = results => results.errors
+  .filter(error => error.type === 'dangling-reference')
+  .map(error => [error.pointer, error.value]);
+
+describe('reference-utils', () => {
+  test('covers the self and array references of the schema', () => {
+    const keys = FOREIGN_KEYS.map(fk => `${fk.collection}.${fk.field}`);
+    expect(keys).toEqual(expect.arrayContaining([
+      'documents.related_document_ids',
+      'public_engagement_events.related_document_ids',
+      'case_events.parent_id',
+      'process_models.parent_model',
+      'decision_payloads.parent_payload'
+    ]));
+  });
+
+  test('resolves every element of an array reference on its own', () => {
+    const results = checkReferences(dataset());
+
+    expect(dangling(results)).toEqual([
+      ['/documents/1/related_document_ids/1', 'D-9'],
+      ['/case_events/1/parent_id', 'C-3'],
+      ['/decision_payloads/0/parent_payload', 'DP-0']
+    ]);
+    expect(results.errors[0].message).toBe("documents[1].related_document_ids[1] 'D-9' does not match any documents.document_id");
+    expect(results.stats.resolved).toBeGreaterThan(0);
+  });
+
+  test('the streaming tracker reports the same dangling references', () => {
+    const data = dataset();
+    const tracker = createReferenceTracker();
+    Object.entries(data).forEach(([collection, records]) => {
+      records.forEach((record, index) => tracker.add(collection, index, record));
+    });
+
+    expect(dangling(tracker.finish()).sort()).toEqual(dangling(checkReferences(data)).sort());
+  });
+
+  test('the synthetic dataset resolves every reference', () => {
+    const results = checkReferences(synthetic);
+    expect(results.errors).toEqual([]);
+  });
+});
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { removeAdditionalProperties } = require('../scripts/remove-additional-properties');
+const { PATHS, processObjectRecursively } = require('../scripts/utils/validation-utils');
+
+describe('remove-additional-properties', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-schema-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('opens every closed object in a copy of the NEPA schema', () => {
+    const schemaPath = path.join(tmpDir, 'nepa.schema.json');
+    fs.copyFileSync(PATHS.NEPA_SCHEMA, schemaPath);
+
+    expect(removeAdditionalProperties(schemaPath)).toBe(true);
+
+    const closed = [];
+    processObjectRecursively(JSON.parse(fs.readFileSync(schemaPath, 'utf8')), (obj, currentPath) => {
+      if (obj.additionalProperties === false) {
+        closed.push(currentPath.join('/'));
+      }
+    });
+    expect(closed).toEqual([]);
+  });
+
+  test('leaves the rest of the schema unchanged', () => {
+    const schemaPath = path.join(tmpDir, 'nepa.schema.json');
+    fs.writeFileSync(schemaPath, JSON.stringify({
+      type: 'object',
+      additionalProperties: false,
+      properties: { name: { type: 'string' }, extra: { type: 'object', additionalProperties: { type: 'string' } } }
+    }));
+
+    expect(removeAdditionalProperties(schemaPath)).toBe(true);
+    expect(JSON.parse(fs.readFileSync(schemaPath, 'utf8'))).toEqual({
+      type: 'object',
+      additionalProperties: true,
+      properties: { name: { type: 'string' }, extra: { type: 'object', additionalProperties: { type: 'string' } } }
+    });
+  });
+
+  test('fails for a missing schema file', () => {
+    expect(removeAdditionalProperties(path.join(tmpDir, 'missing.json'))).toBe(false);
+  });
+});
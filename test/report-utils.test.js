@@ -0,0 +1,156 @@
+const path = require('path');
+const { createCoercionLog } = require('../scripts/utils/coercion-utils');
+const {
+  createFinding,
+  findingsFromCoercions,
+  buildReport,
+  toSarif,
+  toJunit,
+  formatReport
+} = require('../scripts/utils/report-utils');
+const { checkCsvFiles } = require('../scripts/validate-csv');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'csv');
+
+describe('findingsFromCoercions', () => {
+  test('emits one note per file, column and rule however many cells were converted', () => {
+    const log = createCoercionLog();
+    for (let row = 2; row < 10002; row++) {
+      log.add({ file: 'document.csv', row, column: 'publish_date', property: 'publish_date', rule: 'date', from: '03/15/2024', to: '2024-03-15' });
+    }
+    log.add({ file: 'document.csv', row: 2, column: 'public_access', property: 'public_access', rule: 'boolean', from: 'yes', to: 'true' });
+
+    const findings = findingsFromCoercions(log.finish());
+
+    expect(findings).toHaveLength(2);
+    expect(findings[0]).toMatchObject({
+      file: 'document.csv',
+      row: 2,
+      column: 'publish_date',
+      value: '03/15/2024',
+      severity: 'note',
+      ruleId: 'csv/coercion/date',
+      message: 'Coerced 10000 values (date), e.g. "03/15/2024" to "2024-03-15"'
+    });
+    expect(findings[1].message).toBe('Coerced 1 value (boolean), e.g. "yes" to "true"');
+  });
+
+  test('keeps a CSV validation report to one note per coerced column', async () => {
+    const { coercions } = await checkCsvFiles(FIXTURE_DIR);
+    const findings = findingsFromCoercions(coercions);
+
+    expect(findings).toHaveLength(coercions.groups.length);
+    expect(findings.length).toBeLessThan(coercions.total);
+    expect(toSarif(buildReport({ command: 'validate', valid: true, targets: [FIXTURE_DIR], findings })).runs[0].results).toHaveLength(findings.length);
+  });
+
+  test('returns no findings without a coercion log', () => {
+    expect(findingsFromCoercions(undefined)).toEqual([]);
+  });
+});
+
+describe('report serializers', () => {
+  const BASE_DIR = path.join(__dirname, 'fixtures');
+
+  // Findings from two files, out of rule order, with a row, a pointer and a context
+  const sampleReport = (truncated) => buildReport({
+    command: 'validate csv',
+    valid: false,
+    targets: [path.join(BASE_DIR, 'project.csv'), path.join(BASE_DIR, 'clean.csv')],
+    baseDir: BASE_DIR,
+    truncated,
+    findings: [
+      createFinding({ file: path.join(BASE_DIR, 'project.csv'), row: 3, column: 'id', value: 'abc', keyword: 'type', ruleId: 'schema/type', message: 'must be integer', pointer: '/project/1/id' }),
+      createFinding({ file: path.join(BASE_DIR, 'project.csv'), ruleId: 'csv/header', message: 'Unknown column <ghost> & "spare"', severity: 'warning', context: 'project' }),
+      createFinding({ file: path.join(BASE_DIR, 'project.csv'), row: 5, ruleId: 'schema/required', message: "must have required property 'title'", pointer: '/project/3' }),
+      createFinding({ file: path.join(BASE_DIR, 'clean.csv'), ruleId: 'schema/type', message: 'Tom & Jerry <b>note</b>', severity: 'note' }),
+      createFinding({ ruleId: 'schema/required', message: 'no file' })
+    ]
+  });
+
+  test('buildReport counts listed, truncated and total findings', () => {
+    const report = sampleReport({ errors: 47 });
+
+    expect(report.targets).toEqual(['project.csv', 'clean.csv']);
+    expect(report.summary).toEqual({
+      targets: 2,
+      errors: 3,
+      warnings: 1,
+      notes: 1,
+      truncated: { errors: 47, warnings: 0 },
+      total: { errors: 50, warnings: 1 }
+    });
+    expect(JSON.parse(formatReport(report, 'json')).summary).toEqual(report.summary);
+    expect(sampleReport().summary.truncated).toEqual({ errors: 0, warnings: 0 });
+  });
+
+  describe('toSarif', () => {
+    const run = toSarif(sampleReport({ errors: 2, warnings: 1 })).runs[0];
+
+    test('lists each rule once, sorted, and points results at its index', () => {
+      expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['csv/header', 'schema/required', 'schema/type']);
+      expect(run.results.map(result => [result.ruleId, result.ruleIndex])).toEqual([
+        ['schema/type', 2],
+        ['csv/header', 0],
+        ['schema/required', 1],
+        ['schema/type', 2],
+        ['schema/required', 1]
+      ]);
+      run.results.forEach(result => expect(run.tool.driver.rules[result.ruleIndex].id).toBe(result.ruleId));
+    });
+
+    test('gives a region only to findings with a row', () => {
+      const [typeError, header, , note, noFile] = run.results;
+
+      expect(typeError).toEqual({
+        ruleId: 'schema/type',
+        ruleIndex: 2,
+        level: 'error',
+        message: { text: 'must be integer' },
+        locations: [{
+          physicalLocation: { artifactLocation: { uri: 'project.csv' }, region: { startLine: 3 } },
+          logicalLocations: [{ fullyQualifiedName: '/project/1/id' }]
+        }],
+        properties: { jsonPointer: '/project/1/id', column: 'id', keyword: 'type' }
+      });
+      expect(header.locations).toEqual([{
+        physicalLocation: { artifactLocation: { uri: 'project.csv' } },
+        logicalLocations: [{ fullyQualifiedName: 'project' }]
+      }]);
+      expect(header.level).toBe('warning');
+      expect(note.locations[0]).not.toHaveProperty('logicalLocations');
+      expect(noFile).not.toHaveProperty('locations');
+    });
+
+    test('carries the total and truncated counts on the run', () => {
+      expect(run.properties).toEqual({ total: { errors: 5, warnings: 2 }, truncated: { errors: 2, warnings: 1 } });
+      expect(run.invocations).toEqual([{ executionSuccessful: true, commandLine: 'pic validate csv' }]);
+    });
+  });
+
+  describe('toJunit', () => {
+    const xml = toJunit(sampleReport());
+
+    test('writes one suite per target, failing a test case per error', () => {
+      expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="pic validate csv" tests="4" failures="3" errors="0">/);
+      expect(xml).toContain('<testsuite name="project.csv" tests="2" failures="2" errors="0" skipped="0">');
+      expect(xml).toContain('<testcase classname="pic.validate.csv" name="schema/type at row 3 id">');
+      expect(xml).toContain('<testsuite name="(unknown)" tests="1" failures="1" errors="0" skipped="0">');
+      expect(xml).toContain('<testcase classname="pic.validate.csv" name="schema/required">');
+    });
+
+    test('escapes the XML special characters and attaches the findings of a passing target as output', () => {
+      expect(xml).toContain(
+        '<failure type="schema/required" message="must have required property &apos;title&apos;">must have required property &apos;title&apos;</failure>'
+      );
+      expect(xml).toContain('<testcase classname="pic.validate.csv" name="clean.csv">\n      <system-out>note: Tom &amp; Jerry &lt;b&gt;note&lt;/b&gt;</system-out>');
+      // The warning of a failing target is left out; an error case is already reported there
+      expect(xml).not.toContain('ghost');
+      expect(xml).not.toMatch(/[^\n]<[^/?a-z]/);
+    });
+  });
+
+  test('formatReport rejects an unknown format', () => {
+    expect(() => formatReport(sampleReport(), 'html')).toThrow('Unsupported report format: html (expected json, sarif, junit)');
+  });
+});
@@ -0,0 +1,167 @@
+const { diffSchemas } = require('../scripts/utils/schema-diff-utils');
+
+// A small schema in the shape of the standard: one collection of records and one definition
+const baseSchema = () => ({
+  type: 'object',
+  properties: {
+    projects: { type: 'array', items: { $ref: '#/definitions/project' } }
+  },
+  definitions: {
+    project: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'string' },
+        project_title: { type: 'string' },
+        status: { type: 'string', enum: ['planned', 'underway', 'complete'] },
+        cost: { type: 'number' }
+      },
+      required: ['project_id']
+    },
+    process_model: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        DMN_model: { type: 'string', description: 'Decision Model and Notation (DMN) definition' }
+      }
+    }
+  }
+});
+
+const kinds = result => result.changes.map(change => change.kind);
+
+describe('schema-diff-utils', () => {
+  test('finds no changes between identical schemas', () => {
+    const result = diffSchemas(baseSchema(), baseSchema());
+
+    expect(result.changes).toEqual([]);
+    expect(result.summary).toEqual({ breaking: 0, nonBreaking: 0, documentation: 0 });
+    expect(result.suggestedBump).toBe('none');
+  });
+
+  test('treats a removed property as breaking', () => {
+    const newSchema = baseSchema();
+    delete newSchema.definitions.project.properties.project_title;
+
+    const result = diffSchemas(baseSchema(), newSchema);
+
+    expect(result.changes).toEqual([{
+      impact: 'breaking',
+      kind: 'property-removed',
+      pointer: '/definitions/project/properties/project_title',
+      schema: 'old',
+      name: 'project.project_title',
+      message: 'project.project_title: property removed'
+    }]);
+    expect(result.suggestedBump).toBe('major');
+  });
+
+  test('treats a newly required property as breaking', () => {
+    const newSchema = baseSchema();
+    newSchema.definitions.project.required.push('project_title');
+
+    const result = diffSchemas(baseSchema(), newSchema);
+
+    expect(kinds(result)).toEqual(['required-added']);
+    expect(result.changes[0]).toMatchObject({ impact: 'breaking', name: 'project.project_title', schema: 'new' });
+    expect(result.suggestedBump).toBe('major');
+  });
+
+  test('treats a dropped enum value as breaking and an added one as not', () => {
+    const dropped = baseSchema();
+    dropped.definitions.project.properties.status.enum = ['planned', 'underway'];
+    const added = baseSchema();
+    added.definitions.project.properties.status.enum.push('withdrawn');
+
+    const droppedResult = diffSchemas(baseSchema(), dropped);
+    const addedResult = diffSchemas(baseSchema(), added);
+
+    expect(droppedResult.changes).toEqual([expect.objectContaining({
+      impact: 'breaking',
+      kind: 'enum-value-removed',
+      message: 'project.status: enum value "complete" removed'
+    })]);
+    expect(droppedResult.suggestedBump).toBe('major');
+    expect(kinds(addedResult)).toEqual(['enum-value-added']);
+    expect(addedResult.suggestedBump).toBe('minor');
+  });
+
+  test('treats a narrowed type as breaking and a widened type as not', () => {
+    const narrowed = baseSchema();
+    narrowed.definitions.project.properties.cost.type = 'integer';
+
+    const narrowedResult = diffSchemas(baseSchema(), narrowed);
+    const widenedResult = diffSchemas(narrowed, baseSchema());
+
+    expect(narrowedResult.changes).toEqual([expect.objectContaining({
+      impact: 'breaking',
+      kind: 'type-narrowed',
+      message: 'project.cost: type narrowed from number to integer'
+    })]);
+    expect(narrowedResult.suggestedBump).toBe('major');
+    expect(widenedResult.changes).toEqual([expect.objectContaining({
+      impact: 'non-breaking',
+      kind: 'type-widened',
+      message: 'project.cost: type widened from integer to number'
+    })]);
+    expect(widenedResult.suggestedBump).toBe('minor');
+  });
+
+  test('treats a removed definition as breaking', () => {
+    const newSchema = baseSchema();
+    delete newSchema.definitions.process_model;
+
+    const result = diffSchemas(baseSchema(), newSchema);
+
+    expect(result.changes).toEqual([expect.objectContaining({
+      impact: 'breaking',
+      kind: 'definition-removed',
+      pointer: '/definitions/process_model',
+      schema: 'old'
+    })]);
+    expect(result.suggestedBump).toBe('major');
+  });
+
+  test('suggests a minor release for a rename that keeps the old name as a deprecated alias', () => {
+    const aliased = baseSchema();
+    aliased.definitions.process_model.properties = {
+      name: { type: 'string' },
+      DMN_model: { type: 'string', description: 'Deprecated: renamed to dmn_model' },
+      dmn_model: { type: 'string', description: 'Decision Model and Notation (DMN) definition' }
+    };
+
+    const result = diffSchemas(baseSchema(), aliased);
+
+    expect(result.changes.map(({ kind, name, impact }) => ({ kind, name, impact }))).toEqual([
+      { kind: 'description-changed', name: 'process_model.DMN_model', impact: 'documentation' },
+      { kind: 'property-added', name: 'process_model.dmn_model', impact: 'non-breaking' }
+    ]);
+    expect(result.summary).toEqual({ breaking: 0, nonBreaking: 1, documentation: 1 });
+    expect(result.suggestedBump).toBe('minor');
+  });
+
+  test('suggests a major release once the deprecated alias is dropped', () => {
+    const aliased = baseSchema();
+    aliased.definitions.process_model.properties.dmn_model = { type: 'string' };
+    const renamed = baseSchema();
+    renamed.definitions.process_model.properties = { name: { type: 'string' }, dmn_model: { type: 'string' } };
+
+    const result = diffSchemas(aliased, renamed);
+
+    expect(result.changes).toEqual([expect.objectContaining({
+      impact: 'breaking',
+      kind: 'property-removed',
+      name: 'process_model.DMN_model'
+    })]);
+    expect(result.suggestedBump).toBe('major');
+  });
+
+  test('suggests a patch release for description-only changes', () => {
+    const newSchema = baseSchema();
+    newSchema.definitions.project.properties.project_title.description = 'Official project name';
+
+    const result = diffSchemas(baseSchema(), newSchema);
+
+    expect(result.summary).toEqual({ breaking: 0, nonBreaking: 0, documentation: 1 });
+    expect(result.suggestedBump).toBe('patch');
+  });
+});
@@ -0,0 +1,210 @@
+const { LINT_RULES, resolveLintRules, lintSchema } = require('../scripts/utils/schema-lint-utils');
+
+// Lint with every rule but one turned off
+const lintWith = (ruleId, schema, severity) => {
+  const rules = Object.fromEntries(Object.keys(LINT_RULES).map(id => [id, 'off']));
+  rules[ruleId] = severity || LINT_RULES[ruleId].severity;
+  return lintSchema(schema, rules);
+};
+
+const issuesOf = result => result.issues.map(({ severity, pointer, message }) => ({ severity, pointer, message }));
+
+// A draft-07 schema every rule accepts
+const cleanSchema = () => ({
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  type: 'object',
+  properties: {
+    projects: { type: 'array', description: 'Projects', items: { $ref: '#/definitions/project' } }
+  },
+  definitions: {
+    project: {
+      type: 'object',
+      description: 'A project',
+      properties: {
+        project_id: { type: 'string', description: 'Identifier' },
+        status: { type: 'string', description: 'Status', enum: ['planned', 'underway'] }
+      },
+      required: ['project_id']
+    }
+  }
+});
+
+describe('schema-lint-utils', () => {
+  test('finds nothing in a clean schema', () => {
+    expect(lintSchema(cleanSchema())).toEqual({ valid: true, issues: [], summary: { errors: 0, warnings: 0 } });
+  });
+
+  describe('rules', () => {
+    test('meta-schema reports keywords with invalid values', () => {
+      const schema = cleanSchema();
+      schema.definitions.project.properties.status.type = 'text';
+
+      const result = lintWith('meta-schema', schema);
+
+      expect(result.valid).toBe(false);
+      expect(result.issues.length).toBeGreaterThan(0);
+      expect(result.issues[0]).toMatchObject({ ruleId: 'meta-schema', severity: 'error', pointer: '/definitions/project/properties/status/type' });
+    });
+
+    test('required-unreachable reports required properties that additionalProperties false forbids', () => {
+      const schema = cleanSchema();
+      schema.definitions.project.additionalProperties = false;
+      schema.definitions.project.required.push('project_title');
+
+      expect(issuesOf(lintWith('required-unreachable', schema))).toEqual([{
+        severity: 'error',
+        pointer: '/definitions/project/required/1',
+        message: "Required property 'project_title' is not in properties and additionalProperties is false, so no value can ever be valid"
+      }]);
+    });
+
+    test('required-undefined reports required properties missing from properties', () => {
+      const schema = cleanSchema();
+      schema.definitions.project.required.push('project_title');
+
+      expect(issuesOf(lintWith('required-undefined', schema))).toEqual([{
+        severity: 'warning',
+        pointer: '/definitions/project/required/1',
+        message: "Required property 'project_title' is not defined in properties (any value is accepted)"
+      }]);
+    });
+
+    test('missing-description reports properties and definitions without one, but not $refs', () => {
+      const schema = cleanSchema();
+      delete schema.definitions.project.description;
+      delete schema.definitions.project.properties.status.description;
+      schema.definitions.project.properties.parent = { $ref: '#/definitions/project' };
+
+      expect(issuesOf(lintWith('missing-description', schema))).toEqual([
+        { severity: 'warning', pointer: '/definitions/project', message: "Definition 'project' has no description" },
+        { severity: 'warning', pointer: '/definitions/project/properties/status', message: "Property 'status' has no description" }
+      ]);
+    });
+
+    test('id-naming reports identifiers that are not snake_case ending in _id', () => {
+      const schema = cleanSchema();
+      schema.definitions.project.properties.parentId = { type: 'string', description: 'Parent' };
+
+      expect(issuesOf(lintWith('id-naming', schema))).toEqual([{
+        severity: 'warning',
+        pointer: '/definitions/project/properties/parentId',
+        message: "Identifier 'parentId' in 'project' is not snake_case ending in _id"
+      }]);
+    });
+
+    test('id-naming reports a definition identified by both id and its business key', () => {
+      const schema = cleanSchema();
+      schema.definitions.project.properties.id = { type: 'integer', description: 'Database key' };
+
+      expect(issuesOf(lintWith('id-naming', schema))).toEqual([{
+        severity: 'warning',
+        pointer: '/definitions/project/properties/id',
+        message: "'project' has both id and project_id; records can be identified two ways"
+      }]);
+    });
+
+    test('enum-case-variants reports values differing only by case or separators', () => {
+      const schema = cleanSchema();
+      schema.definitions.project.properties.status.enum = ['Under Review', 'under_review', 'UNDER-REVIEW', 'approved'];
+
+      expect(issuesOf(lintWith('enum-case-variants', schema))).toEqual([
+        { severity: 'warning', pointer: '/definitions/project/properties/status/enum/1', message: "Enum value 'under_review' is a variant of 'Under Review'" },
+        { severity: 'warning', pointer: '/definitions/project/properties/status/enum/2', message: "Enum value 'UNDER-REVIEW' is a variant of 'Under Review'" }
+      ]);
+    });
+
+    test('unused-definition reports definitions not reachable from the root', () => {
+      const schema = cleanSchema();
+      schema.definitions.orphan = { type: 'object', description: 'Never used', properties: { link: { $ref: '#/definitions/project' } } };
+
+      expect(issuesOf(lintWith('unused-definition', schema))).toEqual([{
+        severity: 'warning',
+        pointer: '/definitions/orphan',
+        message: "Definition 'orphan' is never referenced from the root schema"
+      }]);
+    });
+
+    test('unknown-format reports formats AJV does not validate', () => {
+      const schema = cleanSchema();
+      schema.definitions.project.properties.project_id.format = 'uuid4';
+
+      expect(issuesOf(lintWith('unknown-format', schema))).toEqual([{
+        severity: 'warning',
+        pointer: '/definitions/project/properties/project_id/format',
+        message: "Format 'uuid4' is unknown to AJV and will not be validated"
+      }]);
+    });
+
+    test('draft-keyword reports later-draft keywords in a draft-07 schema', () => {
+      const schema = cleanSchema();
+      schema.definitions.project.unevaluatedProperties = false;
+
+      expect(issuesOf(lintWith('draft-keyword', schema))).toEqual([{
+        severity: 'warning',
+        pointer: '/definitions/project/unevaluatedProperties',
+        message: "'unevaluatedProperties' is not a draft-07 keyword and is ignored; use additionalProperties"
+      }]);
+    });
+
+    test('draft-keyword reports replaced draft-07 keywords in a 2020-12 schema', () => {
+      const schema = cleanSchema();
+      schema.$schema = 'https://json-schema.org/draft/2020-12/schema';
+      schema.definitions.project.dependencies = { status: ['project_id'] };
+
+      expect(issuesOf(lintWith('draft-keyword', schema))).toEqual([{
+        severity: 'warning',
+        pointer: '/definitions/project/dependencies',
+        message: "'dependencies' was replaced in draft 2019-09; use dependentRequired or dependentSchemas"
+      }]);
+    });
+
+    test('unknown-keyword reports likely typos but not property names or x- extensions', () => {
+      const schema = cleanSchema();
+      schema.definitions.project.requried = ['status'];
+      schema.definitions.project['x-table'] = 'project';
+      schema.definitions.project.properties.minimum = { type: 'number', description: 'A property named like a keyword' };
+
+      expect(issuesOf(lintWith('unknown-keyword', schema))).toEqual([{
+        severity: 'warning',
+        pointer: '/definitions/project/requried',
+        message: "Unknown keyword 'requried' is ignored by validators"
+      }]);
+    });
+  });
+
+  describe('severities', () => {
+    test('resolves the default severity of every rule', () => {
+      const severities = resolveLintRules();
+
+      expect(Object.keys(severities)).toEqual(Object.keys(LINT_RULES));
+      expect(severities['meta-schema']).toBe('error');
+      expect(severities['id-naming']).toBe('warning');
+    });
+
+    test('overrides severities, accepting warn for warning', () => {
+      expect(resolveLintRules({ 'id-naming': 'error', 'meta-schema': 'warn', 'unknown-format': 'off' })).toEqual(expect.objectContaining({
+        'id-naming': 'error',
+        'meta-schema': 'warning',
+        'unknown-format': 'off'
+      }));
+    });
+
+    test('raising a rule to error makes its issues fail the lint', () => {
+      const schema = cleanSchema();
+      schema.definitions.project.properties.parentId = { type: 'string', description: 'Parent' };
+
+      expect(lintSchema(schema)).toMatchObject({ valid: true, summary: { errors: 0, warnings: 1 } });
+      expect(lintSchema(schema, { 'id-naming': 'error' })).toMatchObject({ valid: false, summary: { errors: 1, warnings: 0 } });
+      expect(lintSchema(schema, { 'id-naming': 'off' })).toMatchObject({ valid: true, issues: [] });
+    });
+
+    test.each([
+      [{ 'id-naming': 'fatal' }, "Invalid severity 'fatal' for schema lint rule id-naming (expected one of: error, warning, off)"],
+      [{ 'id-naming': true }, "Invalid severity 'true' for schema lint rule id-naming"],
+      [{ 'id-nameing': 'error' }, 'Unknown schema lint rule: id-nameing']
+    ])('rejects %j', (rules, message) => {
+      expect(() => resolveLintRules(rules)).toThrow(message);
+      expect(() => lintSchema(cleanSchema(), rules)).toThrow(message);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeSqlType, parseDdl, loadDdl, DEFAULT_SCHEMA_SQL_PATH } = require('../scripts/utils/sql-utils');
+
+// pg_dump-style DDL: quoted names, a schema prefix, identity and keys added by ALTER TABLE
+const DDL = `
+-- Projects
+CREATE TABLE public.project (
+    id bigint NOT NULL,
+    "title" text NOT NULL,
+    location_lat double precision,
+    sector character varying(64) DEFAULT 'other'::character varying,
+    created_at timestamptz DEFAULT now() NOT NULL,
+    other jsonb
+);
+
+CREATE TABLE IF NOT EXISTS process_instance (
+    id int8 PRIMARY KEY,
+    parent_project_id int8 REFERENCES public.project (id) ON DELETE CASCADE,
+    tags text[],
+    CONSTRAINT process_instance_type_check CHECK (id > 0)
+);
+
+ALTER TABLE public.project ALTER COLUMN id ADD GENERATED BY DEFAULT AS IDENTITY (
+    SEQUENCE NAME public.project_id_seq
+);
+
+ALTER TABLE ONLY public.project
+    ADD CONSTRAINT project_pkey PRIMARY KEY (id);
+`;
+
+describe('sql-utils', () => {
+  test.each([
+    ['int8', 'bigint'],
+    ['"text"', 'text'],
+    ['TIMESTAMPTZ', 'timestamp with time zone'],
+    ['timestamp', 'timestamp without time zone'],
+    ['varchar(64)', 'character varying(64)'],
+    ['int4[]', 'integer[]'],
+    ['double   precision', 'double precision']
+  ])('normalizes the type %s to %s', (type, normalized) => {
+    expect(normalizeSqlType(type)).toBe(normalized);
+  });
+
+  describe('parseDdl', () => {
+    const { tables, foreignKeys } = parseDdl(DDL);
+
+    test('reads each table and its columns in order', () => {
+      expect(Object.keys(tables)).toEqual(['project', 'process_instance']);
+      expect(Object.keys(tables.project.columns)).toEqual(['id', 'title', 'location_lat', 'sector', 'created_at', 'other']);
+    });
+
+    test('reads column types, nullability and defaults', () => {
+      expect(tables.project.columns.title).toEqual({ name: 'title', dataType: 'text', nullable: false, defaultValue: null, identity: false });
+      expect(tables.project.columns.sector).toEqual(expect.objectContaining({
+        dataType: 'character varying(64)',
+        nullable: true,
+        defaultValue: "'other'::character varying"
+      }));
+      expect(tables.project.columns.created_at).toEqual(expect.objectContaining({ dataType: 'timestamp with time zone', defaultValue: 'now()', nullable: false }));
+      expect(tables.process_instance.columns.tags.dataType).toBe('text[]');
+    });
+
+    test('reads identity columns and primary keys declared inline or by ALTER TABLE', () => {
+      expect(tables.project.columns.id.identity).toBe(true);
+      expect(tables.project.primaryKey).toEqual(['id']);
+      expect(tables.process_instance.primaryKey).toEqual(['id']);
+      expect(tables.process_instance.columns.id.nullable).toBe(false);
+    });
+
+    test('skips table constraints and reads inline foreign keys', () => {
+      expect(tables.process_instance.columns).not.toHaveProperty('CONSTRAINT');
+      expect(foreignKeys).toEqual([expect.objectContaining({
+        table: 'process_instance',
+        columns: ['parent_project_id'],
+        refTable: 'project',
+        refColumns: ['id'],
+        onDelete: 'CASCADE'
+      })]);
+    });
+  });
+
+  describe('loadDdl', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-ddl-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('reads the DDL in src/database', () => {
+      const ddl = loadDdl();
+
+      expect(ddl.files).toEqual([DEFAULT_SCHEMA_SQL_PATH]);
+      expect(ddl.tables.project.columns.location_lon.dataType).toBe('double precision');
+      expect(ddl.tables.project.primaryKey).toEqual(['id']);
+    });
+
+    test('combines every .sql file in a directory, ignoring files without tables', () => {
+      fs.writeFileSync(path.join(tmpDir, '01-schema.sql'), DDL);
+      fs.writeFileSync(path.join(tmpDir, '02-audit.sql'), 'CREATE TABLE audit_log (id bigint, entry text);');
+      fs.writeFileSync(path.join(tmpDir, '03-seed.sql'), "INSERT INTO project (id, title) VALUES (1, 'x');");
+      fs.writeFileSync(path.join(tmpDir, 'notes.txt'), 'CREATE TABLE ignored (id bigint);');
+
+      const ddl = loadDdl(tmpDir);
+
+      expect(ddl.files.map(file => path.basename(file))).toEqual(['01-schema.sql', '02-audit.sql', '03-seed.sql']);
+      expect(Object.keys(ddl.tables)).toEqual(['project', 'process_instance', 'audit_log']);
+      expect(ddl.foreignKeys).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { checkOpenApiUpgrade, upgradeOpenApi } = require('../scripts/upgrade-openapi');
+const { PATHS } = require('../scripts/utils/validation-utils');
+
+describe('upgrade-openapi', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-upgrade-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('the checked-in OpenAPI 3.1 spec is what the Swagger 2.0 spec converts to', () => {
+    const result = checkOpenApiUpgrade();
+
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual([]);
+    expect(JSON.parse(result.content).openapi).toBe('3.1.0');
+  });
+
+  test('writes YAML for a .yaml output and reports a stale file with --check', () => {
+    const outputPath = path.join(tmpDir, 'openapi-3.1.yaml');
+
+    expect(upgradeOpenApi(PATHS.OPENAPI_SPEC, outputPath, { check: true })).toBe(false);
+    expect(upgradeOpenApi(PATHS.OPENAPI_SPEC, outputPath)).toBe(true);
+    expect(yaml.load(fs.readFileSync(outputPath, 'utf8'))).toEqual(JSON.parse(fs.readFileSync(PATHS.OPENAPI_31_SPEC, 'utf8')));
+    expect(upgradeOpenApi(PATHS.OPENAPI_SPEC, outputPath, { check: true })).toBe(true);
+  });
+
+  test('fails for a spec that already has the OpenAPI 3 shape', () => {
+    expect(upgradeOpenApi(PATHS.OPENAPI_31_SPEC, path.join(tmpDir, 'out.json'))).toBe(false);
+    expect(fs.existsSync(path.join(tmpDir, 'out.json'))).toBe(false);
+  });
+});
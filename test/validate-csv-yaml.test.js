@@ -0,0 +1,26 @@
+const path = require('path');
+const { validateAllFiles } = require('../scripts/validate-csv-yaml');
+const { ValidationUtils, PATHS } = require('../scripts/utils/validation-utils');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'csv');
+
+describe('validate-csv-yaml', () => {
+  const utils = new ValidationUtils({ verbose: false });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('accepts the bundled YAML datasets', async () => {
+    await expect(validateAllFiles(PATHS.YAML_DIR, utils)).resolves.toBe(true);
+  });
+
+  test('accepts the fixture CSV files', async () => {
+    await expect(validateAllFiles(FIXTURE_DIR, utils)).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkCsvFiles, checkCsvFilesStreaming, validateCsvFiles } = require('../scripts/validate-csv');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'csv');
+
+// Eight processes with an invalid type and an unknown project, each spanning two lines
+const writeInvalidProcesses = dir => {
+  fs.copyFileSync(path.join(FIXTURE_DIR, 'project.csv'), path.join(dir, 'project.csv'));
+  const rows = Array.from({ length: 8 }, (_, i) => `${210 + i},999,XYZ,underway,"Federal Highway\nAdministration"`);
+  fs.writeFileSync(path.join(dir, 'process_instance.csv'), ['id,parent_project_id,type,status,lead_agency', ...rows].join('\n') + '\n');
+};
+
+describe('validate-csv', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-csv-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('combines the fixture CSV files into a valid dataset', async () => {
+    const result = await checkCsvFiles(FIXTURE_DIR);
+
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(result.data.projects).toHaveLength(2);
+    expect(result.data.processes).toHaveLength(2);
+    expect(result.data.documents).toHaveLength(2);
+  });
+
+  test('maps database columns to schema properties and coerces their types', async () => {
+    const { data, coercions } = await checkCsvFiles(FIXTURE_DIR);
+    const project = data.projects.find(record => record.project_id === '101');
+
+    expect(project.project_title).toBe('Cedar Creek Bridge Replacement');
+    expect(project.project_sponsor).toEqual({ name: 'State Department of Transportation' });
+    expect(project.location).toEqual({ description: 'Cedar Creek crossing, County Road 12' });
+    expect(project.participating_agencies).toEqual(['U.S. Army Corps of Engineers', 'U.S. Fish and Wildlife Service']);
+    expect(project.location_lat).toBe(44.0521);
+    expect(data.processes[0].comment_period_start).toBe('2024-06-01T00:00:00Z');
+    expect(coercions.total).toBeGreaterThan(0);
+  });
+
+  test('reports the file, line and column of an invalid cell', async () => {
+    fs.copyFileSync(path.join(FIXTURE_DIR, 'project.csv'), path.join(tmpDir, 'project.csv'));
+    fs.writeFileSync(path.join(tmpDir, 'process_instance.csv'),
+      'id,parent_project_id,type,status,lead_agency\n201,101,XYZ,underway,Federal Highway Administration\n');
+
+    const result = await checkCsvFiles(tmpDir);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      expect.objectContaining({
+        instancePath: '/processes/0/process_type',
+        keyword: 'enum',
+        source: { file: path.join(tmpDir, 'process_instance.csv'), row: 2, column: 'type', value: 'XYZ' }
+      })
+    ]);
+  });
+
+  test('locates dangling references by file, line and original column', async () => {
+    ['project.csv', 'process_instance.csv'].forEach(file => fs.copyFileSync(path.join(FIXTURE_DIR, file), path.join(tmpDir, file)));
+    const documents = fs.readFileSync(path.join(FIXTURE_DIR, 'document.csv'), 'utf8');
+    fs.writeFileSync(path.join(tmpDir, 'document.csv'), documents.replace('\n302,202,', '\n302,299,'));
+
+    expect((await checkCsvFiles(FIXTURE_DIR, { references: true })).references.valid).toBe(true);
+
+    const result = await checkCsvFiles(tmpDir, { references: true });
+
+    expect(result.valid).toBe(false);
+    expect(result.references.errors).toEqual([
+      expect.objectContaining({
+        type: 'dangling-reference',
+        pointer: '/documents/1/process_id',
+        source: { file: path.join(tmpDir, 'document.csv'), row: 3, column: 'parent_process_id', value: '299' }
+      })
+    ]);
+  });
+
+  test('streaming keeps --max-errors issues of each kind and counts the rest', async () => {
+    writeInvalidProcesses(tmpDir);
+
+    const result = await checkCsvFilesStreaming(tmpDir, { references: true, maxErrors: 3 });
+
+    expect(result.valid).toBe(false);
+    expect(result.errorCount).toBe(8);
+    expect(result.errors).toHaveLength(3);
+    expect(result.references.stats.dangling).toBe(8);
+    expect(result.references.errors).toHaveLength(3);
+    expect(result.references.truncated).toBe(5);
+  });
+
+  test('streaming reports the line a record starts on when quoted cells span lines', async () => {
+    writeInvalidProcesses(tmpDir);
+    const file = path.join(tmpDir, 'process_instance.csv');
+
+    const result = await checkCsvFilesStreaming(tmpDir, { references: true, maxErrors: 3 });
+
+    expect(result.errors.map(error => error.source)).toEqual([2, 4, 6].map(row => ({ file, row, column: 'type', value: 'XYZ' })));
+    expect(result.references.errors.map(error => error.source)).toEqual([2, 4, 6].map(row => ({ file, row, column: 'parent_project_id', value: '999' })));
+  });
+
+  test('validateCsvFiles passes for the fixtures', async () => {
+    await expect(validateCsvFiles(FIXTURE_DIR)).resolves.toBe(true);
+  });
+});
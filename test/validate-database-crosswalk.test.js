@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkDatabaseCrosswalk, validateDatabaseCrosswalk, parseCrosswalkCsv, findDdlDrift } = require('../scripts/validate-database-crosswalk');
+const { findingsFromCrosswalkResults } = require('../scripts/utils/report-utils');
+const { parseDdl } = require('../scripts/utils/sql-utils');
+
+const CROSSWALK_PATH = path.join(__dirname, '..', 'src', 'crosswalk', 'database_crosswalk.csv');
+
+describe('validate-database-crosswalk', () => {
+  const crosswalk = fs.readFileSync(CROSSWALK_PATH, 'utf8');
+  let tmpDir;
+
+  // Write a copy of the crosswalk with its lines passed through edit
+  const writeCrosswalk = edit => {
+    const crosswalkPath = path.join(tmpDir, 'crosswalk.csv');
+    fs.writeFileSync(crosswalkPath, edit(crosswalk.split(/\r?\n/)).join('\n'));
+    return crosswalkPath;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-crosswalk-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('the crosswalk matches the NEPA schema and the DDL', async () => {
+    const result = await checkDatabaseCrosswalk();
+
+    expect(result.ddlLoaded).toBe(true);
+    expect(result.missingTables).toEqual([]);
+    expect(result.tables.filter(table => !table.valid)).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(result.coverage.database.percent).toBe(100);
+  });
+
+  test('groups the crosswalk rows by table', async () => {
+    const tables = await parseCrosswalkCsv(CROSSWALK_PATH);
+
+    expect(tables.project.find(column => column.column === 'title')).toEqual(expect.objectContaining({
+      data_type: 'text',
+      schema_entity: 'project',
+      schema_property: 'project_title',
+      transform: '',
+      row: 196
+    }));
+  });
+
+  test('records the line each row starts on when quoted cells span lines', async () => {
+    const crosswalkPath = path.join(tmpDir, 'crosswalk.csv');
+    fs.writeFileSync(crosswalkPath, [
+      'table,column,data_type,description,is_generated,schema_entity,schema_property,transform',
+      'project,id,bigint,"database id,\nassigned on insert",NO,project,project_id,',
+      'project,title,text,Title,NO,project,project_title,'
+    ].join('\n'));
+
+    const tables = await parseCrosswalkCsv(crosswalkPath);
+
+    expect(tables.project.map(column => column.row)).toEqual([2, 4]);
+  });
+
+  describe('DDL drift', () => {
+    const { tables } = parseDdl('CREATE TABLE project (id bigint NOT NULL, title text, location_lon double precision, funding text);');
+    const columns = [
+      { column: 'id', data_type: 'int8', row: 2 },
+      { column: 'title', data_type: 'text', row: 3 },
+      { column: 'location_lon', data_type: 'text', row: 4 },
+      { column: 'ghost', data_type: 'text', row: 5 }
+    ];
+
+    test('compares the crosswalk and the DDL in both directions, treating type aliases as equal', () => {
+      expect(findDdlDrift('project', columns, tables.project)).toEqual([
+        { message: "Crosswalk column 'project.location_lon' has data_type 'text' but the DDL declares 'double precision'", row: 4 },
+        { message: "Crosswalk column 'project.ghost' does not exist in the DDL", row: 5 },
+        { message: "DDL column 'project.funding' (text) is missing from the crosswalk", row: null }
+      ]);
+    });
+
+    test('reports a table the DDL does not declare at its first crosswalk row', () => {
+      expect(findDdlDrift('audit_log', columns, null)).toEqual([
+        { message: "Table 'audit_log' is in the crosswalk but not in the DDL", row: 2 }
+      ]);
+    });
+
+    test('reports drift at the crosswalk row, in the results and the report findings', async () => {
+      const crosswalkPath = writeCrosswalk(lines => [
+        ...lines.map(line => line.replace(/^project,location_lon,double precision,/, 'project,location_lon,text,')),
+        'project,ghost,text,Not a column,NO,project,,'
+      ]);
+
+      const result = await checkDatabaseCrosswalk(crosswalkPath);
+      const project = result.tables.find(table => table.tableName === 'project');
+
+      expect(result.valid).toBe(false);
+      expect(project.driftErrors).toEqual([
+        { message: "Crosswalk column 'project.location_lon' has data_type 'text' but the DDL declares 'double precision'", row: 202 },
+        { message: "Crosswalk column 'project.ghost' does not exist in the DDL", row: 221 }
+      ]);
+      expect(findingsFromCrosswalkResults(result).filter(finding => finding.ruleId === 'crosswalk/ddl-drift')).toEqual([
+        expect.objectContaining({ file: crosswalkPath, row: 202, context: 'project', severity: 'error' }),
+        expect.objectContaining({ file: crosswalkPath, row: 221, context: 'project', severity: 'error' })
+      ]);
+    });
+  });
+
+  test('rejects a mapping to an unknown property or transform', async () => {
+    const crosswalkPath = writeCrosswalk(lines => lines.map(line => line
+      .replace(/^project,title,text,(.*),project_title,$/, 'project,title,text,$1,project_name,')
+      .replace(/^project,sector,text,(.*),project_sector,$/, 'project,sector,text,$1,project_sector,uppercase')));
+
+    const result = await checkDatabaseCrosswalk(crosswalkPath);
+    const project = result.tables.find(table => table.tableName === 'project');
+
+    expect(result.valid).toBe(false);
+    expect(project.mappingErrors).toEqual([
+      "Crosswalk maps 'project.title' to 'project_name', which is not a property of NEPA schema 'project'",
+      expect.stringMatching(/^Unknown transform 'uppercase' for 'project.sector'/)
+    ]);
+    expect(project.missingRequiredFields).toEqual(['project_title']);
+  });
+
+  test('reports DDL tables the crosswalk does not describe', async () => {
+    const crosswalkPath = writeCrosswalk(lines => lines.filter(line => !line.startsWith('legal_structure,')));
+
+    const result = await checkDatabaseCrosswalk(crosswalkPath);
+
+    expect(result.valid).toBe(false);
+    expect(result.missingTables).toEqual(["DDL table 'legal_structure' is missing from the crosswalk"]);
+  });
+
+  test('validateDatabaseCrosswalk returns the result of the check', async () => {
+    const crosswalkPath = writeCrosswalk(lines => lines.filter(line => !line.startsWith('legal_structure,')));
+
+    await expect(validateDatabaseCrosswalk(CROSSWALK_PATH)).resolves.toBe(true);
+    await expect(validateDatabaseCrosswalk(crosswalkPath)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateExamples, main } = require('../scripts/validate-examples');
+const { PATHS } = require('../scripts/utils/validation-utils');
+
+describe('validate-examples', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-examples-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('accepts the bundled JSON datasets', () => {
+    expect(validateExamples(PATHS.JSON_DIR)).toBe(true);
+  });
+
+  test('rejects an example that breaks the schema', () => {
+    fs.writeFileSync(path.join(tmpDir, 'invalid.json'), JSON.stringify({ projects: [{ project_id: 'P-1' }] }));
+    expect(validateExamples(tmpDir)).toBe(false);
+  });
+
+  test('main validates every example directory', () => {
+    expect(main()).toBe(true);
+  });
+});
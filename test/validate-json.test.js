@@ -0,0 +1,32 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateJsonFiles } = require('../scripts/validate-json');
+const { PATHS } = require('../scripts/utils/validation-utils');
+
+describe('validate-json', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-json-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('accepts the bundled JSON datasets', () => {
+    expect(validateJsonFiles([PATHS.JSON_DIR])).toBe(true);
+  });
+
+  test('rejects a dataset that breaks the schema', () => {
+    fs.writeFileSync(path.join(tmpDir, 'invalid.json'), JSON.stringify({ projects: [{ project_id: 'P-1' }] }));
+    expect(validateJsonFiles([tmpDir])).toBe(false);
+  });
+
+  test('passes when there are no JSON files to validate', () => {
+    expect(validateJsonFiles([tmpDir])).toBe(true);
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  checkOpenApiFiles,
+  validateOpenApiFiles,
+  validateOpenApiStructure,
+  extractTablesFromOpenApi,
+  validateDefinitionAgainstSchema
+} = require('../scripts/validate-openapi');
+const { getSchemaDefinitions } = require('../scripts/utils/openapi-utils');
+const nepaSchema = require('../src/jsonschema/nepa.schema.json');
+const swaggerSpec = require('../src/openapi/openapi.json');
+const openApi31Spec = require('../src/openapi/openapi-3.1.json');
+
+describe('validate-openapi', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-openapi-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('the specs in src/openapi match the crosswalk and the NEPA schema', async () => {
+    const result = await checkOpenApiFiles();
+    const fileNames = result.files.map(file => file.fileName);
+
+    expect(result.files.filter(file => !file.valid)).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(fileNames).toEqual(expect.arrayContaining(['openapi.json', 'openapi-3.1.json', 'nepa-api.yaml']));
+    expect(result.crosswalkTables).toBeGreaterThan(0);
+  });
+
+  test('reads the same tables and definitions from the Swagger 2.0 spec and its 3.1 upgrade', async () => {
+    const tables = extractTablesFromOpenApi(swaggerSpec);
+
+    expect(Object.keys(tables).length).toBeGreaterThan(0);
+    expect(tables.project.parameters).toEqual(expect.arrayContaining(['id', 'title']));
+    expect(extractTablesFromOpenApi(openApi31Spec)).toEqual(tables);
+    expect(Object.keys(getSchemaDefinitions(openApi31Spec))).toEqual(Object.keys(getSchemaDefinitions(swaggerSpec)));
+
+    const { files } = await checkOpenApiFiles();
+    const byName = Object.fromEntries(files.map(file => [file.fileName, file]));
+    const summarize = file => file.definitions.map(definition => [definition.definitionName, definition.valid, definition.errors]);
+
+    expect(byName['openapi.json'].definitionsPointer).toBe('/definitions');
+    expect(byName['openapi-3.1.json'].definitionsPointer).toBe('/components/schemas');
+    expect(summarize(byName['openapi-3.1.json'])).toEqual(summarize(byName['openapi.json']));
+  });
+
+  test('points a Swagger 2.0 spec at the converter and flags 2.0 bodies in a 3.x spec', () => {
+    const mixed = {
+      openapi: '3.1.0',
+      info: { title: 'Test', version: '1' },
+      paths: {
+        '/project': {
+          post: {
+            parameters: [{ name: 'project', in: 'body', schema: { type: 'object' } }],
+            responses: { 200: { description: 'OK', schema: { type: 'array' } } }
+          }
+        }
+      }
+    };
+
+    expect(validateOpenApiStructure(swaggerSpec).warnings).toEqual([expect.stringContaining("convert it to OpenAPI 3.1 with 'pic openapi-upgrade'")]);
+    expect(validateOpenApiStructure(openApi31Spec)).toEqual({ valid: true, errors: [], warnings: [] });
+    expect(validateOpenApiStructure(mixed).warnings).toEqual([
+      "POST /project: 'body' parameters are Swagger 2.0; use requestBody",
+      'POST /project: response 200 has a Swagger 2.0 schema; use content'
+    ]);
+  });
+
+  test('requires the version, info and paths fields', () => {
+    expect(validateOpenApiStructure({ openapi: '3.1.0' }).errors).toEqual([
+      'Missing required OpenAPI field: info',
+      'Missing required OpenAPI field: paths'
+    ]);
+    expect(validateOpenApiStructure({ info: {}, paths: {} }).errors).toEqual(['Missing required OpenAPI field: openapi']);
+  });
+
+  test('reports local $refs that do not resolve', () => {
+    const spec = {
+      openapi: '3.1.0',
+      info: { title: 'Test', version: '1' },
+      paths: {},
+      components: { schemas: { project: { properties: { owner: { $ref: '#/components/schemas/person' } } } } }
+    };
+
+    const result = validateOpenApiStructure(spec);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(["Unresolved $ref '#/components/schemas/person' at /components/schemas/project/properties/owner"]);
+  });
+
+  test('requires the definition of a table to cover the required schema properties', () => {
+    const properties = Object.fromEntries(Object.keys(nepaSchema.definitions.project.properties).map(name => [name, { type: 'string' }]));
+    delete properties.project_title;
+
+    const result = validateDefinitionAgainstSchema('project', { properties }, nepaSchema.definitions);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(['Required schema property missing in API: project_title']);
+  });
+
+  test('marks unreadable and structurally invalid files as invalid', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'broken.json'), '{ "openapi": ');
+    fs.writeFileSync(path.join(tmpDir, 'incomplete.json'), JSON.stringify({ openapi: '3.1.0', paths: {} }));
+
+    const result = await checkOpenApiFiles(tmpDir);
+    const byName = Object.fromEntries(result.files.map(file => [file.fileName, file]));
+
+    expect(result.valid).toBe(false);
+    expect(byName['broken.json'].errors).toHaveLength(1);
+    expect(byName['incomplete.json'].structure.errors).toEqual(['Missing required OpenAPI field: info']);
+    await expect(validateOpenApiFiles(tmpDir)).resolves.toBe(false);
+  });
+});
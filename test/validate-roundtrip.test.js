@@ -0,0 +1,44 @@
+const { checkRoundTrip } = require('../scripts/validate-roundtrip');
+const { fromDatabaseRows, toDatabaseRows } = require('../scripts/utils/transformation-utils');
+const { loadSeedRows, DEFAULT_SEED_PATH } = require('../scripts/utils/sql-utils');
+
+describe('database round trip', () => {
+  const seedRows = loadSeedRows(DEFAULT_SEED_PATH);
+
+  test('seed-v1.0.0.sql survives database → NEPA → database unchanged', () => {
+    const result = checkRoundTrip(DEFAULT_SEED_PATH);
+
+    expect(result.tables.flatMap(table => table.differences)).toEqual([]);
+    expect(result.stable).toBe(true);
+    expect(result.valid).toBe(true);
+  });
+
+  test('every seed table converts to a NEPA collection and back', () => {
+    const { data } = fromDatabaseRows(seedRows);
+    const { rows, warnings } = toDatabaseRows(data);
+
+    expect(warnings).toEqual([]);
+    expect(Object.keys(rows).sort()).toEqual(Object.keys(seedRows).sort());
+    Object.entries(seedRows).forEach(([tableName, tableRows]) => {
+      expect(rows[tableName].map(row => row.id)).toEqual(tableRows.map(row => row.id));
+    });
+  });
+
+  test('integer references become business keys and back', () => {
+    const { data } = fromDatabaseRows(seedRows);
+    const process = data.processes[0];
+
+    expect(process.project_id).toBe(String(seedRows.process_instance[0].parent_project_id));
+    expect(data.projects.map(project => project.project_id)).toContain(process.project_id);
+
+    const { rows } = toDatabaseRows(data);
+    expect(rows.process_instance[0].parent_project_id).toBe(seedRows.process_instance[0].parent_project_id);
+  });
+
+  test('a second pass returns the same NEPA document', () => {
+    const first = fromDatabaseRows(seedRows).data;
+    const second = fromDatabaseRows(toDatabaseRows(first).rows).data;
+
+    expect(second).toEqual(first);
+  });
+});
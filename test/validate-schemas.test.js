@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkSchemas, validateSchemas, gatherSchemaStatistics } = require('../scripts/validate-schemas');
+const { PATHS } = require('../scripts/utils/validation-utils');
+
+describe('validate-schemas', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-schemas-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('every schema in src/jsonschema is a valid JSON Schema', () => {
+    const result = checkSchemas();
+    const fileNames = result.files.map(file => file.fileName);
+
+    expect(result.valid).toBe(true);
+    expect(fileNames).toContain('nepa.schema.json');
+    expect(fileNames).not.toContain(path.basename(PATHS.SCHEMA_REGISTRY));
+  });
+
+  test('reports meta-schema violations and unreadable files per file', () => {
+    fs.writeFileSync(path.join(tmpDir, 'good.schema.json'), JSON.stringify({ type: 'object', properties: { name: { type: 'string' } } }));
+    fs.writeFileSync(path.join(tmpDir, 'bad-type.schema.json'), JSON.stringify({ type: 'text' }));
+    fs.writeFileSync(path.join(tmpDir, 'broken.schema.json'), '{ "type": ');
+
+    const result = checkSchemas(tmpDir);
+    const byName = Object.fromEntries(result.files.map(file => [file.fileName, file]));
+
+    expect(result.valid).toBe(false);
+    expect(byName['good.schema.json'].valid).toBe(true);
+    expect(byName['bad-type.schema.json'].valid).toBe(false);
+    expect(byName['bad-type.schema.json'].errors[0]).toEqual(expect.objectContaining({ instancePath: '/type' }));
+    expect(byName['broken.schema.json'].errors).toEqual([{ message: expect.any(String) }]);
+  });
+
+  test('validateSchemas returns the result of the check', () => {
+    fs.writeFileSync(path.join(tmpDir, 'bad-type.schema.json'), JSON.stringify({ type: 'text' }));
+
+    expect(validateSchemas()).toBe(true);
+    expect(validateSchemas(tmpDir)).toBe(false);
+  });
+
+  test('counts root, definition and nested properties by type', () => {
+    const stats = gatherSchemaStatistics({
+      properties: { title: { type: 'string' } },
+      required: ['title'],
+      definitions: {
+        item: {
+          required: ['kind'],
+          properties: {
+            kind: { type: 'string', enum: ['a', 'b'] },
+            count: { type: 'integer' },
+            tags: { type: 'array', items: { properties: { label: { type: 'string' } } } },
+            owner: { type: 'object', properties: { active: { type: 'boolean' } } }
+          }
+        }
+      }
+    });
+
+    expect(stats).toEqual({
+      totalProperties: 7,
+      requiredProperties: 2,
+      enumProperties: 1,
+      objectProperties: 1,
+      arrayProperties: 1,
+      stringProperties: 3,
+      numberProperties: 1,
+      booleanProperties: 1
+    });
+  });
+});
@@ -0,0 +1,28 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateYamlFiles } = require('../scripts/validate-yaml');
+const { PATHS } = require('../scripts/utils/validation-utils');
+
+describe('validate-yaml', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-yaml-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('accepts the bundled YAML datasets', async () => {
+    await expect(validateYamlFiles([PATHS.YAML_DIR])).resolves.toBe(true);
+  });
+
+  test('rejects a dataset that breaks the schema', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'invalid.yaml'), 'projects:\n  - project_id: P-1\n');
+    await expect(validateYamlFiles([tmpDir])).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createValidator,
+  loadNepaSchema,
+  processObjectRecursively,
+  writeJsonFile,
+  PATHS
+} = require('../scripts/utils/validation-utils');
+const { getRelease } = require('../scripts/utils/version-utils');
+
+describe('validation-utils', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pic-utils-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('loadNepaSchema', () => {
+    test('compiles each schema once per AJV instance', () => {
+      const ajv = createValidator();
+      const compile = jest.spyOn(ajv, 'compile');
+
+      const first = loadNepaSchema(ajv);
+      const second = loadNepaSchema(ajv);
+
+      expect(first).toBeInstanceOf(Function);
+      expect(second).toBe(first);
+      expect(compile).toHaveBeenCalledTimes(1);
+    });
+
+    test('caches by schema path and by AJV instance', () => {
+      const ajv = createValidator();
+      const previousRelease = getRelease('1.0.0').schemaPath;
+
+      expect(loadNepaSchema(ajv, previousRelease)).not.toBe(loadNepaSchema(ajv, PATHS.NEPA_SCHEMA));
+      expect(loadNepaSchema(ajv, previousRelease)).toBe(loadNepaSchema(ajv, previousRelease));
+      expect(loadNepaSchema(createValidator())).not.toBe(loadNepaSchema(ajv));
+      expect(loadNepaSchema()).toBe(loadNepaSchema(null, PATHS.NEPA_SCHEMA));
+    });
+
+    test('returns null for a schema that cannot be read or compiled, without caching it', () => {
+      const schemaPath = path.join(tmpDir, 'nepa.schema.json');
+      const ajv = createValidator();
+
+      expect(loadNepaSchema(ajv, schemaPath)).toBeNull();
+      fs.writeFileSync(schemaPath, JSON.stringify({ type: 'object', properties: { id: { $ref: '#/definitions/missing' } } }));
+      expect(loadNepaSchema(ajv, schemaPath)).toBeNull();
+      fs.writeFileSync(schemaPath, JSON.stringify({ type: 'object' }));
+      expect(loadNepaSchema(ajv, schemaPath)).toBeInstanceOf(Function);
+    });
+  });
+
+  describe('processObjectRecursively', () => {
+    test('visits every nested object with its path, walking into arrays', () => {
+      const visited = [];
+      const data = { project: { sponsor: { name: 'DOT' }, tags: ['a', { label: 'b' }] }, count: 2, empty: null };
+
+      processObjectRecursively(data, (object, objectPath) => visited.push(objectPath.join('.')));
+
+      expect(visited).toEqual(['', 'project', 'project.sponsor', 'project.tags.1']);
+    });
+
+    test('lets the callback change each object in place', () => {
+      const data = { items: [{ keep: 1, drop: 2 }, { nested: { drop: 3 } }] };
+
+      processObjectRecursively(data, object => delete object.drop);
+
+      expect(data).toEqual({ items: [{ keep: 1 }, { nested: {} }] });
+    });
+
+    test('ignores values that are not objects', () => {
+      const callback = jest.fn();
+
+      [null, undefined, 'text', 3, ['a', 1]].forEach(value => processObjectRecursively(value, callback));
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('writeJsonFile', () => {
+    test('writes the data with two-space indentation', () => {
+      const filePath = path.join(tmpDir, 'out.json');
+
+      expect(writeJsonFile(filePath, { a: [1, { b: true }] })).toBe(true);
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('{\n  "a": [\n    1,\n    {\n      "b": true\n    }\n  ]\n}');
+    });
+
+    test('returns false when the file cannot be written', () => {
+      expect(writeJsonFile(path.join(tmpDir, 'missing', 'out.json'), {})).toBe(false);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Error writing JSON'));
+    });
+  });
+});